@@ -0,0 +1,54 @@
+// scripts/replay-financial-report.js
+/**
+ * Reporte financiero completo contra el corpus grabado (tests/fixtures/replay), sin red:
+ * scraping y búsqueda desde snapshots HTML, CMF sin grabación (motor local) y la respuesta
+ * de Claude grabada en claude/financial.json. Requiere Chromium de Playwright (npx playwright install chromium).
+ *
+ * Uso: npm run test:replay
+ * Para regrabar la sesión en vivo: SCRAPER_REPLAY_MODE=record node scripts/replay-financial-report.js
+ */
+const path = require('path');
+const assert = require('node:assert/strict');
+
+process.env.SCRAPER_REPLAY_MODE = process.env.SCRAPER_REPLAY_MODE || 'replay';
+process.env.INDICATORS_PROVIDER = process.env.INDICATORS_PROVIDER || 'file';
+
+const BrowserReplayService = require('../src/services/replay/BrowserReplayService');
+const AnthropicService = require('../src/services/anthropic/AnthropicService');
+
+const manifest = require(path.join(BrowserReplayService.getFixturesDir(), 'manifest.json'));
+
+const verificar = (reporte) => {
+    const { esperado } = manifest;
+
+    assert.equal(reporte.property?.titulo, esperado.titulo);
+    assert.equal(reporte.property?.ubicacion, esperado.ubicacion);
+    assert.deepEqual((reporte.comparables || []).map(comparable => comparable.id), esperado.comparables);
+    assert.equal(reporte.metadata?.claudeAnalysisUsed, esperado.claudeAnalysisUsed);
+    assert.equal(reporte.metadata?.fallbacksUsed?.mortgageMotorLocal, esperado.mortgageMotorLocal);
+};
+
+const main = async () => {
+    const modo = BrowserReplayService.getMode();
+    const inicio = Date.now();
+
+    const reporte = await AnthropicService.generateFinancialReport(manifest.propertyUrl, manifest.options);
+
+    if (modo === 'replay') {
+        verificar(reporte);
+    }
+
+    console.log(`✅ Reporte ${modo === 'replay' ? 'reproducido' : 'generado'} en ${Date.now() - inicio}ms`, {
+        titulo: reporte.property?.titulo,
+        comparables: reporte.comparables?.length || 0,
+        claudeAnalysisUsed: reporte.metadata?.claudeAnalysisUsed,
+        directorio: BrowserReplayService.getFixturesDir()
+    });
+};
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error('❌ Reporte reproducido no coincide con el corpus', error);
+        process.exit(1);
+    });
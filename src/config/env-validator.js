@@ -26,7 +26,11 @@ const OPTIONAL_ENV_VARS = {
     'PORT': '3000',
     'CLAUDE_API_ENABLED': 'false',
     'ALLOWED_ORIGINS': 'http://localhost:3000',
-    'LOG_LEVEL': 'info'
+    'LOG_LEVEL': 'info',
+    'INDICATORS_PROVIDER': 'mindicador',
+    'API_KEY_STORE': 'redis',
+    'SCRAPER_REPLAY_MODE': 'off',
+    'MORTGAGE_RATES_STORE': 'redis'
 };
 
 /**
@@ -81,6 +85,46 @@ const validateEnvVar = (varName, isRequired = true) => {
                 };
             }
             break;
+
+        case 'INDICATORS_PROVIDER':
+            const validProviders = ['mindicador', 'file'];
+            if (!validProviders.includes(value)) {
+                return {
+                    valid: false,
+                    error: `INDICATORS_PROVIDER debe ser uno de: ${validProviders.join(', ')}`
+                };
+            }
+            break;
+
+        case 'API_KEY_STORE':
+            const validStores = ['redis', 'file'];
+            if (!validStores.includes(value)) {
+                return {
+                    valid: false,
+                    error: `API_KEY_STORE debe ser uno de: ${validStores.join(', ')}`
+                };
+            }
+            break;
+
+        case 'MORTGAGE_RATES_STORE':
+            const validRateStores = ['redis', 'file'];
+            if (!validRateStores.includes(value)) {
+                return {
+                    valid: false,
+                    error: `MORTGAGE_RATES_STORE debe ser uno de: ${validRateStores.join(', ')}`
+                };
+            }
+            break;
+
+        case 'SCRAPER_REPLAY_MODE':
+            const validModes = ['off', 'record', 'replay'];
+            if (!validModes.includes(value)) {
+                return {
+                    valid: false,
+                    error: `SCRAPER_REPLAY_MODE debe ser uno de: ${validModes.join(', ')}`
+                };
+            }
+            break;
     }
 
     return { valid: true };
@@ -230,6 +230,7 @@ class RedisConfig {
             search: 24 * 60 * 60, // 24 horas
             mortgage: 24 * 60 * 60, // 24 horas
             pdf: 24 * 60 * 60, // 24 horas
+            indicators: 24 * 60 * 60, // 24 horas (valor diario)
             default: 60 * 60 // 1 hora
         };
 
@@ -23,13 +23,21 @@ const getCorsConfig = () => {
                 callback(new Error('Acceso denegado por política CORS'));
             }
         },
-        methods: ['GET', 'POST'],
+        // PUT/DELETE: supuestos de la API key y búsquedas guardadas; PATCH: cambio de tier de API keys
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
         allowedHeaders: [
             'Content-Type', 
             'Authorization',
             'X-API-Key',
             'X-Requested-With'
         ],
+        exposedHeaders: [
+            'RateLimit-Limit',
+            'RateLimit-Remaining',
+            'RateLimit-Reset',
+            'RateLimit-Policy',
+            'Retry-After'
+        ],
         credentials: true,
         optionsSuccessStatus: 200 // Para IE11
     };
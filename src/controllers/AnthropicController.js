@@ -5,6 +5,13 @@ const { asyncErrorHandler } = require('../middleware/errorHandler');
 const AnthropicService = require('../services/anthropic/AnthropicService');
 const ClaudeApiHelper = require('../services/anthropic/ClaudeApiHelper'); // NUEVO
 const AnthropicConfig = require('../services/anthropic/AnthropicConfig'); // NUEVO
+const { getPortalRegistry } = require('../services/portals/PortalRegistry');
+const AffordabilityService = require('../services/mortgage/AffordabilityService');
+const AssumptionsService = require('../services/anthropic/AssumptionsService');
+const TaxService = require('../services/tax/TaxService');
+const MonteCarloService = require('../services/investment/MonteCarloService');
+const IndicatorsService = require('../services/indicators/IndicatorsService');
+const { parseRadiusKm } = require('../utils/geo');
 
 /**
  * Controlador para servicios de análisis financiero inmobiliario con Claude API Real
@@ -59,16 +66,7 @@ class AnthropicController {
 
             // ✅ COMPLETAR OPCIONES CON DEFAULTS SEGUROS
             const completeOptions = {
-                includeLocationAnalysis: options.includeLocationAnalysis !== false,
-                includeSecurityAnalysis: options.includeSecurityAnalysis !== false,
-                includeFinancialMetrics: options.includeFinancialMetrics !== false,
-                includeRiskAssessment: options.includeRiskAssessment !== false,
-                confidenceLevel: options.confidenceLevel || 'high',
-                propertyPrice: options.propertyPrice || null,
-                marketRadius: options.marketRadius || '2km',
-                maxComparables: Math.min(parseInt(options.maxComparables) || 15, 30),
-                forceClaudeAnalysis: options.forceClaudeAnalysis === true,
-                analysisDepth: options.analysisDepth || 'complete',
+                ...AnthropicController.buildReportOptions(options, req.auth?.user?.assumptions),
                 requestId,
                 startTime,
                 coordinationContext: options.coordinationContext,
@@ -224,6 +222,142 @@ class AnthropicController {
         }
     }
 
+    /**
+     * Opciones del reporte con defaults seguros (compartido con jobs asíncronos)
+     */
+    /**
+     * @param {Object} options - Opciones de la solicitud
+     * @param {Object} [savedAssumptions] - Supuestos de gastos guardados en la API key (req.auth.user.assumptions)
+     */
+    static buildReportOptions(options = {}, savedAssumptions = null) {
+        const { simulacionesMin, simulacionesMax } = MonteCarloService.getDefaults();
+
+        return {
+            includeLocationAnalysis: options.includeLocationAnalysis !== false,
+            includeSecurityAnalysis: options.includeSecurityAnalysis !== false,
+            includeFinancialMetrics: options.includeFinancialMetrics !== false,
+            includeRiskAssessment: options.includeRiskAssessment !== false,
+            confidenceLevel: options.confidenceLevel || 'high',
+            propertyPrice: options.propertyPrice || null,
+            marketRadius: AnthropicController.parseMarketRadius(options.marketRadius),
+            maxComparables: Math.min(parseInt(options.maxComparables) || 15, 30),
+            forceClaudeAnalysis: options.forceClaudeAnalysis === true,
+            analysisDepth: options.analysisDepth || 'complete',
+            fechaReferencia: AnthropicController.parseReferenceDate(options.fechaReferencia), // UF histórica para recálculos
+            comparablePortals: AnthropicController.parseComparablePortals(options.comparablePortals),
+            buyerProfile: options.buyerProfile
+                ? AffordabilityService.normalizeProfile(AnthropicController.parseJsonOption(options.buyerProfile, 'buyerProfile'))
+                : null,
+            taxProfile: options.taxProfile
+                ? TaxService.normalizeProfile(AnthropicController.parseJsonOption(options.taxProfile, 'taxProfile'))
+                : null,
+            projectionYears: AnthropicController.parseRangeOption(options.projectionYears, 'projectionYears', 10, 30),
+            discountRate: AnthropicController.parseRangeOption(options.discountRate, 'discountRate', 0, 50),
+            riskSimulations: AnthropicController.parseRangeOption(options.riskSimulations, 'riskSimulations', simulacionesMin, simulacionesMax),
+            riskSeed: AnthropicController.parseRangeOption(options.riskSeed, 'riskSeed', 0, 2147483647),
+            assumptions: AssumptionsService.resolve(savedAssumptions, AnthropicController.parseJsonOption(options.assumptions, 'assumptions'))
+        };
+    }
+
+    /**
+     * Opción numérica acotada (null si no se envió)
+     */
+    static parseRangeOption(valor, campo, min, max) {
+        if (valor === undefined || valor === null || valor === '') {
+            return null;
+        }
+
+        const num = parseFloat(valor);
+        if (isNaN(num) || num < min || num > max) {
+            throw ErrorFactory.validation(`${campo} debe ser un número entre ${min} y ${max}`, campo);
+        }
+        return num;
+    }
+
+    /**
+     * Objeto enviado como JSON en query params (stream SSE); en el body llega ya parseado
+     */
+    static parseJsonOption(valor, campo) {
+        if (typeof valor !== 'string') {
+            return valor;
+        }
+
+        try {
+            return JSON.parse(valor);
+        } catch (error) {
+            throw ErrorFactory.validation(`${campo} debe ser un objeto JSON válido`, campo);
+        }
+    }
+
+    /**
+     * Portales para comparables: array o lista separada por comas ("yapo,toctoc").
+     * null = portales por defecto (AnthropicConfig.defaults.searchOptions.portales)
+     */
+    static parseComparablePortals(portales) {
+        if (!portales) {
+            return null;
+        }
+
+        const lista = (Array.isArray(portales) ? portales : String(portales).split(','))
+            .map(portal => String(portal).trim())
+            .filter(Boolean);
+
+        if (lista.length === 0) {
+            return null;
+        }
+
+        const registry = getPortalRegistry();
+        return lista.map(portal => registry.getSearchAdapter(portal).id);
+    }
+
+    /**
+     * POST /financial-report espera el reporte solo si se pide explícitamente (por defecto se encola como job)
+     */
+    static isSyncReportRequest(req) {
+        return req.query?.sync === 'true' || req.body?.sync === true;
+    }
+
+    /**
+     * Fecha de referencia para indicadores (YYYY-MM-DD, no futura). null = hoy
+     */
+    static parseReferenceDate(fecha) {
+        if (fecha === undefined || fecha === null || fecha === '') {
+            return null;
+        }
+        try {
+            return IndicatorsService.normalizeDate(fecha);
+        } catch (error) {
+            throw ErrorFactory.validation(`fechaReferencia inválida: ${error.message}`, 'fechaReferencia');
+        }
+    }
+
+    /**
+     * Radio de comparables ("2km", "800m" o km numérico), normalizado a km ("1.5km")
+     */
+    static parseMarketRadius(radio) {
+        if (radio === undefined || radio === null || radio === '') {
+            return AnthropicConfig.defaults.searchOptions.marketRadius;
+        }
+        return `${parseRadiusKm(radio, 'marketRadius')}km`;
+    }
+
+    /**
+     * Convertir flags 'true'/'false' de query params a booleanos (buildReportOptions espera booleanos)
+     */
+    static parseQueryFlags(query = {}) {
+        const flags = ['includeLocationAnalysis', 'includeSecurityAnalysis', 'includeFinancialMetrics',
+            'includeRiskAssessment', 'forceClaudeAnalysis'];
+        const options = { ...query };
+
+        flags.forEach(flag => {
+            if (options[flag] !== undefined) {
+                options[flag] = options[flag] === 'true';
+            }
+        });
+
+        return options;
+    }
+
     /**
      * ✅ MÉTODO CORREGIDO: Validar consistencia alineado con estructura real del service
      */
@@ -322,7 +456,9 @@ class AnthropicController {
             includeSecurityAnalysis: queryOptions.includeSecurityAnalysis === 'true',
             includeFinancialMetrics: queryOptions.includeFinancialMetrics === 'true',
             confidenceLevel: queryOptions.confidenceLevel || 'medium',
-            maxComparables: parseInt(queryOptions.maxComparables) || 15
+            maxComparables: parseInt(queryOptions.maxComparables) || 15,
+            fechaReferencia: queryOptions.fechaReferencia || null,
+            assumptions: queryOptions.assumptions
         };
 
         // Reutilizar lógica del POST
@@ -330,6 +466,114 @@ class AnthropicController {
         return AnthropicController.generateFinancialReport(req, res);
     }
 
+    /**
+     * GET /api/anthropic/financial-report/stream?url=... - Progreso del reporte vía Server-Sent Events
+     *
+     * Eventos: start → stage (running/completed/fallback/failed con resultados parciales) → result | error
+     */
+    static async streamFinancialReport(req, res) {
+        const { url, ...queryOptions } = req.query;
+
+        if (!url || typeof url !== 'string' || url.trim().length === 0) {
+            throw ErrorFactory.validation('Parámetro url es requerido', 'url');
+        }
+
+        const startTime = Date.now();
+        const requestId = req.anthropicRequestId || `anthropic_${startTime}_${Math.random().toString(36).substr(2, 9)}`;
+        const stages = AnthropicConfig.orchestration.progressStages;
+        let eventId = 0;
+        let clientClosed = false;
+        // Cancela el reporte (y la llamada a Claude en curso) si el cliente se desconecta
+        const abortController = new AbortController();
+
+        const send = (event, data) => {
+            if (clientClosed || res.writableEnded) {
+                return;
+            }
+            eventId++;
+            res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // Evitar buffering en proxies nginx
+        res.flushHeaders();
+
+        // Comentario periódico para mantener viva la conexión detrás de proxies
+        const heartbeat = setInterval(() => {
+            if (!clientClosed && !res.writableEnded) {
+                res.write(': ping\n\n');
+            }
+        }, 15000);
+
+        req.on('close', () => {
+            clientClosed = true;
+            clearInterval(heartbeat);
+            if (!res.writableEnded) {
+                abortController.abort(new Error('Cliente SSE desconectado'));
+            }
+            logInfo('🔌 Cliente SSE desconectado', { requestId, elapsed: `${Date.now() - startTime}ms` });
+        });
+
+        logInfo('📡 Stream SSE de reporte financiero iniciado', {
+            requestId,
+            propertyUrl: url.substring(0, 50) + '...'
+        });
+
+        send('start', {
+            requestId,
+            propertyUrl: url,
+            stages,
+            timestamp: new Date().toISOString()
+        });
+
+        try {
+            const report = await AnthropicService.generateFinancialReport(url.trim(), {
+                ...AnthropicController.buildReportOptions(AnthropicController.parseQueryFlags(queryOptions), req.auth?.user?.assumptions),
+                requestId,
+                startTime,
+                signal: abortController.signal,
+                onProgress: (event) => send('stage', {
+                    ...event,
+                    label: stages.find(stage => stage.name === event.stage)?.label,
+                    elapsed: Date.now() - startTime,
+                    timestamp: new Date().toISOString()
+                })
+            });
+
+            send('result', {
+                success: true,
+                message: 'Reporte financiero generado exitosamente',
+                data: report,
+                metadata: {
+                    ...report.metadata,
+                    requestId,
+                    totalTime: `${Date.now() - startTime}ms`
+                }
+            });
+
+        } catch (error) {
+            logError('❌ Error en stream de reporte financiero', { requestId, error: error.message });
+
+            send('error', {
+                success: false,
+                error: error.message || 'Error interno generando reporte financiero',
+                code: error.code || (error.name === 'ValidationError' ? 'VALIDATION_ERROR' : 'FINANCIAL_REPORT_ERROR'),
+                field: error.field || undefined,
+                requestId,
+                totalTime: `${Date.now() - startTime}ms`
+            });
+
+        } finally {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    }
+
     /**
      * Obtener información del servicio de análisis - ACTUALIZADA
      * GET /api/anthropic/info
@@ -419,12 +663,13 @@ class AnthropicController {
 
             endpoints: {
                 'POST /api/anthropic/financial-report': {
-                    description: 'Generar reporte financiero completo con Claude AI',
+                    description: 'Generar reporte financiero completo con Claude AI (asíncrono: 202 con job, ver /api/jobs/:id)',
                     parameters: {
                         propertyUrl: 'URL de la propiedad (requerido)',
-                        options: 'Opciones de análisis (opcional)'
+                        options: 'Opciones de análisis (opcional)',
+                        sync: 'true para esperar el reporte en la misma respuesta (opcional, también ?sync=true)'
                     },
-                    avgResponseTime: '45-60 segundos'
+                    avgResponseTime: 'inmediato (job); 45-60 segundos con sync=true'
                 },
                 'GET /api/anthropic/financial-report': {
                     description: 'Generar reporte vía query parameters (testing)',
@@ -435,6 +680,14 @@ class AnthropicController {
                         'confidenceLevel': 'Nivel de confianza: low|medium|high'
                     }
                 },
+                'GET /api/anthropic/financial-report/stream': {
+                    description: 'Generar reporte con progreso en tiempo real (Server-Sent Events)',
+                    parameters: {
+                        url: 'URL de la propiedad (requerido)',
+                        'confidenceLevel': 'Nivel de confianza: low|medium|high'
+                    },
+                    events: ['start', 'stage', 'result', 'error']
+                },
                 'GET /api/anthropic/info': {
                     description: 'Información detallada del servicio',
                     parameters: 'Ninguno'
@@ -685,7 +938,7 @@ class AnthropicController {
             confidenceLevel: options.confidenceLevel || 'high',
             propertyPrice: options.propertyPrice || null,
             customFilters: options.customFilters || null,
-            marketRadius: options.marketRadius || '2km',
+            marketRadius: AnthropicController.parseMarketRadius(options.marketRadius),
             analysisDepth: options.analysisDepth || 'complete',
             maxComparables: options.maxComparables || AnthropicConfig.defaults.searchOptions.maxComparables,
             forceClaudeAnalysis: options.forceClaudeAnalysis || false // NUEVO: para testing
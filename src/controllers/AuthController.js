@@ -77,7 +77,7 @@ class AuthController {
             });
 
             const jwtToken = req.headers.authorization;
-            const authInfo = authService.getAuthInfo(req.auth.apiKey, jwtToken);
+            const authInfo = await authService.getAuthInfo(req.auth.apiKey, jwtToken);
 
             if (!authInfo.success) {
                 return res.status(500).json({
@@ -103,6 +103,7 @@ class AuthController {
                     name: authInfo.user.name,
                     email: authInfo.user.email,
                     tier: authInfo.apiKey.tier,
+                    role: authInfo.user.role,
                     isActive: authInfo.user.isActive
                 },
                 authentication: {
@@ -200,13 +201,15 @@ class AuthController {
                 tier: req.auth.tier.name 
             });
 
-            const stats = authService.getAuthStats();
+            const stats = await authService.getAuthStats();
 
             const response = {
                 success: true,
                 stats: {
                     system: {
                         totalApiKeys: stats.totalApiKeys,
+                        activeApiKeys: stats.activeApiKeys,
+                        keyStore: stats.keyStore,
                         tierDistribution: stats.tierDistribution,
                         features: stats.features,
                         rateLimits: stats.rateLimits
@@ -263,7 +266,7 @@ class AuthController {
 
             // Verificar API Key si se proporciona
             if (apiKey) {
-                const apiKeyValidation = authService.validateApiKey(apiKey);
+                const apiKeyValidation = await authService.validateApiKey(apiKey);
                 results.verification.apiKey = {
                     valid: apiKeyValidation.isValid,
                     error: apiKeyValidation.error || null,
@@ -287,7 +290,7 @@ class AuthController {
                 results.verification.apiKey.valid && 
                 results.verification.jwt.valid) {
                 
-                const apiKeyInfo = authService.validateApiKey(apiKey);
+                const apiKeyInfo = await authService.validateApiKey(apiKey);
                 const jwtInfo = authService.verifyJWT(jwtToken);
                 
                 const compatible = apiKeyInfo.user.userId === jwtInfo.user.id;
@@ -311,6 +314,222 @@ class AuthController {
             });
         }
     }
+
+    // ==========================================
+    // ADMINISTRACIÓN DE API KEYS (rol admin)
+    // ==========================================
+
+    /**
+     * POST /api/auth/keys - Crear API key
+     */
+    async createApiKey(req, res) {
+        try {
+            const { tier, userId, name, email, role } = req.body || {};
+            const result = await authService.createApiKey({ tier, userId, name, email, role });
+
+            logInfo('🛡️ API key creada por administrador', {
+                adminId: req.auth.user.userId,
+                keyId: result.key.id
+            });
+
+            res.status(201).json({
+                success: true,
+                apiKey: result.apiKey,
+                key: result.key,
+                warning: 'Guarda la API key ahora: no se almacena en texto plano y no podrá recuperarse',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno creando API key');
+        }
+    }
+
+    /**
+     * GET /api/auth/keys - Listar API keys (sin hashes)
+     */
+    async listApiKeys(req, res) {
+        try {
+            const { tier, active } = req.query;
+            const keys = await authService.listApiKeys({
+                tier: tier || null,
+                active: active === undefined ? null : active === 'true'
+            });
+
+            res.json({
+                success: true,
+                total: keys.length,
+                keys,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno listando API keys');
+        }
+    }
+
+    /**
+     * POST /api/auth/keys/:id/rotate - Rotar API key
+     */
+    async rotateApiKey(req, res) {
+        try {
+            const result = await authService.rotateApiKey(req.params.id);
+
+            logInfo('🛡️ API key rotada por administrador', {
+                adminId: req.auth.user.userId,
+                keyId: req.params.id
+            });
+
+            res.json({
+                success: true,
+                apiKey: result.apiKey,
+                key: result.key,
+                warning: 'La API key anterior dejó de ser válida',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno rotando API key');
+        }
+    }
+
+    /**
+     * POST /api/auth/keys/:id/deactivate | /activate - Cambiar estado de API key
+     */
+    async deactivateApiKey(req, res) {
+        await updateApiKeyStatus(req, res, false);
+    }
+
+    async activateApiKey(req, res) {
+        await updateApiKeyStatus(req, res, true);
+    }
+
+    /**
+     * PATCH /api/auth/keys/:id/tier - Cambiar tier de API key
+     */
+    async changeApiKeyTier(req, res) {
+        try {
+            const key = await authService.changeApiKeyTier(req.params.id, req.body?.tier);
+
+            logInfo('🛡️ Tier de API key cambiado por administrador', {
+                adminId: req.auth.user.userId,
+                keyId: req.params.id,
+                tier: key.tier
+            });
+
+            res.json({
+                success: true,
+                key,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno cambiando tier');
+        }
+    }
+
+    /**
+     * GET /api/auth/assumptions - Supuestos de gastos guardados en la API key
+     */
+    async getAssumptions(req, res) {
+        try {
+            const AssumptionsService = require('../services/anthropic/AssumptionsService');
+            const saved = await authService.getSavedAssumptions(req.auth.user.id);
+
+            res.json({
+                success: true,
+                assumptions: saved.assumptions,
+                updatedAt: saved.updatedAt,
+                effective: AssumptionsService.resolve(saved.assumptions).valores,
+                schema: AssumptionsService.getSchema(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno obteniendo supuestos');
+        }
+    }
+
+    /**
+     * PUT /api/auth/assumptions - Reemplazar supuestos de gastos guardados
+     */
+    async saveAssumptions(req, res) {
+        try {
+            const saved = await authService.saveAssumptions(req.auth.user.id, req.body?.assumptions);
+
+            res.json({
+                success: true,
+                assumptions: saved.assumptions,
+                updatedAt: saved.updatedAt,
+                message: 'Supuestos aplicados por defecto a los reportes financieros de esta API key',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno guardando supuestos');
+        }
+    }
+
+    /**
+     * DELETE /api/auth/assumptions - Volver a los supuestos estándar
+     */
+    async clearAssumptions(req, res) {
+        try {
+            await authService.clearAssumptions(req.auth.user.id);
+
+            res.json({
+                success: true,
+                assumptions: {},
+                message: 'Supuestos restablecidos a los valores estándar',
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            sendAdminError(res, error, 'Error interno restableciendo supuestos');
+        }
+    }
 }
 
+/**
+ * Activar/desactivar API key (compartido por activate y deactivate)
+ */
+const updateApiKeyStatus = async (req, res, isActive) => {
+    try {
+        const key = await authService.setApiKeyStatus(req.params.id, isActive);
+
+        logInfo('🛡️ Estado de API key cambiado por administrador', {
+            adminId: req.auth.user.userId,
+            keyId: req.params.id,
+            isActive
+        });
+
+        res.json({
+            success: true,
+            key,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendAdminError(res, error, 'Error interno actualizando API key');
+    }
+};
+
+/**
+ * Respuesta de error para endpoints de administración (respeta statusCode de AppError)
+ */
+const sendAdminError = (res, error, fallbackMessage) => {
+    const statusCode = error.statusCode || 500;
+
+    if (statusCode >= 500) {
+        logError(`❌ ${fallbackMessage}`, { error: error.message });
+    }
+
+    res.status(statusCode).json({
+        success: false,
+        error: statusCode >= 500 ? fallbackMessage : error.message,
+        field: error.field || undefined,
+        timestamp: new Date().toISOString()
+    });
+};
+
 module.exports = new AuthController();
\ No newline at end of file
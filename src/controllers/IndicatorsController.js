@@ -0,0 +1,52 @@
+// src/controllers/IndicatorsController.js
+const { logInfo } = require('../utils/logger');
+const IndicatorsService = require('../services/indicators/IndicatorsService');
+
+/**
+ * Controlador para indicadores económicos (UF, UTM, USD, IPC)
+ */
+class IndicatorsController {
+
+    /**
+     * Obtener indicador por código y fecha opcional
+     */
+    static async getIndicator(req, res) {
+        const { code } = req.params;
+        const { date } = req.query;
+
+        logInfo('Nueva solicitud de indicador económico', {
+            code,
+            date: date || 'hoy',
+            ip: req.ip
+        });
+
+        const indicador = await IndicatorsService.getIndicator(code, date || null);
+
+        res.json({
+            success: true,
+            data: indicador,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Información del servicio de indicadores
+     */
+    static async getInfo(req, res) {
+        res.json({
+            success: true,
+            servicio: 'Indicadores Económicos',
+            proveedor: IndicatorsService.getProviderName(),
+            indicadores: IndicatorsService.getSupportedIndicators(),
+            cache: 'Diario por indicador y fecha',
+            endpoints: {
+                'GET /api/indicators/:code': 'Valor del indicador para hoy',
+                'GET /api/indicators/:code?date=YYYY-MM-DD': 'Valor del indicador para una fecha',
+                'GET /api/indicators/info': 'Información del servicio'
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = IndicatorsController;
@@ -0,0 +1,265 @@
+// src/controllers/InvestmentController.js
+const { logInfo } = require('../utils/logger');
+const { ErrorFactory } = require('../utils/errors');
+const IndicatorsService = require('../services/indicators/IndicatorsService');
+const InvestmentProjectionService = require('../services/investment/InvestmentProjectionService');
+const MonteCarloService = require('../services/investment/MonteCarloService');
+const TaxService = require('../services/tax/TaxService');
+const MarketStatsService = require('../services/market/MarketStatsService');
+
+/**
+ * Controlador para análisis de inversión de largo plazo
+ */
+class InvestmentController {
+
+    /**
+     * Proyección multianual (TIR, VAN, cash-on-cash, patrimonio) - POST
+     *
+     * Sin gastos o plusvalía explícitos se usan los mismos supuestos del reporte financiero
+     * (gastos operacionales y de compra estándar, plusvalía observada en la comuna de `ubicacion`)
+     */
+    static async calculateProjection(req, res) {
+        const { precioUF, arriendoMensual, horizonteAnios } = req.body;
+
+        logInfo('Nueva solicitud de proyección de inversión', { precioUF, arriendoMensual, horizonteAnios, ip: req.ip });
+
+        const { params, indicadorUF, fuentes } = await InvestmentController.resolveInvestmentInputs(req.body, { savedAssumptions: req.auth?.user?.assumptions });
+        const proyeccion = InvestmentProjectionService.project(params);
+
+        logInfo('📈 Proyección de inversión generada', {
+            horizonteAnios: proyeccion.parametros.horizonteAnios,
+            tir: proyeccion.indicadores.tir,
+            van: proyeccion.indicadores.van
+        });
+
+        res.json({
+            success: true,
+            data: proyeccion,
+            metadata: {
+                valorUF: { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente },
+                supuestosPorDefecto: InvestmentProjectionService.getDefaults(),
+                fuentes,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Simulación Monte Carlo de riesgo - POST
+     *
+     * Mismos parámetros de la proyección más `simulaciones`, `semilla` y `distribuciones`.
+     * Los gastos operacionales estimados excluyen la provisión de vacancia (la vacancia se simula).
+     */
+    static async simulateRisk(req, res) {
+        const { precioUF, arriendoMensual, simulaciones, semilla, distribuciones } = req.body;
+
+        logInfo('Nueva solicitud de simulación de riesgo', { precioUF, arriendoMensual, simulaciones, semilla, ip: req.ip });
+
+        const { params, indicadorUF, fuentes } = await InvestmentController.resolveInvestmentInputs(req.body, {
+            excluirVacancia: true,
+            savedAssumptions: req.auth?.user?.assumptions
+        });
+        const simulacion = MonteCarloService.simulate({ ...params, simulaciones, semilla, distribuciones });
+
+        logInfo('🎲 Simulación de riesgo generada', {
+            simulaciones: simulacion.parametros.simulaciones,
+            semilla: simulacion.parametros.semilla,
+            tirP50: simulacion.tir.percentiles.p50,
+            nivelRiesgo: simulacion.nivelRiesgo.nivel
+        });
+
+        res.json({
+            success: true,
+            data: simulacion,
+            metadata: {
+                valorUF: { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente },
+                supuestosPorDefecto: MonteCarloService.getDefaults(),
+                fuentes,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Impuestos de la inversión y métricas después de impuestos - POST
+     *
+     * Mismos parámetros de la proyección más `perfilTributario`. Si se envía gastosOperacionalesMensuales
+     * se asume que no incluye contribuciones (las calcula el módulo tributario con sus exenciones).
+     */
+    static async calculateTaxes(req, res) {
+        const { precioUF, arriendoMensual, perfilTributario } = req.body;
+
+        logInfo('Nueva solicitud de análisis tributario', {
+            precioUF,
+            arriendoMensual,
+            tipoContribuyente: perfilTributario?.tipoContribuyente,
+            ip: req.ip
+        });
+
+        const perfil = TaxService.normalizeProfile(perfilTributario ?? {}, 'perfilTributario');
+        const { params, indicadorUF, fuentes, gastosOperacionales } = await InvestmentController.resolveInvestmentInputs(req.body, {
+            savedAssumptions: req.auth?.user?.assumptions
+        });
+        const proyeccion = InvestmentProjectionService.project(params);
+        const indicadorUTM = await IndicatorsService.getIndicatorSafely('utm');
+
+        const impuestos = TaxService.analyze({
+            perfil,
+            precioUF,
+            valorUF: params.valorUF,
+            valorUTM: indicadorUTM.valor,
+            arriendoMensualCLP: arriendoMensual,
+            ...(gastosOperacionales
+                ? TaxService.splitOperationalExpenses(gastosOperacionales)
+                : { gastosDeduciblesMensualesCLP: params.gastosOperacionalesMensualesCLP }),
+            flujoCajaMensualCLP: proyeccion.anios[0].flujoNeto / 12,
+            yieldNeto: (arriendoMensual - params.gastosOperacionalesMensualesCLP) * 12 / (precioUF * params.valorUF) * 100,
+            projection: proyeccion
+        });
+
+        logInfo('🧾 Análisis tributario generado', {
+            dfl2: impuestos.dfl2.aplica,
+            impactoMensual: impuestos.impactoAnual.mensual,
+            tirDespuesImpuestos: impuestos.proyeccion.indicadores.tirDespuesImpuestos
+        });
+
+        res.json({
+            success: true,
+            data: impuestos,
+            metadata: {
+                valorUF: { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente },
+                valorUTM: { valor: indicadorUTM.valor, fecha: indicadorUTM.fecha, fuente: indicadorUTM.fuente },
+                reglas: TaxService.getRules(),
+                fuentes,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Validar el body común de proyección/simulación y completar supuestos estándar
+     * (gastos estimados con los supuestos de la API key y `body.assumptions`)
+     */
+    static async resolveInvestmentInputs(body, { excluirVacancia = false, savedAssumptions = null } = {}) {
+        const {
+            precioUF, arriendoMensual, piePct, tasaCredito, plazoCredito, gastosOperacionalesMensuales,
+            gastosIniciales, plusvaliaAnual, ubicacion, horizonteAnios, tasaDescuento,
+            crecimientoRealArriendo, crecimientoRealGastos, variacionAnualUF, costosVentaPct
+        } = body;
+
+        if (typeof precioUF !== 'number' || precioUF <= 0) {
+            throw ErrorFactory.validation('precioUF es requerido y debe ser un número mayor a 0', 'precioUF');
+        }
+        if (typeof arriendoMensual !== 'number' || arriendoMensual <= 0) {
+            throw ErrorFactory.validation('arriendoMensual (CLP) es requerido y debe ser un número mayor a 0', 'arriendoMensual');
+        }
+
+        const pie = piePct === undefined ? 20 : piePct;
+        if (typeof pie !== 'number' || pie < 0 || pie > 100) {
+            throw ErrorFactory.validation('piePct debe ser un número entre 0 y 100', 'piePct');
+        }
+
+        const AnthropicService = require('../services/anthropic/AnthropicService');
+        const AssumptionsService = require('../services/anthropic/AssumptionsService');
+        const supuestos = AssumptionsService.resolve(savedAssumptions, body.assumptions).valores;
+        const indicadorUF = await IndicatorsService.getUFSafely();
+        const valorUF = indicadorUF.valor;
+        const montoCreditoUF = Math.round(precioUF * (1 - pie / 100) * 100) / 100;
+
+        let gastosOperacionalesCLP = gastosOperacionalesMensuales;
+        let gastos = null;
+        if (gastosOperacionalesCLP === undefined) {
+            gastos = AnthropicService.calculateMonthlyOperationalExpenses(precioUF * valorUF, arriendoMensual, false, false, valorUF, supuestos);
+            gastosOperacionalesCLP = gastos.total - (excluirVacancia ? gastos.conceptos?.vacancia?.valor || 0 : 0);
+        }
+        const gastosInicialesCLP = gastosIniciales ?? (montoCreditoUF > 0
+            ? AnthropicService.calculateOneTimeAcquisitionCosts(montoCreditoUF, precioUF * valorUF, null, false, valorUF, supuestos).total
+            : 0);
+
+        const plusvalia = plusvaliaAnual !== undefined && plusvaliaAnual !== null
+            ? { valor: plusvaliaAnual, fuente: 'parametro' }
+            : MarketStatsService.resolveAppreciation(await MarketStatsService.getLocationProfileSafely(ubicacion));
+
+        return {
+            indicadorUF,
+            gastosOperacionales: gastos,
+            params: {
+                precioUF,
+                valorUF,
+                arriendoMensualCLP: arriendoMensual,
+                gastosOperacionalesMensualesCLP: gastosOperacionalesCLP,
+                gastosInicialesCLP,
+                montoCreditoUF,
+                tasaCredito,
+                plazoCreditoAnios: plazoCredito,
+                plusvaliaAnual: plusvalia.valor,
+                horizonteAnios,
+                tasaDescuento,
+                crecimientoRealArriendo,
+                crecimientoRealGastos,
+                variacionAnualUF,
+                costosVentaPct
+            },
+            fuentes: {
+                gastosOperacionales: gastosOperacionalesMensuales !== undefined ? 'parametro' : 'estimacion_estandar',
+                gastosIniciales: gastosIniciales !== undefined ? 'parametro' : 'estimacion_estandar',
+                plusvalia: plusvalia.fuente
+            }
+        };
+    }
+
+    /**
+     * Información del servicio
+     */
+    static async getInfo(req, res) {
+        res.json({
+            success: true,
+            servicio: 'Análisis de Inversión Inmobiliaria',
+            supuestosPorDefecto: InvestmentProjectionService.getDefaults(),
+            simulacionRiesgo: MonteCarloService.getDefaults(),
+            endpoints: {
+                'POST /api/investment/projection': 'Proyección a 10-30 años: flujos, TIR, VAN, cash-on-cash y patrimonio',
+                'POST /api/investment/risk': 'Simulación Monte Carlo: probabilidad de flujo negativo, percentiles de TIR y déficit mensual',
+                'POST /api/investment/tax': 'Impuestos (DFL2, contribuciones, renta, IVA) y flujo, yield y TIR después de impuestos',
+                'GET /api/investment/info': 'Información del servicio'
+            },
+            ejemplos: {
+                proyeccion: {
+                    precioUF: 4500,
+                    arriendoMensual: 650000,
+                    piePct: 20,
+                    tasaCredito: 4.5,
+                    plazoCredito: 25,
+                    ubicacion: 'Ñuñoa, Santiago',
+                    horizonteAnios: 20,
+                    tasaDescuento: 8
+                },
+                riesgo: {
+                    precioUF: 4500,
+                    arriendoMensual: 650000,
+                    piePct: 20,
+                    tasaCredito: 4.5,
+                    ubicacion: 'Ñuñoa, Santiago',
+                    simulaciones: 2000,
+                    semilla: 42,
+                    distribuciones: { tasa: { reajusteCadaAnios: 0 } }
+                },
+                impuestos: {
+                    precioUF: 4500,
+                    arriendoMensual: 650000,
+                    piePct: 20,
+                    ubicacion: 'Ñuñoa, Santiago',
+                    perfilTributario: {
+                        tipoContribuyente: 'persona',
+                        ingresoAnualCLP: 36000000,
+                        viviendasDFL2: 1,
+                        propiedad: { superficieM2: 62, dfl2: true, nueva: true }
+                    }
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = InvestmentController;
@@ -0,0 +1,169 @@
+// src/controllers/JobsController.js
+const { logInfo } = require('../utils/logger');
+const { ErrorFactory, AppError } = require('../utils/errors');
+const JobService = require('../services/jobs/JobService');
+const PDFGeneratorService = require('../services/pdf/PDFGeneratorService');
+const AnthropicController = require('./AnthropicController');
+const PDFController = require('./PDFController');
+
+/**
+ * Controlador de jobs asíncronos (reportes financieros de larga duración)
+ */
+class JobsController {
+
+    /**
+     * POST /api/jobs/financial-report - Encolar reporte y responder con el id del job
+     */
+    static async submitFinancialReport(req, res) {
+        const { propertyUrl, options = {} } = req.body || {};
+
+        if (!propertyUrl || typeof propertyUrl !== 'string' || propertyUrl.trim().length === 0) {
+            throw ErrorFactory.validation('URL de propiedad es requerida y debe ser una cadena válida', 'propertyUrl');
+        }
+
+        const owner = req.auth ? {
+            userId: req.auth.user.userId,
+            tier: req.auth.tier.name,
+            apiKey: req.auth.apiKey
+        } : null;
+
+        const job = await JobService.submitFinancialReport(
+            propertyUrl,
+            AnthropicController.buildReportOptions(options, req.auth?.user?.assumptions),
+            owner,
+            { cacheKey: req.reportCacheKey || null }
+        );
+
+        const publicJob = JobService.toPublicJob(job);
+
+        res.status(202)
+            .location(publicJob.links.self)
+            .json({
+                success: true,
+                message: 'Reporte financiero encolado. Consulta el estado del job hasta que termine',
+                jobId: job.id,
+                status: job.status,
+                job: publicJob,
+                pollInterval: '5s',
+                timestamp: new Date().toISOString()
+            });
+    }
+
+    /**
+     * GET /api/jobs/:id - Estado y progreso por etapa
+     */
+    static async getJob(req, res) {
+        const job = await JobsController.findJobOrFail(req.params.id, req);
+
+        res.json({
+            success: true,
+            job: JobService.toPublicJob(job),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * GET /api/jobs/:id/result - Reporte financiero (mismo formato que el endpoint síncrono)
+     */
+    static async getResult(req, res) {
+        const { job, report } = await JobsController.findResultOrFail(req.params.id, req);
+
+        res.json({
+            success: true,
+            message: 'Reporte financiero generado exitosamente',
+            data: report,
+            metadata: {
+                ...report.metadata,
+                jobId: job.id,
+                requestId: job.id,
+                totalTime: `${job.durationMs}ms`,
+                completedAt: job.completedAt
+            }
+        });
+    }
+
+    /**
+     * GET /api/jobs/:id/pdf - PDF generado a partir del resultado del job
+     */
+    static async downloadPDF(req, res) {
+        const { job, report } = await JobsController.findResultOrFail(req.params.id, req);
+        const { filename, quality, device } = req.query;
+
+        const pdfOptions = PDFController.processPDFOptions({
+            filename: filename || `reporte-financiero-${job.id}.pdf`,
+            ...(quality && { quality }),
+            ...(device && { device })
+        });
+
+        logInfo('📄 Generando PDF desde resultado de job', { jobId: job.id, filename: pdfOptions.filename });
+
+        const pdfResult = await PDFGeneratorService.generateFinancialReportPDF(report, pdfOptions);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${pdfOptions.filename}"`);
+        res.setHeader('Content-Length', pdfResult.pdf.length);
+        res.setHeader('X-PDF-Pages', pdfResult.metadata.pages || 'Unknown');
+        res.setHeader('X-Job-Id', job.id);
+
+        res.send(pdfResult.pdf);
+    }
+
+    /**
+     * GET /api/jobs/info - Información del subsistema de jobs
+     */
+    static async getInfo(req, res) {
+        res.json({
+            success: true,
+            servicio: 'Jobs asíncronos',
+            descripcion: 'Reportes financieros en segundo plano con progreso por etapa',
+            etapas: JobService.getStages(),
+            estados: Object.values(JobService.STATUS),
+            worker: await JobService.getStats(),
+            endpoints: {
+                'POST /api/jobs/financial-report': 'Encolar reporte (mismo body que /api/anthropic/financial-report)',
+                'GET /api/jobs/:id': 'Estado y progreso del job',
+                'GET /api/jobs/:id/result': 'Reporte JSON cuando el job está completo',
+                'GET /api/jobs/:id/pdf': 'PDF del reporte cuando el job está completo'
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Job visible para la API key de la request; un job de otra key responde igual que uno inexistente
+     */
+    static async findJobOrFail(jobId, req) {
+        const job = await JobService.getJob(jobId);
+        if (!job || !JobService.canAccess(job, req.headers['x-api-key'])) {
+            throw new AppError(`Job no encontrado o expirado: ${jobId}`, 404);
+        }
+        return job;
+    }
+
+    /**
+     * Resultado de un job completo; 409 si aún no termina o falló
+     */
+    static async findResultOrFail(jobId, req) {
+        const job = await JobsController.findJobOrFail(jobId, req);
+
+        if (job.status !== JobService.STATUS.COMPLETED) {
+            const error = new AppError(
+                job.status === JobService.STATUS.FAILED
+                    ? `El job falló: ${job.error?.message || 'error desconocido'}`
+                    : `El job aún no termina (estado: ${job.status}, progreso: ${job.progress}%)`,
+                409
+            );
+            error.code = 'JOB_NOT_COMPLETED';
+            throw error;
+        }
+
+        const report = await JobService.getResult(job.id);
+        if (!report) {
+            throw new AppError(`Resultado del job no disponible o expirado: ${jobId}`, 404);
+        }
+
+        return { job, report };
+    }
+}
+
+module.exports = JobsController;
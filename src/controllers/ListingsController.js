@@ -0,0 +1,48 @@
+// src/controllers/ListingsController.js
+const ListingHistoryService = require('../services/listings/ListingHistoryService');
+
+/**
+ * Controlador del historial de publicaciones (precios, estado y días en mercado)
+ */
+class ListingsController {
+
+    /**
+     * GET /api/listings/:id/history - Observaciones de precio y estado de una publicación
+     */
+    static async getHistory(req, res) {
+        const historial = await ListingHistoryService.getHistory(req.params.id, {
+            limit: req.query.limit || 100
+        });
+
+        res.json({
+            success: true,
+            ...historial,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * GET /api/listings/info - Información del historial de publicaciones
+     */
+    static async getInfo(req, res) {
+        res.json({
+            success: true,
+            servicio: 'Historial de publicaciones',
+            descripcion: 'Precios y estado de cada publicación vista en scraping y búsquedas, con días en mercado',
+            ids: 'Código MLC (Portal Inmobiliario / MercadoLibre, ej: MLC1234567890) o <portal>-<código> en otros portales; ' +
+                'es el campo id de /api/scraping/property y /api/search/properties',
+            eventos: {
+                publicada: 'Primera vez observada',
+                cambio_precio: 'Precio distinto al anterior, en la moneda publicada',
+                reactivada: 'Vuelve a aparecer después de un periodo sin ser vista'
+            },
+            estadisticas: await ListingHistoryService.getStats(),
+            endpoints: {
+                'GET /api/listings/:id/history': 'Historial de precio y estado, días en mercado (query opcional: limit 1-500)'
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = ListingsController;
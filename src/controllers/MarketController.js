@@ -0,0 +1,51 @@
+// src/controllers/MarketController.js
+const MarketStatsService = require('../services/market/MarketStatsService');
+
+/**
+ * Controlador de estadísticas de mercado por comuna
+ */
+class MarketController {
+
+    /**
+     * GET /api/market/stats - Precio por m², arriendo, yield implícito, inventario y tendencia de una comuna
+     */
+    static async getStats(req, res) {
+        const stats = await MarketStatsService.getStats({
+            comuna: req.query.comuna,
+            tipo: req.query.tipo || null,
+            meses: req.query.meses || 12
+        });
+
+        res.json({
+            success: true,
+            ...stats,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * GET /api/market/info - Información de las estadísticas de mercado
+     */
+    static async getInfo(req, res) {
+        res.json({
+            success: true,
+            servicio: 'Estadísticas de mercado por comuna',
+            descripcion: 'Agregados de las publicaciones vistas en scraping y búsquedas, por comuna, tipo de propiedad y operación',
+            metricas: {
+                medianaPrecioM2UF: 'Mediana del precio de venta por m² en UF',
+                medianaArriendoM2UF: 'Mediana del arriendo mensual por m² en UF (también en CLP)',
+                yieldBrutoImplicito: 'Arriendo anual por m² / precio de venta por m², en %',
+                inventario: 'Publicaciones distintas observadas en el periodo',
+                plusvaliaAnualEstimada: 'Mediana de la variación anualizada del precio de las mismas publicaciones de venta vistas con al menos 3 meses de distancia; null sin suficientes repeticiones',
+                nivel: 'premium, good, moderate o high según el percentil del precio por m² entre las comunas observadas'
+            },
+            configuracion: await MarketStatsService.getInfo(),
+            endpoints: {
+                'GET /api/market/stats': 'Estadísticas de una comuna (query: comuna requerida; opcionales tipo Casa | Departamento, meses 1-36)'
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = MarketController;
@@ -12,21 +12,23 @@ class MortgageController {
      * Simulación hipotecaria - POST
      */
     static async simulateMortgage(req, res) {
-        const { monto, plazo, incluirAnalisis } = req.body;
+        const { monto, plazo, incluirAnalisis, ...opcionesProducto } = req.body;
         
         logInfo('Nueva solicitud de simulación POST', { 
             monto, 
             plazo,
             incluirAnalisis,
+            tipoCredito: opcionesProducto.tipoCredito,
+            tipoTasa: opcionesProducto.tipoTasa,
             ip: req.ip
         });
 
         // Validaciones básicas
-        MortgageController.validateSimulationParams({ monto, plazo });
+        MortgageController.validateSimulationParams({ monto, plazo, ...opcionesProducto });
 
         // USAR SERVICIO REAL
         const MortgageService = require('../services/mortgage/MortgageService');
-        const resultado = await MortgageService.simulateMortgage(monto, plazo, incluirAnalisis);
+        const resultado = await MortgageService.simulateMortgage(monto, plazo, incluirAnalisis, opcionesProducto);
 
         res.json(resultado);
     }
@@ -35,7 +37,7 @@ class MortgageController {
      * Simulación hipotecaria - GET (query parameters)
      */
     static async simulateMortgageGet(req, res) {
-        const { monto, plazo, incluirAnalisis } = req.query;
+        const { monto, plazo, incluirAnalisis, tipoCredito, tipoTasa, periodoFijoAnios, escenarioTasa } = req.query;
         
         logInfo('Nueva solicitud de simulación GET', { 
             monto, 
@@ -47,7 +49,11 @@ class MortgageController {
         req.body = {
             monto: monto ? parseFloat(monto) : undefined,
             plazo: plazo ? parseInt(plazo) : undefined,
-            incluirAnalisis: incluirAnalisis === 'true'
+            incluirAnalisis: incluirAnalisis === 'true',
+            tipoCredito,
+            tipoTasa,
+            periodoFijoAnios: periodoFijoAnios ? parseInt(periodoFijoAnios) : undefined,
+            escenarioTasa
         };
 
         return MortgageController.simulateMortgage(req, res);
@@ -74,6 +80,229 @@ class MortgageController {
         res.json(resultado);
     }
 
+    /**
+     * Tabla de amortización con el motor local (sin CMF) - POST
+     */
+    static async calculateAmortization(req, res) {
+        const {
+            monto, plazo, tasaAnual, seguroDesgravamen, seguroIncendio,
+            valorAsegurable, variacionAnualUF, valorUF, gastosIniciales, incluirTabla,
+            tipoTasa, periodoFijoAnios, tasaVariable, escenarioTasa, trayectoriaTasa
+        } = req.body;
+
+        logInfo('Nueva solicitud de amortización local', { monto, plazo, tasaAnual, ip: req.ip });
+
+        MortgageController.validateSimulationParams({ monto, plazo });
+
+        const AmortizationService = require('../services/mortgage/AmortizationService');
+        const IndicatorsService = require('../services/indicators/IndicatorsService');
+
+        const indicadorUF = valorUF ? null : await IndicatorsService.getUFSafely();
+
+        const calculo = AmortizationService.calculate({
+            montoUF: monto,
+            plazoAnios: plazo,
+            tasaAnual,
+            seguroDesgravamen,
+            seguroIncendio,
+            valorAsegurableUF: valorAsegurable,
+            variacionAnualUF,
+            valorUF: valorUF || indicadorUF.valor,
+            gastosIniciales,
+            tipoTasa,
+            periodoFijoAnios,
+            tasaVariable,
+            escenarioTasa,
+            trayectoriaTasa,
+            incluirTabla: incluirTabla !== false
+        });
+
+        res.json({
+            success: true,
+            data: calculo,
+            metadata: {
+                valorUF: indicadorUF
+                    ? { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente }
+                    : { valor: valorUF, fuente: 'parametro' },
+                supuestosPorDefecto: AmortizationService.getDefaults(),
+                trayectoriasTasa: AmortizationService.getRatePaths(),
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Capacidad de compra y pre-aprobación del comprador - POST
+     * Evalúa el perfil contra cada oferta de la simulación CMF (o contra las ofertas enviadas en `bancos`)
+     */
+    static async calculateAffordability(req, res) {
+        const { perfil, precioUF, plazo, bancos, ...opcionesProducto } = req.body;
+
+        logInfo('Nueva solicitud de capacidad de compra', {
+            precioUF,
+            plazo,
+            conCodeudor: !!perfil?.codeudor,
+            ofertasEnviadas: Array.isArray(bancos) ? bancos.length : 0,
+            ip: req.ip
+        });
+
+        const AffordabilityService = require('../services/mortgage/AffordabilityService');
+        const MortgageService = require('../services/mortgage/MortgageService');
+        const IndicatorsService = require('../services/indicators/IndicatorsService');
+
+        const perfilNormalizado = AffordabilityService.normalizeProfile(perfil);
+        const plazoAnios = plazo !== undefined ? parseInt(plazo) : perfilNormalizado.plazoAnios;
+
+        if (isNaN(plazoAnios) || plazoAnios < 5 || plazoAnios > 40) {
+            throw ErrorFactory.validation('El plazo debe ser un número entre 5 y 40 años', 'plazo');
+        }
+        if (precioUF !== undefined && (typeof precioUF !== 'number' || precioUF <= 0)) {
+            throw ErrorFactory.validation('precioUF debe ser un número mayor a 0', 'precioUF');
+        }
+        if (bancos !== undefined && (!Array.isArray(bancos) || bancos.length === 0)) {
+            throw ErrorFactory.validation('bancos debe ser un array con al menos una oferta', 'bancos');
+        }
+
+        const indicadorUF = await IndicatorsService.getUFSafely();
+
+        let ofertas = bancos;
+        let simulacion = null;
+
+        if (!ofertas) {
+            // Las tasas no dependen del monto; sin precio se simula un crédito de referencia
+            const pieUF = perfilNormalizado.ahorroPieUF !== null
+                ? perfilNormalizado.ahorroPieUF
+                : perfilNormalizado.ahorroPie / indicadorUF.valor;
+            const montoSimulacion = precioUF
+                ? Math.min(Math.max(Math.round(precioUF - pieUF), 100), 20000)
+                : 2000;
+
+            MortgageController.validateSimulationParams({ monto: montoSimulacion, plazo: plazoAnios, ...opcionesProducto });
+
+            const resultado = await MortgageService.simulateMortgage(montoSimulacion, plazoAnios, false, opcionesProducto);
+            ofertas = resultado.data.bancos;
+            simulacion = {
+                monto: montoSimulacion,
+                plazo: plazoAnios,
+                fuente: resultado.data.fuente || 'cmf',
+                totalBancos: ofertas.length
+            };
+        }
+
+        const evaluacion = AffordabilityService.evaluate(perfil, {
+            valorUF: indicadorUF.valor,
+            bancos: ofertas,
+            precioUF: precioUF || null,
+            plazoAnios
+        });
+
+        res.json({
+            success: true,
+            data: evaluacion,
+            metadata: {
+                valorUF: { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente },
+                simulacion,
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Prepago parcial o total de un crédito vigente - POST
+     */
+    static async analyzePrepayment(req, res) {
+        const { credito, montoPrepagoUF, modalidad } = req.body;
+
+        logInfo('Nueva solicitud de análisis de prepago', {
+            montoOriginal: credito?.montoOriginal,
+            cuotasPagadas: credito?.cuotasPagadas,
+            montoPrepagoUF,
+            modalidad,
+            ip: req.ip
+        });
+
+        const RefinancingService = require('../services/mortgage/RefinancingService');
+        const IndicatorsService = require('../services/indicators/IndicatorsService');
+
+        const indicadorUF = await IndicatorsService.getUFSafely();
+        const analisis = RefinancingService.analyzePrepayment(credito, {
+            montoPrepagoUF: montoPrepagoUF ?? null,
+            modalidad: modalidad || null,
+            valorUF: indicadorUF.valor
+        });
+
+        res.json({
+            success: true,
+            data: analisis,
+            metadata: {
+                valorUF: { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente },
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Refinanciamiento de un crédito vigente contra ofertas actuales - POST
+     */
+    static async analyzeRefinancing(req, res) {
+        const { credito, plazoNuevoAnios, ofertas, ...opcionesProducto } = req.body;
+
+        logInfo('Nueva solicitud de análisis de refinanciamiento', {
+            montoOriginal: credito?.montoOriginal,
+            tasaAnual: credito?.tasaAnual,
+            plazoNuevoAnios,
+            ofertasEnviadas: Array.isArray(ofertas) ? ofertas.length : 0,
+            ip: req.ip
+        });
+
+        if (ofertas !== undefined && (!Array.isArray(ofertas) || ofertas.length === 0)) {
+            throw ErrorFactory.validation('ofertas debe ser un array con al menos una oferta', 'ofertas');
+        }
+
+        const RefinancingService = require('../services/mortgage/RefinancingService');
+        const IndicatorsService = require('../services/indicators/IndicatorsService');
+
+        const indicadorUF = await IndicatorsService.getUFSafely();
+        const analisis = await RefinancingService.analyzeRefinancing(credito, {
+            valorUF: indicadorUF.valor,
+            ofertas: ofertas || null,
+            plazoNuevoAnios: plazoNuevoAnios ?? null,
+            opcionesProducto
+        });
+
+        res.json({
+            success: true,
+            data: analisis,
+            metadata: {
+                valorUF: { valor: indicadorUF.valor, fecha: indicadorUF.fecha, fuente: indicadorUF.fuente },
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    /**
+     * Historial de tasas CMF registradas - GET
+     * Query: plazo, monto | tramoMonto, banco, tipoCredito, tipoTasa, desde, hasta, intervalo (dia | semana | mes)
+     */
+    static async getRateHistory(req, res) {
+        logInfo('Nueva solicitud de historial de tasas', { query: req.query, ip: req.ip });
+
+        const RateHistoryService = require('../services/mortgage/RateHistoryService');
+        const { getRateHistoryStore } = require('../services/mortgage/RateHistoryStore');
+
+        const historial = await RateHistoryService.getHistory(req.query);
+
+        res.json({
+            success: true,
+            data: historial,
+            metadata: {
+                almacenamiento: getRateHistoryStore().getBackendName(),
+                tramosMonto: RateHistoryService.getAmountBuckets(),
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
     /**
      * Obtener información sobre el servicio de simulación
      */
@@ -91,14 +320,22 @@ class MortgageController {
                 montoMaximo: '20.000 UF',
                 plazoMinimo: '5 años',
                 plazoMaximo: '40 años',
-                tipoCredito: 'Mutuo No Endosable',
-                tipoTasa: 'Fija',
+                tipoCredito: ['mutuo_no_endosable (por defecto)', 'mutuo_endosable'],
+                tipoTasa: ['fija (por defecto)', 'mixta (periodoFijoAnios, luego variable)', 'variable'],
+                escenarioTasa: Object.keys(require('../services/mortgage/AmortizationService').getRatePaths()),
                 moneda: 'UF (Unidades de Fomento)'
             },
+            respaldo: 'Si el simulador CMF no responde se usa el motor de amortización local (bancos[0].esEstimacion = true)',
+            sinOfertas: 'Si la CMF responde pero ningún banco ofrece el tipo de crédito/tasa solicitado: 422 (en /compare, sinOfertasProducto en el escenario)',
             endpoints: {
                 'POST /api/mortgage/simulate': 'Simulación individual',
                 'GET /api/mortgage/simulate': 'Simulación individual (query)',
                 'POST /api/mortgage/compare': 'Comparación de escenarios',
+                'POST /api/mortgage/amortization': 'Tabla de amortización local (sin CMF)',
+                'POST /api/mortgage/affordability': 'Capacidad de compra y pre-aprobación por banco',
+                'POST /api/mortgage/prepayment': 'Prepago parcial o total de un crédito vigente',
+                'POST /api/mortgage/refinancing': 'Refinanciamiento: ahorro y punto de equilibrio vs ofertas actuales',
+                'GET /api/mortgage/rates/history': 'Historial de tasas CMF por banco, plazo y tramo de monto',
                 'GET /api/mortgage/info': 'Información del servicio'
             },
             ejemplos: {
@@ -111,6 +348,34 @@ class MortgageController {
                     plazo: 30,
                     incluirAnalisis: true
                 },
+                amortizacion_local: {
+                    monto: 3000,
+                    plazo: 25,
+                    tasaAnual: 4.5,
+                    seguroDesgravamen: 0.02,
+                    seguroIncendio: 0.012,
+                    variacionAnualUF: 3
+                },
+                capacidad_compra: {
+                    perfil: {
+                        ingresoLiquidoMensual: 2500000,
+                        deudasMensuales: 150000,
+                        ahorroPie: 25000000,
+                        primeraVivienda: true,
+                        codeudor: { ingresoLiquidoMensual: 1200000 }
+                    },
+                    precioUF: 4500,
+                    plazo: 25
+                },
+                prepago_parcial: {
+                    credito: { montoOriginal: 3000, tasaAnual: 5.2, plazoAnios: 25, cuotasPagadas: 36 },
+                    montoPrepagoUF: 300,
+                    modalidad: 'reducir_plazo'
+                },
+                refinanciamiento: {
+                    credito: { montoOriginal: 3000, tasaAnual: 5.2, plazoAnios: 25, cuotasPagadas: 36, valorPropiedadUF: 3800 },
+                    plazoNuevoAnios: 20
+                },
                 comparacion_escenarios: {
                     escenarios: [
                         { monto: 3000, plazo: 20 },
@@ -118,6 +383,12 @@ class MortgageController {
                         { monto: 4000, plazo: 30 }
                     ],
                     incluirAnalisis: true
+                },
+                fija_vs_mixta: {
+                    escenarios: [
+                        { monto: 3000, plazo: 25, tipoTasa: 'fija' },
+                        { monto: 3000, plazo: 25, tipoTasa: 'mixta', periodoFijoAnios: 5, escenarioTasa: 'alza' }
+                    ]
                 }
             },
             timestamp: new Date().toISOString()
@@ -129,7 +400,7 @@ class MortgageController {
     /**
      * Validar parámetros de simulación
      */
-    static validateSimulationParams({ monto, plazo }) {
+    static validateSimulationParams({ monto, plazo, ...opcionesProducto }) {
         if (!monto || !plazo) {
             throw ErrorFactory.validation('Los parámetros monto y plazo son requeridos');
         }
@@ -149,6 +420,10 @@ class MortgageController {
                 'plazo'
             );
         }
+
+        // Tipo de crédito / tasa (lanza error de validación si no son válidos)
+        const MortgageService = require('../services/mortgage/MortgageService');
+        MortgageService.normalizarProducto(opcionesProducto);
     }
 
     /**
@@ -175,7 +450,7 @@ class MortgageController {
             try {
                 MortgageController.validateSimulationParams(escenario);
             } catch (error) {
-                throw ErrorFactory.validation(`Escenario ${index + 1}: ${error.message}`);
+                throw ErrorFactory.validation(`Escenario ${index + 1}: ${error.message}`, error.field && `escenarios[${index}].${error.field}`);
             }
         });
     }
@@ -4,6 +4,9 @@ const { ErrorFactory } = require('../utils/errors');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 const PDFGeneratorService = require('../services/pdf/PDFGeneratorService');
 const AnthropicService = require('../services/anthropic/AnthropicService');
+const AssumptionsService = require('../services/anthropic/AssumptionsService');
+const TaxService = require('../services/tax/TaxService');
+const { createZipArchive } = require('../utils/zip');
 
 /**
  * Controlador para servicios de generación de reportes PDF premium
@@ -41,6 +44,12 @@ class PDFController {
         // Validaciones de entrada
         PDFController.validatePDFRequest({ propertyUrl, analysisData, options });
 
+        // Supuestos de gastos (guardados en la API key + solicitud) y perfil tributario, solo flujo completo
+        const assumptions = analysisData
+            ? null
+            : AssumptionsService.resolve(req.auth?.user?.assumptions, options.assumptions);
+        const taxProfile = !analysisData && options.taxProfile ? TaxService.normalizeProfile(options.taxProfile) : null;
+
         try {
             let reportData;
             let analysisTime = 0;
@@ -61,6 +70,8 @@ class PDFController {
                 const analysisStart = Date.now();
                 reportData = await AnthropicService.generateFinancialReport(propertyUrl, {
                     ...options,
+                    assumptions,
+                    taxProfile,
                     optimizedForPDF: true // Flag especial para PDF
                 });
                 analysisTime = Date.now() - analysisStart;
@@ -188,7 +199,9 @@ class PDFController {
                     optionalParams: [
                         'filename: nombre del archivo PDF',
                         'quality: low|medium|high',
-                        'device: desktop|tablet|mobile'
+                        'device: desktop|tablet|mobile',
+                        'assumptions: objeto JSON con supuestos de gastos (ej: {"vacanciaPct":8})',
+                        'taxProfile: objeto JSON con perfil tributario (ej: {"tipoContribuyente":"persona","viviendasDFL2":1})'
                     ]
                 },
                 timestamp: new Date().toISOString()
@@ -434,7 +447,7 @@ class PDFController {
             limitations: {
                 ...serviceInfo.limits,
                 concurrent: 'Máximo 3 PDFs simultáneos por IP',
-                rateLimit: 'Límite de 10 PDFs por hora por IP',
+                rateLimit: 'Límite de 10 PDFs por hora por IP sin API key; con x-api-key aplica el límite del tier',
                 fileSize: 'PDFs superiores a 50MB son rechazados',
                 complexity: 'Reportes muy complejos pueden tardar más',
                 dependencies: 'Requiere análisis previo o URL válida'
@@ -625,10 +638,10 @@ class PDFController {
             options
         });
 
-        if (!analysisDataArray || !Array.isArray(analysisDataArray)) {
+        if (!analysisDataArray || !Array.isArray(analysisDataArray) || analysisDataArray.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Se requiere un array de datos de análisis',
+                error: 'Se requiere un array no vacío de datos de análisis',
                 code: 'INVALID_BATCH_DATA',
                 example: {
                     analysisDataArray: [
@@ -637,7 +650,9 @@ class PDFController {
                     ],
                     options: {
                         quality: 'medium',
-                        filenamePrefix: 'reporte-'
+                        filenamePrefix: 'reporte-',
+                        concurrency: 2,
+                        zip: false
                     }
                 }
             });
@@ -654,23 +669,71 @@ class PDFController {
         }
 
         try {
-            // Generar PDFs en batch
-            const batchResult = await PDFGeneratorService.generateMultiplePDFs(analysisDataArray, options);
+            // Generar PDFs en batch (un solo browser, concurrencia acotada)
+            const batchResult = await PDFGeneratorService.generateMultiplePDFs(analysisDataArray, PDFController.processPDFOptions(options));
+            const { totalProcessed, successful, failed } = batchResult.metadata;
+
+            if (res.headersSent) {
+                logWarn('⚠️ Headers enviados durante generación batch');
+                return;
+            }
+
+            // Respuesta ZIP con todos los PDFs generados
+            if (options.zip === true || req.query.format === 'zip') {
+                const generated = batchResult.results.filter(r => r.success);
+
+                if (generated.length === 0) {
+                    return res.status(422).json({
+                        success: false,
+                        error: 'Ningún PDF del batch pudo generarse',
+                        code: 'BATCH_ALL_FAILED',
+                        results: PDFController.serializeBatchResults(batchResult.results),
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                const zipBuffer = createZipArchive(generated.map(r => ({ name: r.filename, data: r.pdf })));
+                const zipFilename = (options.zipFilename || `reportes-${Date.now()}.zip`).replace(/[^a-zA-Z0-9._-]/g, '_');
+
+                res.setHeader('Content-Type', 'application/zip');
+                res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+                res.setHeader('Content-Length', zipBuffer.length);
+                res.setHeader('X-Batch-Total', totalProcessed);
+                res.setHeader('X-Batch-Successful', successful);
+                res.setHeader('X-Batch-Failed', failed);
+                res.setHeader('X-Batch-Generation-Time', batchResult.metadata.generationTime);
+
+                logInfo('📦 ZIP de batch enviado', {
+                    filename: zipFilename,
+                    sizeKB: Math.round(zipBuffer.length / 1024),
+                    files: generated.length
+                });
+
+                return res.send(zipBuffer);
+            }
 
             res.json({
                 success: true,
                 message: `Batch de ${analysisDataArray.length} PDFs procesado`,
-                results: batchResult.results,
+                results: PDFController.serializeBatchResults(batchResult.results, options.includeBase64 === true),
                 summary: {
-                    total: batchResult.metadata.totalProcessed,
-                    successful: batchResult.metadata.successful,
-                    failed: batchResult.metadata.failed,
-                    successRate: `${Math.round((batchResult.metadata.successful / batchResult.metadata.totalProcessed) * 100)}%`
+                    total: totalProcessed,
+                    successful,
+                    failed,
+                    successRate: `${totalProcessed > 0 ? Math.round((successful / totalProcessed) * 100) : 0}%`,
+                    concurrency: batchResult.metadata.concurrency,
+                    totalSizeKB: Math.round(batchResult.metadata.totalSizeBytes / 1024),
+                    generationTime: batchResult.metadata.generationTime
                 },
                 timestamp: new Date().toISOString()
             });
 
         } catch (error) {
+            // Nombres de archivo inválidos: 400 desde el manejador de errores
+            if (error.name === 'ValidationError') {
+                throw error;
+            }
+
             logError('❌ Error en generación batch de PDFs', { error: error.message });
 
             res.status(500).json({
@@ -771,6 +834,15 @@ class PDFController {
         };
     }
 
+    /**
+     * Resultados del batch sin buffers (opcionalmente con el PDF en base64)
+     */
+    static serializeBatchResults(results, includeBase64 = false) {
+        return results.map(({ pdf, ...result }) => (
+            includeBase64 && pdf ? { ...result, contentBase64: pdf.toString('base64') } : result
+        ));
+    }
+
     /**
      * Parsear opciones desde query parameters
      */
@@ -791,6 +863,17 @@ class PDFController {
             }
         });
 
+        // Supuestos de gastos y perfil tributario como JSON
+        ['assumptions', 'taxProfile'].forEach(key => {
+            if (queryOptions[key]) {
+                try {
+                    options[key] = JSON.parse(queryOptions[key]);
+                } catch (error) {
+                    throw ErrorFactory.validation(`${key} debe ser un objeto JSON válido`, key);
+                }
+            }
+        });
+
         return options;
     }
 
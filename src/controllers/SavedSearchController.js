@@ -0,0 +1,204 @@
+// src/controllers/SavedSearchController.js
+const { logInfo } = require('../utils/logger');
+const SavedSearchService = require('../services/search/SavedSearchService');
+const { getPortalRegistry, PORTAL_POR_DEFECTO_BUSQUEDA } = require('../services/portals/PortalRegistry');
+const GeocodingService = require('../services/geo/GeocodingService');
+const SearchController = require('./SearchController');
+
+const CAMPOS_BUSQUEDA = ['tipo', 'operacion', 'ubicacion', 'portal', 'maxPaginas', 'precioMinimo', 'precioMaximo', 'moneda', 'filtros', 'centro', 'radio', 'poligono'];
+
+/**
+ * Controlador de búsquedas guardadas (por API key) con ejecución programada y registro de cambios
+ */
+class SavedSearchController {
+
+    /**
+     * GET /api/search/saved - Búsquedas guardadas de la API key
+     */
+    static async listSearches(req, res) {
+        const searches = await SavedSearchService.listSearches(SavedSearchController.getOwner(req));
+
+        res.json({
+            success: true,
+            total: searches.length,
+            busquedas: searches.map(search => SavedSearchService.toPublicSearch(search)),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * POST /api/search/saved - Guardar búsqueda con su expresión cron y webhook opcional
+     */
+    static async createSearch(req, res) {
+        const body = req.body || {};
+        const owner = SavedSearchController.getOwner(req);
+
+        const search = await SavedSearchService.createSearch(owner, {
+            nombre: body.nombre,
+            parametros: SavedSearchController.buildSearchParams(body),
+            cron: body.cron,
+            webhook: body.webhook,
+            activa: body.activa
+        });
+
+        const publicSearch = SavedSearchService.toPublicSearch(search);
+
+        res.status(201)
+            .location(publicSearch.links.self)
+            .json({
+                success: true,
+                message: 'Búsqueda guardada. La primera ejecución fija la línea base para detectar cambios',
+                busqueda: publicSearch,
+                timestamp: new Date().toISOString()
+            });
+    }
+
+    /**
+     * GET /api/search/saved/:id
+     */
+    static async getSearch(req, res) {
+        const search = await SavedSearchService.getSearch(req.params.id, SavedSearchController.getOwner(req));
+
+        res.json({
+            success: true,
+            busqueda: SavedSearchService.toPublicSearch(search),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * PUT /api/search/saved/:id - Actualizar campos enviados (null elimina un filtro o el webhook)
+     */
+    static async updateSearch(req, res) {
+        const body = req.body || {};
+        const owner = SavedSearchController.getOwner(req);
+        const actual = await SavedSearchService.getSearch(req.params.id, owner);
+
+        const cambiaParametros = CAMPOS_BUSQUEDA.some(campo => body[campo] !== undefined);
+
+        const search = await SavedSearchService.updateSearch(req.params.id, owner, {
+            nombre: body.nombre,
+            parametros: cambiaParametros ? SavedSearchController.buildSearchParams(body, actual.parametros) : undefined,
+            cron: body.cron,
+            webhook: body.webhook,
+            activa: body.activa
+        });
+
+        res.json({
+            success: true,
+            busqueda: SavedSearchService.toPublicSearch(search),
+            lineaBaseReiniciada: cambiaParametros,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * DELETE /api/search/saved/:id - Eliminar búsqueda, su última foto y su historial de cambios
+     */
+    static async deleteSearch(req, res) {
+        await SavedSearchService.deleteSearch(req.params.id, SavedSearchController.getOwner(req));
+
+        res.json({
+            success: true,
+            message: 'Búsqueda guardada eliminada',
+            id: req.params.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * POST /api/search/saved/:id/run - Ejecutar ahora (409 si ya está en ejecución)
+     */
+    static async runSearch(req, res) {
+        const owner = SavedSearchController.getOwner(req);
+        await SavedSearchService.getSearch(req.params.id, owner);
+
+        logInfo('🔁 Ejecución manual de búsqueda guardada', { id: req.params.id, owner });
+
+        const cambios = await SavedSearchService.runSearch(req.params.id, { origen: 'manual' });
+        const search = await SavedSearchService.getSearch(req.params.id, owner);
+
+        res.json({
+            success: true,
+            cambios,
+            busqueda: SavedSearchService.toPublicSearch(search),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * GET /api/search/saved/:id/changes - Nuevas, eliminadas y cambios de precio por ejecución
+     */
+    static async getChanges(req, res) {
+        const { search, cambios } = await SavedSearchService.getChanges(
+            req.params.id,
+            SavedSearchController.getOwner(req),
+            { limit: req.query.limit || 50, desde: req.query.desde || null }
+        );
+
+        res.json({
+            success: true,
+            busqueda: SavedSearchService.toPublicSearch(search),
+            total: cambios.length,
+            cambios,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Validar y normalizar los parámetros de búsqueda (mismas reglas que POST /api/search/properties)
+     * @param {Object} body - campos enviados
+     * @param {Object} actuales - parámetros guardados (al actualizar)
+     */
+    static buildSearchParams(body, actuales = null) {
+        const parametros = { ...(actuales || {}) };
+
+        for (const campo of CAMPOS_BUSQUEDA) {
+            if (body[campo] === null) {
+                delete parametros[campo];
+            } else if (body[campo] !== undefined) {
+                parametros[campo] = body[campo];
+            }
+        }
+
+        const { tipo, operacion, ubicacion, precioMinimo, precioMaximo, filtros, centro, radio, poligono } = parametros;
+
+        SearchController.validateSearchParams({ tipo, operacion, ubicacion });
+
+        const adaptador = getPortalRegistry().getSearchAdapter(parametros.portal || PORTAL_POR_DEFECTO_BUSQUEDA);
+        const tieneFiltroPrecio = precioMinimo !== undefined || precioMaximo !== undefined;
+        const moneda = tieneFiltroPrecio ? (parametros.moneda || 'CLP') : undefined;
+
+        if (tieneFiltroPrecio) {
+            SearchController.validatePriceFilters(precioMinimo, precioMaximo, moneda);
+        }
+
+        if (filtros && Object.keys(filtros).length > 0) {
+            SearchController.validateAdvancedFilters(filtros);
+        }
+
+        // Se guardan tal como se enviaron; el centro por defecto se resuelve en cada ejecución
+        GeocodingService.normalizeGeoOptions({ centro, radio, poligono }, { ubicacion });
+
+        return {
+            tipo,
+            operacion,
+            ubicacion: String(ubicacion).trim(),
+            portal: adaptador.id,
+            maxPaginas: Math.min(Math.max(parseInt(parametros.maxPaginas) || 3, 1), 10),
+            precioMinimo,
+            precioMaximo,
+            moneda,
+            filtros: filtros && Object.keys(filtros).length > 0 ? filtros : undefined,
+            centro,
+            radio,
+            poligono
+        };
+    }
+
+    static getOwner(req) {
+        return req.auth.user.id || req.auth.user.userId;
+    }
+}
+
+module.exports = SavedSearchController;
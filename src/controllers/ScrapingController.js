@@ -3,6 +3,8 @@ const { logInfo, logError } = require('../utils/logger');
 const { ErrorFactory } = require('../utils/errors');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 const ScrapingService = require('../services/scraping/ScrapingService');
+const { getPortalRegistry } = require('../services/portals/PortalRegistry');
+const ListingModel = require('../services/listings/ListingModel');
 
 /**
  * Controlador para operaciones de scraping de propiedades con validación robusta
@@ -13,10 +15,11 @@ class ScrapingController {
      * Scraping de propiedad individual - POST
      */
     static async scrapeProperty(req, res) {
-        const { url } = req.body;
+        const { url, portal, formato } = req.body;
         
         logInfo('Nueva solicitud de scraping POST', { 
             url, 
+            portal,
             ip: req.ip,
             userAgent: req.get('User-Agent')?.substring(0, 50) 
         });
@@ -36,8 +39,13 @@ class ScrapingController {
             });
         }
 
+        const errorPortal = ScrapingController.validarPortal(portal) || ScrapingController.validarFormato(formato);
+        if (errorPortal) {
+            return res.status(400).json(errorPortal);
+        }
+
         try {
-            const resultado = await ScrapingService.scrapeProperty(url);
+            const resultado = await ScrapingService.scrapeProperty(url, { portal, formato });
             
             logInfo('Scraping completado exitosamente', { 
                 url, 
@@ -65,10 +73,11 @@ class ScrapingController {
      * Scraping de propiedad individual - GET (query parameters)
      */
     static async scrapePropertyGet(req, res) {
-        const { url } = req.query;
+        const { url, portal, formato } = req.query;
         
         logInfo('Nueva solicitud de scraping GET', { 
             url, 
+            portal,
             ip: req.ip,
             userAgent: req.get('User-Agent')?.substring(0, 50) 
         });
@@ -83,8 +92,13 @@ class ScrapingController {
             });
         }
 
+        const errorPortal = ScrapingController.validarPortal(portal) || ScrapingController.validarFormato(formato);
+        if (errorPortal) {
+            return res.status(400).json(errorPortal);
+        }
+
         try {
-            const resultado = await ScrapingService.scrapeProperty(url);
+            const resultado = await ScrapingService.scrapeProperty(url, { portal, formato });
             
             logInfo('Scraping GET completado exitosamente', { 
                 url, 
@@ -118,20 +132,13 @@ class ScrapingController {
             servicio: 'Scraping de Propiedades',
             version: '2.1.0-validaciones',
             estado: 'Funcionando con validaciones robustas',
-            portales_soportados: [
-                {
-                    nombre: 'MercadoLibre',
-                    dominio: 'casa.mercadolibre.cl',
-                    ejemplo: 'https://casa.mercadolibre.cl/MLC-1234567890-casa-en-las-condes-_JM',
-                    caracteristicas: ['Precio UF/CLP', 'Características detalladas', 'Descripción completa']
-                },
-                {
-                    nombre: 'Portal Inmobiliario',
-                    dominio: 'portalinmobiliario.com',
-                    ejemplo: 'https://www.portalinmobiliario.com/venta/casa/las-condes/1234567',
-                    caracteristicas: ['Información básica', 'Listados y detalles']
-                }
-            ],
+            portales_soportados: getPortalRegistry().list().map(adaptador => adaptador.getInfo()),
+            parametros: {
+                url: 'URL de la propiedad (requerido)',
+                portal: `Forzar adaptador de portal (opcional, se detecta desde la URL): ${getPortalRegistry().ids().join(', ')}`,
+                formato: `Formato de la publicación (opcional): ${ListingModel.getFormats().join(', ')}. ` +
+                    'canonico (por defecto): valores numéricos, id estable y textos originales en raw; legacy: formato anterior con textos'
+            },
             validaciones_implementadas: [
                 'Formato de URL válido',
                 'Códigos de estado HTTP (404, 403, 500, etc.)',
@@ -158,7 +165,9 @@ class ScrapingController {
                 urls_validas: [
                     'https://casa.mercadolibre.cl/MLC-*',
                     'https://www.portalinmobiliario.com/venta/*',
-                    'https://www.portalinmobiliario.com/arriendo/*'
+                    'https://www.portalinmobiliario.com/arriendo/*',
+                    'https://www.yapo.cl/bienes-raices-*',
+                    'https://www.toctoc.com/propiedades/*'
                 ],
                 evitar: [
                     'URLs de listados generales',
@@ -210,7 +219,7 @@ class ScrapingController {
 
             // Detectar portal
             const portal = ScrapingService.detectarPortal(url);
-            const portalSoportado = ['mercadolibre', 'portal_inmobiliario'].includes(portal);
+            const portalSoportado = getPortalRegistry().ids().includes(portal);
 
             const resultado = {
                 success: true,
@@ -248,6 +257,39 @@ class ScrapingController {
         }
     });
 
+    /**
+     * Validar parámetro opcional `portal`; retorna respuesta de error o null
+     */
+    static validarPortal(portal) {
+        if (!portal || getPortalRegistry().ids().includes(portal)) {
+            return null;
+        }
+
+        return {
+            success: false,
+            error: `Portal no soportado: ${portal}`,
+            codigo: 'PORTAL_NO_SOPORTADO',
+            portales_disponibles: getPortalRegistry().ids()
+        };
+    }
+
+    /**
+     * Validar parámetro opcional `formato`; retorna respuesta de error o null
+     */
+    static validarFormato(formato) {
+        try {
+            ListingModel.normalizeFormat(formato);
+            return null;
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                codigo: 'FORMATO_NO_SOPORTADO',
+                formatos_disponibles: ListingModel.getFormats()
+            };
+        }
+    }
+
     /**
      * Manejar errores de scraping de forma específica
      */
@@ -2,6 +2,9 @@
 const { logInfo, logError } = require('../utils/logger');
 const { ErrorFactory } = require('../utils/errors');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { getPortalRegistry, PORTAL_POR_DEFECTO_BUSQUEDA } = require('../services/portals/PortalRegistry');
+const ListingModel = require('../services/listings/ListingModel');
+const GeocodingService = require('../services/geo/GeocodingService');
 
 /**
  * Controlador para operaciones de búsqueda de propiedades
@@ -19,11 +22,13 @@ class SearchController {
  */
 static searchProperties = asyncErrorHandler(async (req, res) => {
     const { tipo, operacion, ubicacion, maxPaginas, precioMinimo, precioMaximo, moneda, filtros } = req.body;
+    const portal = req.body.portal || PORTAL_POR_DEFECTO_BUSQUEDA;
 
     logInfo('🔍 Nueva solicitud de búsqueda POST (flujo 2 etapas)', {
         tipo,
         operacion,
         ubicacion,
+        portal,
         maxPaginas,
         tieneFiltrosPrecio: !!(precioMinimo || precioMaximo),
         tieneFiltrosAvanzados: !!(filtros && Object.keys(filtros).length > 0),
@@ -37,6 +42,18 @@ static searchProperties = asyncErrorHandler(async (req, res) => {
     // Validar parámetros requeridos
     SearchController.validateSearchParams({ tipo, operacion, ubicacion });
 
+    // Validar portal (debe estar registrado y soportar búsqueda)
+    const adaptador = getPortalRegistry().getSearchAdapter(portal);
+
+    // Formato de las publicaciones: canónico (por defecto) o legacy
+    const formato = ListingModel.normalizeFormat(req.body.formato);
+
+    // Filtro geográfico opcional: radio (centrado en `centro` o en la comuna buscada) y/o polígono GeoJSON
+    const geo = GeocodingService.normalizeGeoOptions(
+        { centro: req.body.centro, radio: req.body.radio, poligono: req.body.poligono },
+        { ubicacion }
+    );
+
     // Validar filtros de precio si existen
     if (precioMinimo !== undefined || precioMaximo !== undefined) {
         SearchController.validatePriceFilters(precioMinimo, precioMaximo, moneda);
@@ -81,7 +98,9 @@ static searchProperties = asyncErrorHandler(async (req, res) => {
             ubicacion, 
             maxPaginasValidas, 
             filtrosPrecio, 
-            filtrosAvanzados
+            filtrosAvanzados,
+            adaptador.id,
+            { formato, geo }
         );
 
         // ==========================================
@@ -96,11 +115,16 @@ static searchProperties = asyncErrorHandler(async (req, res) => {
                     tipo,
                     operacion,
                     ubicacion,
+                    portal: adaptador.id,
                     maxPaginas: maxPaginasValidas,
                     filtrosPrecio,
-                    filtrosAvanzados
+                    filtrosAvanzados,
+                    formato,
+                    geo: geo ? { centro: geo.centro, radioKm: geo.radioKm, poligono: !!geo.poligonos } : null
                 },
-                flujo: 'Portal Inmobiliario - 2 etapas',
+                flujo: adaptador.supportsInPageFilters
+                    ? `${adaptador.nombre} - 2 etapas`
+                    : `${adaptador.nombre} - búsqueda por URL`,
                 estadisticas: {
                     propiedadesEncontradas: resultado.data.length,
                     filtrosAplicados: !!(filtrosPrecio || filtrosAvanzados),
@@ -137,6 +161,7 @@ static searchProperties = asyncErrorHandler(async (req, res) => {
                 tipo,
                 operacion,
                 ubicacion,
+                portal: adaptador.id,
                 maxPaginas: maxPaginasValidas
             },
             ayuda: {
@@ -183,6 +208,14 @@ static searchPropertiesGet = asyncErrorHandler(async (req, res) => {
         precioMinimo: precioMinimo ? parseFloat(precioMinimo) : undefined,
         precioMaximo: precioMaximo ? parseFloat(precioMaximo) : undefined,
         moneda,
+        portal: req.query.portal,
+        formato: req.query.formato,
+        // Geográficos: radio, centro (lat y lng, o texto) y poligono (GeoJSON serializado)
+        radio: req.query.radio,
+        centro: req.query.lat !== undefined || req.query.lng !== undefined
+            ? { lat: req.query.lat, lng: req.query.lng }
+            : req.query.centro,
+        poligono: req.query.poligono,
         filtros: Object.keys(filtros).length > 0 ? filtros : undefined
     };
 
@@ -220,7 +253,16 @@ static getInfo = asyncErrorHandler(async (req, res) => {
         ],
         parametros_busqueda: {
             requeridos: ['tipo', 'operacion', 'ubicacion'],
-            opcionales: ['maxPaginas', 'precioMinimo', 'precioMaximo', 'moneda', 'filtros']
+            opcionales: ['maxPaginas', 'precioMinimo', 'precioMaximo', 'moneda', 'filtros', 'centro', 'radio', 'poligono']
+        },
+        filtro_geografico: {
+            descripcion: 'Filtra y ordena por distancia al centro; cada publicación incluye geo { lat, lng, precision, incertidumbreKm, distanciaKm, radioVerificado }',
+            radio: 'Distancia máxima: "2km", "800m" o km numérico (100m - 50km), ampliada con la incertidumbreKm de cada publicación',
+            precision: 'Sin coordenadas del portal la ubicación sale del gazetteer: centro del sector (precision sector) o de la comuna (precision comuna). ' +
+                'Las publicaciones con precision comuna no se filtran por radio; se devuelven después de las demás, ordenadas por distancia (radioVerificado: false)',
+            centro: '{ "lat": -33.41, "lng": -70.57 } o texto (comuna o sector). Por defecto, la comuna buscada. En GET: lat y lng',
+            poligono: 'GeoJSON Polygon o MultiPolygon con posiciones [lng, lat] (en GET, serializado)',
+            ...GeocodingService.getInfo()
         },
         tipos_propiedad: ['Casa', 'Departamento', 'Oficina', 'Parcela', 'Local', 'Terreno'],
         operaciones: ['Venta', 'Arriendo', 'Arriendo temporal'],
@@ -299,6 +341,22 @@ static getInfo = asyncErrorHandler(async (req, res) => {
                         maximo: 2
                     }
                 }
+            },
+            busqueda_por_radio: {
+                tipo: 'Departamento',
+                operacion: 'Venta',
+                ubicacion: 'Las Condes',
+                centro: { lat: -33.4172, lng: -70.5476 },
+                radio: '1.5km'
+            },
+            busqueda_por_poligono: {
+                tipo: 'Casa',
+                operacion: 'Venta',
+                ubicacion: 'Concón, Valparaíso',
+                poligono: {
+                    type: 'Polygon',
+                    coordinates: [[[-71.55, -32.90], [-71.50, -32.90], [-71.50, -32.95], [-71.55, -32.95], [-71.55, -32.90]]]
+                }
             }
         },
         notas_tecnicas: {
@@ -344,6 +402,8 @@ static getInfo = asyncErrorHandler(async (req, res) => {
             precioMinimo: precioMinimo ? parseFloat(precioMinimo) : undefined,
             precioMaximo: precioMaximo ? parseFloat(precioMaximo) : undefined,
             moneda,
+            portal: req.query.portal,
+            formato: req.query.formato,
             filtros: Object.keys(filtros).length > 0 ? filtros : undefined
         };
 
@@ -361,12 +421,16 @@ static getInfo = asyncErrorHandler(async (req, res) => {
             servicio: 'Búsqueda de Propiedades',
             version: '2.0.0-modular',
             estado: 'En desarrollo',
-            portales_soportados: [
-                'Portal Inmobiliario (pendiente)'
-            ],
+            portales_soportados: getPortalRegistry().listSearchable().map(adaptador => adaptador.getInfo()),
+            portal_por_defecto: PORTAL_POR_DEFECTO_BUSQUEDA,
             parametros_busqueda: {
                 requeridos: ['tipo', 'operacion', 'ubicacion'],
-                opcionales: ['maxPaginas', 'precioMinimo', 'precioMaximo', 'moneda', 'filtros']
+                opcionales: ['portal', 'maxPaginas', 'precioMinimo', 'precioMaximo', 'moneda', 'filtros', 'formato']
+            },
+            formatos_resultado: {
+                canonico: 'Por defecto. id estable (código MLC), precio { uf, clp }, superficie { utilM2, totalM2 }, ' +
+                    'dormitorios, banos, estacionamientos, gastosComunesCLP y anioConstruccion numéricos; textos originales en raw',
+                legacy: 'Formato anterior: textos del portal ("4 dormitorios", "300 m² útiles")'
             },
             tipos_propiedad: ['Casa', 'Departamento'],
             operaciones: ['Venta', 'Arriendo'],
@@ -381,7 +445,26 @@ static getInfo = asyncErrorHandler(async (req, res) => {
             endpoints: {
                 'POST /api/search/properties': 'Búsqueda con filtros en body',
                 'GET /api/search/properties': 'Búsqueda con filtros en query',
-                'GET /api/search/info': 'Información del servicio'
+                'GET /api/search/info': 'Información del servicio',
+                'GET /api/search/saved': 'Búsquedas guardadas de la API key',
+                'POST /api/search/saved': 'Guardar búsqueda con ejecución programada (cron) y webhook',
+                'GET /api/search/saved/:id': 'Detalle de búsqueda guardada',
+                'PUT /api/search/saved/:id': 'Actualizar búsqueda guardada',
+                'DELETE /api/search/saved/:id': 'Eliminar búsqueda guardada',
+                'POST /api/search/saved/:id/run': 'Ejecutar búsqueda guardada ahora',
+                'GET /api/search/saved/:id/changes': 'Nuevas, eliminadas y cambios de precio por ejecución'
+            },
+            busquedas_guardadas: {
+                autenticacion: 'Header x-api-key (cada API key ve solo sus búsquedas)',
+                cron: 'minuto hora día-mes mes día-semana, hora del servidor (ej: "0 8 * * 1-5"); alias @hourly, @daily, @weekly, @monthly',
+                comparacion: 'Por id de publicación contra la ejecución anterior; la primera ejecución fija la línea base',
+                ejecuciones_incompletas: 'Si la página de resultados no carga, no se extraen publicaciones o el recorrido de páginas ' +
+                    'se interrumpe (errores de extracción, navegador cerrado, páginas vacías), la ejecución queda como error | incompleta ' +
+                    'y no se compara (se conserva la foto anterior). Una búsqueda con menos páginas que maxPaginas es completa',
+                cambios_precio: 'En la moneda publicada (UF o CLP), con variación % y tipo baja | alza',
+                webhook: 'POST JSON con evento saved_search.changes cuando hay cambios; ' +
+                    'con secret se firma en X-NotBrokker-Signature (sha256=HMAC del body). ' +
+                    'El host debe resolver a una IP pública (sin loopback, redes privadas ni link-local) y no se siguen redirecciones'
             },
             ejemplos: {
                 busqueda_basica: {
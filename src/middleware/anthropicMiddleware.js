@@ -1,70 +1,15 @@
 // src/middleware/anthropicMiddleware.js
 const { logInfo, logWarn, logError } = require('../utils/logger');
+const { rateLimit } = require('./authMiddleware');
 
 /**
  * Middleware específico para Anthropic - COMPLETAMENTE CORREGIDO
  */
 
 /**
- * Rate limiting para el servicio Anthropic
+ * Rate limiting del servicio (ventana deslizante por API key/IP, ver authMiddleware.rateLimit)
  */
-const rateLimitMiddleware = (() => {
-    const requests = new Map();
-    const LIMIT_PER_HOUR = 10;
-    const HOUR_IN_MS = 60 * 60 * 1000;
-
-    return (req, res, next) => {
-        const clientIP = req.ip || req.connection.remoteAddress;
-        const now = Date.now();
-
-        // Limpiar requests antiguos
-        const cutoff = now - HOUR_IN_MS;
-        for (const [ip, data] of requests.entries()) {
-            data.timestamps = data.timestamps.filter(timestamp => timestamp > cutoff);
-            if (data.timestamps.length === 0) {
-                requests.delete(ip);
-            }
-        }
-
-        // Verificar límite para la IP actual
-        if (!requests.has(clientIP)) {
-            requests.set(clientIP, { timestamps: [] });
-        }
-
-        const clientData = requests.get(clientIP);
-        const recentRequests = clientData.timestamps.filter(timestamp => timestamp > cutoff);
-
-        if (recentRequests.length >= LIMIT_PER_HOUR) {
-            logWarn('Rate limit excedido para servicio Anthropic', {
-                ip: clientIP,
-                requests: recentRequests.length,
-                limit: LIMIT_PER_HOUR
-            });
-
-            return res.status(429).json({
-                success: false,
-                error: 'Límite de solicitudes excedido',
-                code: 'RATE_LIMIT_EXCEEDED',
-                message: `Máximo ${LIMIT_PER_HOUR} reportes por hora`,
-                retryAfter: 3600,
-                currentCount: recentRequests.length,
-                limit: LIMIT_PER_HOUR,
-                resetTime: new Date(now + HOUR_IN_MS).toISOString()
-            });
-        }
-
-        // Registrar el request actual
-        clientData.timestamps.push(now);
-        requests.set(clientIP, clientData);
-
-        // Headers informativos
-        res.setHeader('X-RateLimit-Limit', LIMIT_PER_HOUR);
-        res.setHeader('X-RateLimit-Remaining', LIMIT_PER_HOUR - recentRequests.length - 1);
-        res.setHeader('X-RateLimit-Reset', Math.ceil((now + HOUR_IN_MS) / 1000));
-
-        next();
-    };
-})();
+const rateLimitMiddleware = rateLimit('anthropic');
 
 /**
  * ✅ MIDDLEWARE DE LOGGING CORREGIDO - SIN INTERCEPTACIONES
@@ -353,6 +298,13 @@ const anthropicMiddleware = {
         timeoutMiddleware(240000) // 4 minutos con coordinación
     ],
 
+    // Stream SSE: sin timeout ni performance (escriben respuestas/headers que cortarían el stream)
+    stream: [
+        securityHeadersMiddleware,
+        rateLimitMiddleware,
+        anthropicLoggingMiddleware
+    ],
+
     // Middleware básico para endpoints informativos
     basic: [
         securityHeadersMiddleware,
@@ -1,13 +1,25 @@
 // src/middleware/authMiddleware.js
 const AuthService = require('../services/auth/AuthService');
-const { logInfo, logWarning, logError } = require('../utils/logger');
+const { getRateLimiter } = require('../services/auth/RateLimiter');
+const { logInfo, logWarn, logError } = require('../utils/logger');
 
 const authService = new AuthService();
 
+/**
+ * Información de autenticación que se agrega al request
+ */
+const buildAuthContext = (apiKey, validation) => ({
+    apiKey: apiKey,
+    user: validation.user,
+    tier: validation.tier,
+    features: validation.features,
+    rateLimit: validation.rateLimit
+});
+
 /**
  * Middleware para validar API Key
  */
-const validateApiKey = (req, res, next) => {
+const validateApiKey = async (req, res, next) => {
     try {
         const apiKey = req.headers['x-api-key'];
         
@@ -26,7 +38,7 @@ const validateApiKey = (req, res, next) => {
             });
         }
 
-        const validation = authService.validateApiKey(apiKey);
+        const validation = await authService.validateApiKey(apiKey);
         
         if (!validation.isValid) {
             logInfo('🔑 API key inválida', { 
@@ -44,13 +56,7 @@ const validateApiKey = (req, res, next) => {
         }
 
         // Agregar información de autenticación al request
-        req.auth = {
-            apiKey: apiKey,
-            user: validation.user,
-            tier: validation.tier,
-            features: validation.features,
-            rateLimit: validation.rateLimit
-        };
+        req.auth = buildAuthContext(apiKey, validation);
 
         logInfo('🔑 API key validada', {
             userId: validation.user.userId,
@@ -243,39 +249,147 @@ const requireTier = (requiredFeature) => {
     };
 };
 
+/**
+ * Middleware para restringir endpoints de administración (API keys con role admin)
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.auth) {
+        return res.status(401).json({
+            success: false,
+            error: 'Autenticación requerida',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (!authService.isAdmin(req.auth.user)) {
+        logInfo('🚫 Acceso de administración denegado', {
+            userId: req.auth.user.userId,
+            endpoint: req.originalUrl
+        });
+
+        return res.status(403).json({
+            success: false,
+            error: 'Acceso de administrador requerido',
+            message: 'Esta operación requiere una API key con rol admin',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    next();
+};
+
 /**
  * Middleware combinado: API key + funcionalidad específica
  */
 const requireFeature = (feature) => {
-    return [validateApiKey, requireTier(feature)];
+    return [validateApiKey, requireTier(feature), rateLimit(feature)];
 };
 
 /**
  * Middleware combinado: API key + JWT + funcionalidad específica
  */
 const requireJWTAndFeature = (feature) => {
-    return [validateApiKey, validateJWT, requireTier(feature)];
+    return [validateApiKey, validateJWT, requireTier(feature), rateLimit(feature)];
 };
 
 /**
- * Middleware de rate limiting básico (simulado)
+ * Middleware combinado: API key + rol administrador
  */
-const rateLimit = (req, res, next) => {
-    // TODO: Implementar rate limiting real con Redis o similar
-    // Por ahora solo logging
-    
-    if (req.auth) {
-        const { requests, window } = req.auth.rateLimit;
-        
-        logInfo('📊 Rate limit check', {
-            userId: req.auth.user.userId,
-            tier: req.auth.tier.name,
-            limit: `${requests}/${window}`,
+const requireAdminAccess = () => {
+    return [validateApiKey, requireAdmin];
+};
+
+/**
+ * Rate limiting de ventana deslizante por API key (o IP si no hay key) y funcionalidad
+ *
+ * Usa el rateLimit del tier de la API key; sin key aplica ANONYMOUS_RATE_LIMIT.
+ * Si llega x-api-key sin autenticación previa (rutas públicas), una key válida aplica el límite
+ * de su tier y una inválida se ignora: la solicitud sigue como anónima, sin 401.
+ */
+const rateLimit = (feature) => {
+    const limiter = async (req, res, next) => {
+        try {
+            const policy = req.auth ? req.auth.rateLimit : authService.ANONYMOUS_RATE_LIMIT;
+            const subject = req.auth ? `key:${req.auth.user.id || req.auth.user.userId}` : `ip:${req.ip || 'unknown'}`;
+
+            const result = await getRateLimiter().consume(`${feature}:${subject}`, policy);
+
+            res.setHeader('RateLimit-Limit', result.limit);
+            res.setHeader('RateLimit-Remaining', result.remaining);
+            res.setHeader('RateLimit-Reset', result.resetSeconds);
+            res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.round(result.windowMs / 1000)}`);
+
+            if (!result.allowed) {
+                logWarn('🚦 Rate limit excedido', {
+                    feature,
+                    subject: req.auth ? req.auth.user.userId : subject,
+                    tier: req.auth ? req.auth.tier.name : 'ANONYMOUS',
+                    limit: `${policy.requests}/${policy.window}`,
+                    endpoint: req.originalUrl
+                });
+
+                res.setHeader('Retry-After', result.resetSeconds);
+
+                return res.status(429).json({
+                    success: false,
+                    error: 'Límite de solicitudes excedido',
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: `Máximo ${policy.requests} solicitudes de '${feature}' cada ${policy.window}`,
+                    tier: req.auth ? req.auth.tier.name : 'ANONYMOUS',
+                    limit: policy.requests,
+                    window: policy.window,
+                    retryAfter: result.resetSeconds,
+                    resetTime: result.resetTime,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            next();
+
+        } catch (error) {
+            // Un fallo del limitador no debe bloquear el servicio
+            logError('❌ Error en rate limiting', {
+                error: error.message,
+                feature,
+                endpoint: req.originalUrl
+            });
+            next();
+        }
+    };
+
+    return async (req, res, next) => {
+        if (!req.auth && req.headers['x-api-key']) {
+            await attachOptionalApiKey(req);
+        }
+        return limiter(req, res, next);
+    };
+};
+
+/**
+ * Autenticación opcional para rutas públicas (nunca responde 401)
+ */
+const attachOptionalApiKey = async (req) => {
+    const apiKey = req.headers['x-api-key'];
+
+    try {
+        const validation = await authService.validateApiKey(apiKey);
+
+        if (validation.isValid) {
+            req.auth = buildAuthContext(apiKey, validation);
+            return;
+        }
+
+        logInfo('🔑 API key inválida en ruta pública, se aplica límite anónimo', {
+            apiKeyPrefix: String(apiKey).substring(0, 12) + '...',
+            endpoint: req.originalUrl,
+            error: validation.error
+        });
+    } catch (error) {
+        logWarn('⚠️ No se pudo validar API key en ruta pública, se aplica límite anónimo', {
+            error: error.message,
             endpoint: req.originalUrl
         });
     }
-    
-    next();
 };
 
 module.exports = {
@@ -284,6 +398,8 @@ module.exports = {
     requireTier,
     requireFeature,
     requireJWTAndFeature,
+    requireAdmin,
+    requireAdminAccess,
     rateLimit,
     authService
 };
\ No newline at end of file
@@ -12,7 +12,7 @@ class CacheMiddleware {
     /**
      * Generar key de cache basada en la request
      */
-    generateCacheKey(req, cacheType) {
+    generateCacheKey(req, cacheType, extra = null) {
         const baseData = {
             method: req.method,
             url: req.originalUrl,
@@ -21,12 +21,38 @@ class CacheMiddleware {
             params: req.params
         };
 
+        if (extra !== null) {
+            baseData.extra = extra;
+        }
+
         const dataString = JSON.stringify(baseData);
         const hash = crypto.createHash('md5').update(dataString).digest('hex');
         
         return `${cacheType}_${hash}`;
     }
 
+    /**
+     * Supuestos de gastos guardados en la API key de la request. Forman parte de la key
+     * de cache de reportes: la misma URL con otros supuestos produce otro reporte.
+     * El middleware de cache corre antes de la autenticación, por eso se consulta el store.
+     */
+    async getSavedAssumptionsForRequest(req) {
+        const apiKey = req.headers['x-api-key'];
+        if (!apiKey) {
+            return null;
+        }
+
+        try {
+            const { getApiKeyStore } = require('../services/auth/ApiKeyStore');
+            const record = await getApiKeyStore().findByKey(apiKey);
+            const assumptions = record?.assumptions;
+            return assumptions && Object.keys(assumptions).length > 0 ? assumptions : null;
+        } catch (error) {
+            logError('❌ Error leyendo supuestos de la API key para cache', { error: error.message });
+            return null;
+        }
+    }
+
     /**
      * Middleware de cache para scraping
      */
@@ -57,6 +83,10 @@ class CacheMiddleware {
                         'X-Cache-Source': cached.source,
                         'X-Cache-Key': cacheKey.substring(0, 20) + '...'
                     });
+
+                    // El historial de precios cuenta también los avistamientos servidos desde cache
+                    const ScrapingService = require('../services/scraping/ScrapingService');
+                    ScrapingService.registrarResultadoEnCache(cached.data);
                     
                     return res.json(cached.data);
                 }
@@ -178,6 +208,16 @@ class CacheMiddleware {
         };
     }
 
+    /**
+     * La respuesta (simulación, refinanciamiento o comparación) incluye resultados del motor de amortización local
+     */
+    isLocalMortgageEstimate(data) {
+        if (data?.data?.fuente === 'motor_local' || data?.data?.simulacion?.fuente === 'motor_local') {
+            return true;
+        }
+        return (data?.comparacion?.escenarios || []).some(escenario => escenario.resultado?.fuente === 'motor_local');
+    }
+
     /**
      * Middleware de cache para simulaciones hipotecarias
      */
@@ -212,8 +252,13 @@ class CacheMiddleware {
                 // Interceptar el response para cachear
                 const originalJson = res.json;
                 res.json = (data) => {
-                    // Solo cachear respuestas exitosas
-                    if (data.success !== false && !data.error) {
+                    // Solo cachear respuestas exitosas de la CMF: las estimaciones del motor local
+                    // (CMF no disponible) no se cachean para reintentar la CMF en la próxima solicitud
+                    if (this.isLocalMortgageEstimate(data)) {
+                        logInfo('⏭️ Respuesta del motor local no cacheada - Mortgage', {
+                            key: cacheKey.substring(0, 20) + '...'
+                        });
+                    } else if (data.success !== false && !data.error) {
                         this.cacheService.set('mortgage', cacheKey, data)
                             .then(result => {
                                 if (result.success) {
@@ -248,13 +293,28 @@ class CacheMiddleware {
         };
     }
 
+    /**
+     * Request sin el flag `sync` (query o body): el modo de respuesta no cambia el reporte,
+     * así el job asíncrono y la respuesta síncrona comparten la key de cache
+     */
+    withoutSyncFlag(req) {
+        const { sync: syncBody, ...body } = req.body || {};
+        const { sync: syncQuery, ...query } = req.query || {};
+        const url = new URL(req.originalUrl, 'http://localhost');
+        url.searchParams.delete('sync');
+
+        return { method: req.method, originalUrl: url.pathname + url.search, body, query, params: req.params };
+    }
+
     /**
      * Middleware de cache para análisis con IA
+     * La key queda en req.reportCacheKey para que el job asíncrono guarde ahí su resultado
      */
     cacheForAnthropicAnalysis() {
         return async (req, res, next) => {
             try {
-                const cacheKey = this.generateCacheKey(req, 'claude');
+                const cacheKey = this.generateCacheKey(this.withoutSyncFlag(req), 'claude', await this.getSavedAssumptionsForRequest(req));
+                req.reportCacheKey = cacheKey;
                 
                 // Intentar obtener del cache
                 const cached = await this.cacheService.get('claude', cacheKey);
@@ -328,7 +388,7 @@ class CacheMiddleware {
     cacheForPDF() {
         return async (req, res, next) => {
             try {
-                const cacheKey = this.generateCacheKey(req, 'pdf');
+                const cacheKey = this.generateCacheKey(req, 'pdf', await this.getSavedAssumptionsForRequest(req));
                 
                 // Intentar obtener del cache
                 const cached = await this.cacheService.get('pdf', cacheKey);
@@ -1,76 +1,25 @@
 // src/middleware/pdfMiddleware.js
 const { logInfo, logWarn, logError } = require('../utils/logger');
+const { rateLimit } = require('./authMiddleware');
 
 /**
  * Middleware específico para el servicio de generación de PDFs - CORREGIDO
  */
 
 /**
- * Rate limiting específico para PDFs
+ * Rate limiting del servicio (ventana deslizante por API key/IP, ver authMiddleware.rateLimit)
  */
-const rateLimitMiddleware = (() => {
-    const requests = new Map();
-    const LIMIT_PER_HOUR = 10;
-    const HOUR_IN_MS = 60 * 60 * 1000;
-
-    return (req, res, next) => {
-        const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
-        const now = Date.now();
-
-        // Limpiar requests antiguos
-        const cutoff = now - HOUR_IN_MS;
-        for (const [ip, data] of requests.entries()) {
-            data.timestamps = data.timestamps.filter(timestamp => timestamp > cutoff);
-            if (data.timestamps.length === 0) {
-                requests.delete(ip);
-            }
-        }
-
-        // Verificar límite para la IP actual
-        if (!requests.has(clientIP)) {
-            requests.set(clientIP, { timestamps: [] });
-        }
-
-        const clientData = requests.get(clientIP);
-        const recentRequests = clientData.timestamps.filter(timestamp => timestamp > cutoff);
-
-        if (recentRequests.length >= LIMIT_PER_HOUR) {
-            logWarn('Rate limit excedido para servicio PDF', {
-                ip: clientIP,
-                requests: recentRequests.length,
-                limit: LIMIT_PER_HOUR
-            });
-
-            return res.status(429).json({
-                success: false,
-                error: 'Límite de generación de PDFs excedido',
-                code: 'PDF_RATE_LIMIT_EXCEEDED',
-                limit: LIMIT_PER_HOUR,
-                retryAfter: Math.ceil((now + HOUR_IN_MS) / 1000)
-            });
-        }
-
-        // Registrar request
-        clientData.timestamps.push(now);
-        requests.set(clientIP, clientData);
-
-        // Headers informativos
-        res.setHeader('X-PDF-RateLimit-Limit', LIMIT_PER_HOUR);
-        res.setHeader('X-PDF-RateLimit-Remaining', LIMIT_PER_HOUR - recentRequests.length - 1);
-
-        next();
-    };
-})();
+const rateLimitMiddleware = rateLimit('pdf');
 
 /**
  * Middleware de validación de contenido para PDF
  */
 const contentValidationMiddleware = (req, res, next) => {
     if (req.method === 'POST' && req.body) {
-        const { propertyUrl, analysisData, options } = req.body;
+        const { propertyUrl, analysisData, analysisDataArray, options } = req.body;
 
-        // Validar que haya al menos propertyUrl o analysisData
-        if (!propertyUrl && !analysisData) {
+        // Validar que haya al menos propertyUrl, analysisData o un batch de análisis
+        if (!propertyUrl && !analysisData && !Array.isArray(analysisDataArray)) {
             return res.status(400).json({
                 success: false,
                 error: 'Se requiere propertyUrl o analysisData',
@@ -233,6 +182,16 @@ const pdfMiddleware = {
         performanceMiddleware,
         contentValidationMiddleware,
         timeoutMiddleware(300000)
+    ],
+
+    // Batch: mismo pipeline que protected con timeout extendido (hasta 10 PDFs).
+    // El rate limit lo aplica requireFeature('batch') en la ruta
+    batch: [
+        securityHeadersMiddleware,
+        pdfLoggingMiddleware,
+        performanceMiddleware,
+        contentValidationMiddleware,
+        timeoutMiddleware(600000)
     ]
 };
 
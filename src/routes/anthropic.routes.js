@@ -1,6 +1,7 @@
 // src/routes/anthropic.routes.js
 const express = require('express');
 const AnthropicController = require('../controllers/AnthropicController');
+const JobsController = require('../controllers/JobsController');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 const anthropicMiddleware = require('../middleware/anthropicMiddleware');
 const { cacheForAnthropicAnalysis } = require('../middleware/cacheMiddleware');
@@ -17,6 +18,11 @@ router.use(anthropicMiddleware.basic);
 /**
  * POST /api/anthropic/financial-report
  * Generar reporte financiero completo con Claude API Real
+ *
+ * Asíncrono por defecto: responde 202 con el job (ver /api/jobs/:id para progreso, resultado y PDF).
+ * Con ?sync=true (o "sync": true en el body) espera el reporte en la misma respuesta (timeout de 4 minutos).
+ * Un reporte en cache se responde de inmediato (200) en ambos modos: el job guarda su resultado con la
+ * misma key de cache que la respuesta síncrona (el flag sync no forma parte de la key).
  * 
  * Body:
  * {
@@ -30,14 +36,23 @@ router.use(anthropicMiddleware.basic);
  *     "propertyPrice": 9200,
  *     "marketRadius": "2km",
  *     "maxComparables": 15,
- *     "forceClaudeAnalysis": false
+ *     "forceClaudeAnalysis": false,
+ *     "assumptions": { "vacanciaPct": 8, "usaAdministracion": true, "gastosNotariales": 250000 }
  *   }
  * }
+ *
+ * options.taxProfile (opcional) agrega impuestos y métricas después de impuestos en metrics.taxes:
+ *   { "tipoContribuyente": "persona", "ingresoAnualCLP": 36000000, "viviendasDFL2": 1,
+ *     "propiedad": { "superficieM2": 62, "dfl2": true, "nueva": false, "antiguedadAnios": 4 } }
+ * options.assumptions sobrescribe supuestos de gastos (ver GET /api/auth/assumptions para el esquema);
+ * los supuestos guardados en la API key se aplican por defecto. En GET y stream va como JSON en query.
  */
 router.post('/financial-report', 
     cacheForAnthropicAnalysis(), // Cache inteligente para IA (80% ahorro)
     anthropicMiddleware.protected, // Rate limiting para endpoint principal
-    asyncErrorHandler(AnthropicController.generateFinancialReport)
+    asyncErrorHandler((req, res) => AnthropicController.isSyncReportRequest(req)
+        ? AnthropicController.generateFinancialReport(req, res)
+        : JobsController.submitFinancialReport(req, res))
 );
 
 /**
@@ -50,6 +65,22 @@ router.get('/financial-report',
     asyncErrorHandler(AnthropicController.generateFinancialReportGet)
 );
 
+/**
+ * GET /api/anthropic/financial-report/stream?url=...
+ * Generar reporte financiero con progreso en tiempo real (Server-Sent Events)
+ *
+ * Eventos:
+ * - start: etapas del proceso
+ * - stage: { stage, status: running|completed|fallback|failed, data } con resultados parciales
+ *   (ficha de la propiedad, total de comparables, bancos encontrados, tokens de Claude)
+ * - result: reporte completo (mismo formato que POST /financial-report)
+ * - error: error que detuvo el reporte
+ */
+router.get('/financial-report/stream',
+    anthropicMiddleware.stream,
+    asyncErrorHandler(AnthropicController.streamFinancialReport)
+);
+
 // =================================
 // NUEVOS ENDPOINTS - CLAUDE API
 // =================================
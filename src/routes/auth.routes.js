@@ -4,7 +4,8 @@ const AuthController = require('../controllers/AuthController');
 const { 
     validateApiKey, 
     validateJWT, 
-    requireFeature 
+    requireFeature,
+    requireAdminAccess
 } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -72,6 +73,75 @@ router.get('/stats', ...requireFeature('cache'), AuthController.getAuthStats);
  */
 router.post('/verify', validateApiKey, AuthController.verifyTokens);
 
+/**
+ * GET /api/auth/assumptions
+ * PUT /api/auth/assumptions
+ * DELETE /api/auth/assumptions
+ * Supuestos de gastos guardados en la API key; se aplican por defecto en
+ * /api/anthropic/financial-report y /api/pdf/financial-report (la solicitud los sobrescribe)
+ * 
+ * Headers requeridos:
+ * - x-api-key: API key válida
+ * 
+ * Body (PUT):
+ * - assumptions (requerido): { vacanciaPct: 8, usaAdministracion: true, ... } reemplaza los guardados
+ */
+router.get('/assumptions', validateApiKey, AuthController.getAssumptions);
+router.put('/assumptions', validateApiKey, AuthController.saveAssumptions);
+router.delete('/assumptions', validateApiKey, AuthController.clearAssumptions);
+
+// ==========================================
+// ADMINISTRACIÓN DE API KEYS (rol admin)
+// ==========================================
+
+/**
+ * POST /api/auth/keys
+ * Crear API key. La key en texto plano solo se devuelve en esta respuesta
+ * 
+ * Headers requeridos:
+ * - x-api-key: API key con rol admin
+ * 
+ * Body:
+ * - tier (requerido): FREE_TIER | PREMIUM_TIER | ENTERPRISE_TIER
+ * - userId (requerido): ID del usuario dueño de la key
+ * - name, email (opcionales)
+ * - role (opcional): user (defecto) | admin
+ */
+router.post('/keys', ...requireAdminAccess(), AuthController.createApiKey);
+
+/**
+ * GET /api/auth/keys
+ * Listar API keys (prefijo y metadatos, nunca el hash ni la key)
+ * 
+ * Query opcional:
+ * - tier: filtrar por tier
+ * - active: true | false
+ */
+router.get('/keys', ...requireAdminAccess(), AuthController.listApiKeys);
+
+/**
+ * POST /api/auth/keys/:id/rotate
+ * Generar nueva key para el registro; la anterior deja de ser válida
+ */
+router.post('/keys/:id/rotate', ...requireAdminAccess(), AuthController.rotateApiKey);
+
+/**
+ * POST /api/auth/keys/:id/deactivate
+ * POST /api/auth/keys/:id/activate
+ * Desactivar o reactivar una API key
+ */
+router.post('/keys/:id/deactivate', ...requireAdminAccess(), AuthController.deactivateApiKey);
+router.post('/keys/:id/activate', ...requireAdminAccess(), AuthController.activateApiKey);
+
+/**
+ * PATCH /api/auth/keys/:id/tier
+ * Cambiar el tier de una API key
+ * 
+ * Body:
+ * - tier (requerido): FREE_TIER | PREMIUM_TIER | ENTERPRISE_TIER
+ */
+router.patch('/keys/:id/tier', ...requireAdminAccess(), AuthController.changeApiKeyTier);
+
 // ==========================================
 // RUTA DE INFORMACIÓN DEL MÓDULO
 // ==========================================
@@ -113,6 +183,40 @@ router.get('/', (req, res) => {
                 requires: 'API key válida',
                 body: ['apiKey (optional)', 'jwtToken (optional)'],
                 response: 'Resultado de validación'
+            },
+            'GET /api/auth/assumptions': {
+                description: 'Supuestos de gastos guardados en la API key (también PUT y DELETE)',
+                requires: 'API key válida',
+                body: ['assumptions (required en PUT)'],
+                response: 'Supuestos guardados, valores efectivos y esquema'
+            },
+            'POST /api/auth/keys': {
+                description: 'Crear API key (se muestra una sola vez)',
+                requires: 'API key con rol admin',
+                body: ['tier (required)', 'userId (required)', 'name (optional)', 'email (optional)', 'role (optional)'],
+                response: 'API key en texto plano + metadatos'
+            },
+            'GET /api/auth/keys': {
+                description: 'Listar API keys',
+                requires: 'API key con rol admin',
+                query: ['tier (optional)', 'active (optional)'],
+                response: 'Metadatos de API keys (sin hashes)'
+            },
+            'POST /api/auth/keys/:id/rotate': {
+                description: 'Rotar API key',
+                requires: 'API key con rol admin',
+                response: 'Nueva API key en texto plano'
+            },
+            'POST /api/auth/keys/:id/deactivate': {
+                description: 'Desactivar API key (también /activate)',
+                requires: 'API key con rol admin',
+                response: 'Metadatos actualizados'
+            },
+            'PATCH /api/auth/keys/:id/tier': {
+                description: 'Cambiar tier de API key',
+                requires: 'API key con rol admin',
+                body: ['tier (required)'],
+                response: 'Metadatos actualizados'
             }
         },
         
@@ -136,6 +240,8 @@ router.get('/', (req, res) => {
         
         authentication: {
             methods: ['API Key only', 'API Key + JWT'],
+            keyStorage: 'Hash SHA-256 en Redis (fallback archivo JSON)',
+            adminBootstrap: 'Variable ADMIN_API_KEY registra una key con rol admin',
             jwtExpiration: '24 hours',
             headerNames: {
                 apiKey: 'x-api-key',
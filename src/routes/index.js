@@ -1,5 +1,6 @@
 // src/routes/index.js (VERSIÓN ACTUALIZADA CON PDF)
 const { logInfo } = require('../utils/logger');
+const BrowserReplayService = require('../services/replay/BrowserReplayService');
 
 const setupRoutes = (app) => {
     logInfo('🔥 CONFIGURANDO RUTAS MODULARES CON PDF PREMIUM');
@@ -13,6 +14,11 @@ const setupRoutes = (app) => {
         const pdfRoutes = require('./pdf.routes'); // NUEVO
         const authRoutes = require('./auth.routes'); // NUEVO
         const cacheRoutes = require('./cache.routes'); // NUEVO
+        const indicatorsRoutes = require('./indicators.routes');
+        const jobsRoutes = require('./jobs.routes');
+        const investmentRoutes = require('./investment.routes');
+        const listingsRoutes = require('./listings.routes');
+        const marketRoutes = require('./market.routes');
         
         logInfo('✅ Rutas importadas correctamente (incluye PDF Premium)');
 
@@ -26,8 +32,13 @@ const setupRoutes = (app) => {
         app.use('/api/pdf', pdfRoutes); // NUEVO
         app.use('/api/auth', authRoutes); // NUEVO
         app.use('/api/cache', cacheRoutes); // NUEVO
+        app.use('/api/indicators', indicatorsRoutes);
+        app.use('/api/jobs', jobsRoutes);
+        app.use('/api/investment', investmentRoutes);
+        app.use('/api/listings', listingsRoutes);
+        app.use('/api/market', marketRoutes);
         
-        logInfo('✅ API v2 configurado: /api/scraping, /api/search, /api/mortgage, /api/anthropic, /api/pdf, /api/auth, /api/cache');
+        logInfo('✅ API v2 configurado: /api/scraping, /api/search, /api/mortgage, /api/anthropic, /api/pdf, /api/auth, /api/cache, /api/indicators, /api/jobs, /api/investment, /api/listings, /api/market');
 
         // ==========================================
         // RUTAS API v1 (COMPATIBILIDAD) - OPCIONAL
@@ -51,6 +62,7 @@ const setupRoutes = (app) => {
                 message: 'API de Análisis Inmobiliario con IA + PDF Premium',
                 timestamp: new Date().toISOString(),
                 version: '2.2.0-pdf-premium',
+                scraperReplay: BrowserReplayService.getInfo(),
                 endpoints: {
                     'GET /health': '✅ Health check general',
                     'GET /info': '✅ Información del sistema',
@@ -58,10 +70,27 @@ const setupRoutes = (app) => {
                     // API v2 - ENDPOINTS PRINCIPALES
                     'POST /api/scraping/property': '✅ Scraping de propiedades',
                     'POST /api/search/properties': '✅ Búsqueda de propiedades',
+                    'POST /api/search/saved': '🔖 Búsquedas guardadas con ejecución programada y alertas',
+                    'GET /api/search/saved/:id/changes': '🔖 Cambios de búsqueda guardada (nuevas, eliminadas, precios)',
+                    'GET /api/listings/:id/history': '🏷️ Historial de precios y días en mercado de una publicación',
+                    'GET /api/market/stats': '📊 Precio por m², arriendo, yield e inventario por comuna',
                     'POST /api/mortgage/simulate': '✅ Simulación hipotecaria',
                     'POST /api/mortgage/compare': '✅ Comparación de escenarios',
-                    'POST /api/anthropic/financial-report': '🧠 Reporte financiero con IA',
+                    'POST /api/mortgage/amortization': '🆕 Tabla de amortización local (sin CMF)',
+                    'POST /api/mortgage/affordability': '🆕 Capacidad de compra y pre-aprobación',
+                    'POST /api/mortgage/prepayment': '🆕 Análisis de prepago',
+                    'POST /api/mortgage/refinancing': '🆕 Análisis de refinanciamiento',
+                    'GET /api/mortgage/rates/history': '🆕 Historial de tasas hipotecarias',
+                    'POST /api/anthropic/financial-report': '🧠 Reporte financiero con IA (job; sync=true para esperar)',
+                    'GET /api/anthropic/financial-report/stream': '📡 Reporte financiero con progreso (SSE)',
                     'POST /api/pdf/generate-report': '🆕 Generación de PDF premium', // NUEVO
+                    'GET /api/indicators/:code': '📈 Indicadores económicos (UF, UTM, USD, IPC)',
+                    'POST /api/auth/keys': '🗝️ Administración de API keys (admin)',
+                    'POST /api/jobs/financial-report': '⏳ Reporte financiero asíncrono (job)',
+                    'GET /api/jobs/:id': '⏳ Estado y progreso de job',
+                    'POST /api/investment/projection': '🆕 Proyección de inversión (TIR, VAN, patrimonio)',
+                    'POST /api/investment/risk': '🆕 Simulación Monte Carlo de riesgo de inversión',
+                    'POST /api/investment/tax': '🆕 Impuestos y métricas después de impuestos (DFL2, contribuciones, renta)',
                     
                     // ENDPOINTS DE INFORMACIÓN
                     'GET /api/scraping/info': '📋 Info scraping',
@@ -75,6 +104,7 @@ const setupRoutes = (app) => {
                     'POST /api/pdf/preview': '🆕 Preview rápido PDF',
                     'POST /api/pdf/validate-template': '🆕 Validar template',
                     'GET /api/pdf/examples': '🆕 Ejemplos PDF',
+                    'POST /api/pdf/batch': '📚 Generación batch de PDFs (ENTERPRISE)',
                     
                     // API v1 (compatibilidad)
                     'POST /scrape-property': '✅ Scraping (v1)',
@@ -115,6 +145,11 @@ const setupRoutes = (app) => {
                         endpoints: ['POST /api/pdf/generate-report'],
                         timeEstimate: '30-60 segundos'
                     },
+                    asyncReport: {
+                        description: 'URL → Job en segundo plano → polling → JSON/PDF',
+                        endpoints: ['POST /api/jobs/financial-report', 'GET /api/jobs/:id', 'GET /api/jobs/:id/result', 'GET /api/jobs/:id/pdf'],
+                        timeEstimate: 'Respuesta inmediata; resultado en 90-120 segundos'
+                    },
                     validation: {
                         description: 'Testing completo del sistema',
                         endpoints: ['GET /api/pdf/health', 'POST /api/pdf/validate-template'],
@@ -228,8 +263,7 @@ const setupRoutes = (app) => {
                     'Cache inteligente de reportes y PDFs',
                     'Dashboard de métricas avanzadas',
                     'API webhooks para actualizaciones',
-                    'Templates PDF personalizables',
-                    'Generación batch de múltiples PDFs'
+                    'Templates PDF personalizables'
                 ] // ACTUALIZADO
             });
         });
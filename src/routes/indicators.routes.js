@@ -0,0 +1,19 @@
+// src/routes/indicators.routes.js
+const express = require('express');
+const IndicatorsController = require('../controllers/IndicatorsController');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+router.get('/info', asyncErrorHandler(IndicatorsController.getInfo));
+
+/**
+ * GET /api/indicators/:code
+ * Valor de un indicador económico (uf, utm, usd, ipc)
+ *
+ * Query:
+ * - date: fecha YYYY-MM-DD (opcional, por defecto hoy)
+ */
+router.get('/:code', asyncErrorHandler(IndicatorsController.getIndicator));
+
+module.exports = router;
@@ -0,0 +1,62 @@
+// src/routes/investment.routes.js
+const express = require('express');
+const InvestmentController = require('../controllers/InvestmentController');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * POST /api/investment/projection
+ * Proyección multianual de la inversión
+ *
+ * Body:
+ * {
+ *   "precioUF": 4500,
+ *   "arriendoMensual": 650000,
+ *   "piePct": 20,
+ *   "tasaCredito": 4.5,
+ *   "plazoCredito": 25,
+ *   "ubicacion": "Ñuñoa, Santiago",
+ *   "horizonteAnios": 20,
+ *   "tasaDescuento": 8
+ * }
+ */
+router.post('/projection', asyncErrorHandler(InvestmentController.calculateProjection));
+
+/**
+ * POST /api/investment/risk
+ * Simulación Monte Carlo de riesgo (reproducible con la misma semilla)
+ *
+ * Body: parámetros de /projection más
+ * {
+ *   "simulaciones": 2000,
+ *   "semilla": 42,
+ *   "distribuciones": {
+ *     "vacancia": { "probabilidadPorRenovacion": 0.3, "mesesMin": 1, "mesesMax": 3 },
+ *     "tasa": { "reajusteCadaAnios": 5, "desviacionPts": 0.75 },
+ *     "plusvalia": { "desviacionPct": 3 }
+ *   }
+ * }
+ */
+router.post('/risk', asyncErrorHandler(InvestmentController.simulateRisk));
+
+/**
+ * POST /api/investment/tax
+ * Impuestos de la inversión (DFL2, contribuciones con exenciones, renta del arriendo, IVA de viviendas nuevas)
+ * y flujo, yield neto y TIR después de impuestos
+ *
+ * Body: parámetros de /projection más
+ * {
+ *   "perfilTributario": {
+ *     "tipoContribuyente": "persona",
+ *     "ingresoAnualCLP": 36000000,
+ *     "viviendasDFL2": 1,
+ *     "propiedad": { "superficieM2": 62, "dfl2": true, "nueva": true, "avaluoFiscalCLP": 85000000 }
+ *   }
+ * }
+ */
+router.post('/tax', asyncErrorHandler(InvestmentController.calculateTaxes));
+
+router.get('/info', asyncErrorHandler(InvestmentController.getInfo));
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// src/routes/jobs.routes.js
+const express = require('express');
+const JobsController = require('../controllers/JobsController');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { rateLimit } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.get('/info', asyncErrorHandler(JobsController.getInfo));
+
+/**
+ * POST /api/jobs/financial-report
+ * Encolar un reporte financiero y responder de inmediato (202) con el id del job
+ *
+ * Body: mismo formato que POST /api/anthropic/financial-report
+ * {
+ *   "propertyUrl": "https://casa.mercadolibre.cl/...",
+ *   "options": { "marketRadius": "2km", "maxComparables": 15 }
+ * }
+ */
+router.post('/financial-report',
+    rateLimit('anthropic'),
+    asyncErrorHandler(JobsController.submitFinancialReport)
+);
+
+/**
+ * GET /api/jobs/:id
+ * Un job creado con API key solo se consulta enviando la misma x-api-key (si no, 404)
+ * Estado del job: queued | running | completed | failed, con progreso por etapa
+ * (scraping, comparables, mortgage, claude, report)
+ */
+router.get('/:id', asyncErrorHandler(JobsController.getJob));
+
+/**
+ * GET /api/jobs/:id/result
+ * Reporte financiero en JSON (409 si el job aún no termina)
+ */
+router.get('/:id/result', asyncErrorHandler(JobsController.getResult));
+
+/**
+ * GET /api/jobs/:id/pdf
+ * PDF del reporte (409 si el job aún no termina)
+ *
+ * Query opcional: filename, quality (low|medium|high), device (desktop|tablet|mobile)
+ */
+router.get('/:id/pdf', asyncErrorHandler(JobsController.downloadPDF));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// src/routes/listings.routes.js
+const express = require('express');
+const ListingsController = require('../controllers/ListingsController');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+router.get('/info', asyncErrorHandler(ListingsController.getInfo));
+
+/**
+ * GET /api/listings/:id/history
+ * Historial de precios y estado de una publicación vista en scraping o búsquedas
+ *
+ * Respuesta: publicacion, mercado (estado, diasEnMercado, precioInicial, precioActual, rebajas),
+ * observaciones (más antigua primero)
+ *
+ * Query opcional: limit (últimas N observaciones, 1-500, por defecto 100)
+ */
+router.get('/:id/history', asyncErrorHandler(ListingsController.getHistory));
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// src/routes/market.routes.js
+const express = require('express');
+const MarketController = require('../controllers/MarketController');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+router.get('/info', asyncErrorHandler(MarketController.getInfo));
+
+/**
+ * GET /api/market/stats?comuna=Ñuñoa&tipo=Departamento
+ * Estadísticas de mercado de una comuna a partir de las publicaciones vistas en scraping y búsquedas
+ *
+ * Respuesta por tipo: inventario, venta (medianaPrecioUF, medianaPrecioM2UF), arriendo
+ * (medianaArriendoCLP, medianaArriendoM2UF, medianaArriendoM2CLP), yieldBrutoImplicito,
+ * plusvaliaAnualEstimada, nivel y tendencia mensual
+ *
+ * Query: comuna (requerida), tipo (Casa | Departamento), meses (1-36, por defecto 12)
+ */
+router.get('/stats', asyncErrorHandler(MarketController.getStats));
+
+module.exports = router;
@@ -12,6 +12,13 @@ router.get('/simulate', cacheForMortgage(), asyncErrorHandler(MortgageController
 
 // Rutas auxiliares con cache
 router.post('/compare', cacheForMortgage(), asyncErrorHandler(MortgageController.compareScenarios));
+router.post('/amortization', asyncErrorHandler(MortgageController.calculateAmortization));
+// Sin cache: el perfil del comprador (ingresos, deudas, ahorro) es información personal
+router.post('/affordability', asyncErrorHandler(MortgageController.calculateAffordability));
+router.post('/prepayment', asyncErrorHandler(MortgageController.analyzePrepayment));
+// Sin cache: incluye el saldo, tasa y plazo del crédito vigente del usuario
+router.post('/refinancing', asyncErrorHandler(MortgageController.analyzeRefinancing));
+router.get('/rates/history', asyncErrorHandler(MortgageController.getRateHistory));
 router.get('/info', asyncErrorHandler(MortgageController.getInfo));
 
 module.exports = router;
\ No newline at end of file
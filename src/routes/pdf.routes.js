@@ -4,6 +4,7 @@ const PDFController = require('../controllers/PDFController');
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 const pdfMiddleware = require('../middleware/pdfMiddleware');
 const { cacheForPDF } = require('../middleware/cacheMiddleware');
+const { requireFeature } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -58,6 +59,27 @@ router.post('/from-analysis',
     asyncErrorHandler(PDFController.generatePDFFromAnalysis)
 );
 
+/**
+ * POST /api/pdf/batch
+ * Generar hasta 10 PDFs desde datos pre-computados reutilizando un solo browser
+ *
+ * Requiere: ENTERPRISE tier (feature 'batch')
+ * Headers requeridos:
+ * - x-api-key: API key ENTERPRISE
+ *
+ * Body:
+ * - analysisDataArray: array de análisis (máximo 10)
+ * - options.concurrency: PDFs en paralelo (por defecto 2)
+ * - options.filenamePrefix | options.filenames: nombres de archivo
+ * - options.zip: true para recibir un único archivo ZIP (también ?format=zip)
+ * - options.includeBase64: incluir PDFs en base64 en la respuesta JSON
+ */
+router.post('/batch',
+    ...requireFeature('batch'),
+    pdfMiddleware.batch,
+    asyncErrorHandler(PDFController.generateBatchPDFs)
+);
+
 // =================================
 // RUTAS AUXILIARES
 // =================================
@@ -79,6 +101,7 @@ router.get('/health',
                 main: '/api/pdf/financial-report',
                 alias: '/api/pdf/generate-report',
                 optimized: '/api/pdf/from-analysis',
+                batch: '/api/pdf/batch',
                 testing: '/api/pdf/financial-report?url=...'
             }
         });
@@ -120,6 +143,11 @@ router.get('/info',
                     url: '/api/pdf/from-analysis',
                     description: 'Generar PDF desde datos pre-computados'
                 },
+                batch: {
+                    method: 'POST',
+                    url: '/api/pdf/batch',
+                    description: 'Generar hasta 10 PDFs en lote (ENTERPRISE, opcional ZIP)'
+                },
                 quickTest: {
                     method: 'GET',
                     url: '/api/pdf/financial-report?url=...',
@@ -127,9 +155,9 @@ router.get('/info',
                 }
             },
             rateLimit: {
-                requests: 5,
-                period: 'per hour',
-                remaining: res.get('X-PDF-RateLimit-Remaining') || 'N/A'
+                anonymous: '10 requests/1h por IP',
+                withApiKey: 'Límite del tier de la API key (header x-api-key)',
+                headers: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
             },
             timestamp: new Date().toISOString()
         });
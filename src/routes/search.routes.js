@@ -1,7 +1,10 @@
 // src/routes/search.routes.js
 const express = require('express');
 const SearchController = require('../controllers/SearchController');
+const SavedSearchController = require('../controllers/SavedSearchController');
 const { cacheForSearch } = require('../middleware/cacheMiddleware');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { validateApiKey } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
@@ -12,4 +15,45 @@ router.get('/properties', cacheForSearch(), SearchController.searchPropertiesGet
 // Rutas auxiliares
 router.get('/info', SearchController.getInfo);
 
+// ==========================================
+// BÚSQUEDAS GUARDADAS (por API key)
+// ==========================================
+
+/**
+ * GET /api/search/saved
+ * Búsquedas guardadas de la API key
+ *
+ * POST /api/search/saved
+ * Guardar búsqueda: mismos parámetros que POST /api/search/properties más
+ * {
+ *   "nombre": "Casas Las Condes",
+ *   "cron": "0 8 * * 1-5",
+ *   "webhook": { "url": "https://example.com/hooks/propiedades", "secret": "opcional" }
+ * }
+ */
+router.get('/saved', validateApiKey, asyncErrorHandler(SavedSearchController.listSearches));
+router.post('/saved', validateApiKey, asyncErrorHandler(SavedSearchController.createSearch));
+
+/**
+ * GET | PUT | DELETE /api/search/saved/:id
+ * PUT actualiza solo los campos enviados; cambiar parámetros de búsqueda reinicia la línea base
+ */
+router.get('/saved/:id', validateApiKey, asyncErrorHandler(SavedSearchController.getSearch));
+router.put('/saved/:id', validateApiKey, asyncErrorHandler(SavedSearchController.updateSearch));
+router.delete('/saved/:id', validateApiKey, asyncErrorHandler(SavedSearchController.deleteSearch));
+
+/**
+ * POST /api/search/saved/:id/run
+ * Ejecutar ahora y registrar cambios (409 si ya está en ejecución)
+ */
+router.post('/saved/:id/run', validateApiKey, asyncErrorHandler(SavedSearchController.runSearch));
+
+/**
+ * GET /api/search/saved/:id/changes
+ * Publicaciones nuevas, eliminadas y cambios de precio por ejecución (más recientes primero)
+ *
+ * Query opcional: limit (1-200, por defecto 50), desde (fecha ISO)
+ */
+router.get('/saved/:id/changes', validateApiKey, asyncErrorHandler(SavedSearchController.getChanges));
+
 module.exports = router;
\ No newline at end of file
@@ -21,6 +21,8 @@ const { logger, logInfo, logError } = require('./utils/logger');
 const { ErrorFactory, formatErrorResponse } = require('./utils/errors');
 const { errorHandler, notFoundHandler, uncaughtErrorHandler } = require('./middleware/errorHandler');
 const { setupRoutes } = require('./routes');
+const JobService = require('./services/jobs/JobService');
+const SavedSearchService = require('./services/search/SavedSearchService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -124,6 +126,12 @@ app.listen(PORT, () => {
     console.log('✅ Sistema de errores activado');
     console.log('✅ Middleware de errores activado');
 
+    // Worker de jobs asíncronos (retoma jobs encolados antes de un reinicio)
+    JobService.startWorker();
+
+    // Programador de búsquedas guardadas
+    SavedSearchService.startScheduler();
+
 });
 
 module.exports = app;
\ No newline at end of file
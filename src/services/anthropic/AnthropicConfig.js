@@ -40,7 +40,16 @@ const AnthropicConfig = {
             search: 60000,     // 60 segundos (aumentado)
             mortgage: 90000,   // 90 segundos (aumentado)
             claude: 90000      // 90 segundos para análisis real
-        }
+        },
+
+        // Etapas reportadas vía options.onProgress (jobs asíncronos y stream SSE)
+        progressStages: [
+            { name: 'scraping', label: 'Extracción de datos de la propiedad' },
+            { name: 'comparables', label: 'Búsqueda de propiedades comparables' },
+            { name: 'mortgage', label: 'Simulación hipotecaria CMF' },
+            { name: 'claude', label: 'Análisis con Claude' },
+            { name: 'report', label: 'Construcción del reporte final' }
+        ]
     },
 
     // Configuración de datos por defecto
@@ -48,7 +57,11 @@ const AnthropicConfig = {
         searchOptions: {
             maxPaginas: 2,
             maxComparables: 15, // Reducido para eficiencia
-            marketRadius: '2km'
+            marketRadius: '2km', // Radio de comparables alrededor de la propiedad (override: options.marketRadius)
+            minComparables: 3, // Si quedan menos dentro del radio, se completa con las más cercanas de fuera
+            // Portales consultados para comparables (override: options.comparablePortals)
+            portales: (process.env.COMPARABLES_PORTALS || 'portal_inmobiliario,mercadolibre,yapo,toctoc')
+                .split(',').map(p => p.trim()).filter(Boolean)
         },
 
         mortgageScenarios: [
@@ -78,11 +91,11 @@ const AnthropicConfig = {
 
         // Factores para análisis de riesgo
         riskFactors: {
+            // Nivel de la comuna según el percentil de su precio por m² (MarketStatsService)
             location: {
-                premium: ['Las Condes', 'Providencia', 'Vitacura', 'Lo Barnechea', 'Ñuñoa'],
-                good: ['La Reina', 'Peñalolén', 'Macul', 'Santiago Centro'],
-                moderate: ['Independencia', 'Recoleta', 'Quinta Normal', 'Conchalí'],
-                high: ['La Pintana', 'San Ramón', 'El Bosque', 'Pedro Aguirre Cerda']
+                percentiles: { premium: 75, good: 50, moderate: 25 },
+                plusvaliaPorNivel: { premium: 4.0, good: 3.5, moderate: 3.0, high: 3.0 }, // % anual sin tendencia observada
+                plusvaliaLimites: { min: -5.0, max: 12.0 } // % anual, tendencia observada
             },
 
             propertyTypes: {
@@ -8,6 +8,19 @@ const ScrapingService = require('../scraping/ScrapingService');
 const SearchService = require('../search/SearchService');
 const MortgageService = require('../mortgage/MortgageService');
 const AnthropicConfig = require('./AnthropicConfig');
+const IndicatorsService = require('../indicators/IndicatorsService');
+const AffordabilityService = require('../mortgage/AffordabilityService');
+const RateHistoryService = require('../mortgage/RateHistoryService');
+const InvestmentProjectionService = require('../investment/InvestmentProjectionService');
+const SensitivityAnalysisService = require('../investment/SensitivityAnalysisService');
+const MonteCarloService = require('../investment/MonteCarloService');
+const AssumptionsService = require('./AssumptionsService');
+const TaxService = require('../tax/TaxService');
+const ListingModel = require('../listings/ListingModel');
+const ListingHistoryService = require('../listings/ListingHistoryService');
+const MarketStatsService = require('../market/MarketStatsService');
+const GeocodingService = require('../geo/GeocodingService');
+const { parseRadiusKm } = require('../../utils/geo');
 
 /**
  * Servicio de orquestación e integración con Anthropic Claude - VERSION REAL
@@ -42,10 +55,14 @@ class AnthropicService {
             // 3. ORQUESTAR FLUJO DE SERVICIOS - ACTUALIZADO CON VALIDACIÓN DE MONTO
             const orchestrationStart = Date.now();
 
+            // PASO 3-0: Valor UF de la fecha del reporte (hoy o fechaReferencia para recálculos históricos)
+            const indicadorUF = await IndicatorsService.getUFSafely(options.fechaReferencia || null);
+            const valorUF = indicadorUF.valor;
+
             // PASO 3A: Obtener datos de propiedad PRIMERO (necesarios para validaciones)
             logInfo('📊 Paso 1: Obteniendo datos de propiedad para validaciones');
             const propertyDataResult = await Promise.allSettled([
-                this.getPropertyData(propertyUrl)
+                this.trackStage(options, 'scraping', () => this.getPropertyData(propertyUrl), { fallbackOnError: true })
             ]);
 
             // Extraer datos de propiedad para usar en siguientes pasos
@@ -53,7 +70,8 @@ class AnthropicService {
             if (propertyDataResult[0].status === 'fulfilled') {
                 scrapedPropertyData = propertyDataResult[0].value;
                 logInfo('✅ Datos de propiedad obtenidos para validaciones', {
-                    precio_uf: scrapedPropertyData?.precio_uf,
+                    id: scrapedPropertyData?.id,
+                    precio: scrapedPropertyData?.precio,
                     dormitorios: scrapedPropertyData?.dormitorios,
                     banos: scrapedPropertyData?.banos,
                     superficie: scrapedPropertyData?.superficie
@@ -70,8 +88,8 @@ class AnthropicService {
                 comparableProperties,
                 mortgageAnalysis
             ] = await Promise.allSettled([
-                this.getComparableProperties(propertyUrl, options, scrapedPropertyData),
-                this.getMortgageAnalysis(options.propertyPrice || null, scrapedPropertyData)
+                this.trackStage(options, 'comparables', () => this.getComparableProperties(propertyUrl, options, scrapedPropertyData), { fallbackOnError: true }),
+                this.trackStage(options, 'mortgage', () => this.getMortgageAnalysis(options.propertyPrice || null, scrapedPropertyData, valorUF), { fallbackOnError: true })
             ]);
 
             const orchestrationTime = Date.now() - orchestrationStart;
@@ -85,15 +103,32 @@ class AnthropicService {
                 comparableProperties,
                 mortgageAnalysis
             });
+            orchestrationData.indicadores = { uf: indicadorUF };
+            if (options.taxProfile) {
+                orchestrationData.indicadores.utm = await IndicatorsService.getIndicatorSafely('utm', options.fechaReferencia || null);
+            }
+
+            // Días en mercado y rebajas de la publicación (argumentos de negociación)
+            orchestrationData.marketHistory = await ListingHistoryService.getNegotiationLeverageSafely(scrapedPropertyData?.id);
+
+            // Precio por m², yield implícito, nivel y plusvalía observados en la comuna
+            orchestrationData.marketStats = await MarketStatsService.getLocationProfileSafely(scrapedPropertyData?.ubicacion, {
+                tipo: MarketStatsService.inferType(scrapedPropertyData)
+            });
+
+            // Las etapas anteriores absorben sus errores: no llamar a Claude si el reporte fue cancelado
+            this.throwIfAborted(options);
 
             // 5. ✅ CORREGIDO: Preparar datos para Claude con estructura corregida
             const claudeInputData = this.prepareDataForClaude(orchestrationData, options);
 
             // 6. ✅ CORREGIDO: Generar análisis con Claude API 
-            const claudeAnalysis = await this.generateClaudeAnalysis(claudeInputData);
+            const claudeAnalysis = await this.trackStage(options, 'claude', () => this.generateClaudeAnalysis(claudeInputData, { signal: options.signal }), {
+                isFallback: (analysis) => !analysis?.success || analysis?.metadata?.fallbackUsed === true
+            });
 
             // 7. ✅ CORREGIDO: Construir respuesta final con nueva estructura
-            const finalReport = this.buildFinalReport(orchestrationData, claudeAnalysis, options);
+            const finalReport = await this.trackStage(options, 'report', () => this.buildFinalReport(orchestrationData, claudeAnalysis, options));
 
             const totalTime = Date.now() - (options.startTime || Date.now());
             logInfo('✅ Reporte financiero generado exitosamente', {
@@ -111,6 +146,131 @@ class AnthropicService {
         }
     }
 
+    /**
+     * Ejecutar una etapa del reporte notificando su progreso (options.onProgress, usado por jobs y SSE)
+     *
+     * Eventos: { stage, status: running | completed | fallback | failed, data?, error? }
+     * - fallbackOnError: la orquestación continúa sin esta etapa, se reporta como fallback
+     * - isFallback(result): la etapa terminó pero con datos de respaldo
+     * Si options.signal fue abortado (timeout del job) la etapa no se inicia.
+     */
+    static async trackStage(options, stage, task, { fallbackOnError = false, isFallback = null } = {}) {
+        this.throwIfAborted(options);
+        this.reportProgress(options, { stage, status: 'running' });
+
+        try {
+            const result = await task();
+            const status = isFallback && isFallback(result) ? 'fallback' : 'completed';
+            this.reportProgress(options, { stage, status, data: this.buildStageSummary(stage, result) });
+            return result;
+        } catch (error) {
+            this.reportProgress(options, {
+                stage,
+                status: fallbackOnError ? 'fallback' : 'failed',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    static throwIfAborted(options) {
+        if (options?.signal?.aborted) {
+            throw options.signal.reason || new Error('Reporte cancelado');
+        }
+    }
+
+    static reportProgress(options, event) {
+        if (typeof options?.onProgress !== 'function' || options.signal?.aborted) {
+            return;
+        }
+
+        try {
+            options.onProgress(event);
+        } catch (error) {
+            logWarn('⚠️ Error notificando progreso del reporte', { stage: event.stage, error: error.message });
+        }
+    }
+
+    /**
+     * Resultado parcial de cada etapa para mostrar al usuario antes del reporte final
+     */
+    static buildStageSummary(stage, result) {
+        if (!result) {
+            return null;
+        }
+
+        switch (stage) {
+            case 'scraping': {
+                const propiedad = ListingModel.toLegacy(result);
+                return {
+                    id: result.id || null,
+                    titulo: propiedad.titulo,
+                    precio_uf: propiedad.precio_uf,
+                    precio_clp: propiedad.precio_clp,
+                    ubicacion: propiedad.ubicacion,
+                    dormitorios: propiedad.dormitorios,
+                    banos: propiedad.banos,
+                    superficie: propiedad.superficie,
+                    imagen: result.imagen || null,
+                    link: propiedad.link
+                };
+            }
+
+            case 'comparables':
+                return {
+                    total: result.properties?.length || 0,
+                    totalEncontradas: result.metadata?.originalTotal ?? result.properties?.length ?? 0,
+                    ubicacionBuscada: result.metadata?.locationMapping?.searchLocation || null,
+                    porPortal: Object.fromEntries(
+                        Object.entries(result.metadata?.porPortal || {}).map(([portal, info]) => [portal, info.incluidas])
+                    ),
+                    duplicadosEliminados: result.metadata?.deduplicacion?.duplicadosEliminados || 0
+                };
+
+            case 'mortgage': {
+                const escenarios = result.escenarios || [];
+                const bancos = new Set();
+                escenarios.forEach(esc => (esc.resultado?.bancos || []).forEach(b => bancos.add(b.banco)));
+
+                return {
+                    escenarios: escenarios.length,
+                    escenariosConError: escenarios.filter(esc => esc.error).length,
+                    bancosEncontrados: bancos.size,
+                    bancos: Array.from(bancos),
+                    motorLocal: escenarios.some(esc => esc.resultado?.fuente === 'motor_local'),
+                    mejoresOfertas: escenarios
+                        .filter(esc => esc.resumen?.mejorOferta)
+                        .map(esc => ({ escenario: esc.escenario?.etiqueta, ...esc.resumen.mejorOferta }))
+                };
+            }
+
+            case 'claude':
+                return {
+                    proveedor: result.metadata?.provider || null,
+                    modelo: result.metadata?.model || null,
+                    fallbackUsed: !result.success || result.metadata?.fallbackUsed === true,
+                    tokens: result.metadata?.usage || null,
+                    tiempoProcesamiento: result.metadata?.processingTime || null
+                };
+
+            case 'report':
+                return {
+                    claudeAnalysisUsed: result.metadata?.claudeAnalysisUsed ?? null,
+                    dataQuality: result.metadata?.dataQuality ?? null,
+                    fallbacksUsed: result.metadata?.fallbacksUsed || null,
+                    metricas: result.metrics?.financial ? {
+                        flujoCajaMensual: result.metrics.financial.flujoCajaMensual,
+                        yieldBruto: result.metrics.financial.yieldBruto,
+                        yieldNeto: result.metrics.financial.yieldNeto,
+                        capRate: result.metrics.financial.capRate
+                    } : null
+                };
+
+            default:
+                return null;
+        }
+    }
+
     // ✅ MANTENER TODOS: Métodos de validación y orquestación existentes
     static async validatePropertyUrl(url) {
         try {
@@ -173,20 +333,26 @@ class AnthropicService {
      * ✅ NUEVO: Calcular gastos operacionales MENSUALES (recurrentes)
      * Solo gastos que se pagan CADA MES durante la operación
      */
-    static calculateMonthlyOperationalExpenses(valorPropiedadPesos, arriendoEstimado, usaCorretor = false, incluyeGastosComunes = false) {
+    /**
+     * @param {Object} [supuestos] - Reemplazos parciales de AssumptionsService (contribucionesPctAnual, vacanciaPct, ...)
+     */
+    static calculateMonthlyOperationalExpenses(valorPropiedadPesos, arriendoEstimado, usaCorretor = false, incluyeGastosComunes = false, valorUF = null, supuestos = {}) {
         try {
             logInfo('📊 Calculando gastos operacionales MENSUALES recurrentes');
 
-            const precioUF = 39250;
+            const precioUF = valorUF || this.getCurrentUFValue();
+            const s = { ...AssumptionsService.getDefaults(), ...supuestos };
+            const usaAdministracion = supuestos.usaAdministracion ?? usaCorretor;
+            const pagaGastosComunes = supuestos.propietarioPagaGastosComunes ?? incluyeGastosComunes;
 
-            // ✅ GASTOS QUE SE PAGAN CADA MES
-            const contribuciones = Math.round((valorPropiedadPesos * 0.001148) / 12); // 1.148% anual / 12
-            const mantenciones = Math.round((precioUF * 4) / 12); // UF 4 anuales / 12
-            const comisionAdministracion = usaCorretor ? Math.round(arriendoEstimado * 0.08) : 0; // 8% si usa corredor
-            const vacancia = Math.round(arriendoEstimado * 0.05); // 5% provisión vacancia
-            const seguroPropiedad = Math.round((precioUF * 1.2) / 12); // UF 1.2 anuales / 12
-            const gastosComunes = incluyeGastosComunes ? 80000 : 0; // Solo si propietario los paga
-            const fondoReparaciones = 50000; // Provisión emergencias
+            // ✅ GASTOS QUE SE PAGAN CADA MES (por defecto: 1.148% anual, UF 4, 8%, 5%, UF 1.2, $80.000, $50.000)
+            const contribuciones = Math.round((valorPropiedadPesos * s.contribucionesPctAnual / 100) / 12);
+            const mantenciones = Math.round((precioUF * s.mantencionUFAnual) / 12);
+            const comisionAdministracion = usaAdministracion ? Math.round(arriendoEstimado * s.administracionPct / 100) : 0;
+            const vacancia = Math.round(arriendoEstimado * s.vacanciaPct / 100);
+            const seguroPropiedad = Math.round((precioUF * s.seguroUFAnual) / 12);
+            const gastosComunes = pagaGastosComunes ? s.gastosComunesMensual : 0; // Solo si propietario los paga
+            const fondoReparaciones = s.fondoReparacionesMensual; // Provisión emergencias
 
             const totalMensual = contribuciones + mantenciones + comisionAdministracion +
                 vacancia + seguroPropiedad + gastosComunes + fondoReparaciones;
@@ -197,49 +363,49 @@ class AnthropicService {
                     contribuciones: {
                         valor: contribuciones,
                         descripcion: 'Contribuciones territoriales (prorrateadas)',
-                        calculo: '1.148% anual del avalúo / 12',
+                        calculo: `${s.contribucionesPctAnual}% anual del avalúo / 12`,
                         tipoGasto: 'MENSUAL',
                         frecuencia: 'Trimestral (prorrateado)'
                     },
                     mantenciones: {
                         valor: mantenciones,
                         descripcion: 'Mantenciones y reparaciones menores',
-                        calculo: 'UF 4 anuales / 12 meses',
+                        calculo: `UF ${s.mantencionUFAnual} anuales / 12 meses`,
                         tipoGasto: 'MENSUAL',
                         frecuencia: 'Según necesidad'
                     },
                     comisionAdministracion: {
                         valor: comisionAdministracion,
                         descripcion: 'Comisión administración inmobiliaria',
-                        calculo: usaCorretor ? '8% del arriendo mensual' : 'No aplica',
+                        calculo: usaAdministracion ? `${s.administracionPct}% del arriendo mensual` : 'No aplica',
                         tipoGasto: 'MENSUAL',
-                        aplicaSolo: usaCorretor ? 'Con corredor' : 'Autogestión'
+                        aplicaSolo: usaAdministracion ? 'Con corredor' : 'Autogestión'
                     },
                     vacancia: {
                         valor: vacancia,
                         descripcion: 'Provisión por períodos de vacancia',
-                        calculo: '5% del arriendo (provisión)',
+                        calculo: `${s.vacanciaPct}% del arriendo (provisión)`,
                         tipoGasto: 'MENSUAL',
                         frecuencia: 'Provisión continua'
                     },
                     seguroPropiedad: {
                         valor: seguroPropiedad,
                         descripcion: 'Seguro contra incendio y sismo',
-                        calculo: 'UF 1.2 anuales / 12 meses',
+                        calculo: `UF ${s.seguroUFAnual} anuales / 12 meses`,
                         tipoGasto: 'MENSUAL',
                         frecuencia: 'Anual (prorrateado)'
                     },
                     gastosComunes: {
                         valor: gastosComunes,
                         descripcion: 'Gastos comunes del edificio',
-                        calculo: incluyeGastosComunes ? 'Estimado $80,000' : 'No aplica',
+                        calculo: pagaGastosComunes ? `Estimado ${this.formatCurrency(s.gastosComunesMensual)}` : 'No aplica',
                         tipoGasto: 'MENSUAL',
-                        aplicaSolo: incluyeGastosComunes ? 'Propietario paga' : 'Arrendatario paga'
+                        aplicaSolo: pagaGastosComunes ? 'Propietario paga' : 'Arrendatario paga'
                     },
                     fondoReparaciones: {
                         valor: fondoReparaciones,
                         descripcion: 'Fondo para reparaciones e imprevistos',
-                        calculo: 'Provisión fija $50,000',
+                        calculo: `Provisión fija ${this.formatCurrency(s.fondoReparacionesMensual)}`,
                         tipoGasto: 'MENSUAL',
                         frecuencia: 'Provisión continua'
                     }
@@ -249,8 +415,8 @@ class AnthropicService {
             logInfo('💰 Gastos operacionales MENSUALES calculados', {
                 totalMensual: this.formatCurrency(totalMensual),
                 contribuciones: this.formatCurrency(contribuciones),
-                usaCorretor,
-                incluyeGastosComunes
+                usaCorretor: usaAdministracion,
+                incluyeGastosComunes: pagaGastosComunes
             });
 
             return desglose;
@@ -277,8 +443,9 @@ class AnthropicService {
             }
 
             logInfo('✅ Datos de propiedad obtenidos', {
+                id: scrapingResult.data.id,
                 titulo: scrapingResult.data.titulo?.substring(0, 50) + '...',
-                precio: scrapingResult.data.precio_uf,
+                precio: scrapingResult.data.precio,
                 ubicacion: scrapingResult.data.ubicacion?.substring(0, 30) + '...'
             });
 
@@ -404,21 +571,26 @@ class AnthropicService {
                 scrapingDuplicadoEliminado: true
             });
 
-            // ✅ 4. EJECUTAR BÚSQUEDA CON PARÁMETROS CORREGIDOS
-            const searchResult = await SearchService.searchProperties(
+            // ✅ 4. EJECUTAR BÚSQUEDA EN TODOS LOS PORTALES (resultados de-duplicados)
+            const searchResult = await SearchService.searchPropertiesMultiPortal(
                 searchParams.tipo,
                 searchParams.operacion,
                 searchParams.ubicacion,  // ✅ Ahora usa ubicación real GARANTIZADA
                 maxPaginas,
                 searchParams.filtrosPrecio,
-                filtrosValidados
+                filtrosValidados,
+                options.comparablePortals || AnthropicConfig.defaults.searchOptions.portales
             );
 
             if (!searchResult.success) {
                 throw new Error('Error en búsqueda de propiedades comparables');
             }
 
-            const limitedProperties = searchResult.data.slice(0, AnthropicConfig.defaults.searchOptions.maxComparables);
+            // ✅ 5. FILTRAR Y ORDENAR POR DISTANCIA A LA PROPIEDAD (marketRadius)
+            const { comparables, geo } = this.rankComparablesByDistance(searchResult.data, propertyData, options);
+
+            const limitedProperties = comparables.slice(0, AnthropicConfig.defaults.searchOptions.maxComparables);
+            const porPortal = this.buildComparablesSourceSummary(searchResult.metadata.portales, limitedProperties);
 
             logInfo('✅ Propiedades comparables obtenidas con ubicación REAL GARANTIZADA', {
                 total: searchResult.data.length,
@@ -427,6 +599,10 @@ class AnthropicService {
                 ubicacionOriginal: propertyData.ubicacion,
                 operacion: searchParams.operacion,
                 filtrosAplicados: Object.keys(filtrosValidados || {}),
+                porPortal,
+                radioKm: geo.radioKm ?? null,
+                dentroDelRadio: geo.dentroDelArea ?? null,
+                duplicadosEliminados: searchResult.metadata.deduplicacion.duplicadosEliminados,
                 locationConsistency: verificacion.isConsistent ? 'CONSISTENTE' : 'CORREGIDA_AUTOMATICAMENTE'
             });
 
@@ -434,9 +610,11 @@ class AnthropicService {
                 properties: limitedProperties,
                 metadata: {
                     ...searchResult.metadata,
+                    porPortal,
                     limitedTo: limitedProperties.length,
                     originalTotal: searchResult.data.length,
                     filtrosValidados,
+                    geo,
                     basadoEnDatosReales: true, // ✅ Siempre true
                     // ✅ METADATA: Confirmación de ubicación real usada
                     locationMapping: {
@@ -457,6 +635,74 @@ class AnthropicService {
         }
     }
 
+    /**
+     * Comparables dentro de marketRadius, ordenados por distancia a la propiedad
+     * Si la propiedad no se puede ubicar, o ninguna comparable está ubicada con más precisión que
+     * su comuna, se mantiene el orden de la búsqueda (comuna completa, hasta maxComparables).
+     * @returns {{ comparables: Array, geo: Object }} geo: resumen de GeocodingService.applyGeoFilter o { aplicado: false, motivo }
+     */
+    static rankComparablesByDistance(comparables, propertyData, options = {}) {
+        const { marketRadius, minComparables } = AnthropicConfig.defaults.searchOptions;
+        const centro = propertyData.geo || GeocodingService.geocodeListing(propertyData);
+
+        if (!centro) {
+            logWarn('⚠️ Propiedad sin ubicación geográfica, comparables sin filtro por distancia', {
+                ubicacion: propertyData.ubicacion
+            });
+            return {
+                comparables,
+                geo: { aplicado: false, motivo: `No se pudo ubicar "${propertyData.ubicacion}" en el gazetteer` }
+            };
+        }
+
+        const radioKm = parseRadiusKm(options.marketRadius || marketRadius, 'marketRadius');
+
+        if (!comparables.some(comparable => comparable.geo && comparable.geo.precision !== 'comuna')) {
+            logWarn('⚠️ Comparables ubicadas solo por comuna, sin filtro por distancia', {
+                ubicacion: propertyData.ubicacion,
+                comparables: comparables.length
+            });
+            return {
+                comparables,
+                geo: {
+                    aplicado: false,
+                    radioKm,
+                    motivo: 'Ninguna comparable tiene coordenadas del portal ni sector conocido; las distancias al centro de la comuna no sirven para filtrar por radio'
+                }
+            };
+        }
+
+        const { publicaciones, resumen } = GeocodingService.applyGeoFilter(
+            comparables,
+            { centro, radioKm, poligonos: null },
+            { minimo: minComparables }
+        );
+
+        return { comparables: publicaciones, geo: { aplicado: true, ...resumen } };
+    }
+
+    /**
+     * Conteo por portal: encontradas en la búsqueda e incluidas en el reporte
+     * (una propiedad publicada en varios portales se cuenta en cada uno de sus `fuentes`)
+     */
+    static buildComparablesSourceSummary(portales = {}, comparables = []) {
+        const resumen = {};
+
+        for (const [portal, info] of Object.entries(portales)) {
+            resumen[portal] = {
+                encontradas: info.encontradas,
+                incluidas: comparables.filter(c => c.portal === portal).length,
+                publicadasTambienEn: comparables.filter(c =>
+                    c.portal !== portal && (c.fuentes || []).some(f => f.portal === portal)
+                ).length,
+                estado: info.estado,
+                error: info.error
+            };
+        }
+
+        return resumen;
+    }
+
     /**
      * ✅ NUEVO MÉTODO: Verificador de consistencia de ubicación
      */
@@ -513,63 +759,34 @@ class AnthropicService {
             return null;
         }
 
-        // ✅ CORREGIDO: Usar extractPropertyNumber para dormitorios
-        if (propertyData.dormitorios && propertyData.dormitorios !== 'No disponible') {
-            const dormitoriosNum = this.extractPropertyNumber(propertyData.dormitorios);
-            if (dormitoriosNum && dormitoriosNum > 0) {
-                filtrosValidados.dormitorios = {
-                    minimo: dormitoriosNum
-                };
-                logInfo(`✅ Filtro dormitorios validado: ${dormitoriosNum} (minimo: ${filtrosValidados.dormitorios.minimo})`);
-            } else {
-                logWarn(`⚠️ No se pudo extraer número de dormitorios desde: "${propertyData.dormitorios}"`);
-            }
+        // Publicación normalizada (ListingModel): dormitorios, baños, superficie y estacionamientos numéricos
+        if (propertyData.dormitorios > 0) {
+            filtrosValidados.dormitorios = {
+                minimo: propertyData.dormitorios
+            };
+            logInfo(`✅ Filtro dormitorios validado: ${propertyData.dormitorios} (minimo: ${filtrosValidados.dormitorios.minimo})`);
         }
 
-        // ✅ CORREGIDO: Usar extractPropertyNumber para baños
-        if (propertyData.banos && propertyData.banos !== 'No disponible') {
-            const banosNum = this.extractPropertyNumber(propertyData.banos);
-            if (banosNum && banosNum > 0) {
-                filtrosValidados.banos = {
-                    minimo: banosNum
-                };
-                logInfo(`✅ Filtro baños validado: ${banosNum} (minimo: ${filtrosValidados.banos.minimo})`);
-            } else {
-                logWarn(`⚠️ No se pudo extraer número de baños desde: "${propertyData.banos}"`);
-            }
+        if (propertyData.banos > 0) {
+            filtrosValidados.banos = {
+                minimo: propertyData.banos
+            };
+            logInfo(`✅ Filtro baños validado: ${propertyData.banos} (minimo: ${filtrosValidados.banos.minimo})`);
         }
 
-        // ✅ CORREGIDO: Usar extractPropertyNumber para superficie
-        if (propertyData.superficie && propertyData.superficie !== 'No disponible') {
-            const superficieNum = this.extractPropertyNumber(propertyData.superficie);
-            if (superficieNum && superficieNum > 0) {
-                filtrosValidados.superficieTotal = {
-                    minimo: superficieNum
-                };
-                logInfo(`✅ Filtro superficieTotal validado: ${superficieNum}m² (minimo: ${filtrosValidados.superficieTotal.minimo}m²)`);
-            } else {
-                logWarn(`⚠️ No se pudo extraer superficie desde: "${propertyData.superficie}"`);
-            }
+        const superficieNum = propertyData.superficie?.totalM2 ?? propertyData.superficie?.utilM2;
+        if (superficieNum > 0) {
+            filtrosValidados.superficieTotal = {
+                minimo: superficieNum
+            };
+            logInfo(`✅ Filtro superficieTotal validado: ${superficieNum}m² (minimo: ${filtrosValidados.superficieTotal.minimo}m²)`);
         }
 
-        // ✅ MANTENER: extractNumericValue para estacionamientos (suele venir limpio)
-        if (propertyData.caracteristicas?.estacionamientos &&
-            propertyData.caracteristicas.estacionamientos !== 'No disponible') {
-
-            // Intentar primero extractPropertyNumber, luego extractNumericValue
-            let estacionamientosNum = this.extractPropertyNumber(propertyData.caracteristicas.estacionamientos);
-            if (estacionamientosNum === null) {
-                estacionamientosNum = this.extractNumericValue(propertyData.caracteristicas.estacionamientos);
-            }
-
-            if (estacionamientosNum !== null && estacionamientosNum >= 0) {
-                filtrosValidados.estacionamientos = {
-                    minimo: estacionamientosNum
-                };
-                logInfo(`✅ Filtro estacionamientos validado: ${estacionamientosNum} (minimo: ${filtrosValidados.estacionamientos.minimo})`);
-            } else {
-                logWarn(`⚠️ No se pudo extraer número de estacionamientos desde: "${propertyData.caracteristicas.estacionamientos}"`);
-            }
+        if (Number.isFinite(propertyData.estacionamientos) && propertyData.estacionamientos >= 0) {
+            filtrosValidados.estacionamientos = {
+                minimo: propertyData.estacionamientos
+            };
+            logInfo(`✅ Filtro estacionamientos validado: ${propertyData.estacionamientos} (minimo: ${filtrosValidados.estacionamientos.minimo})`);
         }
 
         const filtrosCount = Object.keys(filtrosValidados).length;
@@ -578,7 +795,8 @@ class AnthropicService {
                 dormitorios: propertyData.dormitorios,
                 banos: propertyData.banos,
                 superficie: propertyData.superficie,
-                estacionamientos: propertyData.caracteristicas?.estacionamientos
+                estacionamientos: propertyData.estacionamientos,
+                raw: propertyData.raw
             });
             return null;
         }
@@ -653,14 +871,14 @@ class AnthropicService {
     }
 
     // ✅ MANTENER: Todos los métodos de mortgage analysis
-    static async getMortgageAnalysis(propertyPrice, propertyData = null) {
+    static async getMortgageAnalysis(propertyPrice, propertyData = null, valorUF = null) {
         try {
             logInfo('💰 Generando análisis hipotecario con validación de monto', {
                 propertyPrice,
                 hasPropertyData: !!propertyData
             });
 
-            const montoValidado = this.validateAndExtractMortgageAmount(propertyPrice, propertyData);
+            const montoValidado = this.validateAndExtractMortgageAmount(propertyPrice, propertyData, valorUF);
 
             if (!montoValidado.isValid) {
                 logWarn('⚠️ No se pudo obtener monto válido para hipoteca', {
@@ -705,6 +923,8 @@ class AnthropicService {
                     total + (esc.resultado?.bancos?.length || 0), 0)
             });
 
+            mortgageResult.comparacion.contextoHistorico = await this.getRateHistoryContext(mortgageResult.comparacion, montoUF);
+
             return mortgageResult.comparacion;
 
         } catch (error) {
@@ -717,17 +937,43 @@ class AnthropicService {
     }
 
 
-    static validateAndExtractMortgageAmount(propertyPrice, propertyData = null) {
-        // Validar desde datos de scraping PRIMERO
-        if (propertyData && propertyData.precio_uf && propertyData.precio_uf !== 'No disponible') {
-            const montoFromScraping = this.parseChileanNumber(propertyData.precio_uf, 'UF');
+    /**
+     * Mejor tasa actual (escenario 30 años o el primero con ofertas) frente al historial registrado
+     * del mismo producto (una mixta o variable no se califica contra tasas fijas, ni un mutuo endosable contra uno no endosable)
+     */
+    static async getRateHistoryContext(comparacion, montoUF) {
+        try {
+            const escenarios = (comparacion?.escenarios || []).filter(esc => esc.resultado?.bancos?.length > 0);
+            const escenario = escenarios.find(esc => esc.escenario.plazo === 30) || escenarios[0];
+            const tasa = AffordabilityService.parseRate(escenario?.resultado?.bancos[0]?.tasaCredito);
+
+            if (!escenario || tasa === null) {
+                return null;
+            }
+
+            return await RateHistoryService.assessRate(tasa, {
+                plazo: escenario.escenario.plazo,
+                monto: montoUF,
+                tipoCredito: escenario.escenario.producto?.tipoCredito || null,
+                tipoTasa: escenario.escenario.producto?.tipoTasa || null
+            });
+        } catch (error) {
+            logWarn('⚠️ No se pudo contrastar la tasa con el historial', { error: error.message });
+            return null;
+        }
+    }
+
+    static validateAndExtractMortgageAmount(propertyPrice, propertyData = null, valorUF = null) {
+        // Validar desde datos de scraping PRIMERO (publicación normalizada: precio.uf numérico)
+        if (propertyData?.precio?.uf > 0) {
+            const montoFromScraping = propertyData.precio.uf;
             if (montoFromScraping && montoFromScraping > 0) {
                 if (montoFromScraping >= 100 && montoFromScraping <= 20000) {
                     return {
                         isValid: true,
                         amount: Math.round(montoFromScraping),
-                        source: 'scraping_precio_uf',
-                        originalValue: propertyData.precio_uf
+                        source: propertyData.precio.calculado === 'uf' ? 'scraping_precio_clp_converted' : 'scraping_precio_uf',
+                        originalValue: propertyData.raw?.precio_uf ?? montoFromScraping
                     };
                 } else {
                     logWarn('⚠️ Precio UF del scraping fuera de rango CMF', {
@@ -758,21 +1004,23 @@ class AnthropicService {
             }
         }
 
-        // Conversión desde CLP como respaldo
-        if (propertyData && propertyData.precio_clp && propertyData.precio_clp !== 'No disponible') {
-            const precioCLP = this.parseChileanNumber(propertyData.precio_clp);
+        // Conversión desde CLP como respaldo (publicación sin UF del día al normalizar)
+        if (propertyData?.precio?.clp > 0 && !(propertyData.precio.uf > 0)) {
+            const precioCLP = propertyData.precio.clp;
             if (precioCLP && precioCLP > 0) {
-                const ufAproximado = Math.round(precioCLP / 39500);
+                const valorUFConversion = valorUF || this.getCurrentUFValue();
+                const ufAproximado = Math.round(precioCLP / valorUFConversion);
                 if (ufAproximado >= 100 && ufAproximado <= 20000) {
                     logInfo('💡 Monto calculado desde precio CLP', {
                         precio_clp: precioCLP,
+                        valor_uf: valorUFConversion,
                         uf_calculado: ufAproximado
                     });
                     return {
                         isValid: true,
                         amount: ufAproximado,
                         source: 'scraping_precio_clp_converted',
-                        originalValue: propertyData.precio_clp
+                        originalValue: propertyData.raw?.precio_clp ?? precioCLP
                     };
                 }
             }
@@ -1440,21 +1688,48 @@ class AnthropicService {
     static prepareDataForClaude(orchestrationData, options = {}) {
         logInfo('🧠 Preparando datos para análisis con Claude');
 
+        // El prompt usa los textos publicados (formato legacy de ListingModel)
+        const propiedad = ListingModel.toLegacy(orchestrationData.property);
+
         // ✅ NUEVA ESTRUCTURA: Mapeo correcto para el nuevo prompt
         return {
-            propertyInfo: orchestrationData.property ? {
-                titulo: orchestrationData.property.titulo,
-                precio_uf: orchestrationData.property.precio_uf,
-                precio_clp: orchestrationData.property.precio_clp,
-                ubicacion: orchestrationData.property.ubicacion,
-                dormitorios: orchestrationData.property.dormitorios,
-                banos: orchestrationData.property.banos,
-                superficie: orchestrationData.property.superficie,
-                descripcion: orchestrationData.property.descripcion,
-                caracteristicas: orchestrationData.property.caracteristicas
+            indicadores: orchestrationData.indicadores || null,
+
+            propertyInfo: propiedad ? {
+                titulo: propiedad.titulo,
+                precio_uf: propiedad.precio_uf,
+                precio_clp: propiedad.precio_clp,
+                ubicacion: propiedad.ubicacion,
+                dormitorios: propiedad.dormitorios,
+                banos: propiedad.banos,
+                superficie: propiedad.superficie,
+                descripcion: propiedad.descripcion,
+                caracteristicas: propiedad.caracteristicas
             } : null,
 
-            marketComparison: orchestrationData.comparables?.properties || [],
+            marketComparison: (orchestrationData.comparables?.properties || []).map(comparable => ListingModel.toLegacy(comparable)),
+
+            historialPublicacion: orchestrationData.marketHistory ? {
+                diasEnMercado: orchestrationData.marketHistory.diasEnMercado,
+                primeraVez: orchestrationData.marketHistory.primeraVez,
+                precioInicial: orchestrationData.marketHistory.precioInicial,
+                precioActual: orchestrationData.marketHistory.precioActual,
+                rebajas: orchestrationData.marketHistory.rebajas,
+                variacionDesdeInicio: orchestrationData.marketHistory.variacionDesdeInicio,
+                argumentosNegociacion: orchestrationData.marketHistory.argumentosNegociacion
+            } : null,
+
+            estadisticasMercado: orchestrationData.marketStats ? {
+                comuna: orchestrationData.marketStats.comuna,
+                tipo: orchestrationData.marketStats.tipo,
+                nivel: orchestrationData.marketStats.nivel,
+                medianaPrecioM2UF: orchestrationData.marketStats.medianaPrecioM2UF,
+                medianaArriendoM2UF: orchestrationData.marketStats.medianaArriendoM2UF,
+                yieldBrutoImplicito: orchestrationData.marketStats.yieldBrutoImplicito,
+                inventario: orchestrationData.marketStats.inventario,
+                plusvaliaAnual: orchestrationData.marketStats.plusvaliaAnual,
+                nota: orchestrationData.marketStats.nota
+            } : null,
 
             mortgageAnalysis: orchestrationData.mortgage ? {
                 escenarios: orchestrationData.mortgage.escenarios,
@@ -1547,10 +1822,8 @@ class AnthropicService {
         }
 
         const prices = comparables
-            .map(c => c.precio_uf)
-            .filter(p => p && p !== 'No disponible')
-            .map(p => parseFloat(String(p).replace(/[^\d.,]/g, '').replace(',', '.')))
-            .filter(p => !isNaN(p));
+            .map(c => c.precio?.uf)
+            .filter(p => Number.isFinite(p) && p > 0);
 
         if (prices.length === 0) {
             return { analysis: 'Precios no disponibles para análisis' };
@@ -1569,6 +1842,185 @@ class AnthropicService {
         };
     }
 
+    /**
+     * Proyección multianual con la mejor tasa del escenario a 30 años (o el primero con ofertas)
+     * y la plusvalía observada en la comuna (MarketStatsService)
+     */
+    static buildInvestmentProjection({ mortgageData, options = {}, marketStats = null, ...datos }) {
+        const escenarios = (mortgageData?.escenarios || []).filter(esc => esc.resultado?.bancos?.length > 0);
+        const escenario = escenarios.find(esc => esc.escenario.plazo === 30) || escenarios[0];
+        const tasaCredito = AffordabilityService.parseRate(escenario?.resultado?.bancos[0]?.tasaCredito);
+
+        const projection = InvestmentProjectionService.project({
+            ...datos,
+            tasaCredito: tasaCredito ?? undefined,
+            plazoCreditoAnios: escenario?.escenario.plazo,
+            plusvaliaAnual: this.estimatePlusvalia(marketStats),
+            horizonteAnios: options.projectionYears || undefined,
+            tasaDescuento: options.discountRate ?? undefined
+        });
+
+        logInfo('📈 Proyección multianual calculada', {
+            horizonteAnios: projection.parametros.horizonteAnios,
+            tir: projection.indicadores.tir,
+            van: projection.indicadores.van,
+            fuenteTasa: tasaCredito !== null ? 'cmf' : 'supuesto_por_defecto'
+        });
+
+        return projection;
+    }
+
+    /**
+     * Sensibilidad de flujo de caja, yield neto y TIR sobre los mismos supuestos de la proyección;
+     * cada punto se recalcula con calculateFinancialMetrics
+     */
+    static buildSensitivityAnalysis({ orchestrationData, mortgageData, gastosUnicos, supuestosGastos = {}, valorUF, realMetrics, projection }) {
+        const parametros = projection.parametros;
+        const composicion = realMetrics.flujoCajaMensual.composicion;
+
+        const sensitivity = SensitivityAnalysisService.analyze({
+            base: {
+                precioUF: parametros.precioUF,
+                valorUF,
+                arriendoMensual: composicion.arriendoEstimado,
+                dividendoMensual: composicion.dividendoHipotecario,
+                vacanciaPct: supuestosGastos.vacanciaPct ?? AssumptionsService.getDefaults().vacanciaPct,
+                montoCreditoUF: parametros.montoCreditoUF,
+                tasaCredito: parametros.tasaCredito,
+                plazoCreditoAnios: parametros.plazoCreditoAnios,
+                plusvaliaAnual: parametros.plusvaliaAnual,
+                horizonteAnios: parametros.horizonteAnios,
+                tasaDescuento: parametros.tasaDescuento,
+                gastosInicialesCLP: parametros.gastosInicialesCLP
+            },
+            calcularMetricas: supuestos => this.calculateFinancialMetrics(
+                orchestrationData.property,
+                mortgageData,
+                orchestrationData.comparables?.properties,
+                gastosUnicos,
+                valorUF,
+                supuestos,
+                supuestosGastos
+            )
+        });
+
+        logInfo('🌪️ Análisis de sensibilidad calculado', {
+            ranking: sensitivity.tornado.map(item => item.variable),
+            flujoPesimista: sensitivity.escenarios[0].flujoCajaMensual,
+            flujoOptimista: sensitivity.escenarios[2].flujoCajaMensual
+        });
+
+        return sensitivity;
+    }
+
+    /**
+     * Simulación Monte Carlo sobre los supuestos de la proyección; la provisión fija de vacancia
+     * se descuenta de los gastos porque la vacancia se simula por contrato
+     */
+    static buildRiskSimulation(projection, gastosOperacionalesMensuales, options = {}) {
+        const provisionVacancia = gastosOperacionalesMensuales?.conceptos?.vacancia?.valor || 0;
+
+        const riskSimulation = MonteCarloService.simulate({
+            ...projection.parametros,
+            gastosOperacionalesMensualesCLP: Math.max(0, projection.parametros.gastosOperacionalesMensualesCLP - provisionVacancia),
+            simulaciones: options.riskSimulations ?? undefined,
+            semilla: options.riskSeed ?? undefined
+        });
+
+        logInfo('🎲 Simulación de riesgo calculada', {
+            simulaciones: riskSimulation.parametros.simulaciones,
+            semilla: riskSimulation.parametros.semilla,
+            tirP10: riskSimulation.tir.percentiles.p10,
+            tirP50: riskSimulation.tir.percentiles.p50,
+            probabilidadFlujoNegativo: riskSimulation.flujoAcumuladoSinVenta.probabilidadNegativo,
+            nivelRiesgo: riskSimulation.nivelRiesgo.nivel
+        });
+
+        return riskSimulation;
+    }
+
+    /**
+     * Nivel de riesgo del resumen ejecutivo desde la simulación Monte Carlo (reemplaza el nivel
+     * de Claude o de las reglas sobre flujo y yield, que no consideran vacancia, tasa ni plusvalía)
+     */
+    static applySimulatedRiskLevel(analysis, metrics, riskSimulation) {
+        const viabilidad = analysis?.resumenEjecutivo?.viabilidadInversion;
+        if (!viabilidad || !riskSimulation?.nivelRiesgo) {
+            return analysis;
+        }
+
+        return {
+            ...analysis,
+            resumenEjecutivo: {
+                ...analysis.resumenEjecutivo,
+                viabilidadInversion: {
+                    ...viabilidad,
+                    nivelRiesgo: this.getRiskLevelFromMetrics(metrics, riskSimulation),
+                    criterioRiesgo: riskSimulation.nivelRiesgo.criterio,
+                    fuenteRiesgo: 'simulacion_monte_carlo'
+                }
+            }
+        };
+    }
+
+    /**
+     * Impuestos según el perfil tributario del inversionista y métricas después de impuestos
+     * (flujo, yield neto y TIR de la proyección)
+     */
+    static buildTaxAnalysis({ taxProfile, orchestrationData, precioUF, valorUF, arriendoEstimado, gastosOperacionalesMensuales, realMetrics, projection }) {
+        const superficie = orchestrationData.property?.superficie;
+        const superficieM2 = superficie?.utilM2 ?? superficie?.totalM2 ?? null;
+
+        const taxes = TaxService.analyze({
+            perfil: taxProfile,
+            precioUF,
+            valorUF,
+            valorUTM: orchestrationData.indicadores?.utm?.valor || IndicatorsService.getLastKnownValue('utm'),
+            arriendoMensualCLP: realMetrics?.flujoCajaMensual?.composicion?.arriendoEstimado ?? arriendoEstimado,
+            ...TaxService.splitOperationalExpenses(gastosOperacionalesMensuales),
+            superficieM2,
+            flujoCajaMensualCLP: realMetrics?.flujoCajaMensual?.valor,
+            yieldNeto: realMetrics?.yieldNeto,
+            projection
+        });
+
+        logInfo('🧾 Impuestos calculados', {
+            tipoContribuyente: taxes.perfil.tipoContribuyente,
+            dfl2: taxes.dfl2.aplica,
+            exencionRenta: taxes.dfl2.exencionRenta,
+            impactoMensual: taxes.impactoAnual.mensual,
+            tirDespuesImpuestos: taxes.proyeccion?.indicadores.tirDespuesImpuestos
+        });
+
+        return taxes;
+    }
+
+    /**
+     * Capacidad de compra del comprador frente a las ofertas del escenario hipotecario
+     * (plazo del perfil si fue simulado; si no, 30 años o el primero disponible)
+     */
+    static buildAffordabilityAnalysis(buyerProfile, mortgageData, precioUF, valorUF) {
+        const escenarios = (mortgageData?.escenarios || []).filter(esc => esc.resultado?.bancos?.length > 0);
+        if (escenarios.length === 0) {
+            logWarn('⚠️ Sin ofertas hipotecarias para evaluar capacidad de compra');
+            return null;
+        }
+
+        const escenario = escenarios.find(esc => esc.escenario.plazo === buyerProfile.plazoAnios) ||
+            escenarios.find(esc => esc.escenario.plazo === 30) ||
+            escenarios[0];
+
+        return {
+            ...AffordabilityService.evaluate(buyerProfile, {
+                valorUF,
+                bancos: escenario.resultado.bancos,
+                precioUF,
+                plazoAnios: escenario.escenario.plazo
+            }),
+            escenarioEvaluado: escenario.escenario.etiqueta || `${escenario.escenario.plazo} años`
+        };
+    }
+
     static extractBestRate(mortgageData) {
         return mortgageData?.comparacionGeneral?.mejorEscenario?.mejorTasa || 'No disponible';
     }
@@ -1608,6 +2060,10 @@ class AnthropicService {
 
             const isClaudeSuccess = claudeAnalysis?.success && !claudeAnalysis?.metadata?.fallbackUsed;
 
+            // ✅ UF de la fecha del reporte (resuelta en la orquestación)
+            const indicadorUF = orchestrationData.indicadores?.uf || null;
+            const valorUF = indicadorUF?.valor || this.getCurrentUFValue();
+
             // ✅ 3. EXTRACCIÓN DE DATOS BÁSICOS CON VALIDACIÓN
             let precioPropiedad, valorPropiedadPesos, arriendoEstimado;
 
@@ -1619,15 +2075,15 @@ class AnthropicService {
                     precioPropiedadExtraido: precioPropiedad,
                     tipoDato: typeof precioPropiedad,
                     esValido: precioPropiedad > 0,
-                    propiedadOriginal: orchestrationData.property?.precio_uf || 'No disponible'
+                    propiedadOriginal: orchestrationData.property?.raw?.precio_uf || 'No disponible'
                 });
 
                 if (!precioPropiedad || precioPropiedad <= 0) {
                     throw new Error('Precio de propiedad inválido');
                 }
 
-                valorPropiedadPesos = precioPropiedad * 39250;
-                arriendoEstimado = this.calculateEstimatedRent(orchestrationData.comparables?.properties);
+                valorPropiedadPesos = precioPropiedad * valorUF;
+                arriendoEstimado = this.calculateEstimatedRent(orchestrationData.comparables?.properties, valorUF);
 
                 // ✅ NUEVO: LOGGING DEBUG DE CÁLCULOS INICIALES
                 logInfo('🔍 DEBUG - Valores base calculados', {
@@ -1639,10 +2095,13 @@ class AnthropicService {
             } catch (error) {
                 logError('❌ Error extrayendo datos básicos, usando valores por defecto', error);
                 precioPropiedad = 5000; // 5000 UF como fallback
-                valorPropiedadPesos = precioPropiedad * 39250;
+                valorPropiedadPesos = precioPropiedad * valorUF;
                 arriendoEstimado = 800000; // $800k como fallback
             }
 
+            // ✅ Supuestos de gastos: defecto < guardados en la API key < solicitud
+            const supuestosGastos = options.assumptions?.valores || AssumptionsService.getDefaults();
+
             // ✅ 4. CÁLCULOS FINANCIEROS BÁSICOS PRIMERO (MOVER ANTES)
             const PIE_PORCENTAJE = 0.10;
             const pieUF = precioPropiedad * PIE_PORCENTAJE;
@@ -1665,7 +2124,9 @@ class AnthropicService {
                     montoCredito,        // ✅ AHORA existe la variable (8280 UF)
                     valorPropiedadPesos,
                     mortgageData,
-                    false
+                    false,
+                    valorUF,
+                    supuestosGastos
                 );
 
                 if (!gastosUnicos || typeof gastosUnicos.total !== 'number') {
@@ -1694,7 +2155,9 @@ class AnthropicService {
                     valorPropiedadPesos,
                     arriendoEstimado,
                     false,
-                    false
+                    false,
+                    valorUF,
+                    supuestosGastos
                 );
 
                 if (!gastosOperacionalesMensuales || typeof gastosOperacionalesMensuales.total !== 'number') {
@@ -1723,7 +2186,10 @@ class AnthropicService {
                     orchestrationData.property,
                     mortgageData,
                     orchestrationData.comparables?.properties,
-                    gastosUnicos  // ✅ Pasar gastos únicos ya calculados
+                    gastosUnicos,  // ✅ Pasar gastos únicos ya calculados
+                    valorUF,
+                    {},
+                    supuestosGastos
                 );
             } catch (error) {
                 logError('❌ Error en calculateFinancialMetrics, usando fallback', error);
@@ -1797,14 +2263,97 @@ class AnthropicService {
                     this.generateFallbackAnalysis(orchestrationData, realMetrics);
             }
 
+            // ✅ 8b. CAPACIDAD DE COMPRA (solo si se envió perfil del comprador)
+            let affordability = null;
+            if (options.buyerProfile) {
+                try {
+                    affordability = this.buildAffordabilityAnalysis(options.buyerProfile, mortgageData, precioPropiedad, valorUF);
+                } catch (error) {
+                    logError('❌ Error evaluando capacidad de compra', { error: error.message });
+                }
+            }
+
+            // ✅ 8c. PROYECCIÓN MULTIANUAL (TIR, VAN, patrimonio)
+            let projection = null;
+            try {
+                projection = this.buildInvestmentProjection({
+                    precioUF: precioPropiedad,
+                    valorUF,
+                    montoCreditoUF: montoCredito,
+                    arriendoMensualCLP: arriendoEstimado,
+                    gastosOperacionalesMensualesCLP: gastosOperacionalesMensuales?.total || 0,
+                    gastosInicialesCLP: gastosUnicos?.total || 0,
+                    marketStats: orchestrationData.marketStats,
+                    mortgageData,
+                    options
+                });
+            } catch (error) {
+                logError('❌ Error en proyección multianual', { error: error.message });
+            }
+
+            // ✅ 8d. SENSIBILIDAD Y ESCENARIOS (pesimista / base / optimista)
+            let sensitivity = null;
+            if (realMetrics && projection) {
+                try {
+                    sensitivity = this.buildSensitivityAnalysis({
+                        orchestrationData,
+                        mortgageData,
+                        gastosUnicos,
+                        supuestosGastos,
+                        valorUF,
+                        realMetrics,
+                        projection
+                    });
+                } catch (error) {
+                    logError('❌ Error en análisis de sensibilidad', { error: error.message });
+                }
+            }
+
+            // ✅ 8e. SIMULACIÓN MONTE CARLO DE RIESGO
+            let riskSimulation = null;
+            if (projection) {
+                try {
+                    riskSimulation = this.buildRiskSimulation(projection, gastosOperacionalesMensuales, options);
+                    integratedAnalysis = this.applySimulatedRiskLevel(integratedAnalysis, realMetrics, riskSimulation);
+                } catch (error) {
+                    logError('❌ Error en simulación de riesgo', { error: error.message });
+                }
+            }
+
+            // ✅ 8f. IMPUESTOS Y MÉTRICAS DESPUÉS DE IMPUESTOS (solo si se envió perfil tributario)
+            let taxes = null;
+            if (options.taxProfile) {
+                try {
+                    taxes = this.buildTaxAnalysis({
+                        taxProfile: options.taxProfile,
+                        orchestrationData,
+                        precioUF: precioPropiedad,
+                        valorUF,
+                        arriendoEstimado,
+                        gastosOperacionalesMensuales,
+                        realMetrics,
+                        projection
+                    });
+                } catch (error) {
+                    logError('❌ Error en cálculo de impuestos', { error: error.message });
+                }
+            }
+
             // ✅ 9. CONSTRUCCIÓN DEL REPORTE FINAL CON VALIDACIÓN
             let finalReport;
             try {
                 finalReport = {
-                    // Estructura base
-                    property: orchestrationData.property,
-                    comparables: orchestrationData.comparables?.properties || [],
+                    // Estructura base (publicaciones en formato legacy para el PDF y clientes del reporte)
+                    property: ListingModel.toLegacy(orchestrationData.property),
+                    comparables: (orchestrationData.comparables?.properties || []).map(comparable => ListingModel.toLegacy(comparable)),
                     mortgage: mortgageData,
+                    affordability,
+                    marketHistory: orchestrationData.marketHistory || null,
+                    marketStats: orchestrationData.marketStats || null,
+                    assumptions: {
+                        valores: supuestosGastos,
+                        personalizados: options.assumptions?.personalizados || {}
+                    },
 
                     // Análisis integrado con métricas reales
                     analysis: integratedAnalysis,
@@ -1815,7 +2364,11 @@ class AnthropicService {
                         gastos: {
                             unicos: gastosUnicos,
                             operacionalesMensuales: gastosOperacionalesMensuales
-                        }
+                        },
+                        projection,
+                        sensitivity,
+                        riskSimulation,
+                        taxes
                     },
 
                     // Metadata del reporte
@@ -1824,12 +2377,21 @@ class AnthropicService {
                         claudeAnalysisUsed: isClaudeSuccess,
                         dataQuality: orchestrationData.overallQuality || 85,
                         calculationEngine: 'NotBrokker Premium v4.0',
+                        indicadores: {
+                            uf: indicadorUF || { valor: valorUF, fuente: 'ultimo_valor_conocido' }
+                        },
                         metricsIntegrated: isClaudeSuccess && realMetrics, // ✅ Flag de integración
+                        fuentesComparables: {
+                            porPortal: orchestrationData.comparables?.metadata?.porPortal || {},
+                            duplicadosEliminados: orchestrationData.comparables?.metadata?.deduplicacion?.duplicadosEliminados || 0,
+                            geo: orchestrationData.comparables?.metadata?.geo || null
+                        },
                         fallbacksUsed: {
                             claudeAnalysis: !isClaudeSuccess,
                             financialMetrics: !realMetrics,
                             gastosUnicos: gastosUnicos?.metadata?.calculadoCon?.includes('fallback'),
-                            gastosOperacionales: gastosOperacionalesMensuales?.metadata?.calculadoCon?.includes('fallback')
+                            gastosOperacionales: gastosOperacionalesMensuales?.metadata?.calculadoCon?.includes('fallback'),
+                            mortgageMotorLocal: (mortgageData?.escenarios || []).some(esc => esc.resultado?.fuente === 'motor_local')
                         },
                         processingSteps: [
                             '✅ Property data validation',
@@ -1837,6 +2399,13 @@ class AnthropicService {
                             '✅ Comparable properties search',
                             isClaudeSuccess ? '✅ Claude AI analysis' : '⚠️ Fallback analysis',
                             '✅ Financial metrics calculation',
+                            projection ? '✅ Multi-year projection' : '⚠️ Multi-year projection unavailable',
+                            sensitivity ? '✅ Sensitivity analysis' : '⚠️ Sensitivity analysis unavailable',
+                            riskSimulation ? '✅ Monte Carlo risk simulation' : '⚠️ Monte Carlo risk simulation unavailable',
+                            ...(options.buyerProfile ? [affordability ? '✅ Buyer affordability' : '⚠️ Buyer affordability unavailable'] : []),
+                            ...(options.taxProfile ? [taxes ? '✅ Tax analysis' : '⚠️ Tax analysis unavailable'] : []),
+                            orchestrationData.marketHistory ? '✅ Listing price history' : '⚠️ Listing price history unavailable',
+                            orchestrationData.marketStats ? '✅ Comuna market statistics' : '⚠️ Comuna market statistics unavailable',
                             isClaudeSuccess && realMetrics ? '✅ Metrics integration with Claude analysis' : '⚠️ No metrics integration',
                             '✅ Final report construction'
                         ]
@@ -1853,7 +2422,7 @@ class AnthropicService {
 
                 // Reporte mínimo garantizado
                 finalReport = {
-                    property: orchestrationData.property,
+                    property: ListingModel.toLegacy(orchestrationData.property),
                     comparables: [],
                     mortgage: null,
                     analysis: this.generateMinimalAnalysis(),
@@ -2327,8 +2896,9 @@ class AnthropicService {
 
     /**
      * ✅ CORREGIDO: Generar análisis con Claude API real
+     * options.signal cancela la llamada en curso (cliente SSE desconectado, timeout del job)
      */
-    static async generateClaudeAnalysis(inputData) {
+    static async generateClaudeAnalysis(inputData, { signal = null } = {}) {
         try {
             logInfo('🧠 Iniciando análisis con Claude API real', {
                 hasProperty: !!inputData.propertyInfo,
@@ -2339,7 +2909,8 @@ class AnthropicService {
             // ✅ CORREGIDO: Llamar al método correcto de ClaudeApiHelper
             const claudeResult = await ClaudeApiHelper.generateFinancialAnalysis(inputData, {
                 analysisType: 'financial',
-                requestId: this.generateRequestId()
+                requestId: this.generateRequestId(),
+                signal
             });
 
             logInfo('🧠 Claude result:', {
@@ -2359,6 +2930,10 @@ class AnthropicService {
             }
 
         } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+
             logError('❌ Error en análisis con Claude', {
                 error: error.message,
                 stack: error.stack?.split('\n')[0]
@@ -2378,7 +2953,9 @@ class AnthropicService {
         const metricas = this.calculateFinancialMetrics(
             inputData.propertyInfo,
             inputData.mortgageAnalysis,
-            inputData.marketComparison
+            inputData.marketComparison,
+            null,
+            inputData.indicadores?.uf?.valor
         );
 
         // ✅ NUEVA ESTRUCTURA: Consistente con el prompt corregido
@@ -2469,23 +3046,32 @@ class AnthropicService {
         return `anthropic_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    static calculateFinancialMetrics(propertyData, mortgageData, comparablesData, gastosUnicos = null) {
+    /**
+     * @param {Object} [supuestos] - Reemplazos para sensibilidad: { precioUF, arriendoMensual, dividendoMensual, vacanciaPct }
+     * @param {Object} [supuestosGastos] - Supuestos de gastos del reporte (AssumptionsService)
+     */
+    static calculateFinancialMetrics(propertyData, mortgageData, comparablesData, gastosUnicos = null, valorUF = null, supuestos = {}, supuestosGastos = {}) {
+        // Los recálculos de sensibilidad no repiten los logs informativos del cálculo base
+        const log = Object.keys(supuestos).length > 0 ? logDebug : logInfo;
+
         try {
-            logInfo('📊 Iniciando cálculo de métricas financieras CORREGIDO con gastos separados');
+            log('📊 Iniciando cálculo de métricas financieras CORREGIDO con gastos separados');
 
             // 1. EXTRAER DATOS BÁSICOS
-            const precioPropiedad = this.extractPropertyPrice(propertyData);
-            const precioUF = 39250;
+            const precioPropiedad = supuestos.precioUF ?? this.extractPropertyPrice(propertyData);
+            const precioUF = valorUF || this.getCurrentUFValue();
             const valorPropiedadPesos = precioPropiedad * precioUF;
-            const dividendoMensual = this.extractBestMortgagePayment(mortgageData);
-            const arriendoEstimado = this.calculateEstimatedRent(comparablesData);
+            const dividendoMensual = supuestos.dividendoMensual ?? this.extractBestMortgagePayment(mortgageData);
+            const arriendoEstimado = supuestos.arriendoMensual ?? this.calculateEstimatedRent(comparablesData, precioUF);
 
             // 2. ✅ CALCULAR SOLO GASTOS MENSUALES (gastos únicos vienen como parámetro)
             const gastosOperacionalesMensuales = this.calculateMonthlyOperationalExpenses(
                 valorPropiedadPesos,
                 arriendoEstimado,
                 false, // usaCorretor para administración
-                false  // incluyeGastosComunes
+                false, // incluyeGastosComunes
+                precioUF,
+                supuestos.vacanciaPct !== undefined ? { ...supuestosGastos, vacanciaPct: supuestos.vacanciaPct } : supuestosGastos
             );
 
             // 3. ✅ CALCULAR FLUJO DE CAJA CORREGIDO (solo gastos mensuales)
@@ -2497,7 +3083,7 @@ class AnthropicService {
             const yieldNeto = (arriendoNeto * 12 / valorPropiedadPesos) * 100;
 
             // 5. LOG COMPARATIVO ANTES/DESPUÉS
-            logInfo('💰 ✅ CORRECCIÓN APLICADA - Comparación flujo de caja:', {
+            log('💰 ✅ CORRECCIÓN APLICADA - Comparación flujo de caja:', {
                 errorAnterior: 'Incluía gastos únicos en flujo mensual',
                 flujoCorregido: this.formatCurrency(flujoCajaMensual),
                 gastosUnicosTotal: gastosUnicos ? this.formatCurrency(gastosUnicos.total) : 'Recibidos como parámetro',
@@ -2539,8 +3125,13 @@ class AnthropicService {
     }
 
 
-    static calculateOneTimeAcquisitionCosts(montoCredito, valorPropiedadPesos, mortgageData, usaCorretor = false) {
+    /**
+     * @param {Object} [supuestos] - Reemplazos parciales de AssumptionsService (impuestoMutuoPct, gastosNotariales, ...)
+     */
+    static calculateOneTimeAcquisitionCosts(montoCredito, valorPropiedadPesos, mortgageData, usaCorretor = false, valorUF = null, supuestos = {}) {
         const methodName = 'calculateOneTimeAcquisitionCosts';
+        const s = { ...AssumptionsService.getDefaults(), ...supuestos };
+        usaCorretor = supuestos.usaCorredorCompra ?? usaCorretor;
 
         try {
             // ✅ 1. VALIDACIÓN DEFENSIVA DE ENTRADA (implementación directa)
@@ -2581,7 +3172,7 @@ class AnthropicService {
             const { validatedMontoCredito, validatedValorPropiedad } = validationResult;
 
             // ✅ 2. CONFIGURACIÓN SEGURA CON VALORES POR DEFECTO (valor directo)
-            const precioUF = 39250; // Valor UF actual - reemplaza this.getCurrentUFValue()
+            const precioUF = valorUF || this.getCurrentUFValue(); // UF de la fecha del reporte
 
             logInfo(`🔍 ${methodName} - Iniciando cálculo`, {
                 montoCredito: validatedMontoCredito,
@@ -2594,7 +3185,7 @@ class AnthropicService {
             // ✅ 3. CÁLCULOS CON VALIDACIÓN MATEMÁTICA (implementación directa de safeCalculation)
             const impuestoMutuo = (() => {
                 try {
-                    const result = Math.round(validatedMontoCredito * precioUF * 0.008);
+                    const result = Math.round(validatedMontoCredito * precioUF * s.impuestoMutuoPct / 100);
                     if (typeof result !== 'number' || isNaN(result)) {
                         logWarn(`⚠️ Error en cálculo de impuestoMutuo, usando valor por defecto`);
                         return 0;
@@ -2606,11 +3197,11 @@ class AnthropicService {
                 }
             })();
 
-            const gastosNotariales = 200000; // Valor fijo válido
+            const gastosNotariales = s.gastosNotariales; // Valor fijo ($200.000 por defecto)
 
             const conservadorBienes = (() => {
                 try {
-                    const result = Math.round(validatedValorPropiedad * 0.002);
+                    const result = Math.round(validatedValorPropiedad * s.conservadorPct / 100);
                     if (typeof result !== 'number' || isNaN(result)) {
                         logWarn(`⚠️ Error en cálculo de conservadorBienes, usando valor por defecto`);
                         return 0;
@@ -2624,6 +3215,15 @@ class AnthropicService {
 
             // ✅ 4. EXTRACCIÓN SEGURA DE DATOS BANCARIOS (implementación directa)
             const tasacionData = (() => {
+                if (s.tasacionCLP !== null) {
+                    return {
+                        valor: Math.round(s.tasacionCLP),
+                        descripcion: 'Tasación de la propiedad',
+                        fuente: 'supuesto_solicitud',
+                        rango: '$60,000 - $150,000'
+                    };
+                }
+
                 try {
                     if (mortgageData?.escenarios?.length > 0) {
                         // Buscar en el mejor escenario (preferir 30 años)
@@ -2662,6 +3262,15 @@ class AnthropicService {
             })();
 
             const estudioTitulosData = (() => {
+                if (s.estudioTitulosCLP !== null) {
+                    return {
+                        valor: Math.round(s.estudioTitulosCLP),
+                        descripcion: 'Estudio de Títulos',
+                        fuente: 'supuesto_solicitud',
+                        rango: '$100,000 - $250,000'
+                    };
+                }
+
                 try {
                     if (mortgageData?.escenarios?.length > 0) {
                         // Buscar en el mejor escenario
@@ -2699,12 +3308,12 @@ class AnthropicService {
                 };
             })();
 
-            const gestionBancaria = Math.round(precioUF * 1.0); // 1 UF
+            const gestionBancaria = Math.round(precioUF * s.gestionBancariaUF); // 1 UF por defecto
 
             // ✅ 5. COMISIÓN CORREDOR CON VALIDACIÓN (implementación directa)
             const comisionCorretor = usaCorretor ? (() => {
                 try {
-                    const comisionBase = validatedValorPropiedad * 0.02; // 2%
+                    const comisionBase = validatedValorPropiedad * s.comisionCorredorPct / 100; // 2% por defecto
                     const iva = comisionBase * 0.19; // 19% IVA
                     return Math.round(comisionBase + iva);
                 } catch (error) {
@@ -2738,9 +3347,9 @@ class AnthropicService {
                 conceptos: {
                     impuestoMutuo: {
                         valor: impuestoMutuo,
-                        descripcion: 'Impuesto al Mutuo (0.8% del crédito)',
+                        descripcion: `Impuesto al Mutuo (${s.impuestoMutuoPct}% del crédito)`,
                         aplicaSolo: 'con crédito hipotecario',
-                        calculoBase: `${validatedMontoCredito} UF × ${precioUF} × 0.008`
+                        calculoBase: `${validatedMontoCredito} UF × ${precioUF} × ${s.impuestoMutuoPct / 100}`
                     },
                     gastosNotariales: {
                         valor: gastosNotariales,
@@ -2751,7 +3360,7 @@ class AnthropicService {
                         valor: conservadorBienes,
                         descripcion: 'Conservador de Bienes Raíces',
                         criterio: 'según valor propiedad',
-                        calculoBase: `${validatedValorPropiedad} × 0.002`
+                        calculoBase: `${validatedValorPropiedad} × ${s.conservadorPct / 100}`
                     },
                     tasacion: tasacionData,
                     estudioTitulos: estudioTitulosData,
@@ -2762,7 +3371,7 @@ class AnthropicService {
                     },
                     comisionCorretor: {
                         valor: comisionCorretor,
-                        descripcion: 'Comisión del Corredor (2% + IVA)',
+                        descripcion: `Comisión del Corredor (${s.comisionCorredorPct}% + IVA)`,
                         aplicaSolo: usaCorretor ? 'incluida' : 'no incluida',
                         tipoGasto: 'ÚNICO'
                     }
@@ -2876,11 +3485,10 @@ class AnthropicService {
     }
 
     /**
-     * Obtener valor UF dinámico (reemplazar valor hardcodeado)
+     * Último valor UF conocido por IndicatorsService (para cálculos síncronos sin UF explícita)
      */
     static getCurrentUFValue() {
-        // TODO: Implementar llamada a API de UF o configuración dinámica
-        return 39250; // Valor temporal, pero ahora centralizado
+        return IndicatorsService.getLastKnownValue('uf');
     }
 
 
@@ -2986,6 +3594,12 @@ class AnthropicService {
     }
 
     static extractPropertyPrice(propertyData) {
+        // Publicación normalizada (ListingModel): precio en UF ya numérico
+        if (propertyData?.precio?.uf > 0) {
+            return propertyData.precio.uf;
+        }
+
+        // Formato legacy (análisis de respaldo sobre los datos del prompt)
         if (!propertyData?.precio_uf) {
             logWarn('⚠️ Sin precio_uf, usando valor por defecto');
             return 9200; // Valor por defecto
@@ -3096,7 +3710,7 @@ class AnthropicService {
     }
 
 
-    static calculateEstimatedRent(comparablesData) {
+    static calculateEstimatedRent(comparablesData, valorUF = null) {
         if (!comparablesData || !Array.isArray(comparablesData)) {
             logWarn('⚠️ Sin datos de comparables, usando valor por defecto');
             return 2300000;
@@ -3105,6 +3719,12 @@ class AnthropicService {
         // ✅ CORREGIDO: Convertir todos los valores a pesos chilenos
         const validRents = comparablesData
             .map(comp => {
+                // Publicación normalizada (ListingModel): CLP directo o UF × valor UF
+                if (comp.precio && typeof comp.precio === 'object') {
+                    const rentValue = comp.precio.clp ?? (comp.precio.uf ? comp.precio.uf * (valorUF || this.getCurrentUFValue()) : null);
+                    return (rentValue && rentValue > 500000 && rentValue < 10000000) ? rentValue : null;
+                }
+
                 if (!comp.precio) return null;
 
                 // Determinar si está en UF o pesos
@@ -3117,7 +3737,7 @@ class AnthropicService {
                 if (isUF) {
                     // Convertir UF a pesos
                     const ufValue = this.parseChileanNumber(comp.precio, 'UF');
-                    rentValue = ufValue ? ufValue * 39250 : null; // UF × valor UF
+                    rentValue = ufValue ? ufValue * (valorUF || this.getCurrentUFValue()) : null; // UF × valor UF
 
                     logDebug('✅ Comparable UF convertido:', {
                         original: comp.precio,
@@ -3254,26 +3874,12 @@ class AnthropicService {
         }).format(amount);
     }
 
-    static estimatePlusvaliaByLocation(ubicacion) {
-        if (!ubicacion) return 3.0;
-
-        const locationLower = ubicacion.toLowerCase();
-
-        // Zonas premium
-        if (locationLower.includes('las condes') ||
-            locationLower.includes('vitacura') ||
-            locationLower.includes('providencia')) {
-            return 4.0;
-        }
-
-        // Zonas en desarrollo
-        if (locationLower.includes('ñuñoa') ||
-            locationLower.includes('la reina') ||
-            locationLower.includes('santiago centro')) {
-            return 3.5;
-        }
-
-        return 3.0; // Promedio nacional
+    /**
+     * Plusvalía anual (%) desde el perfil de mercado de la comuna (MarketStatsService.getLocationProfile);
+     * sin observaciones de la comuna se usa el promedio nacional de la configuración
+     */
+    static estimatePlusvalia(marketStats) {
+        return MarketStatsService.resolveAppreciation(marketStats).valor;
     }
 
     /**
@@ -3416,9 +4022,10 @@ class AnthropicService {
     }
 
     /**
-     * ✅ NUEVO: Obtener nivel de riesgo desde métricas
+     * ✅ NUEVO: Obtener nivel de riesgo desde métricas (o desde la simulación Monte Carlo si existe)
      */
-    static getRiskLevelFromMetrics(metrics) {
+    static getRiskLevelFromMetrics(metrics, riskSimulation = null) {
+        if (riskSimulation?.nivelRiesgo?.nivel) return riskSimulation.nivelRiesgo.nivel;
         if (!metrics) return "No evaluable";
 
         const flujoCaja = metrics.flujoCajaMensual?.valor || 0;
@@ -3492,7 +4099,9 @@ class AnthropicService {
         const metricas = this.calculateFinancialMetrics(
             orchestrationData.property,
             orchestrationData.mortgage,
-            orchestrationData.comparables?.properties
+            orchestrationData.comparables?.properties,
+            null,
+            orchestrationData.indicadores?.uf?.valor
         );
 
         return {
@@ -0,0 +1,136 @@
+// src/services/anthropic/AssumptionsService.js
+const { ErrorFactory } = require('../../utils/errors');
+const { numberParam } = require('../../utils/numbers');
+
+/**
+ * Supuestos de gastos del reporte financiero (valores por defecto del cálculo estándar)
+ *
+ * operacional: gastos mensuales recurrentes (calculateMonthlyOperationalExpenses)
+ * adquisicion: gastos únicos de compra (calculateOneTimeAcquisitionCosts)
+ * Los montos sin unidad UF están en CLP; tasacionCLP y estudioTitulosCLP null = valor CMF o estimación en UF.
+ */
+const ESQUEMA = {
+    // Gastos operacionales mensuales
+    contribucionesPctAnual: { grupo: 'operacional', tipo: 'number', defecto: 1.148, min: 0, max: 5, descripcion: 'Contribuciones (% anual del avalúo)' },
+    mantencionUFAnual: { grupo: 'operacional', tipo: 'number', defecto: 4, min: 0, max: 200, descripcion: 'Mantenciones (UF anuales)' },
+    vacanciaPct: { grupo: 'operacional', tipo: 'number', defecto: 5, min: 0, max: 50, descripcion: 'Provisión de vacancia (% del arriendo)' },
+    administracionPct: { grupo: 'operacional', tipo: 'number', defecto: 8, min: 0, max: 20, descripcion: 'Administración (% del arriendo)' },
+    usaAdministracion: { grupo: 'operacional', tipo: 'boolean', defecto: false, descripcion: 'Arriendo administrado por corredor' },
+    seguroUFAnual: { grupo: 'operacional', tipo: 'number', defecto: 1.2, min: 0, max: 100, descripcion: 'Seguro incendio y sismo (UF anuales)' },
+    gastosComunesMensual: { grupo: 'operacional', tipo: 'number', defecto: 80000, min: 0, max: 5000000, descripcion: 'Gastos comunes (CLP mensuales)' },
+    propietarioPagaGastosComunes: { grupo: 'operacional', tipo: 'boolean', defecto: false, descripcion: 'Gastos comunes a cargo del propietario' },
+    fondoReparacionesMensual: { grupo: 'operacional', tipo: 'number', defecto: 50000, min: 0, max: 5000000, descripcion: 'Fondo de reparaciones (CLP mensuales)' },
+
+    // Gastos únicos de adquisición
+    impuestoMutuoPct: { grupo: 'adquisicion', tipo: 'number', defecto: 0.8, min: 0, max: 2, descripcion: 'Impuesto al mutuo (% del crédito)' },
+    gastosNotariales: { grupo: 'adquisicion', tipo: 'number', defecto: 200000, min: 0, max: 10000000, descripcion: 'Gastos notariales (CLP)' },
+    conservadorPct: { grupo: 'adquisicion', tipo: 'number', defecto: 0.2, min: 0, max: 2, descripcion: 'Conservador de Bienes Raíces (% del valor)' },
+    tasacionCLP: { grupo: 'adquisicion', tipo: 'number', defecto: null, min: 0, max: 5000000, descripcion: 'Tasación (CLP; por defecto CMF o UF 2,7)' },
+    estudioTitulosCLP: { grupo: 'adquisicion', tipo: 'number', defecto: null, min: 0, max: 5000000, descripcion: 'Estudio de títulos (CLP; por defecto CMF o UF 4,5)' },
+    gestionBancariaUF: { grupo: 'adquisicion', tipo: 'number', defecto: 1, min: 0, max: 50, descripcion: 'Gestión bancaria (UF)' },
+    comisionCorredorPct: { grupo: 'adquisicion', tipo: 'number', defecto: 2, min: 0, max: 10, descripcion: 'Comisión corredor de compra (% + IVA)' },
+    usaCorredorCompra: { grupo: 'adquisicion', tipo: 'boolean', defecto: false, descripcion: 'Compra con corredor' }
+};
+
+const FUENTES = {
+    apiKey: 'api_key',
+    solicitud: 'solicitud'
+};
+
+/**
+ * Supuestos de gastos configurables por solicitud y por API key
+ *
+ * Precedencia: valores por defecto < guardados en la API key < enviados en la solicitud.
+ */
+class AssumptionsService {
+
+    static getSchema() {
+        return ESQUEMA;
+    }
+
+    /**
+     * Valores por defecto completos
+     */
+    static getDefaults() {
+        return Object.fromEntries(Object.entries(ESQUEMA).map(([campo, def]) => [campo, def.defecto]));
+    }
+
+    /**
+     * Validar un objeto de supuestos parcial. Devuelve solo los campos enviados
+     * @param {Object} supuestos - { vacanciaPct: 8, usaAdministracion: true, ... }
+     * @param {string} campoBase - prefijo del campo en los errores de validación
+     */
+    static normalize(supuestos, campoBase = 'assumptions') {
+        if (supuestos === undefined || supuestos === null) {
+            return {};
+        }
+        if (typeof supuestos !== 'object' || Array.isArray(supuestos)) {
+            throw ErrorFactory.validation(`${campoBase} debe ser un objeto`, campoBase);
+        }
+
+        const normalizados = {};
+        for (const [campo, valor] of Object.entries(supuestos)) {
+            const def = ESQUEMA[campo];
+            const nombre = `${campoBase}.${campo}`;
+
+            if (!def) {
+                throw ErrorFactory.validation(
+                    `Supuesto desconocido: ${campo}. Disponibles: ${Object.keys(ESQUEMA).join(', ')}`,
+                    nombre
+                );
+            }
+
+            if (valor === undefined) {
+                continue;
+            }
+
+            if (def.tipo === 'boolean') {
+                if (typeof valor !== 'boolean') {
+                    throw ErrorFactory.validation(`${nombre} debe ser true o false`, nombre);
+                }
+                normalizados[campo] = valor;
+                continue;
+            }
+
+            // null vuelve al cálculo estándar en los supuestos sin valor fijo (tasación, estudio de títulos)
+            if (valor === null && def.defecto === null) {
+                normalizados[campo] = null;
+                continue;
+            }
+
+            normalizados[campo] = numberParam(valor, nombre, { min: def.min, max: def.max, requerido: true });
+        }
+
+        return normalizados;
+    }
+
+    /**
+     * Combinar supuestos guardados en la API key con los de la solicitud
+     * @returns {{ valores: Object, personalizados: Object }} personalizados: campo → { valor, defecto, fuente, descripcion }
+     */
+    static resolve(guardados = null, solicitados = null) {
+        const capas = [
+            [FUENTES.apiKey, this.normalize(guardados, 'savedAssumptions')],
+            [FUENTES.solicitud, this.normalize(solicitados)]
+        ];
+
+        const valores = this.getDefaults();
+        const personalizados = {};
+
+        for (const [fuente, capa] of capas) {
+            for (const [campo, valor] of Object.entries(capa)) {
+                valores[campo] = valor;
+                personalizados[campo] = {
+                    valor,
+                    defecto: ESQUEMA[campo].defecto,
+                    fuente,
+                    descripcion: ESQUEMA[campo].descripcion
+                };
+            }
+        }
+
+        return { valores, personalizados };
+    }
+}
+
+module.exports = AssumptionsService;
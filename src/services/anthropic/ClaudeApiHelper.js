@@ -4,6 +4,7 @@ const { logInfo, logError, logDebug, logWarn } = require('../../utils/logger');
 const { ErrorFactory } = require('../../utils/errors');
 const AnthropicConfig = require('./AnthropicConfig');
 const PromptManager = require('../../config/PromptManager');
+const BrowserReplayService = require('../replay/BrowserReplayService');
 
 /**
  * Helper para integración con Claude API - VERSIÓN CORREGIDA
@@ -111,22 +112,8 @@ class ClaudeApiHelper {
             // 1. Validaciones previas
             await this.validateInputData(inputData, analysisType);
 
-            // 2. Rate limiting check
-            await this.checkRateLimit();
-
-            // 3. Inicializar cliente
-            const client = this.initializeClient();
-
-            // 4. ✅ CORREGIDO: Construir prompt optimizado
-            const prompt = this.buildOptimizedPrompt(inputData, analysisType);
-
-            // 5. Ejecutar con circuit breaker
-            const rawResponse = await this.executeWithCircuitBreaker(
-                client,
-                prompt,
-                analysisType,
-                requestId
-            );
+            // 2-5. Rate limit, cliente, prompt y llamada (o respuesta grabada en modo replay)
+            const { content: rawResponse, usage, replay } = await this.requestAnalysis(inputData, analysisType, requestId, options.signal);
 
             // 6. ✅ CORREGIDO: Procesar respuesta
             const processedAnalysis = await this.processClaudeResponse(
@@ -149,7 +136,7 @@ class ClaudeApiHelper {
                 success: true,
                 analysis: processedAnalysis,
                 metadata: {
-                    provider: 'Claude API',
+                    provider: replay ? 'Claude API (replay)' : 'Claude API',
                     model: AnthropicConfig.claude.model,
                     fallbackUsed: false,
                     processingTime: `${totalTime}ms`,
@@ -157,11 +144,21 @@ class ClaudeApiHelper {
                     timestamp: new Date().toISOString(),
                     quality: 'ai-enhanced',
                     requestId,
-                    qualityMetrics
+                    qualityMetrics,
+                    usage: {
+                        inputTokens: usage?.input_tokens || 0,
+                        outputTokens: usage?.output_tokens || 0
+                    }
                 }
             };
 
         } catch (error) {
+            // Cancelado por quien pidió el reporte: sin análisis de respaldo
+            if (options.signal?.aborted) {
+                logInfo('🛑 Análisis Claude cancelado', { requestId, duration: `${Date.now() - startTime}ms` });
+                throw error;
+            }
+
             const totalTime = Date.now() - startTime;
             logError('❌ Error en análisis con Claude', {
                 analysisType,
@@ -177,6 +174,34 @@ class ClaudeApiHelper {
         }
     }
 
+    /**
+     * Llamar a Claude respetando SCRAPER_REPLAY_MODE (BrowserReplayService):
+     * replay responde desde el corpus y record guarda la respuesta real
+     */
+    static async requestAnalysis(inputData, analysisType, requestId, signal = null) {
+        const modo = BrowserReplayService.getMode();
+
+        if (modo === 'replay') {
+            const grabacion = await BrowserReplayService.loadClaudeResponse(analysisType);
+            if (!grabacion) {
+                throw new Error(`Sin respuesta de Claude grabada para '${analysisType}' (modo replay)`);
+            }
+            return { ...grabacion, replay: true };
+        }
+
+        await this.checkRateLimit();
+
+        const client = this.initializeClient();
+        const prompt = this.buildOptimizedPrompt(inputData, analysisType);
+        const resultado = await this.executeWithCircuitBreaker(client, prompt, analysisType, requestId, signal);
+
+        if (modo === 'record') {
+            await BrowserReplayService.saveClaudeResponse(analysisType, resultado);
+        }
+
+        return { ...resultado, replay: false };
+    }
+
     /**
      * ✅ NUEVO: Prompt optimizado y corregido
      */
@@ -367,6 +392,8 @@ RESPONDE ÚNICAMENTE CON EL JSON VÁLIDO, SIN TEXTO ADICIONAL NI MARKDOWN.`;
         return {
             propertyInfo: inputData.propertyInfo || null,           // ✅ Correcto
             marketComparison: inputData.marketComparison || [],     // ✅ Correcto
+            historialPublicacion: inputData.historialPublicacion || null,
+            estadisticasMercado: inputData.estadisticasMercado || null,
             mortgageAnalysis: inputData.mortgageAnalysis || null,   // ✅ Correcto
             analysisConfig: inputData.analysisConfig || {},
             dataQuality: inputData.dataQuality || {}
@@ -445,23 +472,26 @@ RESPONDE ÚNICAMENTE CON EL JSON VÁLIDO, SIN TEXTO ADICIONAL NI MARKDOWN.`;
     }
 
     // ✅ MANTENER: Resto de métodos helper existentes
-    static async executeWithCircuitBreaker(client, prompt, analysisType, requestId) {
+    static async executeWithCircuitBreaker(client, prompt, analysisType, requestId, signal = null) {
         if (this.isCircuitBreakerOpen()) {
             logWarn('⚡ Circuit breaker OPEN - usando fallback');
             throw new Error('Circuit breaker open - Claude API temporalmente no disponible');
         }
 
         try {
-            const result = await this.executeWithRetry(client, prompt, analysisType, 0, requestId);
+            const result = await this.executeWithRetry(client, prompt, analysisType, 0, requestId, signal);
             this.resetCircuitBreaker();
             return result;
         } catch (error) {
-            this.recordCircuitBreakerFailure();
+            // Una cancelación no es una falla de la API
+            if (!signal?.aborted) {
+                this.recordCircuitBreakerFailure();
+            }
             throw error;
         }
     }
 
-    static async executeWithRetry(client, prompt, analysisType, retryCount = 0, requestId) {
+    static async executeWithRetry(client, prompt, analysisType, retryCount = 0, requestId, signal = null) {
         const config = AnthropicConfig.claude;
         const maxRetries = config.retries || 3;
 
@@ -484,7 +514,7 @@ RESPONDE ÚNICAMENTE CON EL JSON VÁLIDO, SIN TEXTO ADICIONAL NI MARKDOWN.`;
                         content: [{ type: 'text', text: prompt }]
                     }
                 ]
-            });
+            }, { signal: signal || undefined });
 
             const requestTime = Date.now() - startTime;
             const content = this.extractContentFromResponse(message);
@@ -500,7 +530,7 @@ RESPONDE ÚNICAMENTE CON EL JSON VÁLIDO, SIN TEXTO ADICIONAL NI MARKDOWN.`;
             });
 
             this.updateRateLimitMetrics(message.usage);
-            return content;
+            return { content, usage: message.usage };
 
         } catch (error) {
             logWarn(`⚠️ Error en intento ${retryCount + 1} de Claude API`, {
@@ -509,10 +539,14 @@ RESPONDE ÚNICAMENTE CON EL JSON VÁLIDO, SIN TEXTO ADICIONAL NI MARKDOWN.`;
                 requestId
             });
 
+            if (signal?.aborted) {
+                throw error;
+            }
+
             if (this.shouldRetry(error, retryCount, maxRetries)) {
                 const retryDelay = this.calculateRetryDelay(retryCount);
                 await this.sleep(retryDelay);
-                return this.executeWithRetry(client, prompt, analysisType, retryCount + 1, requestId);
+                return this.executeWithRetry(client, prompt, analysisType, retryCount + 1, requestId, signal);
             }
 
             throw this.enrichError(error, retryCount);
@@ -0,0 +1,333 @@
+// src/services/auth/ApiKeyStore.js
+const crypto = require('crypto');
+const RedisFileStore = require('../storage/RedisFileStore');
+const { logInfo } = require('../../utils/logger');
+
+const REDIS_KEYS = {
+    records: 'auth:apikeys:records', // hash id → registro JSON
+    hashes: 'auth:apikeys:hashes' // hash sha256 de la key → id
+};
+
+const KEY_PREFIXES = {
+    FREE_TIER: 'free',
+    PREMIUM_TIER: 'pre',
+    ENTERPRISE_TIER: 'ent'
+};
+
+/**
+ * API keys históricas (antes definidas en código). Solo se guarda su hash para
+ * que los clientes existentes sigan funcionando cuando el store parte vacío.
+ */
+const LEGACY_KEYS = [
+    {
+        id: 'key_free_user_1',
+        keyHash: '81821c268fae520e5541396b2a8bea3fe30ee8759823b6b3738dd8971cf4386f',
+        keyPrefix: 'free_mde0ufw',
+        tier: 'FREE_TIER',
+        userId: 'free_user_1',
+        name: 'Usuario Free 1',
+        email: 'free1@notbrokker.com',
+        created: '2024-01-01T00:00:00.000Z'
+    },
+    {
+        id: 'key_free_user_2',
+        keyHash: 'f1af23840eb53c9ccba565e6214273065dca18b463b7f435c3aa1a4eae19aafc',
+        keyPrefix: 'free_mde0ufx',
+        tier: 'FREE_TIER',
+        userId: 'free_user_2',
+        name: 'Usuario Free 2',
+        email: 'free2@notbrokker.com',
+        created: '2024-01-02T00:00:00.000Z'
+    },
+    {
+        id: 'key_premium_user_1',
+        keyHash: 'cf351058a0f8219ac1966fbf9873fc1c9901945a409a0773b8659a8a52e7d1d4',
+        keyPrefix: 'pre_mde0uof8',
+        tier: 'PREMIUM_TIER',
+        userId: 'premium_user_1',
+        name: 'Usuario Premium 1',
+        email: 'premium1@notbrokker.com',
+        created: '2024-01-01T00:00:00.000Z'
+    },
+    {
+        id: 'key_premium_user_2',
+        keyHash: '2faeb9bd63ff7b18b2e10a6314e2fd8fb8718beacd9830a8956b03cada8c4904',
+        keyPrefix: 'pre_mde0uofg',
+        tier: 'PREMIUM_TIER',
+        userId: 'premium_user_2',
+        name: 'Usuario Premium 2',
+        email: 'premium2@notbrokker.com',
+        created: '2024-01-02T00:00:00.000Z'
+    },
+    {
+        id: 'key_enterprise_user_1',
+        keyHash: 'e0f40923e8fe295c5d69bc7d9cdd10e62dcfb2e3375aad3f6219b41563186b48',
+        keyPrefix: 'ent_mde0utgm',
+        tier: 'ENTERPRISE_TIER',
+        userId: 'enterprise_user_1',
+        name: 'Usuario Enterprise 1',
+        email: 'enterprise1@notbrokker.com',
+        created: '2024-01-01T00:00:00.000Z'
+    }
+];
+
+/**
+ * Almacén persistente de API keys (solo hashes, nunca la key en texto plano)
+ *
+ * Backends (API_KEY_STORE):
+ * - redis: hashes en Redis (por defecto). Si Redis no está disponible al iniciar, usa archivo
+ * - file: archivo JSON local (API_KEYS_FILE, por defecto data/api-keys.json)
+ */
+class ApiKeyStore extends RedisFileStore {
+    constructor() {
+        super({
+            nombre: 'ApiKeyStore',
+            descripcion: 'API keys',
+            icono: '🗝️',
+            backendEnv: 'API_KEY_STORE',
+            fileEnv: 'API_KEYS_FILE',
+            defaultFile: 'api-keys.json',
+            fileMode: 0o600,
+            indent: 2
+        });
+
+        // Espejo en memoria del backend archivo
+        this.records = new Map();
+        this.hashIndex = new Map();
+    }
+
+    /**
+     * Hash SHA-256 de una API key
+     */
+    static hashKey(apiKey) {
+        return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+    }
+
+    /**
+     * Generar una nueva API key con el formato existente: <prefijo>_<timestamp36>_<64 hex>
+     */
+    static generateKey(tier) {
+        const prefix = KEY_PREFIXES[tier] || 'key';
+        return `${prefix}_${Date.now().toString(36)}_${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    static generateId() {
+        return `key_${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    async afterBackendReady() {
+        await this.seedIfEmpty();
+        await this.ensureAdminKey();
+    }
+
+    /**
+     * Buscar registro por API key en texto plano
+     */
+    async findByKey(apiKey) {
+        await this.initialize();
+        const id = await this.readIdByHash(ApiKeyStore.hashKey(apiKey));
+        return id ? this.readRecord(id) : null;
+    }
+
+    async findById(id) {
+        await this.initialize();
+        return this.readRecord(id);
+    }
+
+    async list() {
+        await this.initialize();
+
+        const records = this.backend === 'redis'
+            ? (await this.redis.hvals(REDIS_KEYS.records)).map(raw => JSON.parse(raw))
+            : Array.from(this.records.values()).map(record => ({ ...record }));
+
+        return records.sort((a, b) => String(a.created).localeCompare(String(b.created)));
+    }
+
+    async save(record, previousHash = null) {
+        await this.initialize();
+        return this.writeRecord(record, previousHash);
+    }
+
+    /**
+     * Crear registro para una API key nueva (devuelve la key en texto plano solo aquí)
+     */
+    async create(data) {
+        await this.initialize();
+        return this.createRecord(data);
+    }
+
+    async createRecord({ tier, userId, name = null, email = null, role = 'user', id = null, apiKey = null }) {
+        const plainKey = apiKey || ApiKeyStore.generateKey(tier);
+        const now = new Date().toISOString();
+
+        const record = await this.writeRecord({
+            id: id || ApiKeyStore.generateId(),
+            keyHash: ApiKeyStore.hashKey(plainKey),
+            keyPrefix: plainKey.substring(0, 12),
+            tier,
+            userId,
+            name,
+            email,
+            role,
+            isActive: true,
+            created: now,
+            rotatedAt: null
+        });
+
+        return { apiKey: plainKey, record };
+    }
+
+    /**
+     * Reemplazar la key de un registro existente (la anterior deja de ser válida)
+     */
+    async rotate(id) {
+        const record = await this.findById(id);
+        if (!record) {
+            return null;
+        }
+
+        const plainKey = ApiKeyStore.generateKey(record.tier);
+        const updated = await this.save({
+            ...record,
+            keyHash: ApiKeyStore.hashKey(plainKey),
+            keyPrefix: plainKey.substring(0, 12),
+            rotatedAt: new Date().toISOString()
+        }, record.keyHash);
+
+        return { apiKey: plainKey, record: updated };
+    }
+
+    async update(id, changes) {
+        const record = await this.findById(id);
+        if (!record) {
+            return null;
+        }
+
+        return this.save({ ...record, ...changes, id: record.id, keyHash: record.keyHash });
+    }
+
+    async count() {
+        await this.initialize();
+        return this.countRecords();
+    }
+
+    /**
+     * Operaciones de bajo nivel por backend (sin esperar la inicialización)
+     */
+    async readIdByHash(keyHash) {
+        if (this.backend === 'redis') {
+            return this.redis.hget(REDIS_KEYS.hashes, keyHash);
+        }
+        return this.hashIndex.get(keyHash) || null;
+    }
+
+    async readRecord(id) {
+        if (this.backend === 'redis') {
+            const raw = await this.redis.hget(REDIS_KEYS.records, id);
+            return raw ? JSON.parse(raw) : null;
+        }
+
+        const record = this.records.get(id);
+        return record ? { ...record } : null;
+    }
+
+    async countRecords() {
+        if (this.backend === 'redis') {
+            return this.redis.hlen(REDIS_KEYS.records);
+        }
+        return this.records.size;
+    }
+
+    /**
+     * Guardar registro. Si cambió el hash (rotación), se elimina el índice anterior
+     */
+    async writeRecord(record, previousHash = null) {
+        const stored = { ...record, updated: new Date().toISOString() };
+
+        if (this.backend === 'redis') {
+            const pipeline = this.redis.multi()
+                .hset(REDIS_KEYS.records, stored.id, JSON.stringify(stored))
+                .hset(REDIS_KEYS.hashes, stored.keyHash, stored.id);
+
+            if (previousHash && previousHash !== stored.keyHash) {
+                pipeline.hdel(REDIS_KEYS.hashes, previousHash);
+            }
+
+            await pipeline.exec();
+            return { ...stored };
+        }
+
+        if (previousHash && previousHash !== stored.keyHash) {
+            this.hashIndex.delete(previousHash);
+        }
+        this.records.set(stored.id, stored);
+        this.hashIndex.set(stored.keyHash, stored.id);
+        await this.persistFile();
+
+        return { ...stored };
+    }
+
+    /**
+     * Cargar keys históricas si el store está vacío (API_KEYS_SEED_DEFAULTS=false para omitir)
+     */
+    async seedIfEmpty() {
+        if (process.env.API_KEYS_SEED_DEFAULTS === 'false' || await this.countRecords() > 0) {
+            return;
+        }
+
+        for (const legacy of LEGACY_KEYS) {
+            await this.writeRecord({ ...legacy, role: 'user', isActive: true, rotatedAt: null });
+        }
+
+        logInfo('🌱 API keys históricas cargadas en el store', { total: LEGACY_KEYS.length });
+    }
+
+    /**
+     * Registrar ADMIN_API_KEY como key de administración si aún no existe
+     */
+    async ensureAdminKey() {
+        const adminKey = process.env.ADMIN_API_KEY;
+        if (!adminKey) {
+            return;
+        }
+
+        if (await this.readIdByHash(ApiKeyStore.hashKey(adminKey))) {
+            return;
+        }
+
+        await this.createRecord({
+            id: 'key_admin_bootstrap',
+            apiKey: adminKey,
+            tier: 'ENTERPRISE_TIER',
+            userId: 'admin',
+            name: 'Administrador',
+            role: 'admin'
+        });
+
+        logInfo('🛡️ API key de administración registrada desde ADMIN_API_KEY');
+    }
+
+    applyFileContent(content) {
+        for (const record of content.keys || []) {
+            this.records.set(record.id, record);
+            this.hashIndex.set(record.keyHash, record.id);
+        }
+    }
+
+    serializeFile() {
+        return { keys: Array.from(this.records.values()) };
+    }
+}
+
+// Singleton instance
+let apiKeyStoreInstance = null;
+
+const getApiKeyStore = () => {
+    if (!apiKeyStoreInstance) {
+        apiKeyStoreInstance = new ApiKeyStore();
+    }
+    return apiKeyStoreInstance;
+};
+
+module.exports = { ApiKeyStore, getApiKeyStore };
@@ -2,6 +2,9 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { logInfo, logError } = require('../../utils/logger');
+const { AppError, ErrorFactory } = require('../../utils/errors');
+const { getApiKeyStore } = require('./ApiKeyStore');
+const AssumptionsService = require('../anthropic/AssumptionsService');
 
 class AuthService {
     constructor() {
@@ -30,72 +33,27 @@ class AuthService {
             }
         };
 
-        // Simulamos una base de datos de API keys
-        this.apiKeys = new Map([
-            // FREE TIER
-            ['free_mde0ufw4_adc5cf27dcd6e8c9a9f2f6eb8a13e05d73cf40a03f4f40671cd7da2d8a63cf56', {
-                tier: 'FREE_TIER',
-                userId: 'free_user_1',
-                name: 'Usuario Free 1',
-                email: 'free1@notbrokker.com',
-                created: new Date('2024-01-01'),
-                isActive: true
-            }],
-            ['free_mde0ufxv_da427ed14b8c6e6b89680a60a71e4f66e70342b78c81eaa9040854e569c2bbaf', {
-                tier: 'FREE_TIER',
-                userId: 'free_user_2', 
-                name: 'Usuario Free 2',
-                email: 'free2@notbrokker.com',
-                created: new Date('2024-01-02'),
-                isActive: true
-            }],
-            
-            // PREMIUM TIER
-            ['pre_mde0uof8_638680b94d92c43dd3242a7266b22f756042f59672d8ddd49b6fa4ab701c244f', {
-                tier: 'PREMIUM_TIER',
-                userId: 'premium_user_1',
-                name: 'Usuario Premium 1',
-                email: 'premium1@notbrokker.com',
-                created: new Date('2024-01-01'),
-                isActive: true
-            }],
-            ['pre_mde0uofg_47f699d67457c82acb232971c647b6195cb9c70b3f76d8925d0a8efb6a0a1e33', {
-                tier: 'PREMIUM_TIER',
-                userId: 'premium_user_2',
-                name: 'Usuario Premium 2', 
-                email: 'premium2@notbrokker.com',
-                created: new Date('2024-01-02'),
-                isActive: true
-            }],
-            
-            // ENTERPRISE TIER
-            ['ent_mde0utgm_eff257d35eb9d826aaf39541bd932cf6c105a2a27ffcab348a1ed8288e32c0fb', {
-                tier: 'ENTERPRISE_TIER',
-                userId: 'enterprise_user_1',
-                name: 'Usuario Enterprise 1',
-                email: 'enterprise1@notbrokker.com',
-                created: new Date('2024-01-01'),
-                isActive: true
-            }]
-        ]);
+        // Límite para endpoints públicos sin API key (contado por IP)
+        this.ANONYMOUS_RATE_LIMIT = { requests: 10, window: '1h' };
+
+        // API keys persistentes (solo hashes) en Redis o archivo JSON
+        this.store = getApiKeyStore();
 
         logInfo('🔐 AuthService inicializado', {
-            totalApiKeys: this.apiKeys.size,
-            freeTier: Array.from(this.apiKeys.values()).filter(k => k.tier === 'FREE_TIER').length,
-            premiumTier: Array.from(this.apiKeys.values()).filter(k => k.tier === 'PREMIUM_TIER').length,
-            enterpriseTier: Array.from(this.apiKeys.values()).filter(k => k.tier === 'ENTERPRISE_TIER').length
+            keyStore: process.env.API_KEY_STORE || 'redis',
+            tiers: Object.keys(this.TIERS)
         });
     }
 
     /**
      * Validar API Key y obtener información del usuario
      */
-    validateApiKey(apiKey) {
+    async validateApiKey(apiKey) {
         if (!apiKey) {
             return { isValid: false, error: 'API key requerida' };
         }
 
-        const keyInfo = this.apiKeys.get(apiKey);
+        const keyInfo = await this.store.findByKey(apiKey);
         if (!keyInfo) {
             return { isValid: false, error: 'API key inválida' };
         }
@@ -105,10 +63,13 @@ class AuthService {
         }
 
         const tierInfo = this.TIERS[keyInfo.tier];
-        
+        if (!tierInfo) {
+            return { isValid: false, error: 'API key con tier inválido' };
+        }
+
         return {
             isValid: true,
-            user: keyInfo,
+            user: this.toPublicKeyInfo(keyInfo),
             tier: tierInfo,
             apiKeyPrefix: apiKey.substring(0, 12) + '...',
             features: tierInfo.features,
@@ -116,6 +77,149 @@ class AuthService {
         };
     }
 
+    /**
+     * Registro de API key sin el hash (para respuestas y req.auth)
+     */
+    toPublicKeyInfo(record) {
+        const { keyHash, keyPrefix, ...info } = record;
+        return {
+            ...info,
+            keyPrefix: keyPrefix ? keyPrefix + '...' : null,
+            role: info.role || 'user'
+        };
+    }
+
+    isAdmin(keyInfo) {
+        return keyInfo?.role === 'admin';
+    }
+
+    // ==========================================
+    // ADMINISTRACIÓN DE API KEYS
+    // ==========================================
+
+    validateTier(tier) {
+        if (!tier || !this.TIERS[tier]) {
+            throw ErrorFactory.validation(
+                `Tier inválido: ${tier}. Disponibles: ${Object.keys(this.TIERS).join(', ')}`,
+                'tier'
+            );
+        }
+    }
+
+    async getKeyOrFail(id) {
+        const record = await this.store.findById(id);
+        if (!record) {
+            throw new AppError(`API key no encontrada: ${id}`, 404);
+        }
+        return record;
+    }
+
+    /**
+     * Crear API key. La key en texto plano solo se devuelve en esta respuesta
+     */
+    async createApiKey({ tier, userId, name, email, role = 'user' } = {}) {
+        this.validateTier(tier);
+
+        if (!userId || typeof userId !== 'string') {
+            throw ErrorFactory.validation('userId requerido', 'userId');
+        }
+
+        if (!['user', 'admin'].includes(role)) {
+            throw ErrorFactory.validation('role debe ser user o admin', 'role');
+        }
+
+        const { apiKey, record } = await this.store.create({
+            tier,
+            userId,
+            name: name || null,
+            email: email || null,
+            role
+        });
+
+        logInfo('🗝️ API key creada', { id: record.id, userId, tier, role });
+
+        return { apiKey, key: this.toPublicKeyInfo(record) };
+    }
+
+    async listApiKeys({ tier = null, active = null } = {}) {
+        if (tier) {
+            this.validateTier(tier);
+        }
+
+        const records = await this.store.list();
+
+        return records
+            .filter(record => !tier || record.tier === tier)
+            .filter(record => active === null || record.isActive === active)
+            .map(record => this.toPublicKeyInfo(record));
+    }
+
+    async rotateApiKey(id) {
+        await this.getKeyOrFail(id);
+        const { apiKey, record } = await this.store.rotate(id);
+
+        logInfo('🔄 API key rotada', { id, userId: record.userId });
+
+        return { apiKey, key: this.toPublicKeyInfo(record) };
+    }
+
+    async setApiKeyStatus(id, isActive) {
+        await this.getKeyOrFail(id);
+        const record = await this.store.update(id, { isActive: !!isActive });
+
+        logInfo(isActive ? '✅ API key activada' : '⛔ API key desactivada', { id, userId: record.userId });
+
+        return this.toPublicKeyInfo(record);
+    }
+
+    async changeApiKeyTier(id, tier) {
+        this.validateTier(tier);
+        const current = await this.getKeyOrFail(id);
+        const record = await this.store.update(id, { tier });
+
+        logInfo('🎚️ Tier de API key actualizado', { id, from: current.tier, to: tier });
+
+        return this.toPublicKeyInfo(record);
+    }
+
+    /**
+     * Supuestos de gastos guardados en la API key (defaults de sus reportes financieros)
+     */
+    async getSavedAssumptions(id) {
+        const record = await this.getKeyOrFail(id);
+        return {
+            assumptions: record.assumptions || {},
+            updatedAt: record.assumptionsUpdatedAt || null
+        };
+    }
+
+    async saveAssumptions(id, assumptions) {
+        if (!assumptions || typeof assumptions !== 'object' || Array.isArray(assumptions)) {
+            throw ErrorFactory.validation('assumptions debe ser un objeto', 'assumptions');
+        }
+
+        const normalized = AssumptionsService.normalize(assumptions);
+        await this.getKeyOrFail(id);
+        const record = await this.store.update(id, {
+            assumptions: normalized,
+            assumptionsUpdatedAt: new Date().toISOString()
+        });
+
+        logInfo('🧮 Supuestos de gastos guardados en API key', { id, campos: Object.keys(normalized) });
+
+        return {
+            assumptions: record.assumptions,
+            updatedAt: record.assumptionsUpdatedAt
+        };
+    }
+
+    async clearAssumptions(id) {
+        await this.getKeyOrFail(id);
+        await this.store.update(id, { assumptions: {}, assumptionsUpdatedAt: new Date().toISOString() });
+
+        logInfo('🧮 Supuestos de gastos de API key restablecidos', { id });
+    }
+
     /**
      * Generar JWT Token
      */
@@ -260,8 +364,8 @@ class AuthService {
     /**
      * Obtener información completa de autenticación
      */
-    getAuthInfo(apiKey, jwtToken = null) {
-        const apiKeyValidation = this.validateApiKey(apiKey);
+    async getAuthInfo(apiKey, jwtToken = null) {
+        const apiKeyValidation = await this.validateApiKey(apiKey);
         if (!apiKeyValidation.isValid) {
             return { success: false, error: apiKeyValidation.error };
         }
@@ -301,9 +405,12 @@ class AuthService {
     /**
      * Obtener estadísticas del sistema de autenticación
      */
-    getAuthStats() {
+    async getAuthStats() {
+        const records = await this.store.list();
         const stats = {
-            totalApiKeys: this.apiKeys.size,
+            totalApiKeys: records.length,
+            activeApiKeys: records.filter(record => record.isActive).length,
+            keyStore: this.store.getBackendName(),
             tierDistribution: {},
             features: Object.keys(this.TIERS).reduce((acc, tier) => {
                 acc[tier] = this.TIERS[tier].features;
@@ -316,7 +423,7 @@ class AuthService {
         };
 
         // Contar distribución por tier
-        Array.from(this.apiKeys.values()).forEach(keyInfo => {
+        records.forEach(keyInfo => {
             stats.tierDistribution[keyInfo.tier] = (stats.tierDistribution[keyInfo.tier] || 0) + 1;
         });
 
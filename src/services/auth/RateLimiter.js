@@ -0,0 +1,171 @@
+// src/services/auth/RateLimiter.js
+const crypto = require('crypto');
+const { getRedisConfig } = require('../../config/redis');
+const { logWarn, logDebug } = require('../../utils/logger');
+
+const KEY_PREFIX = 'ratelimit:';
+
+const WINDOW_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Ventana deslizante atómica: limpia entradas vencidas, cuenta y registra el request
+ * Retorna { permitido, cantidad, timestamp más antiguo en la ventana }
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+
+redis.call('ZREMRANGEBYSCORE', key, 0, now - window)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+
+if count < limit then
+    redis.call('ZADD', key, now, ARGV[4])
+    redis.call('PEXPIRE', key, window)
+    count = count + 1
+    allowed = 1
+end
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { allowed, count, oldest[2] or now }
+`;
+
+/**
+ * Rate limiter de ventana deslizante compartido entre instancias (Redis) con
+ * fallback en memoria cuando Redis no está disponible
+ */
+class RateLimiter {
+    constructor() {
+        // La conexión Redis la inicia CacheService; aquí solo se reutiliza si está activa
+        this.redisConfig = getRedisConfig();
+        this.memoryWindows = new Map();
+        this.lastMemorySweep = Date.now();
+    }
+
+    /**
+     * Convertir ventana '15m' | '1h' | '30s' | '1d' a milisegundos
+     */
+    static parseWindow(window) {
+        const match = /^(\d+)\s*([smhd])$/.exec(String(window || '').trim());
+        if (!match) {
+            return 15 * WINDOW_UNITS.m;
+        }
+        return parseInt(match[1]) * WINDOW_UNITS[match[2]];
+    }
+
+    getRedisClient() {
+        return this.redisConfig.isConnected ? this.redisConfig.redis : null;
+    }
+
+    /**
+     * Registrar un request y verificar el límite
+     * @param {string} identifier - clave del contador (feature + API key o IP)
+     * @param {{requests: number, window: string}} rateLimit
+     */
+    async consume(identifier, { requests, window }) {
+        const windowMs = RateLimiter.parseWindow(window);
+        const now = Date.now();
+        const redis = this.getRedisClient();
+
+        let result = null;
+
+        if (redis) {
+            try {
+                result = await this.consumeRedis(redis, identifier, requests, windowMs, now);
+            } catch (error) {
+                logWarn('⚠️ Rate limiter Redis falló, usando memoria', { error: error.message });
+            }
+        }
+
+        if (!result) {
+            result = this.consumeMemory(identifier, requests, windowMs, now);
+        }
+
+        const resetMs = Math.max(0, result.oldest + windowMs - now);
+
+        return {
+            allowed: result.allowed,
+            limit: requests,
+            remaining: Math.max(0, requests - result.count),
+            windowMs,
+            resetSeconds: Math.ceil(resetMs / 1000),
+            resetTime: new Date(now + resetMs).toISOString(),
+            store: result.store
+        };
+    }
+
+    async consumeRedis(redis, identifier, limit, windowMs, now) {
+        const member = `${now}:${crypto.randomBytes(4).toString('hex')}`;
+        const [allowed, count, oldest] = await redis.eval(
+            SLIDING_WINDOW_SCRIPT, 1, KEY_PREFIX + identifier, now, windowMs, limit, member
+        );
+
+        return {
+            allowed: allowed === 1,
+            count: Number(count),
+            oldest: Number(oldest),
+            store: 'redis'
+        };
+    }
+
+    consumeMemory(identifier, limit, windowMs, now) {
+        this.sweepMemory(now);
+
+        const cutoff = now - windowMs;
+        const entry = this.memoryWindows.get(identifier) || { timestamps: [], windowMs };
+        entry.timestamps = entry.timestamps.filter(timestamp => timestamp > cutoff);
+        entry.windowMs = windowMs;
+
+        const allowed = entry.timestamps.length < limit;
+        if (allowed) {
+            entry.timestamps.push(now);
+        }
+
+        this.memoryWindows.set(identifier, entry);
+
+        return {
+            allowed,
+            count: entry.timestamps.length,
+            oldest: entry.timestamps[0] || now,
+            store: 'memory'
+        };
+    }
+
+    /**
+     * Eliminar contadores vencidos (como máximo una vez por minuto)
+     */
+    sweepMemory(now) {
+        if (now - this.lastMemorySweep < WINDOW_UNITS.m) {
+            return;
+        }
+
+        this.lastMemorySweep = now;
+        for (const [identifier, entry] of this.memoryWindows.entries()) {
+            const last = entry.timestamps[entry.timestamps.length - 1] || 0;
+            if (last <= now - entry.windowMs) {
+                this.memoryWindows.delete(identifier);
+            }
+        }
+
+        logDebug('🧹 Rate limiter en memoria depurado', { activeKeys: this.memoryWindows.size });
+    }
+}
+
+// Singleton instance
+let rateLimiterInstance = null;
+
+const getRateLimiter = () => {
+    if (!rateLimiterInstance) {
+        rateLimiterInstance = new RateLimiter();
+    }
+    return rateLimiterInstance;
+};
+
+module.exports = { RateLimiter, getRateLimiter };
@@ -38,6 +38,7 @@ class CacheService {
             search: 'search:results:',
             mortgage: 'mortgage:simulation:',
             pdf: 'pdf:report:',
+            indicators: 'indicators:value:',
             session: 'session:',
             rateLimit: 'ratelimit:'
         };
@@ -290,11 +291,13 @@ class CacheService {
                 cleared.memory = memoryKeys.length;
                 this.memoryCache.flushAll();
                 
-                // Limpiar Redis
+                // Limpiar Redis solo en los prefijos de cache (no tocar API keys u otros datos persistentes)
                 if (this.redis) {
-                    const redisKeys = await this.redis.keys('*');
-                    if (redisKeys.length > 0) {
-                        cleared.redis = await this.redis.del(...redisKeys);
+                    for (const prefix of Object.values(this.prefixes)) {
+                        const redisKeys = await this.redis.keys(`${prefix}*`);
+                        if (redisKeys.length > 0) {
+                            cleared.redis += await this.redis.del(...redisKeys);
+                        }
                     }
                 }
                 
@@ -0,0 +1,317 @@
+// src/services/geo/GeocodingService.js
+const path = require('path');
+const fs = require('fs');
+const { logDebug, logInfo } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const {
+    normalizeCoordinates,
+    distanceKm,
+    parseRadiusKm,
+    parsePolygon,
+    pointInPolygon,
+    polygonCenter
+} = require('../../utils/geo');
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, 'gazetteer.json');
+
+/**
+ * Precisión de la ubicación de una publicación, de mayor a menor
+ * portal: coordenadas publicadas por el portal (mapa de la ficha o JSON-LD)
+ * sector: centro aproximado de un barrio o sector conocido del gazetteer
+ * comuna: centro aproximado de la comuna
+ */
+const PRECISIONES = ['portal', 'sector', 'comuna'];
+
+/**
+ * Geocodificación de publicaciones y filtros geográficos (radio y polígono GeoJSON)
+ *
+ * Sin servicios externos: usa las coordenadas del portal cuando existen y, si no, el gazetteer
+ * offline de comunas y sectores (GEO_GAZETTEER_FILE, por defecto src/services/geo/gazetteer.json).
+ * El gazetteer solo tiene centros de comuna y de algunos sectores, no calles: las distancias de
+ * publicaciones con precisión sector o comuna son aproximadas (incertidumbreKm).
+ */
+class GeocodingService {
+
+    static gazetteer = null;
+
+    static getPrecisions() {
+        return PRECISIONES;
+    }
+
+    /**
+     * Gazetteer indexado por nombre normalizado (carga única)
+     */
+    static getGazetteer() {
+        if (this.gazetteer) {
+            return this.gazetteer;
+        }
+
+        const filePath = process.env.GEO_GAZETTEER_FILE || DEFAULT_GAZETTEER_PATH;
+        const contenido = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        const comunas = new Map();
+        for (const comuna of contenido.comunas || []) {
+            for (const nombre of [comuna.nombre, ...(comuna.alias || [])]) {
+                comunas.set(this.normalizeText(nombre), comuna);
+            }
+        }
+
+        // Nombres largos primero: "Plaza Ñuñoa" antes que "Ñuñoa"
+        const sectores = (contenido.sectores || [])
+            .map(sector => ({ ...sector, clave: this.normalizeText(sector.nombre) }))
+            .sort((a, b) => b.clave.length - a.clave.length);
+
+        this.gazetteer = { comunas, sectores, version: contenido.version || null, total: (contenido.comunas || []).length };
+
+        logInfo('🗺️ Gazetteer cargado', { file: filePath, comunas: this.gazetteer.total, sectores: sectores.length });
+        return this.gazetteer;
+    }
+
+    static findComuna(nombre) {
+        return this.getGazetteer().comunas.get(this.normalizeText(nombre)) || null;
+    }
+
+    /**
+     * Ubicación aproximada de un texto ("Montemar, Concón, Valparaíso", "Ñuñoa, Santiago")
+     * Primero un sector conocido; si no, la primera comuna nombrada (la más específica)
+     * y por último la comuna preferida (la comuna buscada).
+     * @returns {Object|null} { lat, lng, precision, referencia, incertidumbreKm }
+     */
+    static geocodeText(texto, { comunaPreferida = null } = {}) {
+        const { sectores } = this.getGazetteer();
+        const normalizado = this.normalizeText(texto);
+        const preferida = comunaPreferida ? this.findComuna(String(comunaPreferida).split(',')[0]) : null;
+
+        const segmentos = String(texto || '')
+            .split(',')
+            .map(segmento => segmento.trim())
+            .filter(Boolean);
+        const comunaNombrada = segmentos.map(segmento => this.findComuna(segmento)).find(Boolean) || null;
+        const comunaTexto = comunaNombrada || preferida;
+
+        if (normalizado) {
+            const candidatos = sectores.filter(sector => this.containsWord(normalizado, sector.clave));
+            const sector = candidatos.find(s => comunaTexto && this.normalizeText(s.comuna) === this.normalizeText(comunaTexto.nombre))
+                || (comunaTexto ? null : candidatos[0]);
+            if (sector) {
+                return this.buildLocation(sector, 'sector', `${sector.nombre}, ${sector.comuna}`);
+            }
+        }
+
+        if (comunaTexto) {
+            return this.buildLocation(comunaTexto, 'comuna', comunaTexto.nombre);
+        }
+
+        return null;
+    }
+
+    /**
+     * Ubicación de una publicación canónica: coordenadas del portal o gazetteer
+     * @param {Object} publicacion - ListingModel.fromExtraction
+     * @param {Object} opciones - { comunaBuscada: ubicación de la búsqueda }
+     */
+    static geocodeListing(publicacion, { comunaBuscada = null } = {}) {
+        const coordenadas = normalizeCoordinates(publicacion?.coordenadas);
+        if (coordenadas) {
+            return { ...coordenadas, precision: 'portal', referencia: null, incertidumbreKm: 0 };
+        }
+
+        return this.geocodeText(publicacion?.ubicacion, { comunaPreferida: comunaBuscada });
+    }
+
+    /**
+     * Agregar `geo` a cada publicación (null si no se pudo ubicar)
+     */
+    static geocodeListings(publicaciones = [], opciones = {}) {
+        const resultado = publicaciones.map(publicacion => ({
+            ...publicacion,
+            geo: this.geocodeListing(publicacion, opciones)
+        }));
+
+        logDebug('🗺️ Publicaciones geocodificadas', {
+            total: resultado.length,
+            porPrecision: this.countByPrecision(resultado)
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Validar los parámetros geográficos de una búsqueda
+     * @param {Object} parametros - { centro: { lat, lng } | texto, radio: '2km' | '800m' | km, poligono: GeoJSON }
+     * @param {Object} contexto - { ubicacion: comuna buscada, centro por defecto del radio }
+     * @returns {Object|null} { centro, radioKm, poligonos } o null si no se pidió filtro geográfico
+     */
+    static normalizeGeoOptions({ centro, radio, poligono } = {}, { ubicacion = null } = {}) {
+        const vacio = (valor) => valor === undefined || valor === null || valor === '';
+        if (vacio(radio) && vacio(poligono)) {
+            if (!vacio(centro)) {
+                throw ErrorFactory.validation('centro requiere radio o poligono', 'centro');
+            }
+            return null;
+        }
+
+        const poligonos = vacio(poligono) ? null : parsePolygon(this.parseJson(poligono, 'poligono'));
+        const radioKm = vacio(radio) ? null : parseRadiusKm(radio, 'radio');
+
+        // Un centro pedido por nombre es el punto de referencia de ese lugar, no una ubicación incierta
+        let centroResuelto = null;
+        if (!vacio(centro)) {
+            centroResuelto = { ...this.resolveCenter(this.parseJson(centro, 'centro')), incertidumbreKm: 0 };
+        } else if (radioKm !== null) {
+            centroResuelto = ubicacion ? this.geocodeText(ubicacion) : null;
+            if (centroResuelto) {
+                centroResuelto.incertidumbreKm = 0;
+            } else {
+                throw ErrorFactory.validation(
+                    `No se pudo ubicar "${ubicacion}" para centrar el radio; envía centro ({ "lat": -33.45, "lng": -70.6 } o una comuna)`,
+                    'centro'
+                );
+            }
+        } else {
+            centroResuelto = { ...polygonCenter(poligonos), precision: 'poligono', referencia: 'centro del polígono', incertidumbreKm: null };
+        }
+
+        return { centro: centroResuelto, radioKm, poligonos };
+    }
+
+    /**
+     * Centro de un filtro: { lat, lng } o texto geocodificable con el gazetteer
+     */
+    static resolveCenter(centro) {
+        if (typeof centro === 'string') {
+            const ubicado = this.geocodeText(centro);
+            if (!ubicado) {
+                throw ErrorFactory.validation(`centro no reconocido: "${centro}". Usa { "lat", "lng" } o el nombre de una comuna`, 'centro');
+            }
+            return ubicado;
+        }
+
+        const coordenadas = normalizeCoordinates(centro);
+        if (!coordenadas) {
+            throw ErrorFactory.validation('centro debe tener lat y lng numéricos válidos', 'centro');
+        }
+        return { ...coordenadas, precision: 'coordenadas', referencia: null, incertidumbreKm: 0 };
+    }
+
+    /**
+     * Filtrar por radio y/o polígono y ordenar por distancia al centro
+     * El radio se amplía con la incertidumbreKm de la publicación y del centro. Las publicaciones
+     * ubicadas solo por comuna no se filtran por radio (su centro de comuna no dice en qué parte
+     * de la comuna están): se ordenan por distancia después de las ubicadas con más precisión.
+     * Publicaciones sin ubicación quedan fuera. Con `minimo`, si quedan menos dentro del área
+     * se completan con las más cercanas de fuera (dentroDelArea: false).
+     * @param {Array} publicaciones - con `geo` (geocodeListings)
+     * @param {Object} filtro - normalizeGeoOptions
+     * @param {Object} opciones - { minimo: publicaciones mínimas a devolver }
+     * @returns {{ publicaciones: Array, resumen: Object }}
+     */
+    static applyGeoFilter(publicaciones = [], { centro, radioKm = null, poligonos = null }, { minimo = 0 } = {}) {
+        const ubicadas = [];
+        let sinUbicacion = 0;
+
+        for (const publicacion of publicaciones) {
+            if (!publicacion.geo) {
+                sinUbicacion++;
+                continue;
+            }
+            const distancia = centro ? Math.round(distanceKm(centro, publicacion.geo) * 100) / 100 : null;
+            const soloComuna = publicacion.geo.precision === 'comuna';
+            const tolerancia = (publicacion.geo.incertidumbreKm || 0) + (centro?.incertidumbreKm || 0);
+            const dentroDelRadio = radioKm === null || soloComuna || distancia <= radioKm + tolerancia;
+            const dentro = dentroDelRadio && (!poligonos || pointInPolygon(publicacion.geo, poligonos));
+            ubicadas.push({
+                ...publicacion,
+                geo: { ...publicacion.geo, distanciaKm: distancia, dentroDelArea: dentro, radioVerificado: radioKm !== null && !soloComuna }
+            });
+        }
+
+        const porDistancia = (a, b) => (a.geo.distanciaKm ?? 0) - (b.geo.distanciaKm ?? 0);
+        const enArea = ubicadas.filter(p => p.geo.dentroDelArea);
+        const sinVerificar = enArea.filter(p => radioKm !== null && !p.geo.radioVerificado).sort(porDistancia);
+        const dentro = [...enArea.filter(p => !sinVerificar.includes(p)).sort(porDistancia), ...sinVerificar];
+        const complemento = dentro.length < minimo && centro
+            ? ubicadas.filter(p => !p.geo.dentroDelArea).sort(porDistancia).slice(0, minimo - dentro.length)
+            : [];
+        const resultado = [...dentro, ...complemento];
+
+        const resumen = {
+            modo: radioKm !== null && poligonos ? 'radio_y_poligono' : (poligonos ? 'poligono' : 'radio'),
+            centro: centro ? { lat: centro.lat, lng: centro.lng, precision: centro.precision ?? null, referencia: centro.referencia ?? null } : null,
+            radioKm,
+            poligono: !!poligonos,
+            evaluadas: publicaciones.length,
+            dentroDelArea: dentro.length,
+            sinFiltroDeRadio: sinVerificar.length,
+            fueraDelArea: ubicadas.length - dentro.length,
+            complementadasFueraDelArea: complemento.length,
+            sinUbicacion,
+            porPrecision: this.countByPrecision(resultado),
+            nota: 'Distancias aproximadas para publicaciones ubicadas por sector o comuna (sin coordenadas del portal); ' +
+                'el radio se amplía con su incertidumbreKm y las ubicadas solo por comuna no se filtran por radio'
+        };
+
+        logInfo('📍 Filtro geográfico aplicado', {
+            modo: resumen.modo,
+            radioKm,
+            dentro: dentro.length,
+            sinFiltroDeRadio: sinVerificar.length,
+            fuera: resumen.fueraDelArea,
+            sinUbicacion
+        });
+
+        return { publicaciones: resultado, resumen };
+    }
+
+    static buildLocation(entrada, precision, referencia) {
+        return { lat: entrada.lat, lng: entrada.lng, precision, referencia, incertidumbreKm: entrada.radioKm ?? null };
+    }
+
+    static countByPrecision(publicaciones) {
+        const conteo = Object.fromEntries(PRECISIONES.map(precision => [precision, 0]));
+        for (const publicacion of publicaciones) {
+            if (publicacion.geo?.precision in conteo) {
+                conteo[publicacion.geo.precision]++;
+            }
+        }
+        return conteo;
+    }
+
+    /**
+     * Parámetros GET llegan como texto: aceptar JSON serializado
+     */
+    static parseJson(valor, campo) {
+        if (typeof valor !== 'string' || !/^\s*[{[]/.test(valor)) {
+            return valor;
+        }
+        try {
+            return JSON.parse(valor);
+        } catch (error) {
+            throw ErrorFactory.validation(`${campo} no es JSON válido`, campo);
+        }
+    }
+
+    static containsWord(texto, palabra) {
+        return ` ${texto.replace(/[^\w\s]/g, ' ')} `.includes(` ${palabra} `);
+    }
+
+    static normalizeText(texto) {
+        return String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    static getInfo() {
+        const { total, sectores, version } = this.getGazetteer();
+        return {
+            precisiones: PRECISIONES,
+            gazetteer: {
+                version,
+                comunas: total,
+                sectores: sectores.length,
+                limitacion: 'Solo centros de comuna y de algunos sectores (sin calles ni direcciones): sin coordenadas del portal, ' +
+                    'la ubicación es aproximada (incertidumbreKm) y las publicaciones ubicadas solo por comuna se ordenan por distancia pero no se filtran por radio'
+            }
+        };
+    }
+}
+
+module.exports = GeocodingService;
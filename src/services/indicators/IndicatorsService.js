@@ -0,0 +1,291 @@
+// src/services/indicators/IndicatorsService.js
+const path = require('path');
+const fs = require('fs').promises;
+const { logInfo, logError, logDebug, logWarn } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { getCacheService } = require('../cache/CacheService');
+
+/**
+ * Indicadores soportados y valores de respaldo (último recurso si el proveedor falla)
+ */
+const INDICADORES = {
+    uf: { nombre: 'Unidad de Fomento', unidad: 'CLP', periodicidad: 'diaria', valorRespaldo: 39250 },
+    utm: { nombre: 'Unidad Tributaria Mensual', unidad: 'CLP', periodicidad: 'mensual', valorRespaldo: 68923 },
+    usd: { nombre: 'Dólar observado', unidad: 'CLP', periodicidad: 'diaria', valorRespaldo: 950, codigoProveedor: 'dolar' },
+    ipc: { nombre: 'Índice de Precios al Consumidor (variación mensual)', unidad: '%', periodicidad: 'mensual', valorRespaldo: 0.4 }
+};
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'indicadores.json');
+
+/**
+ * Servicio de indicadores económicos (UF, UTM, USD, IPC) con cache diario
+ *
+ * Proveedores (INDICATORS_PROVIDER):
+ * - mindicador: API pública mindicador.cl (por defecto)
+ * - file: archivo JSON local (INDICATORS_FILE), útil offline y en pruebas
+ */
+class IndicatorsService {
+
+    // Último valor obtenido por indicador, para cálculos síncronos sin fecha
+    static lastKnownValues = {};
+
+    /**
+     * Obtener un indicador para una fecha (por defecto hoy)
+     */
+    static async getIndicator(codigo, fecha = null) {
+        const code = String(codigo || '').toLowerCase();
+        if (!INDICADORES[code]) {
+            throw ErrorFactory.validation(
+                `Indicador no soportado: ${codigo}. Disponibles: ${Object.keys(INDICADORES).join(', ')}`,
+                'code'
+            );
+        }
+
+        const fechaConsulta = this.normalizeDate(fecha);
+        const cacheService = getCacheService();
+        const cacheId = `${code}:${fechaConsulta}`;
+
+        const cached = await cacheService.get('indicators', cacheId);
+        if (cached.success) {
+            return { ...cached.data, cached: true };
+        }
+
+        const provider = this.getProviderName();
+        let resultado;
+
+        try {
+            resultado = provider === 'file'
+                ? await this.fetchFromFile(code, fechaConsulta)
+                : await this.fetchFromMindicador(code, fechaConsulta);
+        } catch (error) {
+            logWarn(`⚠️ Proveedor de indicadores '${provider}' falló, usando respaldo`, {
+                codigo: code,
+                fecha: fechaConsulta,
+                error: error.message
+            });
+            resultado = await this.getFallbackValue(code, fechaConsulta);
+        }
+
+        const indicador = {
+            codigo: code,
+            nombre: INDICADORES[code].nombre,
+            unidad: INDICADORES[code].unidad,
+            valor: resultado.valor,
+            fecha: resultado.fecha,
+            fechaConsulta,
+            fuente: resultado.fuente,
+            proveedor: provider
+        };
+
+        // No cachear valores de respaldo para reintentar el proveedor en la próxima consulta
+        if (!resultado.esRespaldo) {
+            const esHoy = fechaConsulta === this.normalizeDate(null);
+            await cacheService.set('indicators', cacheId, indicador, esHoy ? null : 7 * 24 * 60 * 60);
+            this.lastKnownValues[code] = indicador;
+        }
+
+        logInfo('📈 Indicador económico obtenido', {
+            codigo: code,
+            valor: indicador.valor,
+            fecha: indicador.fecha,
+            fuente: indicador.fuente
+        });
+
+        return { ...indicador, cached: false };
+    }
+
+    /**
+     * Valor numérico de la UF para una fecha
+     */
+    static async getUFValue(fecha = null) {
+        const indicador = await this.getIndicator('uf', fecha);
+        return indicador.valor;
+    }
+
+    /**
+     * Obtener UF sin lanzar errores (para flujos de reporte que nunca deben fallar por esto)
+     */
+    static async getUFSafely(fecha = null) {
+        return this.getIndicatorSafely('uf', fecha);
+    }
+
+    /**
+     * Obtener un indicador sin lanzar errores (último valor conocido o respaldo)
+     * Una fecha inválida o futura también cae aquí: se informa la fecha de hoy en vez de volver a fallar
+     */
+    static async getIndicatorSafely(codigo, fecha = null) {
+        try {
+            return await this.getIndicator(codigo, fecha);
+        } catch (error) {
+            const code = String(codigo || '').toLowerCase();
+            let fechaConsulta;
+            try {
+                fechaConsulta = this.normalizeDate(fecha);
+            } catch (errorFecha) {
+                fechaConsulta = this.normalizeDate(null);
+            }
+
+            logError(`❌ Error obteniendo ${code.toUpperCase()}, usando último valor conocido`, { error: error.message, fecha });
+            return {
+                codigo: code,
+                nombre: INDICADORES[code]?.nombre || null,
+                unidad: INDICADORES[code]?.unidad || null,
+                valor: this.getLastKnownValue(code),
+                fecha: fechaConsulta,
+                fechaConsulta,
+                fuente: 'ultimo_valor_conocido',
+                proveedor: this.getProviderName()
+            };
+        }
+    }
+
+    /**
+     * Último valor conocido (síncrono). Si nunca se consultó, usa el valor de respaldo
+     */
+    static getLastKnownValue(codigo = 'uf') {
+        return this.lastKnownValues[codigo]?.valor || INDICADORES[codigo]?.valorRespaldo || null;
+    }
+
+    /**
+     * Conversiones UF ↔ CLP
+     */
+    static ufToCLP(montoUF, valorUF) {
+        return Math.round(montoUF * valorUF);
+    }
+
+    static clpToUF(montoCLP, valorUF) {
+        return Math.round((montoCLP / valorUF) * 100) / 100;
+    }
+
+    /**
+     * Indicadores disponibles
+     */
+    static getSupportedIndicators() {
+        return Object.entries(INDICADORES).map(([codigo, config]) => ({
+            codigo,
+            nombre: config.nombre,
+            unidad: config.unidad,
+            periodicidad: config.periodicidad
+        }));
+    }
+
+    static getProviderName() {
+        return (process.env.INDICATORS_PROVIDER || 'mindicador').toLowerCase();
+    }
+
+    /**
+     * Normalizar fecha a YYYY-MM-DD (hora de Chile no es relevante para valores diarios)
+     */
+    static normalizeDate(fecha) {
+        if (!fecha) {
+            return new Date().toISOString().split('T')[0];
+        }
+
+        const parsed = fecha instanceof Date ? fecha : new Date(fecha);
+        if (isNaN(parsed.getTime())) {
+            throw ErrorFactory.validation(`Fecha inválida: ${fecha}. Formato esperado YYYY-MM-DD`, 'date');
+        }
+
+        if (parsed.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+            throw ErrorFactory.validation('No se pueden consultar indicadores de fechas futuras', 'date');
+        }
+
+        return parsed.toISOString().split('T')[0];
+    }
+
+    /**
+     * Proveedor mindicador.cl
+     */
+    static async fetchFromMindicador(codigo, fecha) {
+        const baseUrl = process.env.INDICATORS_API_URL || 'https://mindicador.cl/api';
+        const [anio, mes, dia] = fecha.split('-');
+        const codigoProveedor = INDICADORES[codigo].codigoProveedor || codigo;
+
+        logDebug('🌐 Consultando mindicador', { codigo, fecha });
+
+        let serie = await this.fetchJSON(`${baseUrl}/${codigoProveedor}/${dia}-${mes}-${anio}`);
+
+        // Indicadores mensuales (o días sin publicación) pueden venir vacíos: buscar en el año completo
+        if (!serie?.length) {
+            serie = await this.fetchJSON(`${baseUrl}/${codigoProveedor}/${anio}`);
+        }
+
+        const punto = this.findClosestPoint(
+            (serie || []).map(p => ({ fecha: p.fecha.split('T')[0], valor: p.valor })),
+            fecha
+        );
+
+        if (!punto) {
+            throw new Error(`Sin datos de ${codigo} para ${fecha}`);
+        }
+
+        return { valor: punto.valor, fecha: punto.fecha, fuente: 'mindicador.cl' };
+    }
+
+    static async fetchJSON(url) {
+        const timeout = parseInt(process.env.INDICATORS_TIMEOUT_MS) || 5000;
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} desde ${url}`);
+        }
+
+        const body = await response.json();
+        return body.serie;
+    }
+
+    /**
+     * Proveedor de archivo local
+     */
+    static async fetchFromFile(codigo, fecha) {
+        const filePath = process.env.INDICATORS_FILE || DEFAULT_FIXTURE_PATH;
+        const contenido = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const valores = contenido[codigo] || {};
+
+        const punto = this.findClosestPoint(
+            Object.entries(valores).map(([f, valor]) => ({ fecha: f, valor })),
+            fecha
+        );
+
+        if (!punto) {
+            throw new Error(`Sin datos de ${codigo} para ${fecha} en ${path.basename(filePath)}`);
+        }
+
+        return { valor: punto.valor, fecha: punto.fecha, fuente: `archivo:${path.basename(filePath)}` };
+    }
+
+    /**
+     * Último punto con fecha <= fecha solicitada
+     */
+    static findClosestPoint(puntos, fecha) {
+        return puntos
+            .filter(p => p.fecha <= fecha && typeof p.valor === 'number')
+            .sort((a, b) => b.fecha.localeCompare(a.fecha))[0] || null;
+    }
+
+    /**
+     * Respaldo: archivo local → último valor conocido → valor fijo
+     */
+    static async getFallbackValue(codigo, fecha) {
+        try {
+            const desdeArchivo = await this.fetchFromFile(codigo, fecha);
+            return { ...desdeArchivo, esRespaldo: true };
+        } catch (error) {
+            logDebug('ℹ️ Archivo de indicadores no disponible para respaldo', { error: error.message });
+        }
+
+        const ultimo = this.lastKnownValues[codigo];
+        if (ultimo) {
+            return { valor: ultimo.valor, fecha: ultimo.fecha, fuente: 'ultimo_valor_conocido', esRespaldo: true };
+        }
+
+        return {
+            valor: INDICADORES[codigo].valorRespaldo,
+            fecha,
+            fuente: 'valor_respaldo_fijo',
+            esRespaldo: true
+        };
+    }
+}
+
+module.exports = IndicatorsService;
@@ -0,0 +1,272 @@
+// src/services/investment/InvestmentProjectionService.js
+const { logDebug } = require('../../utils/logger');
+const { round, numberParam } = require('../../utils/numbers');
+const AmortizationService = require('../mortgage/AmortizationService');
+
+/**
+ * Supuestos por defecto de la proyección (tasas en % anual)
+ * - crecimientoRealArriendo: crecimiento del arriendo por sobre la UF (los arriendos se reajustan en UF)
+ * - crecimientoRealGastos: crecimiento de gastos operacionales por sobre la UF
+ * - tasaDescuento: rentabilidad exigida (nominal en pesos) para el VAN
+ * - costosVentaPct: corretaje + IVA y gastos de la venta al final del horizonte
+ */
+const SUPUESTOS_PROYECCION = {
+    horizonteAnios: 20,
+    crecimientoRealArriendo: 0.5,
+    crecimientoRealGastos: 0,
+    variacionAnualUF: AmortizationService.getDefaults().variacionAnualUF,
+    tasaDescuento: 8,
+    costosVentaPct: 3,
+    plazoCreditoAnios: 25
+};
+
+const HORIZONTE_MIN = 10;
+const HORIZONTE_MAX = 30;
+const MAX_ITERACIONES_TIR = 200;
+
+/**
+ * Proyección multianual de una inversión inmobiliaria con crédito hipotecario
+ *
+ * Flujos anuales en pesos nominales: la UF se proyecta con variacionAnualUF, el arriendo y los
+ * gastos se reajustan con la UF, y el dividendo (fijo en UF) sale del motor de amortización.
+ * Al final del horizonte se vende: valor proyectado - costos de venta - saldo de la deuda - comisión de prepago.
+ */
+class InvestmentProjectionService {
+
+    static getDefaults() {
+        return SUPUESTOS_PROYECCION;
+    }
+
+    /**
+     * @param {Object} params
+     * @param {number} params.precioUF - Precio de compra
+     * @param {number} params.valorUF - UF actual en CLP
+     * @param {number} params.arriendoMensualCLP - Arriendo actual
+     * @param {number} params.gastosOperacionalesMensualesCLP - Gastos recurrentes actuales (contribuciones, mantención, vacancia...)
+     * @param {number} params.gastosInicialesCLP - Gastos de compra (se suman al pie en la inversión inicial)
+     * @param {number} [params.montoCreditoUF=0] - Sin crédito se proyecta una compra al contado
+     * @param {number} [params.tasaCredito] - Tasa anual del crédito (%)
+     * @param {number} [params.plazoCreditoAnios]
+     * @param {number} params.plusvaliaAnual - Plusvalía anual de la propiedad en UF (%)
+     * @param {number} [params.horizonteAnios] - 10 a 30 años
+     */
+    static project(params = {}) {
+        const p = this.normalizeParams(params);
+        const credito = this.buildLoanSchedule(p);
+
+        const pieUF = p.precioUF - p.montoCreditoUF;
+        const inversionInicial = Math.round(pieUF * p.valorUF + p.gastosInicialesCLP);
+        // Con 100% de financiamiento y sin gastos iniciales no hay capital propio: los ratios sobre la inversión no aplican
+        const sobreInversion = (valor, factor = 1) => inversionInicial > 0 ? round(valor / inversionInicial * factor) : null;
+
+        const anios = [];
+        let flujoAcumulado = -inversionInicial;
+        let paybackAnios = null;
+
+        for (let anio = 1; anio <= p.horizonteAnios; anio++) {
+            const factorUF = Math.pow(1 + p.variacionAnualUF / 100, anio - 1);
+            const valorUFFinAnio = p.valorUF * Math.pow(1 + p.variacionAnualUF / 100, anio);
+
+            const arriendoAnual = p.arriendoMensualCLP * 12 * factorUF * Math.pow(1 + p.crecimientoRealArriendo / 100, anio - 1);
+            const gastosAnuales = p.gastosOperacionalesMensualesCLP * 12 * factorUF * Math.pow(1 + p.crecimientoRealGastos / 100, anio - 1);
+            const deuda = credito.porAnio[anio - 1] || { dividendosCLP: 0, interesesUF: 0, amortizacionUF: 0, saldoFinalUF: 0 };
+            const flujoNeto = arriendoAnual - gastosAnuales - deuda.dividendosCLP;
+
+            const valorPropiedadUF = p.precioUF * Math.pow(1 + p.plusvaliaAnual / 100, anio);
+            const valorPropiedadCLP = valorPropiedadUF * valorUFFinAnio;
+            const saldoDeudaCLP = deuda.saldoFinalUF * valorUFFinAnio;
+
+            flujoAcumulado += flujoNeto;
+            if (paybackAnios === null && flujoAcumulado >= 0) {
+                paybackAnios = anio;
+            }
+
+            anios.push({
+                anio,
+                valorUF: Math.round(valorUFFinAnio),
+                arriendoAnual: Math.round(arriendoAnual),
+                gastosOperacionales: Math.round(gastosAnuales),
+                dividendos: Math.round(deuda.dividendosCLP),
+                interesesUF: round(deuda.interesesUF),
+                amortizacionUF: round(deuda.amortizacionUF),
+                flujoNeto: Math.round(flujoNeto),
+                flujoAcumulado: Math.round(flujoAcumulado),
+                cashOnCash: sobreInversion(flujoNeto, 100),
+                valorPropiedadUF: round(valorPropiedadUF),
+                valorPropiedadCLP: Math.round(valorPropiedadCLP),
+                saldoDeudaUF: round(deuda.saldoFinalUF),
+                saldoDeudaCLP: Math.round(saldoDeudaCLP),
+                patrimonioCLP: Math.round(valorPropiedadCLP - saldoDeudaCLP),
+                patrimonioUF: round(valorPropiedadUF - deuda.saldoFinalUF)
+            });
+        }
+
+        const ultimo = anios[anios.length - 1];
+        const venta = this.buildExit(p, ultimo, credito);
+        const flujos = [-inversionInicial, ...anios.map(a => a.flujoNeto)];
+        flujos[flujos.length - 1] += venta.netoVenta;
+
+        const tir = this.irr(flujos);
+        const van = this.npv(flujos, p.tasaDescuento);
+        const totalFlujos = anios.reduce((total, a) => total + a.flujoNeto, 0);
+
+        const resultado = {
+            parametros: p,
+            inversionInicial: {
+                pieUF: round(pieUF),
+                pieCLP: Math.round(pieUF * p.valorUF),
+                gastosIniciales: Math.round(p.gastosInicialesCLP),
+                total: inversionInicial
+            },
+            credito: {
+                montoUF: p.montoCreditoUF,
+                tasaAnual: p.montoCreditoUF > 0 ? p.tasaCredito : null,
+                plazoAnios: p.montoCreditoUF > 0 ? p.plazoCreditoAnios : null,
+                dividendoConSegurosUF: credito.dividendoUF
+            },
+            anios,
+            venta,
+            indicadores: {
+                tir: tir === null ? null : round(tir * 100),
+                van: Math.round(van),
+                tasaDescuento: p.tasaDescuento,
+                cashOnCashAnio1: anios[0].cashOnCash,
+                cashOnCashPromedio: sobreInversion(totalFlujos / p.horizonteAnios, 100),
+                multiploCapital: sobreInversion(totalFlujos + venta.netoVenta),
+                paybackAnios,
+                flujoAcumuladoSinVenta: Math.round(totalFlujos),
+                gananciaTotal: Math.round(totalFlujos + venta.netoVenta - inversionInicial)
+            },
+            patrimonio: {
+                inicialUF: round(pieUF),
+                finalUF: ultimo.patrimonioUF,
+                porAmortizacionUF: round(p.montoCreditoUF - ultimo.saldoDeudaUF),
+                porPlusvaliaUF: round(ultimo.valorPropiedadUF - p.precioUF)
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        logDebug('📈 Proyección de inversión calculada', {
+            horizonte: p.horizonteAnios, tir: resultado.indicadores.tir, van: resultado.indicadores.van
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Validar y completar parámetros con los supuestos por defecto
+     */
+    static normalizeParams(params) {
+        const precioUF = numberParam(params.precioUF, 'precioUF', { min: 1, max: 1000000, requerido: true });
+        const montoCreditoUF = numberParam(params.montoCreditoUF, 'montoCreditoUF', { min: 0, max: precioUF, defecto: 0 });
+
+        return {
+            precioUF,
+            valorUF: numberParam(params.valorUF, 'valorUF', { min: 1, max: 1000000, requerido: true }),
+            arriendoMensualCLP: numberParam(params.arriendoMensualCLP, 'arriendoMensualCLP', { min: 0, max: 1e10, requerido: true }),
+            gastosOperacionalesMensualesCLP: numberParam(params.gastosOperacionalesMensualesCLP, 'gastosOperacionalesMensualesCLP', { min: 0, max: 1e10, defecto: 0 }),
+            gastosInicialesCLP: numberParam(params.gastosInicialesCLP, 'gastosInicialesCLP', { min: 0, max: 1e12, defecto: 0 }),
+            montoCreditoUF,
+            tasaCredito: numberParam(params.tasaCredito, 'tasaCredito', { min: 0, max: 30, defecto: AmortizationService.getDefaults().tasaAnual }),
+            plazoCreditoAnios: Math.round(numberParam(params.plazoCreditoAnios, 'plazoCreditoAnios', { min: 5, max: 40, defecto: SUPUESTOS_PROYECCION.plazoCreditoAnios })),
+            plusvaliaAnual: numberParam(params.plusvaliaAnual, 'plusvaliaAnual', { min: -20, max: 30, requerido: true }),
+            crecimientoRealArriendo: numberParam(params.crecimientoRealArriendo, 'crecimientoRealArriendo', { min: -20, max: 20, defecto: SUPUESTOS_PROYECCION.crecimientoRealArriendo }),
+            crecimientoRealGastos: numberParam(params.crecimientoRealGastos, 'crecimientoRealGastos', { min: -20, max: 20, defecto: SUPUESTOS_PROYECCION.crecimientoRealGastos }),
+            variacionAnualUF: numberParam(params.variacionAnualUF, 'variacionAnualUF', { min: -10, max: 50, defecto: SUPUESTOS_PROYECCION.variacionAnualUF }),
+            tasaDescuento: numberParam(params.tasaDescuento, 'tasaDescuento', { min: 0, max: 50, defecto: SUPUESTOS_PROYECCION.tasaDescuento }),
+            costosVentaPct: numberParam(params.costosVentaPct, 'costosVentaPct', { min: 0, max: 20, defecto: SUPUESTOS_PROYECCION.costosVentaPct }),
+            horizonteAnios: Math.round(numberParam(params.horizonteAnios, 'horizonteAnios', {
+                min: HORIZONTE_MIN, max: HORIZONTE_MAX, defecto: SUPUESTOS_PROYECCION.horizonteAnios
+            }))
+        };
+    }
+
+    /**
+     * Dividendos, intereses, amortización y saldo por año (motor de amortización local)
+     */
+    static buildLoanSchedule(p) {
+        if (p.montoCreditoUF <= 0) {
+            return { porAnio: [], dividendoUF: 0 };
+        }
+
+        const calculo = AmortizationService.calculate({
+            montoUF: p.montoCreditoUF,
+            plazoAnios: p.plazoCreditoAnios,
+            tasaAnual: p.tasaCredito,
+            valorAsegurableUF: p.precioUF,
+            variacionAnualUF: p.variacionAnualUF,
+            valorUF: p.valorUF,
+            incluirTabla: true
+        });
+
+        const porAnio = [];
+        for (const fila of calculo.tabla) {
+            const indice = Math.floor((fila.mes - 1) / 12);
+            if (!porAnio[indice]) {
+                porAnio[indice] = { dividendosCLP: 0, interesesUF: 0, amortizacionUF: 0, saldoFinalUF: 0 };
+            }
+            porAnio[indice].dividendosCLP += fila.dividendoCLP;
+            porAnio[indice].interesesUF += fila.interesUF;
+            porAnio[indice].amortizacionUF += fila.amortizacionUF;
+            porAnio[indice].saldoFinalUF = fila.saldoFinalUF;
+        }
+
+        return { porAnio, dividendoUF: calculo.dividendo.conSegurosUF };
+    }
+
+    /**
+     * Venta al final del horizonte: costos de venta, saldo de la deuda y comisión de prepago
+     */
+    static buildExit(p, ultimo, credito) {
+        const costosVenta = ultimo.valorPropiedadCLP * p.costosVentaPct / 100;
+        const comisionPrepago = credito.porAnio.length > 0
+            ? AmortizationService.prepaymentFeeUF(ultimo.saldoDeudaUF, p.tasaCredito) * ultimo.valorUF
+            : 0;
+        const netoVenta = ultimo.valorPropiedadCLP - costosVenta - ultimo.saldoDeudaCLP - comisionPrepago;
+
+        return {
+            anio: ultimo.anio,
+            valorVentaCLP: ultimo.valorPropiedadCLP,
+            valorVentaUF: ultimo.valorPropiedadUF,
+            costosVenta: Math.round(costosVenta),
+            saldoDeuda: ultimo.saldoDeudaCLP,
+            comisionPrepago: Math.round(comisionPrepago),
+            netoVenta: Math.round(netoVenta)
+        };
+    }
+
+    /**
+     * TIR anual por bisección (null si los flujos no cambian de signo)
+     */
+    static irr(flujos) {
+        const van = (tasa) => flujos.reduce((total, flujo, t) => total + flujo / Math.pow(1 + tasa, t), 0);
+
+        let bajo = -0.99;
+        let alto = 1;
+
+        if (van(bajo) * van(alto) > 0) {
+            return null;
+        }
+
+        for (let i = 0; i < MAX_ITERACIONES_TIR; i++) {
+            const medio = (bajo + alto) / 2;
+            if (van(bajo) * van(medio) <= 0) {
+                alto = medio;
+            } else {
+                bajo = medio;
+            }
+            if (alto - bajo < 1e-8) break;
+        }
+
+        return (bajo + alto) / 2;
+    }
+
+    /**
+     * VAN con tasa de descuento anual en %
+     */
+    static npv(flujos, tasaDescuento) {
+        return flujos.reduce((total, flujo, t) => total + flujo / Math.pow(1 + tasaDescuento / 100, t), 0);
+    }
+}
+
+module.exports = InvestmentProjectionService;
@@ -0,0 +1,351 @@
+// src/services/investment/MonteCarloService.js
+const { logDebug } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { round, numberParam } = require('../../utils/numbers');
+const AmortizationService = require('../mortgage/AmortizationService');
+const InvestmentProjectionService = require('./InvestmentProjectionService');
+
+/**
+ * Distribuciones por defecto de la simulación (en % o puntos porcentuales)
+ * - vacancia: al término de cada contrato, probabilidad de quedar vacante y meses vacantes (uniforme entero)
+ * - arriendo: variación real del arriendo en cada renovación ~ Normal(media, desviación);
+ *   media null = crecimientoRealArriendo de la proyección
+ * - tasa: reajuste de la tasa del crédito cada `reajusteCadaAnios` ~ Normal(media, desviación), con piso;
+ *   reajusteCadaAnios 0 = tasa fija durante todo el horizonte
+ * - plusvalia: plusvalía de cada año ~ Normal(plusvalía estimada, desviación)
+ */
+const DISTRIBUCIONES_POR_DEFECTO = {
+    vacancia: { duracionContratoMeses: 12, probabilidadPorRenovacion: 0.3, mesesMin: 1, mesesMax: 3 },
+    arriendo: { mediaPct: null, desviacionPct: 4 },
+    tasa: { reajusteCadaAnios: 5, mediaPts: 0, desviacionPts: 0.75, tasaMinima: 1 },
+    plusvalia: { desviacionPct: 3 }
+};
+
+const SIMULACIONES_POR_DEFECTO = 1000;
+const SIMULACIONES_MIN = 100;
+// Cada trayectoria recorre el horizonte mes a mes de forma síncrona: 5.000 trayectorias bloquean el event loop ~0,6 s
+const SIMULACIONES_MAX = 5000;
+const SEMILLA_POR_DEFECTO = 20240601;
+
+const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+/**
+ * Simulación Monte Carlo del riesgo de una inversión inmobiliaria con crédito
+ *
+ * Cada trayectoria recorre el horizonte mes a mes (UF proyectada con variacionAnualUF) muestreando
+ * vacancia, renovaciones de arriendo, reajustes de tasa y plusvalía anual, y termina con la venta
+ * de la propiedad igual que la proyección determinística. El generador pseudoaleatorio es
+ * determinístico (mulberry32): la misma semilla y los mismos parámetros entregan el mismo resultado.
+ */
+class MonteCarloService {
+
+    static getDefaults() {
+        return {
+            simulaciones: SIMULACIONES_POR_DEFECTO,
+            simulacionesMin: SIMULACIONES_MIN,
+            simulacionesMax: SIMULACIONES_MAX,
+            semilla: SEMILLA_POR_DEFECTO,
+            distribuciones: DISTRIBUCIONES_POR_DEFECTO
+        };
+    }
+
+    /**
+     * @param {Object} params - Parámetros de InvestmentProjectionService.project, con
+     *   gastosOperacionalesMensualesCLP SIN provisión de vacancia (la vacancia se simula), más:
+     * @param {number} [params.simulaciones=1000] - 100 a 5.000 trayectorias
+     * @param {number} [params.semilla] - Semilla del generador (entero)
+     * @param {Object} [params.distribuciones] - Reemplazos parciales de DISTRIBUCIONES_POR_DEFECTO
+     */
+    static simulate(params = {}) {
+        const p = InvestmentProjectionService.normalizeParams(params);
+        const simulaciones = this.normalizeSimulations(params.simulaciones);
+        const semilla = this.normalizeSeed(params.semilla);
+        const distribuciones = this.normalizeDistributions(params.distribuciones, p);
+
+        const random = this.createRandom(semilla);
+        const inversionInicial = Math.round((p.precioUF - p.montoCreditoUF) * p.valorUF + p.gastosInicialesCLP);
+
+        const trayectorias = [];
+        for (let i = 0; i < simulaciones; i++) {
+            trayectorias.push(this.simulatePath(p, distribuciones, random, inversionInicial));
+        }
+
+        const flujosAcumulados = trayectorias.map(t => t.flujoAcumulado);
+        const tirs = trayectorias.map(t => t.tir);
+        const deficits = trayectorias.map(t => Math.max(0, -t.peorFlujoMensual));
+
+        const probabilidadFlujoNegativo = this.share(flujosAcumulados, valor => valor < 0);
+        const probabilidadPerdida = this.share(tirs, valor => valor < 0);
+        const percentilesTir = this.percentiles(tirs);
+
+        const resultado = {
+            parametros: {
+                ...p,
+                simulaciones,
+                semilla
+            },
+            distribuciones,
+            inversionInicial,
+            flujoAcumuladoSinVenta: {
+                probabilidadNegativo: probabilidadFlujoNegativo,
+                percentiles: this.percentiles(flujosAcumulados, 0)
+            },
+            tir: {
+                percentiles: percentilesTir,
+                media: round(tirs.reduce((total, valor) => total + valor, 0) / tirs.length),
+                probabilidadNegativa: probabilidadPerdida,
+                probabilidadBajoTasaDescuento: this.share(tirs, valor => valor < p.tasaDescuento)
+            },
+            deficitMensual: {
+                peorCaso: Math.round(Math.max(...deficits)),
+                p95: Math.round(this.percentile(deficits, 95)),
+                mediana: Math.round(this.percentile(deficits, 50)),
+                probabilidadDeficit: this.share(deficits, valor => valor > 0),
+                mesesVacantesPromedio: round(trayectorias.reduce((total, t) => total + t.mesesVacantes, 0) / simulaciones, 1)
+            }
+        };
+
+        resultado.nivelRiesgo = this.classifyRisk(resultado);
+
+        logDebug('🎲 Simulación Monte Carlo completada', {
+            simulaciones,
+            semilla,
+            tirMediana: percentilesTir.p50,
+            probabilidadFlujoNegativo,
+            nivelRiesgo: resultado.nivelRiesgo.nivel
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Una trayectoria: flujos mensuales en CLP nominales, TIR anual con venta al final del horizonte
+     */
+    static simulatePath(p, d, random, inversionInicial) {
+        const meses = p.horizonteAnios * 12;
+        const cuotasCredito = p.plazoCreditoAnios * 12;
+        const factorUFMensual = Math.pow(1 + p.variacionAnualUF / 100, 1 / 12);
+        const seguros = AmortizationService.getDefaults();
+
+        const arriendoInicialUF = p.arriendoMensualCLP / p.valorUF;
+        const gastosMensualesUF = p.gastosOperacionalesMensualesCLP / p.valorUF;
+
+        let arriendoUF = arriendoInicialUF;
+        let saldoUF = p.montoCreditoUF;
+        let tasa = p.tasaCredito;
+        let cuotaUF = saldoUF > 0 ? AmortizationService.frenchPayment(saldoUF, AmortizationService.monthlyRate(tasa), cuotasCredito) : 0;
+        let valorPropiedadUF = p.precioUF;
+        let vacanteHastaMes = 0;
+        let mesesVacantes = 0;
+
+        let flujoAcumulado = 0;
+        let peorFlujoMensual = Infinity;
+        const flujosAnuales = new Array(p.horizonteAnios).fill(0);
+
+        for (let mes = 1; mes <= meses; mes++) {
+            const valorUFMes = p.valorUF * Math.pow(factorUFMensual, mes - 1);
+
+            // Término de contrato: renovación con variación real del arriendo o período vacante
+            if (mes > 1 && (mes - 1) % d.vacancia.duracionContratoMeses === 0) {
+                arriendoUF *= 1 + this.normal(random, d.arriendo.mediaPct, d.arriendo.desviacionPct) / 100;
+                if (random() < d.vacancia.probabilidadPorRenovacion) {
+                    const mesesVacancia = d.vacancia.mesesMin + Math.floor(random() * (d.vacancia.mesesMax - d.vacancia.mesesMin + 1));
+                    vacanteHastaMes = mes + mesesVacancia - 1;
+                }
+            }
+
+            // Reajuste de tasa: nueva cuota sobre el saldo y el plazo restante
+            const mesesReajuste = d.tasa.reajusteCadaAnios * 12;
+            if (mesesReajuste > 0 && mes > 1 && (mes - 1) % mesesReajuste === 0 && saldoUF > 0 && mes <= cuotasCredito) {
+                tasa = Math.max(d.tasa.tasaMinima, tasa + this.normal(random, d.tasa.mediaPts, d.tasa.desviacionPts));
+                cuotaUF = AmortizationService.frenchPayment(saldoUF, AmortizationService.monthlyRate(tasa), cuotasCredito - mes + 1);
+            }
+
+            let dividendoUF = 0;
+            if (saldoUF > 0 && mes <= cuotasCredito) {
+                const interes = saldoUF * AmortizationService.monthlyRate(tasa);
+                const amortizacion = mes === cuotasCredito ? saldoUF : cuotaUF - interes;
+                dividendoUF = interes + amortizacion +
+                    saldoUF * seguros.seguroDesgravamen / 100 +
+                    p.precioUF * seguros.seguroIncendio / 100;
+                saldoUF = Math.max(0, saldoUF - amortizacion);
+            }
+
+            const vacante = mes <= vacanteHastaMes;
+            if (vacante) {
+                mesesVacantes++;
+            }
+
+            const gastosUF = gastosMensualesUF * Math.pow(1 + p.crecimientoRealGastos / 100, Math.floor((mes - 1) / 12));
+            const flujoMensual = ((vacante ? 0 : arriendoUF) - gastosUF - dividendoUF) * valorUFMes;
+
+            flujoAcumulado += flujoMensual;
+            flujosAnuales[Math.floor((mes - 1) / 12)] += flujoMensual;
+            peorFlujoMensual = Math.min(peorFlujoMensual, flujoMensual);
+
+            if (mes % 12 === 0) {
+                valorPropiedadUF *= 1 + this.normal(random, p.plusvaliaAnual, d.plusvalia.desviacionPct) / 100;
+            }
+        }
+
+        // Venta al final del horizonte (mismos componentes que la proyección determinística)
+        const valorUFFinal = p.valorUF * Math.pow(factorUFMensual, meses);
+        const valorVenta = valorPropiedadUF * valorUFFinal;
+        const netoVenta = valorVenta * (1 - p.costosVentaPct / 100) -
+            saldoUF * valorUFFinal -
+            AmortizationService.prepaymentFeeUF(saldoUF, tasa) * valorUFFinal;
+
+        const flujos = [-inversionInicial, ...flujosAnuales];
+        flujos[flujos.length - 1] += netoVenta;
+
+        const tir = InvestmentProjectionService.irr(flujos);
+
+        return {
+            flujoAcumulado,
+            peorFlujoMensual,
+            mesesVacantes,
+            // Sin cambio de signo la TIR queda fuera de [-99%, 100%]: se acota al extremo correspondiente
+            tir: tir !== null ? tir * 100 : (flujos.reduce((total, flujo) => total + flujo, 0) < 0 ? -99 : 100)
+        };
+    }
+
+    /**
+     * Nivel de riesgo desde la distribución simulada
+     * - Alto: el percentil 10 de la TIR es negativo o más de 10% de probabilidad de pérdida
+     * - Bajo: flujo acumulado negativo en a lo más 25% de los casos y TIR p10 sobre la tasa de descuento
+     */
+    static classifyRisk(resultado) {
+        const tirP10 = resultado.tir.percentiles.p10;
+        const probabilidadFlujoNegativo = resultado.flujoAcumuladoSinVenta.probabilidadNegativo;
+        const probabilidadPerdida = resultado.tir.probabilidadNegativa;
+
+        if (tirP10 < 0 || probabilidadPerdida > 10) {
+            return {
+                nivel: 'Alto',
+                criterio: `Probabilidad de pérdida ${probabilidadPerdida}% y TIR p10 de ${tirP10}%`
+            };
+        }
+
+        if (probabilidadFlujoNegativo <= 25 && tirP10 >= resultado.parametros.tasaDescuento) {
+            return {
+                nivel: 'Bajo',
+                criterio: `Flujo acumulado negativo en ${probabilidadFlujoNegativo}% de los casos y TIR p10 de ${tirP10}%`
+            };
+        }
+
+        return {
+            nivel: 'Moderado',
+            criterio: `Flujo acumulado negativo en ${probabilidadFlujoNegativo}% de los casos; TIR p10 de ${tirP10}%`
+        };
+    }
+
+    static normalizeSimulations(valor) {
+        return numberParam(valor, 'simulaciones', {
+            min: SIMULACIONES_MIN, max: SIMULACIONES_MAX, entero: true, defecto: SIMULACIONES_POR_DEFECTO
+        });
+    }
+
+    static normalizeSeed(valor) {
+        if (valor === undefined || valor === null || valor === '') {
+            return SEMILLA_POR_DEFECTO;
+        }
+
+        const num = Number(valor);
+        if (!Number.isInteger(num) || num < 0) {
+            throw ErrorFactory.validation('semilla debe ser un entero mayor o igual a 0', 'semilla');
+        }
+        return num;
+    }
+
+    /**
+     * Combinar reemplazos parciales con las distribuciones por defecto y validar rangos
+     */
+    static normalizeDistributions(distribuciones = {}, p) {
+        if (distribuciones === null || typeof distribuciones !== 'object' || Array.isArray(distribuciones)) {
+            throw ErrorFactory.validation('distribuciones debe ser un objeto', 'distribuciones');
+        }
+
+        const d = {};
+        for (const [grupo, defectos] of Object.entries(DISTRIBUCIONES_POR_DEFECTO)) {
+            d[grupo] = { ...defectos, ...(distribuciones[grupo] || {}) };
+        }
+
+        if (d.arriendo.mediaPct === null || d.arriendo.mediaPct === undefined) {
+            d.arriendo.mediaPct = p.crecimientoRealArriendo;
+        }
+
+        const validar = (grupo, campo, min, max, entero = false) => {
+            const valor = d[grupo][campo];
+            if (typeof valor !== 'number' || isNaN(valor) || valor < min || valor > max || (entero && !Number.isInteger(valor))) {
+                throw ErrorFactory.validation(
+                    `distribuciones.${grupo}.${campo} debe ser un número${entero ? ' entero' : ''} entre ${min} y ${max}`,
+                    `distribuciones.${grupo}.${campo}`
+                );
+            }
+        };
+
+        validar('vacancia', 'duracionContratoMeses', 6, 60, true);
+        validar('vacancia', 'probabilidadPorRenovacion', 0, 1);
+        validar('vacancia', 'mesesMin', 0, 12, true);
+        validar('vacancia', 'mesesMax', d.vacancia.mesesMin, 12, true);
+        validar('arriendo', 'mediaPct', -50, 50);
+        validar('arriendo', 'desviacionPct', 0, 50);
+        validar('tasa', 'reajusteCadaAnios', 0, 30, true);
+        validar('tasa', 'mediaPts', -10, 10);
+        validar('tasa', 'desviacionPts', 0, 10);
+        validar('tasa', 'tasaMinima', 0, 30);
+        validar('plusvalia', 'desviacionPct', 0, 50);
+
+        return d;
+    }
+
+    /**
+     * Generador pseudoaleatorio mulberry32: uniforme en [0, 1) reproducible por semilla
+     */
+    static createRandom(semilla) {
+        let estado = semilla >>> 0;
+        return () => {
+            estado = (estado + 0x6D2B79F5) >>> 0;
+            let t = estado;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Muestra Normal(media, desviación) por Box-Muller
+     */
+    static normal(random, media, desviacion) {
+        if (desviacion === 0) {
+            return media;
+        }
+        const u1 = random() || Number.MIN_VALUE;
+        const u2 = random();
+        return media + desviacion * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    static percentiles(valores, decimales = 2) {
+        return Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(this.percentile(valores, p), decimales)]));
+    }
+
+    /**
+     * Percentil con interpolación lineal
+     */
+    static percentile(valores, p) {
+        const ordenados = [...valores].sort((a, b) => a - b);
+        const posicion = (ordenados.length - 1) * p / 100;
+        const inferior = Math.floor(posicion);
+        const superior = Math.ceil(posicion);
+        return ordenados[inferior] + (ordenados[superior] - ordenados[inferior]) * (posicion - inferior);
+    }
+
+    /**
+     * Porcentaje de trayectorias que cumplen la condición
+     */
+    static share(valores, condicion) {
+        return round(valores.filter(condicion).length / valores.length * 100, 1);
+    }
+}
+
+module.exports = MonteCarloService;
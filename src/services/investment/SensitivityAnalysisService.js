@@ -0,0 +1,210 @@
+// src/services/investment/SensitivityAnalysisService.js
+const { logDebug } = require('../../utils/logger');
+const { round } = require('../../utils/numbers');
+const AmortizationService = require('../mortgage/AmortizationService');
+const InvestmentProjectionService = require('./InvestmentProjectionService');
+
+/**
+ * Variables sensibilizadas y sus valores extremos respecto del caso base
+ * - relativo: variación % sobre el valor base (arriendo)
+ * - aditivo: puntos porcentuales sobre el valor base (tasa, plusvalía)
+ * - absoluto: el extremo es el valor mismo (vacancia como % del arriendo, descuento sobre el precio publicado),
+ *   salvo que el caso base ya esté más allá: una vacancia base de 20% no tiene un pesimista de 12,5%
+ * minimo / maximo: límites del valor resultante (la tasa no baja de 0; la plusvalía respeta los de la proyección)
+ */
+const VARIABLES = {
+    arriendo: { etiqueta: 'Arriendo mensual', modo: 'relativo', unidad: '% sobre arriendo estimado', pesimista: -15, optimista: 10 },
+    tasaCredito: { etiqueta: 'Tasa del crédito', modo: 'aditivo', unidad: 'puntos sobre tasa CMF', pesimista: 1.5, optimista: -1, minimo: 0 },
+    vacancia: { etiqueta: 'Vacancia', modo: 'absoluto', unidad: '% del arriendo', pesimista: 12.5, optimista: 2 },
+    negociacionPrecio: { etiqueta: 'Negociación del precio', modo: 'absoluto', unidad: '% de descuento', pesimista: 0, optimista: 8 },
+    plusvalia: { etiqueta: 'Plusvalía anual', modo: 'aditivo', unidad: 'puntos sobre plusvalía estimada', pesimista: -2, optimista: 1.5, minimo: -20, maximo: 30 }
+};
+
+const PUNTOS_POR_RANGO = 5;
+
+const ESCENARIOS = {
+    pesimista: 'Todas las variables en su extremo desfavorable',
+    base: 'Supuestos del reporte',
+    optimista: 'Todas las variables en su extremo favorable'
+};
+
+/**
+ * Análisis de sensibilidad y escenarios de las métricas de inversión
+ *
+ * Cada punto se recalcula con `calcularMetricas` (AnthropicService.calculateFinancialMetrics con
+ * supuestos) para el flujo de caja y el yield neto, y con la proyección multianual para la TIR.
+ * La tasa y el precio negociado mueven el dividendo: se suma al dividendo CMF la diferencia de cuota
+ * del motor de amortización, de modo que los seguros de la oferta base se mantienen.
+ */
+class SensitivityAnalysisService {
+
+    static getVariables() {
+        return VARIABLES;
+    }
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.base - { precioUF, valorUF, arriendoMensual, dividendoMensual, vacanciaPct, montoCreditoUF,
+     *   tasaCredito, plazoCreditoAnios, plusvaliaAnual, horizonteAnios, tasaDescuento, gastosInicialesCLP }
+     * @param {Function} params.calcularMetricas - (supuestos) => métricas con flujoCajaMensual y yieldNeto
+     */
+    static analyze({ base, calcularMetricas }) {
+        const valoresBase = this.baseValues(base);
+        const resultadoBase = this.evaluate(base, valoresBase, calcularMetricas);
+
+        const rangos = {};
+        const tornado = [];
+
+        for (const [clave, variable] of Object.entries(VARIABLES)) {
+            const pesimista = this.applyDeviation(variable, valoresBase[clave], 'pesimista');
+            const optimista = this.applyDeviation(variable, valoresBase[clave], 'optimista');
+
+            rangos[clave] = this.buildRange(pesimista, optimista).map(valor => ({
+                valor: round(valor),
+                ...this.evaluate(base, { ...valoresBase, [clave]: valor }, calcularMetricas)
+            }));
+
+            const extremoPesimista = rangos[clave][0];
+            const extremoOptimista = rangos[clave][rangos[clave].length - 1];
+
+            tornado.push({
+                variable: clave,
+                etiqueta: variable.etiqueta,
+                unidad: variable.unidad,
+                valorBase: round(valoresBase[clave]),
+                pesimista: extremoPesimista,
+                optimista: extremoOptimista,
+                impactoFlujoMensual: Math.round(Math.abs(extremoOptimista.flujoCajaMensual - extremoPesimista.flujoCajaMensual)),
+                impactoTir: extremoOptimista.tir !== null && extremoPesimista.tir !== null
+                    ? round(Math.abs(extremoOptimista.tir - extremoPesimista.tir))
+                    : null
+            });
+        }
+
+        // Ranking por impacto en flujo de caja; la TIR desempata (la plusvalía no mueve el flujo mensual)
+        tornado.sort((a, b) => (b.impactoFlujoMensual - a.impactoFlujoMensual) || ((b.impactoTir || 0) - (a.impactoTir || 0)));
+        tornado.forEach((item, index) => {
+            item.ranking = index + 1;
+        });
+
+        const escenarios = Object.entries(ESCENARIOS).map(([nombre, descripcion]) => {
+            const valores = nombre === 'base'
+                ? valoresBase
+                : Object.fromEntries(Object.entries(VARIABLES).map(([clave, variable]) => [
+                    clave,
+                    this.applyDeviation(variable, valoresBase[clave], nombre)
+                ]));
+
+            return {
+                nombre,
+                descripcion,
+                supuestos: Object.fromEntries(Object.entries(valores).map(([clave, valor]) => [clave, round(valor)])),
+                ...(nombre === 'base' ? resultadoBase : this.evaluate(base, valores, calcularMetricas))
+            };
+        });
+
+        logDebug('🌪️ Sensibilidad calculada', {
+            variableMasSensible: tornado[0]?.variable,
+            flujoBase: resultadoBase.flujoCajaMensual
+        });
+
+        return {
+            base: resultadoBase,
+            tornado,
+            rangos,
+            escenarios,
+            variables: VARIABLES,
+            metodologia: 'Cada variable se mueve entre sus extremos manteniendo las demás en el caso base; los escenarios combinan todos los extremos.'
+        };
+    }
+
+    static baseValues(base) {
+        return {
+            arriendo: base.arriendoMensual,
+            tasaCredito: base.tasaCredito,
+            vacancia: base.vacanciaPct,
+            negociacionPrecio: 0,
+            plusvalia: base.plusvaliaAnual
+        };
+    }
+
+    /**
+     * Valor de la variable en el extremo de un escenario
+     * @param {Object} variable - Definición en VARIABLES
+     * @param {number} valorBase - Valor del caso base
+     * @param {string} escenario - 'pesimista' | 'optimista'
+     */
+    static applyDeviation(variable, valorBase, escenario) {
+        const desviacion = variable[escenario];
+        let valor;
+
+        if (variable.modo === 'relativo') {
+            valor = valorBase * (1 + desviacion / 100);
+        } else if (variable.modo === 'aditivo') {
+            valor = valorBase + desviacion;
+        } else {
+            // El extremo no puede quedar del lado favorable (pesimista) o desfavorable (optimista) del caso base
+            const haciaArriba = (escenario === 'pesimista') === (variable.pesimista > variable.optimista);
+            valor = haciaArriba ? Math.max(valorBase, desviacion) : Math.min(valorBase, desviacion);
+        }
+
+        return Math.min(variable.maximo ?? Infinity, Math.max(variable.minimo ?? -Infinity, valor));
+    }
+
+    static buildRange(desde, hasta) {
+        const paso = (hasta - desde) / (PUNTOS_POR_RANGO - 1);
+        return Array.from({ length: PUNTOS_POR_RANGO }, (_, i) => desde + paso * i);
+    }
+
+    /**
+     * Métricas para una combinación de valores de las variables
+     */
+    static evaluate(base, valores, calcularMetricas) {
+        const factorPrecio = 1 - valores.negociacionPrecio / 100;
+        const precioUF = base.precioUF * factorPrecio;
+        const montoCreditoUF = base.montoCreditoUF * factorPrecio;
+        const cuotas = base.plazoCreditoAnios * 12;
+
+        const cuotaBaseUF = AmortizationService.frenchPayment(base.montoCreditoUF, AmortizationService.monthlyRate(base.tasaCredito), cuotas);
+        const cuotaUF = AmortizationService.frenchPayment(montoCreditoUF, AmortizationService.monthlyRate(valores.tasaCredito), cuotas);
+        const dividendoMensual = Math.round(base.dividendoMensual + (cuotaUF - cuotaBaseUF) * base.valorUF);
+
+        const metricas = calcularMetricas({
+            precioUF,
+            arriendoMensual: valores.arriendo,
+            dividendoMensual,
+            vacanciaPct: valores.vacancia
+        });
+        if (!metricas) {
+            throw new Error('No fue posible recalcular las métricas financieras para la sensibilidad');
+        }
+
+        let tir = null;
+        try {
+            tir = InvestmentProjectionService.project({
+                precioUF,
+                valorUF: base.valorUF,
+                arriendoMensualCLP: valores.arriendo,
+                gastosOperacionalesMensualesCLP: metricas.flujoCajaMensual.composicion.gastosOperacionalesMensuales,
+                gastosInicialesCLP: base.gastosInicialesCLP * factorPrecio,
+                montoCreditoUF,
+                tasaCredito: valores.tasaCredito,
+                plazoCreditoAnios: base.plazoCreditoAnios,
+                plusvaliaAnual: valores.plusvalia,
+                horizonteAnios: base.horizonteAnios,
+                tasaDescuento: base.tasaDescuento
+            }).indicadores.tir;
+        } catch (error) {
+            logDebug('⚠️ TIR no calculable para el punto de sensibilidad', { error: error.message });
+        }
+
+        return {
+            flujoCajaMensual: Math.round(metricas.flujoCajaMensual.valor),
+            dividendoMensual,
+            yieldNeto: round(metricas.yieldNeto),
+            tir
+        };
+    }
+}
+
+module.exports = SensitivityAnalysisService;
@@ -0,0 +1,370 @@
+// src/services/jobs/JobService.js
+const crypto = require('crypto');
+const { logInfo, logError, logWarn, logDebug } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { getJobStore } = require('./JobStore');
+const { getCacheService } = require('../cache/CacheService');
+const { ApiKeyStore } = require('../auth/ApiKeyStore');
+const AnthropicService = require('../anthropic/AnthropicService');
+const AnthropicConfig = require('../anthropic/AnthropicConfig');
+
+/**
+ * Etapas del reporte financiero, en el orden en que las reporta AnthropicService
+ */
+const FINANCIAL_REPORT_STAGES = AnthropicConfig.orchestration.progressStages;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+/**
+ * Jobs asíncronos para reportes financieros de larga duración
+ *
+ * El submit responde de inmediato con el id del job; un worker en proceso toma los jobs
+ * de la cola (Redis o memoria) y ejecuta AnthropicService.generateFinancialReport
+ * actualizando el progreso por etapa. El reporte terminado se guarda también en el cache de
+ * reportes (misma key que la respuesta síncrona) para que la siguiente solicitud no llame a Claude.
+ *
+ * Un job creado con API key solo se consulta con esa misma key (se guarda su hash, no la key).
+ */
+class JobService {
+
+    static STATUS = JOB_STATUS;
+    static activeJobs = 0;
+    static pollTimer = null;
+    static draining = false;
+
+    static getConcurrency() {
+        return Math.max(1, parseInt(process.env.JOBS_CONCURRENCY) || 1);
+    }
+
+    static getJobTimeout() {
+        return parseInt(process.env.JOBS_TIMEOUT_MS) || 10 * 60 * 1000;
+    }
+
+    /**
+     * Registrar un reporte financiero para procesamiento asíncrono
+     * @param {Object} owner - { userId, tier, apiKey } de la API key que crea el job (null si es anónimo)
+     * @param {Object} contexto - { cacheKey: key del cache de reportes de la solicitud }
+     */
+    static async submitFinancialReport(propertyUrl, options = {}, owner = null, { cacheKey = null } = {}) {
+        if (!propertyUrl || typeof propertyUrl !== 'string') {
+            throw ErrorFactory.validation('URL de propiedad es requerida y debe ser una cadena válida', 'propertyUrl');
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: `job_${crypto.randomUUID()}`,
+            type: 'financial-report',
+            status: JOB_STATUS.QUEUED,
+            propertyUrl: propertyUrl.trim(),
+            options,
+            owner: owner ? { userId: owner.userId, tier: owner.tier, apiKeyHash: owner.apiKey ? ApiKeyStore.hashKey(owner.apiKey) : null } : null,
+            cacheKey,
+            progress: 0,
+            currentStage: null,
+            stages: FINANCIAL_REPORT_STAGES.map(stage => ({
+                ...stage,
+                status: 'pending',
+                startedAt: null,
+                completedAt: null,
+                error: null
+            })),
+            error: null,
+            resultAvailable: false,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            completedAt: null
+        };
+
+        const store = getJobStore();
+        await store.saveJob(job);
+        await store.enqueue(job.id);
+
+        logInfo('📥 Job de reporte financiero encolado', {
+            jobId: job.id,
+            propertyUrl: job.propertyUrl.substring(0, 50) + '...',
+            owner: owner?.userId || 'anonymous',
+            backend: store.getBackendName()
+        });
+
+        this.startWorker();
+        setImmediate(() => this.processQueue());
+
+        return job;
+    }
+
+    /**
+     * Obtener estado del job (marca como fallido un job abandonado por un reinicio)
+     */
+    static async getJob(jobId) {
+        const job = await getJobStore().getJob(jobId);
+        if (!job) {
+            return null;
+        }
+
+        const staleAfter = this.getJobTimeout() + 60 * 1000;
+        if (job.status === JOB_STATUS.RUNNING && Date.now() - new Date(job.updatedAt).getTime() > staleAfter) {
+            job.status = JOB_STATUS.FAILED;
+            job.error = { message: 'Job interrumpido (sin actividad del worker)', code: 'JOB_STALE' };
+            job.updatedAt = new Date().toISOString();
+            await getJobStore().saveJob(job);
+        }
+
+        return job;
+    }
+
+    static async getResult(jobId) {
+        return getJobStore().getResult(jobId);
+    }
+
+    /**
+     * true si la API key de la consulta puede ver el job (los jobs anónimos solo requieren su id)
+     */
+    static canAccess(job, apiKey) {
+        const hash = job?.owner?.apiKeyHash;
+        if (!hash) {
+            return true;
+        }
+        return !!apiKey && ApiKeyStore.hashKey(apiKey) === hash;
+    }
+
+    /**
+     * Guardar el reporte de un job en el cache de reportes, con el formato de la respuesta síncrona
+     */
+    static async cacheReport(job, report) {
+        if (!job.cacheKey) {
+            return;
+        }
+
+        try {
+            await getCacheService().set('claude', job.cacheKey, {
+                success: true,
+                message: 'Reporte financiero generado exitosamente',
+                data: report,
+                metadata: {
+                    ...report.metadata,
+                    generatedAt: job.completedAt,
+                    requestId: job.id,
+                    jobId: job.id,
+                    totalTime: `${job.durationMs}ms`
+                }
+            });
+        } catch (error) {
+            logWarn('⚠️ No se pudo guardar el reporte del job en cache', { jobId: job.id, error: error.message });
+        }
+    }
+
+    /**
+     * Iniciar polling de la cola (recoge jobs encolados por otras instancias o antes de un reinicio)
+     */
+    static startWorker() {
+        if (this.pollTimer) {
+            return;
+        }
+
+        const interval = parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 2000;
+        this.pollTimer = setInterval(() => this.processQueue(), interval);
+        this.pollTimer.unref();
+
+        logInfo('👷 Worker de jobs iniciado', { concurrency: this.getConcurrency(), pollInterval: `${interval}ms` });
+    }
+
+    static stopWorker() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Tomar jobs de la cola mientras haya capacidad
+     */
+    static async processQueue() {
+        if (this.draining) {
+            return;
+        }
+
+        this.draining = true;
+
+        try {
+            while (this.activeJobs < this.getConcurrency()) {
+                const jobId = await getJobStore().dequeue();
+                if (!jobId) {
+                    break;
+                }
+
+                this.activeJobs++;
+                this.runJob(jobId)
+                    .catch(error => logError('❌ Error inesperado en worker de jobs', { jobId, error: error.message }))
+                    .finally(() => {
+                        this.activeJobs--;
+                        setImmediate(() => this.processQueue());
+                    });
+            }
+        } catch (error) {
+            logError('❌ Error leyendo cola de jobs', { error: error.message });
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Ejecutar un job de reporte financiero
+     */
+    static async runJob(jobId) {
+        const store = getJobStore();
+        const job = await store.getJob(jobId);
+
+        if (!job || job.status !== JOB_STATUS.QUEUED) {
+            logDebug('ℹ️ Job omitido (no existe o ya fue tomado)', { jobId, status: job?.status });
+            return;
+        }
+
+        const startTime = Date.now();
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = new Date().toISOString();
+
+        // Serializar escrituras de progreso para que no lleguen desordenadas
+        let pendingWrite = Promise.resolve();
+        const persist = () => {
+            job.updatedAt = new Date().toISOString();
+            const snapshot = JSON.parse(JSON.stringify(job));
+            pendingWrite = pendingWrite
+                .then(() => store.saveJob(snapshot))
+                .catch(error => logWarn('⚠️ No se pudo guardar progreso del job', { jobId, error: error.message }));
+            return pendingWrite;
+        };
+
+        await persist();
+        logInfo('⚙️ Ejecutando job de reporte financiero', { jobId });
+
+        // El timeout cancela el reporte: no inicia más etapas y su progreso ya no se registra
+        const abortController = new AbortController();
+        let timeoutHandle = null;
+
+        try {
+            const report = await Promise.race([
+                AnthropicService.generateFinancialReport(job.propertyUrl, {
+                    ...job.options,
+                    requestId: jobId,
+                    startTime,
+                    signal: abortController.signal,
+                    onProgress: (event) => {
+                        if (job.status !== JOB_STATUS.RUNNING) {
+                            return;
+                        }
+                        this.applyProgress(job, event);
+                        persist();
+                    }
+                }),
+                new Promise((_, reject) => {
+                    timeoutHandle = setTimeout(() => {
+                        const error = new Error('Job timeout');
+                        error.code = 'JOB_TIMEOUT';
+                        abortController.abort(error);
+                        reject(error);
+                    }, this.getJobTimeout());
+                })
+            ]);
+
+            await store.saveResult(jobId, report);
+
+            job.status = JOB_STATUS.COMPLETED;
+            job.progress = 100;
+            job.currentStage = null;
+            job.resultAvailable = true;
+            job.completedAt = new Date().toISOString();
+            job.durationMs = Date.now() - startTime;
+            await persist();
+            await this.cacheReport(job, report);
+
+            logInfo('✅ Job de reporte financiero completado', { jobId, duration: `${job.durationMs}ms` });
+
+        } catch (error) {
+            job.status = JOB_STATUS.FAILED;
+            job.error = {
+                message: error.message,
+                code: error.code || (error.name === 'ValidationError' ? 'VALIDATION_ERROR' : 'FINANCIAL_REPORT_ERROR'),
+                field: error.field || undefined
+            };
+            job.completedAt = new Date().toISOString();
+            job.durationMs = Date.now() - startTime;
+
+            const running = job.stages.find(stage => stage.status === 'running');
+            if (running) {
+                running.status = 'failed';
+                running.error = error.message;
+            }
+
+            await persist();
+
+            logError('❌ Job de reporte financiero fallido', { jobId, error: error.message });
+        } finally {
+            clearTimeout(timeoutHandle);
+        }
+    }
+
+    /**
+     * Aplicar evento de progreso { stage, status, error } al job
+     * (status: running | completed | fallback | failed; fallback = etapa continuó con datos de respaldo)
+     */
+    static applyProgress(job, { stage, status, error = null }) {
+        const target = job.stages.find(s => s.name === stage);
+        if (!target) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        target.status = status;
+
+        if (status === 'running') {
+            target.startedAt = now;
+            job.currentStage = stage;
+        } else {
+            target.completedAt = now;
+            target.error = error;
+        }
+
+        const finished = job.stages.filter(s => s.status !== 'pending' && s.status !== 'running').length;
+        job.progress = Math.round((finished / job.stages.length) * 100);
+    }
+
+    /**
+     * Vista pública del job (con enlaces de consulta)
+     */
+    static toPublicJob(job, baseUrl = '/api/jobs') {
+        const { options, cacheKey, owner, ...rest } = job;
+
+        return {
+            ...rest,
+            owner: owner ? { userId: owner.userId, tier: owner.tier } : null,
+            links: {
+                self: `${baseUrl}/${job.id}`,
+                result: job.resultAvailable ? `${baseUrl}/${job.id}/result` : null,
+                pdf: job.resultAvailable ? `${baseUrl}/${job.id}/pdf` : null
+            }
+        };
+    }
+
+    static getStages() {
+        return FINANCIAL_REPORT_STAGES;
+    }
+
+    static async getStats() {
+        return {
+            backend: getJobStore().getBackendName(),
+            queued: await getJobStore().queueLength(),
+            activeJobs: this.activeJobs,
+            concurrency: this.getConcurrency(),
+            timeoutMs: this.getJobTimeout(),
+            workerRunning: !!this.pollTimer
+        };
+    }
+}
+
+module.exports = JobService;
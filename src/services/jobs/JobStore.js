@@ -0,0 +1,172 @@
+// src/services/jobs/JobStore.js
+const { getRedisConfig } = require('../../config/redis');
+const { logWarn } = require('../../utils/logger');
+
+const REDIS_KEYS = {
+    record: (id) => `jobs:record:${id}`,
+    result: (id) => `jobs:result:${id}`,
+    queue: 'jobs:queue'
+};
+
+const DEFAULT_MEMORY_MAX_JOBS = 200;
+
+/**
+ * Persistencia de jobs en Redis (compartida entre instancias) con fallback en memoria
+ *
+ * El registro del job (estado y etapas) y el resultado se guardan por separado para
+ * que el polling de estado no transfiera el reporte completo.
+ * En memoria, cada escritura descarta lo expirado y conserva como máximo JOBS_MEMORY_MAX
+ * jobs (los más antiguos salen primero).
+ */
+class JobStore {
+    constructor() {
+        // La conexión Redis la inicia CacheService; aquí solo se reutiliza si está activa
+        this.redisConfig = getRedisConfig();
+        this.memoryRecords = new Map();
+        this.memoryResults = new Map();
+        this.memoryQueue = [];
+    }
+
+    getTTLSeconds() {
+        return parseInt(process.env.JOBS_TTL_SECONDS) || 24 * 60 * 60;
+    }
+
+    getMemoryMaxJobs() {
+        return parseInt(process.env.JOBS_MEMORY_MAX) || DEFAULT_MEMORY_MAX_JOBS;
+    }
+
+    getRedisClient() {
+        return this.redisConfig.isConnected ? this.redisConfig.redis : null;
+    }
+
+    /**
+     * Ejecutar operación en Redis y, si no está disponible o falla, en memoria
+     */
+    async withFallback(operation, redisFn, memoryFn) {
+        const redis = this.getRedisClient();
+
+        if (redis) {
+            try {
+                return await redisFn(redis);
+            } catch (error) {
+                logWarn(`⚠️ JobStore: Redis falló en ${operation}, usando memoria`, { error: error.message });
+            }
+        }
+
+        return memoryFn();
+    }
+
+    async saveJob(job) {
+        const ttl = this.getTTLSeconds();
+
+        return this.withFallback('saveJob',
+            (redis) => redis.setex(REDIS_KEYS.record(job.id), ttl, JSON.stringify(job)),
+            () => {
+                this.memoryRecords.set(job.id, { data: JSON.parse(JSON.stringify(job)), expiresAt: Date.now() + ttl * 1000 });
+                this.pruneMemory(this.memoryRecords);
+            }
+        );
+    }
+
+    async getJob(id) {
+        return this.withFallback('getJob',
+            async (redis) => {
+                const raw = await redis.get(REDIS_KEYS.record(id));
+                return raw ? JSON.parse(raw) : null;
+            },
+            () => this.readMemory(this.memoryRecords, id)
+        );
+    }
+
+    async saveResult(id, result) {
+        const ttl = this.getTTLSeconds();
+
+        return this.withFallback('saveResult',
+            (redis) => redis.setex(REDIS_KEYS.result(id), ttl, JSON.stringify(result)),
+            () => {
+                this.memoryResults.set(id, { data: result, expiresAt: Date.now() + ttl * 1000 });
+                this.pruneMemory(this.memoryResults);
+            }
+        );
+    }
+
+    async getResult(id) {
+        return this.withFallback('getResult',
+            async (redis) => {
+                const raw = await redis.get(REDIS_KEYS.result(id));
+                return raw ? JSON.parse(raw) : null;
+            },
+            () => this.readMemory(this.memoryResults, id)
+        );
+    }
+
+    async enqueue(id) {
+        return this.withFallback('enqueue',
+            (redis) => redis.lpush(REDIS_KEYS.queue, id),
+            () => this.memoryQueue.push(id)
+        );
+    }
+
+    /**
+     * Tomar el siguiente job de la cola (FIFO). Con Redis, cada job lo toma una sola instancia
+     */
+    async dequeue() {
+        return this.withFallback('dequeue',
+            (redis) => redis.rpop(REDIS_KEYS.queue),
+            () => this.memoryQueue.shift() || null
+        );
+    }
+
+    async queueLength() {
+        return this.withFallback('queueLength',
+            (redis) => redis.llen(REDIS_KEYS.queue),
+            () => this.memoryQueue.length
+        );
+    }
+
+    readMemory(store, id) {
+        const entry = store.get(id);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt < Date.now()) {
+            store.delete(id);
+            return null;
+        }
+
+        return JSON.parse(JSON.stringify(entry.data));
+    }
+
+    /**
+     * Descartar entradas expiradas y, sobre el máximo, las más antiguas (orden de inserción del Map)
+     */
+    pruneMemory(store, ahora = Date.now()) {
+        for (const [id, entry] of store) {
+            if (entry.expiresAt < ahora) {
+                store.delete(id);
+            }
+        }
+
+        const exceso = store.size - this.getMemoryMaxJobs();
+        if (exceso > 0) {
+            [...store.keys()].slice(0, exceso).forEach(id => store.delete(id));
+        }
+    }
+
+    getBackendName() {
+        return this.getRedisClient() ? 'redis' : 'memory';
+    }
+}
+
+// Singleton instance
+let jobStoreInstance = null;
+
+const getJobStore = () => {
+    if (!jobStoreInstance) {
+        jobStoreInstance = new JobStore();
+    }
+    return jobStoreInstance;
+};
+
+module.exports = { JobStore, getJobStore };
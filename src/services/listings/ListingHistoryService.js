@@ -0,0 +1,292 @@
+// src/services/listings/ListingHistoryService.js
+const { logDebug, logWarn } = require('../../utils/logger');
+const { ErrorFactory, AppError } = require('../../utils/errors');
+const { getListingStore } = require('./ListingStore');
+const ListingModel = require('./ListingModel');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const FUENTES = ['scraping', 'busqueda'];
+
+/**
+ * Eventos del historial de una publicación
+ * publicada: primera vez observada
+ * cambio_precio: precio distinto al anterior (en la moneda publicada)
+ * reactivada: vuelve a aparecer tras más de LISTINGS_STALE_DAYS sin ser vista
+ */
+const EVENTOS = ['publicada', 'cambio_precio', 'reactivada'];
+
+/**
+ * Historial de precios y días en mercado de las publicaciones vistas en scraping y búsquedas
+ *
+ * Solo se guarda una observación cuando algo cambia; cada avistamiento actualiza ultimaVez.
+ * Los días en mercado se cuentan desde la primera observación en esta API, no desde
+ * la fecha de publicación en el portal.
+ */
+class ListingHistoryService {
+
+    static recordQueue = Promise.resolve();
+
+    static getStaleDays() {
+        return parseInt(process.env.LISTINGS_STALE_DAYS) || 14;
+    }
+
+    static getLongListingDays() {
+        return parseInt(process.env.LISTINGS_LONG_DOM_DAYS) || 60;
+    }
+
+    static getEvents() {
+        return EVENTOS;
+    }
+
+    /**
+     * Registrar publicaciones canónicas vistas (ListingModel.fromExtraction)
+     * Las escrituras se serializan para que dos búsquedas simultáneas no pisen el historial.
+     * @param {Array} publicaciones
+     * @param {Object} contexto - { fuente: 'scraping' | 'busqueda' }
+     * @returns {number} publicaciones registradas
+     */
+    static recordListings(publicaciones = [], { fuente = 'busqueda' } = {}) {
+        const record = this.recordQueue.then(() => this.doRecordListings(publicaciones, fuente));
+        this.recordQueue = record.catch(() => {});
+        return record;
+    }
+
+    static async doRecordListings(publicaciones, fuente) {
+        const porId = new Map();
+        for (const publicacion of publicaciones) {
+            if (publicacion?.id && !porId.has(publicacion.id)) {
+                porId.set(publicacion.id, publicacion);
+            }
+        }
+
+        if (porId.size === 0) {
+            return 0;
+        }
+
+        const store = getListingStore();
+        const existentes = await store.getListings([...porId.keys()]);
+        const fecha = new Date().toISOString();
+
+        const entradas = [...porId.values()].map(publicacion =>
+            this.mergeSighting(existentes.get(publicacion.id) || null, publicacion, { fecha, fuente })
+        );
+
+        await store.saveListings(entradas);
+
+        logDebug('🏷️ Publicaciones registradas en historial', {
+            fuente,
+            publicaciones: entradas.length,
+            nuevas: entradas.filter(e => e.observaciones.some(obs => obs.evento === 'publicada')).length,
+            cambiosPrecio: entradas.filter(e => e.observaciones.some(obs => obs.evento === 'cambio_precio')).length
+        });
+
+        return entradas.length;
+    }
+
+    /**
+     * Registrar sin bloquear scraping ni búsqueda (errores solo se registran en el log)
+     */
+    static recordListingsSafely(publicaciones, contexto) {
+        return this.recordListings(publicaciones, contexto).catch(error => {
+            logWarn('⚠️ No se pudo registrar historial de publicaciones', { error: error.message });
+            return 0;
+        });
+    }
+
+    /**
+     * Combinar un avistamiento con la publicación guardada
+     * @returns {{ publicacion: Object, observaciones: Array }} observaciones nuevas a agregar
+     */
+    static mergeSighting(existente, publicacion, { fecha, fuente }) {
+        const precio = {
+            uf: publicacion.precio?.uf ?? null,
+            clp: publicacion.precio?.clp ?? null,
+            moneda: publicacion.precio?.moneda ?? null
+        };
+        const tienePrecio = this.hasPrice(precio);
+
+        if (!existente) {
+            return {
+                publicacion: {
+                    id: publicacion.id,
+                    portal: publicacion.portal || null,
+                    titulo: publicacion.titulo || null,
+                    link: publicacion.link || null,
+                    ubicacion: publicacion.ubicacion || null,
+                    precio,
+                    precioInicial: precio,
+                    primeraVez: fecha,
+                    ultimaVez: fecha,
+                    avistamientos: 1,
+                    fuentes: { [fuente]: 1 }
+                },
+                observaciones: [{ fecha, fuente, evento: 'publicada', precio }]
+            };
+        }
+
+        const observaciones = [];
+
+        const diasSinVer = Math.floor((new Date(fecha) - new Date(existente.ultimaVez)) / DIA_MS);
+        if (diasSinVer > this.getStaleDays()) {
+            observaciones.push({ fecha, fuente, evento: 'reactivada', precio, diasSinVer });
+        }
+
+        const cambio = tienePrecio ? ListingModel.comparePrice(existente.precio, precio) : null;
+        if (cambio) {
+            observaciones.push({ fecha, fuente, evento: 'cambio_precio', precio, cambio });
+        }
+
+        return {
+            publicacion: {
+                ...existente,
+                portal: existente.portal || publicacion.portal || null,
+                titulo: publicacion.titulo || existente.titulo,
+                link: publicacion.link || existente.link,
+                ubicacion: publicacion.ubicacion || existente.ubicacion,
+                precio: tienePrecio ? precio : existente.precio,
+                precioInicial: this.hasPrice(existente.precioInicial) ? existente.precioInicial : precio,
+                ultimaVez: fecha,
+                avistamientos: (existente.avistamientos || 0) + 1,
+                fuentes: {
+                    ...existente.fuentes,
+                    [fuente]: (existente.fuentes?.[fuente] || 0) + 1
+                }
+            },
+            observaciones
+        };
+    }
+
+    static hasPrice(precio) {
+        return !!precio && (typeof precio.uf === 'number' || typeof precio.clp === 'number');
+    }
+
+    /**
+     * Publicación, historial y días en mercado
+     * @param {string} id - id canónico (ListingModel.buildId)
+     * @param {Object} opciones - { limit: últimas N observaciones (1-500) }
+     */
+    static async getHistory(id, { limit = 100 } = {}) {
+        const listingId = this.normalizeId(id);
+
+        const limite = parseInt(limit);
+        if (isNaN(limite) || limite < 1 || limite > 500) {
+            throw ErrorFactory.validation('limit debe ser un número entre 1 y 500', 'limit');
+        }
+
+        const store = getListingStore();
+        const publicacion = await store.getListing(listingId);
+        if (!publicacion) {
+            throw new AppError(`Publicación sin historial: ${listingId}`, 404);
+        }
+
+        const historial = await store.getHistory(listingId);
+
+        return {
+            publicacion,
+            mercado: this.buildMarketTime(publicacion, historial),
+            totalObservaciones: historial.length,
+            observaciones: historial.slice(-limite)
+        };
+    }
+
+    /**
+     * Días en mercado y evolución de precio
+     */
+    static buildMarketTime(publicacion, historial = [], ahora = new Date()) {
+        const ultimaVez = new Date(publicacion.ultimaVez);
+        const activa = (ahora - ultimaVez) / DIA_MS <= this.getStaleDays();
+        const referencia = activa ? ahora : ultimaVez;
+        const cambios = historial.filter(obs => obs.evento === 'cambio_precio');
+        const rebajas = cambios.filter(obs => obs.cambio?.tipo === 'baja');
+
+        return {
+            estado: activa ? 'activa' : 'inactiva',
+            diasEnMercado: Math.max(0, Math.floor((referencia - new Date(publicacion.primeraVez)) / DIA_MS)),
+            primeraVez: publicacion.primeraVez,
+            ultimaVez: publicacion.ultimaVez,
+            avistamientos: publicacion.avistamientos,
+            precioInicial: publicacion.precioInicial,
+            precioActual: publicacion.precio,
+            variacionDesdeInicio: ListingModel.comparePrice(publicacion.precioInicial, publicacion.precio),
+            cambiosPrecio: cambios.length,
+            rebajas: rebajas.length,
+            ultimaRebaja: rebajas.length > 0 ? rebajas[rebajas.length - 1].fecha : null,
+            reactivaciones: historial.filter(obs => obs.evento === 'reactivada').length
+        };
+    }
+
+    /**
+     * Días en mercado y rebajas como argumentos de negociación para el reporte financiero
+     * @returns {Object|null} null si la publicación no tiene historial
+     */
+    static async getNegotiationLeverage(id) {
+        if (!id) {
+            return null;
+        }
+
+        const store = getListingStore();
+        const publicacion = await store.getListing(id);
+        if (!publicacion) {
+            return null;
+        }
+
+        const mercado = this.buildMarketTime(publicacion, await store.getHistory(id));
+        const argumentos = [];
+
+        if (mercado.diasEnMercado >= this.getLongListingDays()) {
+            argumentos.push(`Publicada hace ${mercado.diasEnMercado} días: una permanencia prolongada suele dar margen para negociar el precio`);
+        }
+        if (mercado.rebajas > 0) {
+            const variacion = mercado.variacionDesdeInicio;
+            argumentos.push(
+                `El precio ya bajó ${mercado.rebajas} ${mercado.rebajas === 1 ? 'vez' : 'veces'}` +
+                (variacion?.tipo === 'baja' ? ` (${Math.abs(variacion.variacionPct)}% bajo el precio inicial)` : '') +
+                ', señal de disposición a negociar'
+            );
+        }
+        if (mercado.variacionDesdeInicio?.tipo === 'alza') {
+            argumentos.push(`El precio subió ${mercado.variacionDesdeInicio.variacionPct}% desde la primera observación`);
+        }
+        if (mercado.reactivaciones > 0) {
+            argumentos.push('La publicación volvió a aparecer después de estar fuera del mercado');
+        }
+
+        return {
+            id,
+            ...mercado,
+            argumentosNegociacion: argumentos,
+            nota: 'Días contados desde la primera observación en NotBrokker (scraping o búsqueda), no desde la publicación en el portal'
+        };
+    }
+
+    static async getNegotiationLeverageSafely(id) {
+        try {
+            return await this.getNegotiationLeverage(id);
+        } catch (error) {
+            logWarn('⚠️ No se pudo obtener historial de la publicación', { id, error: error.message });
+            return null;
+        }
+    }
+
+    static normalizeId(id) {
+        const valor = String(id || '').trim();
+        if (!/^[A-Za-z0-9_-]{3,80}$/.test(valor)) {
+            throw ErrorFactory.validation('id de publicación inválido (ej: MLC1234567890)', 'id');
+        }
+        return valor;
+    }
+
+    static async getStats() {
+        return {
+            backend: getListingStore().getBackendName(),
+            publicaciones: await getListingStore().count(),
+            fuentes: FUENTES,
+            eventos: EVENTOS,
+            diasParaInactiva: this.getStaleDays(),
+            diasPermanenciaProlongada: this.getLongListingDays()
+        };
+    }
+}
+
+module.exports = ListingHistoryService;
@@ -0,0 +1,384 @@
+// src/services/listings/ListingModel.js
+const crypto = require('crypto');
+const { ErrorFactory } = require('../../utils/errors');
+const { normalizeCoordinates } = require('../../utils/geo');
+
+const NO_DISPONIBLE = 'No disponible';
+
+// Campos de texto libre: null en el formato canónico, 'No disponible' en el anterior
+const CAMPOS_TEXTO = ['titulo', 'link', 'ubicacion', 'descripcion', 'imagen'];
+
+/**
+ * Formatos de salida de scraping y búsqueda
+ * canonico: publicación normalizada con valores numéricos
+ * legacy: textos de los extractores ("4 dormitorios", "UF 6.900"), formato anterior de la API
+ */
+const FORMATOS = ['canonico', 'legacy'];
+const FORMATO_POR_DEFECTO = 'canonico';
+
+/**
+ * Campos de texto de los extractores que solo se conservan bajo `raw`
+ */
+const CAMPOS_RAW = [
+    'precio', 'precio_uf', 'precio_clp', 'precio_completo', 'moneda',
+    'dormitorios', 'banos', 'superficie', 'estacionamientos',
+    'caracteristicas', 'caracteristicas_completas'
+];
+
+/**
+ * Modelo canónico de publicación, común a ScrapingService y SearchService
+ *
+ * {
+ *   id: 'MLC1234567890',            // código MLC (Portal Inmobiliario / MercadoLibre) o código del portal
+ *   portal, titulo, link, ubicacion,
+ *   precio: { uf, clp, moneda: 'UF' | 'CLP', calculado: 'uf' | 'clp' | null },
+ *   superficie: { utilM2, totalM2 },
+ *   dormitorios, banos, estacionamientos, gastosComunesCLP, anioConstruccion,
+ *   coordenadas: { lat, lng },      // publicadas por el portal (mapa o JSON-LD); null si no vienen
+ *   ...resto de campos del extractor (descripcion, imagen, posicion, pagina, ...),
+ *   raw: { precio_uf: 'UF 6.900', dormitorios: '4 dormitorios', ... }
+ * }
+ *
+ * Los valores no publicados quedan en null (nunca 'No disponible').
+ */
+class ListingModel {
+
+    static getFormats() {
+        return FORMATOS;
+    }
+
+    /**
+     * Validar el parámetro `formato` de scraping y búsqueda
+     */
+    static normalizeFormat(formato, campo = 'formato') {
+        if (formato === undefined || formato === null || formato === '') {
+            return FORMATO_POR_DEFECTO;
+        }
+
+        const normalizado = String(formato).trim().toLowerCase();
+        if (!FORMATOS.includes(normalizado)) {
+            throw ErrorFactory.validation(`${campo} debe ser uno de: ${FORMATOS.join(', ')}`, campo);
+        }
+
+        return normalizado;
+    }
+
+    /**
+     * Publicación canónica desde el resultado de un extractor (adaptador de portal o tarjeta de búsqueda)
+     * @param {Object} registro - formato de extractListing / extractResultCards
+     * @param {{portal?: string, valorUF?: number}} opciones - valorUF completa el precio faltante (UF ↔ CLP)
+     */
+    static fromExtraction(registro, { portal = null, valorUF = null } = {}) {
+        const raw = {};
+        const resto = {};
+        for (const [campo, valor] of Object.entries(registro || {})) {
+            if (CAMPOS_RAW.includes(campo)) {
+                raw[campo] = valor;
+            } else {
+                resto[campo] = valor;
+            }
+        }
+
+        const { titulo = null, link = null, ubicacion = null, portal: portalRegistro, coordenadas = null, ...extras } = resto;
+        const portalFinal = portalRegistro || portal || null;
+        for (const campo of CAMPOS_TEXTO) {
+            if (campo in extras) {
+                extras[campo] = this.text(extras[campo]);
+            }
+        }
+
+        return {
+            id: this.buildId(link, portalFinal, registro),
+            portal: portalFinal,
+            titulo: this.text(titulo),
+            link: this.text(link),
+            ubicacion: this.text(ubicacion),
+            precio: this.parsePrice(registro, valorUF),
+            superficie: this.parseArea(registro),
+            dormitorios: this.parseNumber(registro.dormitorios),
+            banos: this.parseNumber(registro.banos),
+            estacionamientos: this.parseParking(registro),
+            gastosComunesCLP: this.parseCommonExpenses(registro, valorUF),
+            anioConstruccion: this.parseConstructionYear(registro),
+            coordenadas: normalizeCoordinates(coordenadas),
+            ...extras,
+            raw
+        };
+    }
+
+    /**
+     * Formato anterior (textos de los extractores). Se conservan id y portal
+     */
+    static toLegacy(publicacion) {
+        if (!publicacion || !publicacion.raw) {
+            return publicacion;
+        }
+
+        const {
+            precio, superficie, dormitorios, banos, estacionamientos,
+            gastosComunesCLP, anioConstruccion, raw, ...resto
+        } = publicacion;
+
+        for (const campo of CAMPOS_TEXTO) {
+            if (campo in resto && resto[campo] === null) {
+                resto[campo] = NO_DISPONIBLE;
+            }
+        }
+
+        return { ...resto, ...raw };
+    }
+
+    /**
+     * Publicación en el formato pedido (ver normalizeFormat)
+     */
+    static format(publicacion, formato = FORMATO_POR_DEFECTO) {
+        return formato === 'legacy' ? this.toLegacy(publicacion) : publicacion;
+    }
+
+    /**
+     * Cambio de precio entre dos observaciones ({ uf, clp, moneda }), en la moneda publicada
+     * para no confundir la variación diaria de la UF con un cambio real. Si el aviso cambió de moneda, compara en UF
+     * @returns {Object|null} { moneda, anterior, actual, diferencia, variacionPct, tipo: 'baja' | 'alza' }
+     */
+    static comparePrice(anterior = {}, actual = {}) {
+        const campo = anterior?.moneda === actual?.moneda && actual?.moneda === 'CLP' ? 'clp' : 'uf';
+        const valorAnterior = anterior?.[campo];
+        const valorActual = actual?.[campo];
+
+        if (typeof valorAnterior !== 'number' || typeof valorActual !== 'number' || valorAnterior <= 0) {
+            return null;
+        }
+        if (valorAnterior === valorActual) {
+            return null;
+        }
+
+        return {
+            moneda: campo === 'uf' ? 'UF' : 'CLP',
+            anterior: valorAnterior,
+            actual: valorActual,
+            diferencia: Math.round((valorActual - valorAnterior) * 100) / 100,
+            variacionPct: Math.round(((valorActual - valorAnterior) / valorAnterior) * 10000) / 100,
+            tipo: valorActual < valorAnterior ? 'baja' : 'alza'
+        };
+    }
+
+    /**
+     * Id estable: código MLC (compartido por Portal Inmobiliario y MercadoLibre),
+     * código numérico del portal en la URL o, en último caso, hash de la URL
+     */
+    static buildId(link, portal, registro = {}) {
+        const url = this.text(link);
+        const prefijo = (portal || 'publicacion').toLowerCase();
+
+        if (url) {
+            const codigoMLC = url.match(/MLC-?(\d{6,})/i);
+            if (codigoMLC) {
+                return `MLC${codigoMLC[1]}`;
+            }
+
+            const sinQuery = url.split('?')[0].split('#')[0];
+            const codigoPortal = sinQuery.match(/[/_-](\d{6,})(?=[/_.-]|$)/);
+            if (codigoPortal) {
+                return `${prefijo}-${codigoPortal[1]}`;
+            }
+
+            return `${prefijo}-${this.hash(sinQuery.replace(/\/$/, ''))}`;
+        }
+
+        return `${prefijo}-${this.hash(`${registro.titulo || ''}|${registro.ubicacion || ''}`)}`;
+    }
+
+    /**
+     * Precio en UF y CLP. El portal publica uno o ambos; el faltante se calcula con valorUF
+     */
+    static parsePrice(registro, valorUF = null) {
+        const monedaPublicada = registro.moneda === 'UF' ? 'UF' : (registro.moneda === '$' ? 'CLP' : null);
+        const candidatos = [
+            { texto: registro.precio_uf, moneda: 'UF' },
+            { texto: registro.precio_clp, moneda: 'CLP' },
+            { texto: registro.precio, moneda: monedaPublicada }
+        ];
+
+        const montos = { UF: null, CLP: null };
+        let primeraMoneda = null;
+
+        for (const { texto, moneda } of candidatos) {
+            const valor = this.parseNumber(texto);
+            if (!valor || valor <= 0) continue;
+
+            // El texto manda sobre el campo: precio_uf trae "$ ..." cuando el precio principal está en pesos
+            const monedaReal = /\bUF\b|CLF/i.test(texto) ? 'UF' : (/\$|CLP/i.test(texto) ? 'CLP' : moneda);
+            if (monedaReal && montos[monedaReal] === null) {
+                montos[monedaReal] = valor;
+                primeraMoneda = primeraMoneda || monedaReal;
+            }
+        }
+
+        let calculado = null;
+        if (registro.conversion_uf?.campoCalculado) {
+            calculado = registro.conversion_uf.campoCalculado === 'precio_uf' ? 'uf' : 'clp';
+        } else if (valorUF > 0 && montos.UF !== null && montos.CLP === null) {
+            montos.CLP = Math.round(montos.UF * valorUF);
+            calculado = 'clp';
+        } else if (valorUF > 0 && montos.CLP !== null && montos.UF === null) {
+            montos.UF = Math.round((montos.CLP / valorUF) * 100) / 100;
+            calculado = 'uf';
+        }
+
+        return {
+            uf: montos.UF,
+            clp: montos.CLP,
+            moneda: monedaPublicada || primeraMoneda,
+            calculado
+        };
+    }
+
+    /**
+     * Superficie útil y total en m². Primero las características detalladas, luego el texto resumido
+     * ("300 m² útiles", "184 m² totales", "25.33 a 68.5 m²" → primer valor)
+     */
+    static parseArea(registro) {
+        const superficie = { utilM2: null, totalM2: null };
+
+        for (const [clave, valor] of Object.entries(registro.caracteristicas_completas || {})) {
+            const texto = `${clave} ${valor}`.toLowerCase();
+            if (!/m²|m2|superficie|metros|terreno/.test(texto)) continue;
+
+            const metros = this.parseNumber(valor) ?? this.parseNumber(clave);
+            if (!metros) continue;
+
+            if (/total|terreno/.test(texto)) {
+                superficie.totalM2 = superficie.totalM2 ?? metros;
+            } else if (/útil|util|construid|edificad/.test(texto)) {
+                superficie.utilM2 = superficie.utilM2 ?? metros;
+            }
+        }
+
+        const texto = typeof registro.superficie === 'string' ? registro.superficie.toLowerCase() : '';
+        const metros = this.parseNumber(registro.superficie);
+        if (metros) {
+            if (/total|terreno/.test(texto)) {
+                superficie.totalM2 = superficie.totalM2 ?? metros;
+            } else {
+                // Sin calificar ("120 m²"): los portales muestran la superficie útil en el resumen
+                superficie.utilM2 = superficie.utilM2 ?? metros;
+            }
+        }
+
+        return superficie;
+    }
+
+    static parseParking(registro) {
+        const completas = registro.caracteristicas_completas || {};
+        const candidatos = [
+            registro.estacionamientos,
+            registro.caracteristicas?.estacionamientos,
+            completas['estacionamientos'],
+            completas['estacionamiento']
+        ];
+
+        for (const candidato of candidatos) {
+            const valor = this.parseNumber(candidato);
+            if (valor !== null) {
+                return valor;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gastos comunes mensuales en CLP (características o descripción; "UF 3" se convierte con valorUF)
+     */
+    static parseCommonExpenses(registro, valorUF = null) {
+        const aCLP = (texto) => {
+            const valor = this.parseNumber(texto);
+            if (!valor) return null;
+            if (/\bUF\b|CLF/i.test(texto)) {
+                return valorUF > 0 ? Math.round(valor * valorUF) : null;
+            }
+            return valor >= 1000 ? valor : null;
+        };
+
+        for (const [clave, valor] of Object.entries(registro.caracteristicas_completas || {})) {
+            if (/gastos?\s+comun/i.test(clave)) {
+                const monto = aCLP(String(valor));
+                if (monto) return monto;
+            }
+        }
+
+        const match = String(registro.descripcion || '').match(/gastos?\s+comunes?\D{0,25}?((?:UF|\$)\s*\d[\d.,]*)/i);
+        return match ? aCLP(match[1]) : null;
+    }
+
+    /**
+     * Año de construcción ("Año de construcción: 2015" o antigüedad "10 años")
+     */
+    static parseConstructionYear(registro) {
+        const anioActual = new Date().getFullYear();
+        const completas = registro.caracteristicas_completas || {};
+
+        for (const [clave, valor] of Object.entries(completas)) {
+            if (/año\s+(de\s+)?construcci/i.test(clave)) {
+                const anio = parseInt((String(valor).match(/\b(1[89]\d{2}|20\d{2})\b/) || [])[1]);
+                if (anio && anio <= anioActual) return anio;
+            }
+        }
+
+        const antiguedad = [completas['antigüedad'], completas['antiguedad'], registro.caracteristicas?.antiguedad]
+            .find(valor => valor && valor !== NO_DISPONIBLE);
+        if (antiguedad) {
+            if (/a estrenar|nuev/i.test(antiguedad)) {
+                return anioActual;
+            }
+            const anios = this.parseNumber(antiguedad);
+            if (anios !== null && anios < 150) {
+                return anioActual - Math.round(anios);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Primer número de un texto en formato chileno ("2.300.000" → 2300000, "2,5 baños" → 2.5,
+     * "25.33 a 68.5 m²" → 25.33). El punto es de miles solo en grupos de tres dígitos
+     */
+    static parseNumber(texto) {
+        if (typeof texto === 'number') {
+            return Number.isFinite(texto) ? texto : null;
+        }
+        if (typeof texto !== 'string' || texto === NO_DISPONIBLE) {
+            return null;
+        }
+
+        const match = texto.match(/\d[\d.,]*/);
+        if (!match) {
+            return null;
+        }
+
+        let numero = match[0].replace(/[.,]+$/, '');
+        if (numero.includes(',')) {
+            numero = numero.replace(/\./g, '').replace(',', '.');
+        } else if (/^\d{1,3}(\.\d{3})+$/.test(numero)) {
+            numero = numero.replace(/\./g, '');
+        }
+
+        const valor = parseFloat(numero);
+        return isNaN(valor) ? null : valor;
+    }
+
+    static text(valor) {
+        if (typeof valor !== 'string') {
+            return null;
+        }
+        const limpio = valor.trim();
+        return limpio && limpio !== NO_DISPONIBLE ? limpio : null;
+    }
+
+    static hash(texto) {
+        return crypto.createHash('sha1').update(texto).digest('hex').substring(0, 12);
+    }
+}
+
+module.exports = ListingModel;
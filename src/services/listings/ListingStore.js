@@ -0,0 +1,183 @@
+// src/services/listings/ListingStore.js
+const RedisFileStore = require('../storage/RedisFileStore');
+const { logInfo } = require('../../utils/logger');
+
+const DEFAULT_MAX_OBSERVATIONS = 500;
+const DEFAULT_RETENTION_DAYS = 365;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const REDIS_KEYS = {
+    listing: (id) => `listings:item:${id}`,
+    history: (id) => `listings:history:${id}`, // lista: observaciones JSON, de la más antigua a la más reciente
+    index: 'listings:seen' // sorted set: id → timestamp de la última vez vista
+};
+
+/**
+ * Publicaciones vistas en scraping y búsquedas, con su historial de observaciones de precio y estado
+ *
+ * Backends (LISTINGS_STORE):
+ * - redis: por defecto. Si Redis no está disponible al iniciar, usa archivo
+ * - file: archivo JSON local (LISTINGS_FILE, por defecto data/listings.json)
+ *
+ * Cada publicación conserva como máximo LISTINGS_MAX_OBSERVATIONS observaciones (las más recientes).
+ * Las publicaciones no vistas en LISTINGS_RETENTION_DAYS días (365 por defecto) se eliminan:
+ * en archivo al cargar y al guardar, en Redis por expiración de sus claves.
+ */
+class ListingStore extends RedisFileStore {
+    constructor() {
+        super({
+            nombre: 'ListingStore',
+            descripcion: 'historial de publicaciones',
+            icono: '🏷️',
+            backendEnv: 'LISTINGS_STORE',
+            fileEnv: 'LISTINGS_FILE',
+            defaultFile: 'listings.json'
+        });
+
+        // Espejo en memoria del backend archivo: id → { publicacion, historial }
+        this.listings = new Map();
+    }
+
+    getMaxObservations() {
+        return parseInt(process.env.LISTINGS_MAX_OBSERVATIONS) || DEFAULT_MAX_OBSERVATIONS;
+    }
+
+    getRetentionDays() {
+        return parseInt(process.env.LISTINGS_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    }
+
+    getFileStats() {
+        return { listings: this.listings.size };
+    }
+
+    /**
+     * Publicaciones guardadas por id
+     * @returns {Map<string, Object>}
+     */
+    async getListings(ids = []) {
+        await this.initialize();
+
+        if (ids.length === 0) {
+            return new Map();
+        }
+
+        if (this.backend === 'redis') {
+            const raws = await this.redis.mget(ids.map(id => REDIS_KEYS.listing(id)));
+            return new Map(ids.map((id, i) => [id, raws[i] ? JSON.parse(raws[i]) : null]).filter(([, listing]) => listing));
+        }
+
+        return new Map(ids
+            .filter(id => this.listings.has(id))
+            .map(id => [id, { ...this.listings.get(id).publicacion }]));
+    }
+
+    async getListing(id) {
+        return (await this.getListings([id])).get(id) || null;
+    }
+
+    /**
+     * Guardar publicaciones y agregar sus observaciones nuevas
+     * @param {Array<{ publicacion: Object, observaciones: Array }>} entradas
+     */
+    async saveListings(entradas = []) {
+        if (entradas.length === 0) {
+            return;
+        }
+
+        await this.initialize();
+        const max = this.getMaxObservations();
+
+        if (this.backend === 'redis') {
+            // Cada avistamiento renueva la expiración; el índice guarda la fecha de la última vez vista
+            const ahora = Date.now();
+            const ttlSegundos = this.getRetentionDays() * 24 * 60 * 60;
+            const pipeline = this.redis.multi();
+            for (const { publicacion, observaciones } of entradas) {
+                pipeline.setex(REDIS_KEYS.listing(publicacion.id), ttlSegundos, JSON.stringify(publicacion));
+                pipeline.zadd(REDIS_KEYS.index, ahora, publicacion.id);
+                if (observaciones.length > 0) {
+                    pipeline.rpush(REDIS_KEYS.history(publicacion.id), ...observaciones.map(obs => JSON.stringify(obs)));
+                    pipeline.ltrim(REDIS_KEYS.history(publicacion.id), -max, -1);
+                }
+                pipeline.expire(REDIS_KEYS.history(publicacion.id), ttlSegundos);
+            }
+            pipeline.zremrangebyscore(REDIS_KEYS.index, '-inf', ahora - ttlSegundos * 1000);
+            await pipeline.exec();
+            return;
+        }
+
+        for (const { publicacion, observaciones } of entradas) {
+            const historial = (this.listings.get(publicacion.id)?.historial || []).concat(observaciones).slice(-max);
+            this.listings.set(publicacion.id, { publicacion, historial });
+        }
+        this.pruneExpired();
+        await this.persistFile();
+    }
+
+    /**
+     * Backend archivo: eliminar publicaciones cuya última vez vista supera la retención
+     * @returns {number} publicaciones eliminadas
+     */
+    pruneExpired(ahora = Date.now()) {
+        const limite = ahora - this.getRetentionDays() * DIA_MS;
+        let eliminadas = 0;
+
+        for (const [id, { publicacion }] of this.listings) {
+            const ultimaVez = Date.parse(publicacion?.ultimaVez);
+            if (Number.isFinite(ultimaVez) && ultimaVez < limite) {
+                this.listings.delete(id);
+                eliminadas++;
+            }
+        }
+
+        if (eliminadas > 0) {
+            logInfo('🧹 Publicaciones antiguas eliminadas del historial', { eliminadas, retencionDias: this.getRetentionDays() });
+        }
+        return eliminadas;
+    }
+
+    /**
+     * Historial de observaciones, de la más antigua a la más reciente
+     */
+    async getHistory(id) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const raws = await this.redis.lrange(REDIS_KEYS.history(id), 0, -1);
+            return raws.map(raw => JSON.parse(raw));
+        }
+
+        return (this.listings.get(id)?.historial || []).map(obs => ({ ...obs }));
+    }
+
+    async count() {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const limite = Date.now() - this.getRetentionDays() * DIA_MS;
+            return this.redis.zcount(REDIS_KEYS.index, limite, '+inf');
+        }
+        return this.listings.size;
+    }
+
+    applyFileContent(content) {
+        this.listings = new Map(Object.entries(content.publicaciones || {}));
+        this.pruneExpired();
+    }
+
+    serializeFile() {
+        return { publicaciones: Object.fromEntries(this.listings) };
+    }
+}
+
+// Singleton instance
+let listingStoreInstance = null;
+
+const getListingStore = () => {
+    if (!listingStoreInstance) {
+        listingStoreInstance = new ListingStore();
+    }
+    return listingStoreInstance;
+};
+
+module.exports = { ListingStore, getListingStore };
@@ -0,0 +1,507 @@
+// src/services/market/MarketStatsService.js
+const { logDebug, logWarn } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { getMarketStatsStore } = require('./MarketStatsStore');
+const AnthropicConfig = require('../anthropic/AnthropicConfig');
+const { round, roundOrNull } = require('../../utils/numbers');
+
+const TIPOS = ['Casa', 'Departamento'];
+const OPERACIONES = ['Venta', 'Arriendo'];
+
+// Bajo este precio en UF una publicación sin operación explícita se considera arriendo
+const MAX_UF_ARRIENDO = 500;
+
+const RANKING_TTL_MS = 10 * 60 * 1000;
+
+// Meses mínimos entre la primera y la última observación de una publicación para estimar plusvalía
+const MESES_MIN_REPETICION = 3;
+
+/**
+ * Estadísticas de mercado por comuna a partir de las publicaciones vistas en scraping y búsquedas
+ *
+ * Por comuna, tipo y operación: mediana de precio por m² en UF, mediana de arriendo por m²,
+ * yield bruto implícito, inventario y tendencia mensual. El nivel de la comuna (premium, good,
+ * moderate, high) se obtiene del percentil de su precio por m² entre las comunas observadas,
+ * en lugar de listas fijas de comunas.
+ */
+class MarketStatsService {
+
+    static recordQueue = Promise.resolve();
+    static rankingCache = new Map();
+
+    static getMinSamples() {
+        return parseInt(process.env.MARKET_STATS_MIN_SAMPLES) || 5;
+    }
+
+    static getMinComunas() {
+        return parseInt(process.env.MARKET_STATS_MIN_COMUNAS) || 4;
+    }
+
+    static getLocationConfig() {
+        return AnthropicConfig.financialMetrics.riskFactors.location;
+    }
+
+    /**
+     * Registrar publicaciones canónicas vistas (ListingModel.fromExtraction)
+     * @param {Array} publicaciones
+     * @param {Object} contexto - { tipo, operacion, ubicacion } de la búsqueda (opcionales en scraping)
+     * @returns {number} observaciones registradas
+     */
+    static recordListings(publicaciones = [], contexto = {}) {
+        const record = this.recordQueue.then(() => this.doRecordListings(publicaciones, contexto));
+        this.recordQueue = record.catch(() => {});
+        return record;
+    }
+
+    static async doRecordListings(publicaciones, contexto) {
+        const fecha = new Date().toISOString();
+        const mes = fecha.slice(0, 7);
+        const porId = new Map();
+        let descartadas = 0;
+
+        for (const publicacion of publicaciones) {
+            if (!publicacion?.id || porId.has(publicacion.id)) {
+                continue;
+            }
+            const observacion = this.buildObservation(publicacion, contexto, { fecha, mes });
+            if (observacion) {
+                porId.set(publicacion.id, observacion);
+            } else {
+                descartadas++;
+            }
+        }
+
+        const registradas = await getMarketStatsStore().record([...porId.values()]);
+        if (registradas > 0) {
+            this.rankingCache.clear();
+        }
+
+        logDebug('📊 Publicaciones registradas en estadísticas de mercado', { registradas, descartadas });
+        return registradas;
+    }
+
+    /**
+     * Observación de una publicación, o null si no se puede ubicar en comuna, tipo, operación y precio
+     */
+    static buildObservation(publicacion, contexto = {}, { fecha, mes }) {
+        const comuna = this.resolveComuna(publicacion.ubicacion, contexto.ubicacion);
+        const tipo = TIPOS.includes(contexto.tipo) ? contexto.tipo : this.inferType(publicacion);
+        const uf = typeof publicacion.precio?.uf === 'number' ? publicacion.precio.uf : null;
+        const clp = typeof publicacion.precio?.clp === 'number' ? publicacion.precio.clp : null;
+        const operacion = OPERACIONES.includes(contexto.operacion) ? contexto.operacion : this.inferOperation(publicacion, uf);
+
+        if (!comuna || !tipo || !operacion || (uf === null && clp === null)) {
+            return null;
+        }
+
+        const m2 = publicacion.superficie?.utilM2 ?? publicacion.superficie?.totalM2 ?? null;
+
+        return {
+            id: publicacion.id,
+            comuna,
+            comunaClave: this.comunaKey(comuna),
+            tipo,
+            operacion,
+            mes,
+            valores: { uf, clp, m2: m2 > 0 ? m2 : null, fecha }
+        };
+    }
+
+    /**
+     * Comuna de una publicación
+     * En búsquedas se usa la comuna buscada cuando la ubicación la contiene; si no, el penúltimo
+     * segmento de "Barrio, Comuna, Región" o el primero de "Comuna, Región".
+     */
+    static resolveComuna(ubicacion, comunaBuscada = null) {
+        const texto = this.normalizeText(ubicacion);
+        const buscada = comunaBuscada ? String(comunaBuscada).split(',')[0].trim() : null;
+
+        if (buscada && (!texto || texto.includes(this.normalizeText(buscada)))) {
+            return buscada;
+        }
+
+        // Los segmentos con números son direcciones ("San Cristóbal 17")
+        const segmentos = String(ubicacion || '')
+            .split(',')
+            .map(segmento => segmento.trim())
+            .filter(segmento => segmento && !/\d/.test(segmento) && !/^no disponible$/i.test(segmento));
+
+        if (segmentos.length === 0) {
+            return null;
+        }
+        return segmentos.length >= 3 ? segmentos[segmentos.length - 2] : segmentos[0];
+    }
+
+    static inferType(publicacion) {
+        const texto = this.normalizeText(`${publicacion?.titulo || ''} ${publicacion?.link || ''}`);
+        if (/departamento|depto/.test(texto)) {
+            return 'Departamento';
+        }
+        if (/\bcasa\b|\/casa|-casa/.test(texto)) {
+            return 'Casa';
+        }
+        return null;
+    }
+
+    static inferOperation(publicacion, uf = null) {
+        const texto = this.normalizeText(`${publicacion?.titulo || ''} ${publicacion?.link || ''}`);
+        if (/arriendo|arrienda/.test(texto)) {
+            return 'Arriendo';
+        }
+        if (/venta|vende/.test(texto)) {
+            return 'Venta';
+        }
+        if (uf !== null) {
+            return uf < MAX_UF_ARRIENDO ? 'Arriendo' : 'Venta';
+        }
+        return null;
+    }
+
+    static recordListingsSafely(publicaciones, contexto) {
+        return this.recordListings(publicaciones, contexto).catch(error => {
+            logWarn('⚠️ No se pudo registrar estadísticas de mercado', { error: error.message });
+            return 0;
+        });
+    }
+
+    /**
+     * Estadísticas de una comuna por tipo de propiedad
+     * @param {Object} filtro - { comuna, tipo, meses: ventana hacia atrás (1-36, por defecto 12) }
+     */
+    static async getStats({ comuna, tipo = null, meses = 12 } = {}) {
+        const nombre = String(comuna || '').split(',')[0].trim();
+        if (nombre.length < 2 || nombre.length > 80) {
+            throw ErrorFactory.validation('El parámetro comuna es requerido (ej: Ñuñoa)', 'comuna');
+        }
+        if (tipo && !TIPOS.includes(tipo)) {
+            throw ErrorFactory.validation(`El parámetro tipo debe ser uno de: ${TIPOS.join(', ')}`, 'tipo');
+        }
+        const ventana = parseInt(meses);
+        if (isNaN(ventana) || ventana < 1 || ventana > 36) {
+            throw ErrorFactory.validation('meses debe ser un número entre 1 y 36', 'meses');
+        }
+
+        const desdeMes = this.monthsAgo(ventana);
+        const buckets = await getMarketStatsStore().query({ comunaClave: this.comunaKey(nombre), tipo, desdeMes });
+
+        const segmentos = {};
+        for (const tipoSegmento of tipo ? [tipo] : TIPOS) {
+            const delTipo = buckets.filter(bucket => bucket.tipo === tipoSegmento);
+            segmentos[tipoSegmento] = delTipo.length > 0 ? await this.buildSegment(delTipo, tipoSegmento) : null;
+        }
+
+        return {
+            comuna: buckets[0]?.comuna || nombre,
+            periodo: { meses: ventana, desde: desdeMes, hasta: this.monthsAgo(1) },
+            totalPublicaciones: Object.values(segmentos).reduce((total, segmento) => total + (segmento?.inventario.total || 0), 0),
+            tipos: segmentos,
+            muestraMinima: this.getMinSamples(),
+            nota: 'Precios publicados (no de cierre) observados por NotBrokker en scraping y búsquedas'
+        };
+    }
+
+    /**
+     * Estadísticas de un tipo de propiedad en una comuna a partir de sus grupos mensuales
+     */
+    static async buildSegment(buckets, tipo) {
+        const venta = this.latestObservations(buckets.filter(bucket => bucket.operacion === 'Venta'));
+        const arriendo = this.latestObservations(buckets.filter(bucket => bucket.operacion === 'Arriendo'));
+
+        const medianaPrecioM2UF = this.median(venta.map(obs => this.perM2(obs.uf, obs.m2)));
+        const medianaArriendoM2UF = this.median(arriendo.map(obs => this.perM2(obs.uf, obs.m2)));
+        const tendencia = this.buildTrend(buckets);
+        const ranking = await this.getRanking(tipo);
+        const posicion = ranking.get(buckets[0].comunaClave) || null;
+
+        return {
+            inventario: {
+                total: venta.length + arriendo.length,
+                venta: venta.length,
+                arriendo: arriendo.length
+            },
+            venta: {
+                medianaPrecioUF: roundOrNull(this.median(venta.map(obs => obs.uf))),
+                medianaPrecioM2UF: roundOrNull(medianaPrecioM2UF),
+                conSuperficie: venta.filter(obs => this.perM2(obs.uf, obs.m2) !== null).length
+            },
+            arriendo: {
+                medianaArriendoCLP: roundOrNull(this.median(arriendo.map(obs => obs.clp)), 0),
+                medianaArriendoM2UF: roundOrNull(medianaArriendoM2UF, 3),
+                medianaArriendoM2CLP: roundOrNull(this.median(arriendo.map(obs => this.perM2(obs.clp, obs.m2))), 0),
+                conSuperficie: arriendo.filter(obs => this.perM2(obs.clp, obs.m2) !== null).length
+            },
+            yieldBrutoImplicito: this.grossYield(medianaArriendoM2UF, medianaPrecioM2UF),
+            plusvaliaAnualEstimada: this.estimateAppreciation(buckets.filter(bucket => bucket.operacion === 'Venta')),
+            nivel: posicion?.nivel || null,
+            percentilPrecioM2: posicion?.percentil ?? null,
+            comunasComparadas: posicion ? ranking.size : 0,
+            muestraSuficiente: {
+                venta: venta.filter(obs => this.perM2(obs.uf, obs.m2) !== null).length >= this.getMinSamples(),
+                arriendo: arriendo.filter(obs => this.perM2(obs.uf, obs.m2) !== null).length >= this.getMinSamples()
+            },
+            tendencia
+        };
+    }
+
+    /**
+     * Medianas e inventario por mes (cada publicación cuenta una vez por mes)
+     */
+    static buildTrend(buckets) {
+        const meses = [...new Set(buckets.map(bucket => bucket.mes))].sort();
+
+        return meses.map(mes => {
+            const delMes = (operacion) => Object.values(
+                buckets.find(bucket => bucket.mes === mes && bucket.operacion === operacion)?.publicaciones || {}
+            );
+            const venta = delMes('Venta');
+            const arriendo = delMes('Arriendo');
+            const preciosM2 = venta.map(obs => this.perM2(obs.uf, obs.m2)).filter(valor => valor !== null);
+
+            return {
+                mes,
+                venta: venta.length,
+                arriendo: arriendo.length,
+                medianaPrecioM2UF: roundOrNull(this.median(preciosM2)),
+                medianaArriendoM2UF: roundOrNull(this.median(arriendo.map(obs => this.perM2(obs.uf, obs.m2))), 3),
+                muestrasPrecioM2: preciosM2.length
+            };
+        });
+    }
+
+    /**
+     * Plusvalía anual implícita a partir de publicaciones repetidas: cada publicación de venta vista
+     * en meses separados por al menos MESES_MIN_REPETICION aporta la variación anualizada de su propio
+     * precio en UF. Comparar medianas de meses distintos mezcla publicaciones distintas (otro tamaño,
+     * otro barrio) y no mide plusvalía.
+     * @param {Array} buckets - grupos mensuales de venta de la comuna y tipo
+     * @returns {number|null} mediana acotada a los límites de la configuración; null con menos de
+     * MARKET_STATS_MIN_SAMPLES repeticiones (la proyección usa entonces la plusvalía del nivel de la comuna)
+     */
+    static estimateAppreciation(buckets) {
+        const porId = new Map();
+        for (const bucket of [...buckets].sort((a, b) => a.mes.localeCompare(b.mes))) {
+            for (const [id, obs] of Object.entries(bucket.publicaciones)) {
+                if (typeof obs.uf !== 'number' || obs.uf <= 0) {
+                    continue;
+                }
+                const serie = porId.get(id) || { primera: { mes: bucket.mes, uf: obs.uf } };
+                serie.ultima = { mes: bucket.mes, uf: obs.uf };
+                porId.set(id, serie);
+            }
+        }
+
+        const variaciones = [...porId.values()]
+            .map(({ primera, ultima }) => ({ ...ultima, meses: this.monthDiff(primera.mes, ultima.mes), ufInicial: primera.uf }))
+            .filter(serie => serie.meses >= MESES_MIN_REPETICION)
+            .map(serie => (Math.pow(serie.uf / serie.ufInicial, 12 / serie.meses) - 1) * 100);
+
+        if (variaciones.length < this.getMinSamples()) {
+            return null;
+        }
+
+        const { plusvaliaLimites } = this.getLocationConfig();
+        return round(Math.min(Math.max(this.median(variaciones), plusvaliaLimites.min), plusvaliaLimites.max));
+    }
+
+    /**
+     * Percentil y nivel de cada comuna según su mediana de precio por m² en venta
+     * Solo participan comunas con muestra suficiente; se requieren MARKET_STATS_MIN_COMUNAS.
+     * @returns {Map<string, { comuna, medianaPrecioM2UF, percentil, nivel }>}
+     */
+    static async getRanking(tipo = null) {
+        const claveCache = tipo || 'todos';
+        const enCache = this.rankingCache.get(claveCache);
+        if (enCache && Date.now() - enCache.creado < RANKING_TTL_MS) {
+            return enCache.ranking;
+        }
+
+        const buckets = await getMarketStatsStore().query({ tipo, operacion: 'Venta', desdeMes: this.monthsAgo(12) });
+        const porComuna = new Map();
+        for (const bucket of buckets) {
+            if (!porComuna.has(bucket.comunaClave)) {
+                porComuna.set(bucket.comunaClave, { comuna: bucket.comuna, buckets: [] });
+            }
+            porComuna.get(bucket.comunaClave).buckets.push(bucket);
+        }
+
+        const medianas = [...porComuna.entries()]
+            .map(([clave, { comuna, buckets: grupos }]) => {
+                const preciosM2 = this.latestObservations(grupos)
+                    .map(obs => this.perM2(obs.uf, obs.m2))
+                    .filter(valor => valor !== null);
+                return { clave, comuna, medianaPrecioM2UF: this.median(preciosM2), muestras: preciosM2.length };
+            })
+            .filter(item => item.muestras >= this.getMinSamples())
+            .sort((a, b) => a.medianaPrecioM2UF - b.medianaPrecioM2UF);
+
+        const ranking = new Map();
+        if (medianas.length >= this.getMinComunas()) {
+            medianas.forEach((item, i) => {
+                const percentil = Math.round((i / (medianas.length - 1)) * 100);
+                ranking.set(item.clave, {
+                    comuna: item.comuna,
+                    medianaPrecioM2UF: round(item.medianaPrecioM2UF),
+                    percentil,
+                    nivel: this.levelForPercentile(percentil)
+                });
+            });
+        }
+
+        this.rankingCache.set(claveCache, { ranking, creado: Date.now() });
+        return ranking;
+    }
+
+    static levelForPercentile(percentil) {
+        const { percentiles } = this.getLocationConfig();
+        if (percentil >= percentiles.premium) return 'premium';
+        if (percentil >= percentiles.good) return 'good';
+        if (percentil >= percentiles.moderate) return 'moderate';
+        return 'high';
+    }
+
+    /**
+     * Perfil de mercado de la comuna de una propiedad para el reporte y la proyección
+     * Plusvalía: tendencia observada, si no la del nivel de la comuna, si no el promedio nacional.
+     * @param {string} ubicacion - ubicación de la publicación ("Barrio, Comuna, Región")
+     * @param {Object} opciones - { tipo: 'Casa' | 'Departamento' }
+     * @returns {Object|null} null si no hay observaciones de la comuna
+     */
+    static async getLocationProfile(ubicacion, { tipo = null } = {}) {
+        const comuna = this.resolveComuna(ubicacion);
+        if (!comuna) {
+            return null;
+        }
+
+        const stats = await this.getStats({ comuna, tipo: TIPOS.includes(tipo) ? tipo : null });
+        const segmento = tipo && stats.tipos[tipo]
+            ? stats.tipos[tipo]
+            : Object.values(stats.tipos).filter(Boolean).sort((a, b) => b.inventario.total - a.inventario.total)[0];
+
+        if (!segmento) {
+            return null;
+        }
+
+        const tipoSegmento = Object.keys(stats.tipos).find(clave => stats.tipos[clave] === segmento);
+        const plusvalia = this.resolveAppreciation(segmento);
+
+        return {
+            comuna: stats.comuna,
+            tipo: tipoSegmento,
+            nivel: segmento.nivel,
+            percentilPrecioM2: segmento.percentilPrecioM2,
+            medianaPrecioM2UF: segmento.venta.medianaPrecioM2UF,
+            medianaArriendoM2UF: segmento.arriendo.medianaArriendoM2UF,
+            medianaArriendoCLP: segmento.arriendo.medianaArriendoCLP,
+            yieldBrutoImplicito: segmento.yieldBrutoImplicito,
+            inventario: segmento.inventario,
+            plusvaliaAnual: plusvalia.valor,
+            fuentePlusvalia: plusvalia.fuente,
+            periodo: stats.periodo,
+            nota: stats.nota
+        };
+    }
+
+    static async getLocationProfileSafely(ubicacion, opciones) {
+        try {
+            return await this.getLocationProfile(ubicacion, opciones);
+        } catch (error) {
+            logWarn('⚠️ No se pudo obtener estadísticas de mercado de la comuna', { ubicacion, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Plusvalía anual (%) para la proyección a partir del perfil de la comuna
+     * @returns {{ valor: number, fuente: 'tendencia_comuna' | 'nivel_comuna' | 'promedio_nacional' }}
+     */
+    static resolveAppreciation(perfil) {
+        if (typeof perfil?.plusvaliaAnualEstimada === 'number') {
+            return { valor: perfil.plusvaliaAnualEstimada, fuente: 'tendencia_comuna' };
+        }
+        if (typeof perfil?.plusvaliaAnual === 'number') {
+            return { valor: perfil.plusvaliaAnual, fuente: perfil.fuentePlusvalia };
+        }
+
+        const { plusvaliaPorNivel } = this.getLocationConfig();
+        if (perfil?.nivel && typeof plusvaliaPorNivel[perfil.nivel] === 'number') {
+            return { valor: plusvaliaPorNivel[perfil.nivel], fuente: 'nivel_comuna' };
+        }
+
+        return { valor: AnthropicConfig.financialMetrics.defaultValues.appreciation, fuente: 'promedio_nacional' };
+    }
+
+    /**
+     * Última observación de cada publicación en los grupos (una publicación vista en varios meses cuenta una vez)
+     */
+    static latestObservations(buckets) {
+        const porId = new Map();
+        for (const bucket of [...buckets].sort((a, b) => a.mes.localeCompare(b.mes))) {
+            for (const [id, obs] of Object.entries(bucket.publicaciones)) {
+                porId.set(id, obs);
+            }
+        }
+        return [...porId.values()];
+    }
+
+    static grossYield(arriendoM2UF, precioM2UF) {
+        if (!arriendoM2UF || !precioM2UF) {
+            return null;
+        }
+        return round((arriendoM2UF * 12 / precioM2UF) * 100);
+    }
+
+    static perM2(valor, m2) {
+        return typeof valor === 'number' && m2 > 0 ? valor / m2 : null;
+    }
+
+    static median(valores) {
+        const ordenados = valores.filter(valor => typeof valor === 'number' && isFinite(valor)).sort((a, b) => a - b);
+        if (ordenados.length === 0) {
+            return null;
+        }
+        const medio = Math.floor(ordenados.length / 2);
+        return ordenados.length % 2 ? ordenados[medio] : (ordenados[medio - 1] + ordenados[medio]) / 2;
+    }
+
+    /**
+     * 'YYYY-MM' de hace (n - 1) meses: monthsAgo(1) es el mes actual
+     * En UTC, igual que el mes con que se agrupan las observaciones (toISOString)
+     */
+    static monthsAgo(n, ahora = new Date()) {
+        return new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth() - n + 1, 1)).toISOString().slice(0, 7);
+    }
+
+    static monthDiff(desde, hasta) {
+        const [anioDesde, mesDesde] = desde.split('-').map(Number);
+        const [anioHasta, mesHasta] = hasta.split('-').map(Number);
+        return (anioHasta - anioDesde) * 12 + (mesHasta - mesDesde);
+    }
+
+    /**
+     * Clave de comuna sin tildes ni mayúsculas ("Ñuñoa" → "nunoa", "Las Condes" → "las-condes")
+     */
+    static comunaKey(comuna) {
+        return this.normalizeText(comuna)
+            .replace(/[^\w\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-');
+    }
+
+    static normalizeText(texto) {
+        return String(texto || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    static async getInfo() {
+        return {
+            backend: getMarketStatsStore().getBackendName(),
+            tipos: TIPOS,
+            operaciones: OPERACIONES,
+            muestraMinima: this.getMinSamples(),
+            comunasMinimasParaNivel: this.getMinComunas(),
+            retencionMeses: getMarketStatsStore().getRetentionMonths(),
+            niveles: this.getLocationConfig().percentiles
+        };
+    }
+}
+
+module.exports = MarketStatsService;
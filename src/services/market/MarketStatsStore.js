@@ -0,0 +1,179 @@
+// src/services/market/MarketStatsStore.js
+const RedisFileStore = require('../storage/RedisFileStore');
+
+const DEFAULT_RETENTION_MONTHS = 24;
+
+const META_FIELD = '__meta';
+
+const REDIS_KEYS = {
+    bucket: (clave) => `market:stats:${clave}`, // hash: id publicación → observación JSON, __meta → { comuna, tipo, operacion, mes }
+    index: 'market:stats:index'
+};
+
+/**
+ * Observaciones de publicaciones agrupadas por comuna, tipo, operación y mes
+ *
+ * Cada grupo guarda la última observación del mes por publicación (precio y superficie),
+ * de modo que una publicación vista en muchas búsquedas cuenta una vez por mes.
+ *
+ * Backends (MARKET_STATS_STORE):
+ * - redis: por defecto. Si Redis no está disponible al iniciar, usa archivo
+ * - file: archivo JSON local (MARKET_STATS_FILE, por defecto data/market-stats.json)
+ *
+ * Los meses más antiguos que MARKET_STATS_RETENTION_MONTHS se descartan.
+ */
+class MarketStatsStore extends RedisFileStore {
+    constructor() {
+        super({
+            nombre: 'MarketStatsStore',
+            descripcion: 'estadísticas de mercado',
+            icono: '📊',
+            backendEnv: 'MARKET_STATS_STORE',
+            fileEnv: 'MARKET_STATS_FILE',
+            defaultFile: 'market-stats.json'
+        });
+
+        // Espejo en memoria del backend archivo: clave → { comuna, tipo, operacion, mes, publicaciones }
+        this.buckets = new Map();
+    }
+
+    getRetentionMonths() {
+        return parseInt(process.env.MARKET_STATS_RETENTION_MONTHS) || DEFAULT_RETENTION_MONTHS;
+    }
+
+    /**
+     * Mes más antiguo conservado ('YYYY-MM', en UTC como los meses de las observaciones)
+     */
+    getOldestMonth(ahora = new Date()) {
+        return new Date(Date.UTC(ahora.getUTCFullYear(), ahora.getUTCMonth() - this.getRetentionMonths() + 1, 1)).toISOString().slice(0, 7);
+    }
+
+    getFileStats() {
+        return { buckets: this.buckets.size };
+    }
+
+    static buildKey({ comunaClave, tipo, operacion, mes }) {
+        return [comunaClave, tipo, operacion, mes].map(parte => String(parte).toLowerCase()).join('|');
+    }
+
+    /**
+     * Registrar observaciones
+     * @param {Array} observaciones - { comuna, comunaClave, tipo, operacion, mes, id, valores: { uf, clp, m2, fecha } }
+     */
+    async record(observaciones = []) {
+        if (observaciones.length === 0) {
+            return 0;
+        }
+
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const ttlSegundos = (this.getRetentionMonths() + 1) * 31 * 24 * 60 * 60;
+            const pipeline = this.redis.multi();
+            for (const obs of observaciones) {
+                const clave = MarketStatsStore.buildKey(obs);
+                const { comuna, comunaClave, tipo, operacion, mes } = obs;
+                pipeline.hset(
+                    REDIS_KEYS.bucket(clave),
+                    META_FIELD, JSON.stringify({ comuna, comunaClave, tipo, operacion, mes }),
+                    obs.id, JSON.stringify(obs.valores)
+                );
+                pipeline.expire(REDIS_KEYS.bucket(clave), ttlSegundos);
+                pipeline.sadd(REDIS_KEYS.index, clave);
+            }
+            await pipeline.exec();
+            return observaciones.length;
+        }
+
+        for (const obs of observaciones) {
+            const clave = MarketStatsStore.buildKey(obs);
+            if (!this.buckets.has(clave)) {
+                const { comuna, comunaClave, tipo, operacion, mes } = obs;
+                this.buckets.set(clave, { comuna, comunaClave, tipo, operacion, mes, publicaciones: {} });
+            }
+            this.buckets.get(clave).publicaciones[obs.id] = obs.valores;
+        }
+
+        const oldest = this.getOldestMonth();
+        for (const [clave, bucket] of this.buckets) {
+            if (bucket.mes < oldest) {
+                this.buckets.delete(clave);
+            }
+        }
+
+        await this.persistFile();
+        return observaciones.length;
+    }
+
+    /**
+     * Grupos que cumplen el filtro
+     * @param {Object} filtro - { comunaClave, tipo, operacion, desdeMes } (todos opcionales)
+     * @returns {Array} { comuna, comunaClave, tipo, operacion, mes, publicaciones: { id: valores } }
+     */
+    async query({ comunaClave = null, tipo = null, operacion = null, desdeMes = null } = {}) {
+        await this.initialize();
+
+        const cumple = (meta) =>
+            (!comunaClave || meta.comunaClave === comunaClave) &&
+            (!tipo || meta.tipo.toLowerCase() === tipo.toLowerCase()) &&
+            (!operacion || meta.operacion.toLowerCase() === operacion.toLowerCase()) &&
+            (!desdeMes || meta.mes >= desdeMes);
+
+        if (this.backend === 'redis') {
+            const claves = (await this.redis.smembers(REDIS_KEYS.index)).filter(clave => {
+                const [comuna, tipoClave, operacionClave, mes] = clave.split('|');
+                return cumple({ comunaClave: comuna, tipo: tipoClave, operacion: operacionClave, mes });
+            });
+            if (claves.length === 0) {
+                return [];
+            }
+
+            const pipeline = this.redis.multi();
+            claves.forEach(clave => pipeline.hgetall(REDIS_KEYS.bucket(clave)));
+            const resultados = await pipeline.exec();
+
+            const buckets = [];
+            const expirados = [];
+            resultados.forEach(([error, hash], i) => {
+                if (error || !hash || !hash[META_FIELD]) {
+                    expirados.push(claves[i]);
+                    return;
+                }
+                const { [META_FIELD]: meta, ...publicaciones } = hash;
+                buckets.push({
+                    ...JSON.parse(meta),
+                    publicaciones: Object.fromEntries(Object.entries(publicaciones).map(([id, raw]) => [id, JSON.parse(raw)]))
+                });
+            });
+
+            if (expirados.length > 0) {
+                await this.redis.srem(REDIS_KEYS.index, ...expirados);
+            }
+            return buckets;
+        }
+
+        return [...this.buckets.values()]
+            .filter(cumple)
+            .map(bucket => ({ ...bucket, publicaciones: { ...bucket.publicaciones } }));
+    }
+
+    applyFileContent(content) {
+        this.buckets = new Map(Object.entries(content.grupos || {}));
+    }
+
+    serializeFile() {
+        return { grupos: Object.fromEntries(this.buckets) };
+    }
+}
+
+// Singleton instance
+let marketStatsStoreInstance = null;
+
+const getMarketStatsStore = () => {
+    if (!marketStatsStoreInstance) {
+        marketStatsStoreInstance = new MarketStatsStore();
+    }
+    return marketStatsStoreInstance;
+};
+
+module.exports = { MarketStatsStore, getMarketStatsStore };
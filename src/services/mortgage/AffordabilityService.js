@@ -0,0 +1,249 @@
+// src/services/mortgage/AffordabilityService.js
+const { logInfo, logDebug } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { round, numberParam } = require('../../utils/numbers');
+const AmortizationService = require('./AmortizationService');
+
+/**
+ * Reglas de evaluación típicas de la banca chilena para créditos hipotecarios
+ * - dividendoMaxPctIngreso: dividendo (con seguros) / ingreso líquido del grupo
+ * - cargaFinancieraMaxPct: (dividendo + otras deudas mensuales) / ingreso líquido
+ * - ltvMax: financiamiento máximo sobre el precio (90% primera vivienda, 80% el resto)
+ */
+const REGLAS_BANCARIAS = {
+    dividendoMaxPctIngreso: 25,
+    cargaFinancieraMaxPct: 50,
+    ltvMax: {
+        primeraVivienda: 90,
+        general: 80
+    }
+};
+
+const PLAZO_POR_DEFECTO = 25;
+
+/**
+ * Capacidad de compra del comprador y pre-aprobación por oferta bancaria
+ */
+class AffordabilityService {
+
+    static getRules() {
+        return REGLAS_BANCARIAS;
+    }
+
+    /**
+     * Validar perfil del comprador (montos en CLP salvo ahorroPieUF)
+     * {
+     *   ingresoLiquidoMensual, deudasMensuales, ahorroPie | ahorroPieUF, primeraVivienda, plazoAnios,
+     *   codeudor: { ingresoLiquidoMensual, deudasMensuales }
+     * }
+     */
+    static normalizeProfile(perfil) {
+        if (!perfil || typeof perfil !== 'object' || Array.isArray(perfil)) {
+            throw ErrorFactory.validation('El perfil del comprador es requerido', 'perfil');
+        }
+
+        const monto = (valor, campo, { requerido = false, max = 1e12 } = {}) =>
+            numberParam(valor, campo, { min: 0, max, requerido, defecto: 0 });
+
+        const ingresoTitular = monto(perfil.ingresoLiquidoMensual, 'perfil.ingresoLiquidoMensual', { requerido: true });
+        if (ingresoTitular <= 0) {
+            throw ErrorFactory.validation('perfil.ingresoLiquidoMensual debe ser mayor a 0', 'perfil.ingresoLiquidoMensual');
+        }
+
+        const codeudor = perfil.codeudor ? {
+            ingresoLiquidoMensual: monto(perfil.codeudor.ingresoLiquidoMensual, 'perfil.codeudor.ingresoLiquidoMensual', { requerido: true }),
+            deudasMensuales: monto(perfil.codeudor.deudasMensuales, 'perfil.codeudor.deudasMensuales')
+        } : null;
+
+        const plazoAnios = perfil.plazoAnios === undefined || perfil.plazoAnios === null
+            ? PLAZO_POR_DEFECTO
+            : parseInt(perfil.plazoAnios);
+        if (isNaN(plazoAnios) || plazoAnios < 5 || plazoAnios > 40) {
+            throw ErrorFactory.validation('perfil.plazoAnios debe estar entre 5 y 40 años', 'perfil.plazoAnios');
+        }
+
+        return {
+            ingresoLiquidoMensual: ingresoTitular,
+            deudasMensuales: monto(perfil.deudasMensuales, 'perfil.deudasMensuales'),
+            ahorroPie: monto(perfil.ahorroPie, 'perfil.ahorroPie'),
+            ahorroPieUF: perfil.ahorroPieUF !== undefined && perfil.ahorroPieUF !== null ? monto(perfil.ahorroPieUF, 'perfil.ahorroPieUF', { max: 1e6 }) : null,
+            primeraVivienda: perfil.primeraVivienda === true || perfil.primeraVivienda === 'true',
+            plazoAnios,
+            codeudor
+        };
+    }
+
+    /**
+     * Evaluar capacidad de compra contra las ofertas de una simulación CMF
+     * @param {Object} perfil - Perfil del comprador (normalizeProfile)
+     * @param {Object} params
+     * @param {number} params.valorUF - Valor UF en CLP
+     * @param {Array} params.bancos - Ofertas (resultado.bancos de MortgageService)
+     * @param {number} [params.precioUF] - Precio de la propiedad evaluada
+     * @param {number} [params.plazoAnios] - Plazo de las ofertas (por defecto el del perfil)
+     */
+    static evaluate(perfilEntrada, { valorUF, bancos = [], precioUF = null, plazoAnios = null }) {
+        const perfil = this.normalizeProfile(perfilEntrada);
+        const plazo = plazoAnios || perfil.plazoAnios;
+
+        const ingresoTotal = perfil.ingresoLiquidoMensual + (perfil.codeudor?.ingresoLiquidoMensual || 0);
+        const deudasTotales = perfil.deudasMensuales + (perfil.codeudor?.deudasMensuales || 0);
+        const pieUF = perfil.ahorroPieUF !== null ? perfil.ahorroPieUF : perfil.ahorroPie / valorUF;
+        const ltvMax = perfil.primeraVivienda ? REGLAS_BANCARIAS.ltvMax.primeraVivienda : REGLAS_BANCARIAS.ltvMax.general;
+
+        // Dividendo máximo: el menor entre la regla de dividendo y la de carga financiera
+        const porDividendo = ingresoTotal * REGLAS_BANCARIAS.dividendoMaxPctIngreso / 100;
+        const porCargaFinanciera = ingresoTotal * REGLAS_BANCARIAS.cargaFinancieraMaxPct / 100 - deudasTotales;
+        const dividendoMaximoCLP = Math.max(0, Math.min(porDividendo, porCargaFinanciera));
+
+        // Con un precio dado: el pie disponible se usa completo y el resto se financia
+        const creditoRequeridoUF = precioUF ? Math.max(precioUF - pieUF, 0) : null;
+        const ltvRequerido = precioUF ? creditoRequeridoUF / precioUF * 100 : null;
+
+        const ofertas = bancos
+            .map(banco => this.evaluateOffer(banco, {
+                plazo, valorUF, ingresoTotal, deudasTotales, dividendoMaximoCLP, pieUF, ltvMax, precioUF, creditoRequeridoUF, ltvRequerido
+            }))
+            .filter(Boolean);
+
+        const mejorCapacidad = ofertas.reduce((mejor, oferta) =>
+            !mejor || oferta.capacidad.precioMaximoUF > mejor.capacidad.precioMaximoUF ? oferta : mejor, null);
+        const aprobables = ofertas.filter(oferta => oferta.aprobable);
+
+        logInfo('🧾 Evaluación de capacidad de compra', {
+            ofertas: ofertas.length,
+            aprobables: aprobables.length,
+            precioMaximoUF: mejorCapacidad?.capacidad.precioMaximoUF
+        });
+
+        return {
+            perfil: {
+                ingresoTotalMensual: ingresoTotal,
+                deudasMensuales: deudasTotales,
+                conCodeudor: !!perfil.codeudor,
+                pieDisponibleUF: round(pieUF),
+                pieDisponibleCLP: Math.round(pieUF * valorUF),
+                primeraVivienda: perfil.primeraVivienda,
+                plazoAnios: plazo
+            },
+            reglas: {
+                ...REGLAS_BANCARIAS,
+                ltvAplicado: ltvMax,
+                pieMinimoPct: 100 - ltvMax
+            },
+            capacidad: {
+                dividendoMaximoCLP: Math.round(dividendoMaximoCLP),
+                dividendoMaximoUF: round(dividendoMaximoCLP / valorUF),
+                limitadoPor: porCargaFinanciera < porDividendo ? 'carga_financiera' : 'dividendo_ingreso',
+                creditoMaximoUF: mejorCapacidad?.capacidad.creditoMaximoUF ?? null,
+                precioMaximoUF: mejorCapacidad?.capacidad.precioMaximoUF ?? null,
+                precioMaximoCLP: mejorCapacidad ? Math.round(mejorCapacidad.capacidad.precioMaximoUF * valorUF) : null,
+                limitadoPorPie: mejorCapacidad?.capacidad.limitadoPorPie ?? null,
+                bancoReferencia: mejorCapacidad?.banco ?? null
+            },
+            propiedad: precioUF ? {
+                precioUF,
+                creditoRequeridoUF: round(creditoRequeridoUF),
+                ltvRequerido: round(ltvRequerido),
+                pieSuficiente: ltvRequerido <= ltvMax,
+                pieFaltanteUF: ltvRequerido > ltvMax ? round(precioUF * (1 - ltvMax / 100) - pieUF) : 0,
+                dentroDeCapacidad: aprobables.length > 0
+            } : null,
+            ofertas,
+            resumen: {
+                ofertasEvaluadas: ofertas.length,
+                ofertasAprobables: aprobables.length,
+                mejorOfertaAprobable: aprobables.length > 0
+                    ? aprobables.reduce((mejor, oferta) => oferta.dividendoCLP < mejor.dividendoCLP ? oferta : mejor).banco
+                    : null
+            },
+            supuestos: [
+                'Ingresos y deudas en pesos líquidos mensuales',
+                'El pie disponible se usa completo; gastos de compra no incluidos',
+                'Dividendos recalculados con la tasa de cada oferta, incluyendo seguros de desgravamen e incendio'
+            ],
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Evaluar una oferta: dividendo para el crédito requerido y capacidad máxima a su tasa
+     */
+    static evaluateOffer(banco, ctx) {
+        const tasa = this.parseRate(banco.tasaCredito);
+        if (tasa === null) {
+            logDebug('Oferta sin tasa interpretable, se omite', { banco: banco.banco, tasa: banco.tasaCredito });
+            return null;
+        }
+
+        // Dividendo con seguros por UF de crédito (lineal en el monto)
+        const base = AmortizationService.calculate({
+            montoUF: 1000, plazoAnios: ctx.plazo, tasaAnual: tasa, valorUF: ctx.valorUF, incluirTabla: false
+        });
+        const dividendoPorUF = base.dividendo.conSegurosUF / 1000;
+
+        const creditoMaximoUF = dividendoPorUF > 0 ? ctx.dividendoMaximoCLP / ctx.valorUF / dividendoPorUF : 0;
+        // Precio máximo: crédito + pie, sin superar el LTV permitido (precio ≤ pie / (1 - LTV))
+        const topePorPie = ctx.ltvMax >= 100 ? Infinity : ctx.pieUF / (1 - ctx.ltvMax / 100);
+        const precioMaximoUF = Math.min(creditoMaximoUF + ctx.pieUF, topePorPie);
+
+        const oferta = {
+            banco: banco.banco,
+            tasaCredito: banco.tasaCredito,
+            tasaAnual: tasa,
+            esEstimacion: banco.esEstimacion === true,
+            capacidad: {
+                creditoMaximoUF: round(creditoMaximoUF),
+                precioMaximoUF: round(precioMaximoUF),
+                limitadoPorPie: topePorPie < creditoMaximoUF + ctx.pieUF
+            }
+        };
+
+        if (ctx.creditoRequeridoUF === null) {
+            return oferta;
+        }
+
+        const dividendoUF = dividendoPorUF * ctx.creditoRequeridoUF;
+        const dividendoCLP = Math.round(dividendoUF * ctx.valorUF);
+        const ratioDividendo = dividendoCLP / ctx.ingresoTotal * 100;
+        const cargaFinanciera = (dividendoCLP + ctx.deudasTotales) / ctx.ingresoTotal * 100;
+
+        const cumple = {
+            dividendoIngreso: ratioDividendo <= REGLAS_BANCARIAS.dividendoMaxPctIngreso,
+            cargaFinanciera: cargaFinanciera <= REGLAS_BANCARIAS.cargaFinancieraMaxPct,
+            financiamiento: ctx.ltvRequerido <= ctx.ltvMax
+        };
+
+        const motivos = [];
+        if (!cumple.dividendoIngreso) {
+            motivos.push(`Dividendo ${round(ratioDividendo, 1)}% del ingreso (máx. ${REGLAS_BANCARIAS.dividendoMaxPctIngreso}%)`);
+        }
+        if (!cumple.cargaFinanciera) {
+            motivos.push(`Carga financiera ${round(cargaFinanciera, 1)}% (máx. ${REGLAS_BANCARIAS.cargaFinancieraMaxPct}%)`);
+        }
+        if (!cumple.financiamiento) {
+            motivos.push(`Requiere financiar ${round(ctx.ltvRequerido, 1)}% del precio (máx. ${ctx.ltvMax}%)`);
+        }
+
+        return {
+            ...oferta,
+            dividendoUF: round(dividendoUF, 4),
+            dividendoCLP,
+            ratioDividendoIngreso: round(ratioDividendo, 1),
+            cargaFinanciera: round(cargaFinanciera, 1),
+            cumple,
+            aprobable: motivos.length === 0,
+            motivos
+        };
+    }
+
+    static parseRate(tasaTexto) {
+        if (typeof tasaTexto === 'number') {
+            return tasaTexto;
+        }
+        const tasa = parseFloat(String(tasaTexto || '').replace(/[^\d,.]/g, '').replace(',', '.'));
+        return isNaN(tasa) ? null : tasa;
+    }
+}
+
+module.exports = AffordabilityService;
@@ -0,0 +1,467 @@
+// src/services/mortgage/AmortizationService.js
+const { logDebug } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { round, numberParam } = require('../../utils/numbers');
+
+/**
+ * Supuestos por defecto del motor local (tasas en %)
+ * - tasaAnual: tasa de mercado de referencia para mutuos en UF a tasa fija
+ * - seguroDesgravamen: % mensual sobre el saldo insoluto
+ * - seguroIncendio: % mensual sobre el valor asegurable (incendio + sismo)
+ * - variacionAnualUF: inflación anual esperada para proyectar la UF
+ * - gastosIniciales: costos del crédito descontados del monto líquido (para la CAE)
+ */
+const SUPUESTOS_POR_DEFECTO = {
+    tasaAnual: parseFloat(process.env.MORTGAGE_FALLBACK_RATE) || 4.5,
+    seguroDesgravamen: 0.02,
+    seguroIncendio: 0.012,
+    variacionAnualUF: 3.0,
+    periodoFijoAnios: 5,
+    spreadVariable: 0.5, // puntos sobre la tasa fija al iniciar la fase variable de un crédito mixto
+    gastosIniciales: {
+        impuestoTimbresPct: 0.8,
+        tasacionUF: 3,
+        estudioTitulosUF: 4.2
+    }
+};
+
+const MAX_ITERACIONES_TIR = 200;
+
+/**
+ * Comisión de prepago en créditos reajustables (UF): máximo 1,5 meses de intereses
+ * pactados sobre el capital prepagado (Ley 18.010, art. 10). El contrato puede fijar menos.
+ */
+const COMISION_PREPAGO_MAX_MESES = 1.5;
+
+const TIPOS_TASA = ['fija', 'mixta', 'variable'];
+
+/**
+ * Trayectorias de tasa para la fase variable: variación anual en puntos porcentuales,
+ * acotada a `maxVariacion` puntos desde la tasa inicial de la fase variable
+ */
+const TRAYECTORIAS_TASA = {
+    estable: { variacionAnual: 0, maxVariacion: 0, descripcion: 'Tasa variable se mantiene en su nivel inicial' },
+    alza: { variacionAnual: 0.25, maxVariacion: 2, descripcion: '+0,25 pts por año (tope +2 pts)' },
+    alza_fuerte: { variacionAnual: 0.75, maxVariacion: 4, descripcion: '+0,75 pts por año (tope +4 pts)' },
+    baja: { variacionAnual: -0.25, maxVariacion: -1.5, descripcion: '-0,25 pts por año (tope -1,5 pts)' }
+};
+
+/**
+ * Motor de amortización francesa (cuota fija en UF), independiente del simulador CMF
+ *
+ * Convenciones del simulador CMF: tasa anual efectiva → tasa mensual (1 + i)^(1/12) - 1;
+ * CAE = TIR mensual del flujo (monto líquido vs dividendos con seguros) × 12.
+ */
+class AmortizationService {
+
+    static getDefaults() {
+        return SUPUESTOS_POR_DEFECTO;
+    }
+
+    static getRateTypes() {
+        return TIPOS_TASA;
+    }
+
+    static getRatePaths() {
+        return TRAYECTORIAS_TASA;
+    }
+
+    /**
+     * Calcular tabla de amortización
+     * @param {Object} params
+     * @param {number} params.montoUF - Monto del crédito en UF
+     * @param {number} params.plazoAnios - Plazo en años
+     * @param {number} [params.tasaAnual] - Tasa anual en % (ej: 4.5)
+     * @param {number} [params.seguroDesgravamen] - % mensual sobre saldo insoluto
+     * @param {number} [params.seguroIncendio] - % mensual sobre valor asegurable
+     * @param {number} [params.valorAsegurableUF] - Valor asegurable (por defecto el monto)
+     * @param {number} [params.variacionAnualUF] - Proyección de la UF, % anual
+     * @param {number} params.valorUF - Valor UF actual en CLP
+     * @param {Object} [params.gastosIniciales] - Gastos descontados del monto líquido
+     * @param {string} [params.tipoTasa='fija'] - fija | mixta (fija N años, luego variable) | variable
+     * @param {number} [params.periodoFijoAnios] - Años a tasa fija de un crédito mixto
+     * @param {number} [params.tasaVariable] - Tasa anual al iniciar la fase variable (%)
+     * @param {string} [params.escenarioTasa='estable'] - Trayectoria predefinida (TRAYECTORIAS_TASA)
+     * @param {number[]} [params.trayectoriaTasa] - Tasas anuales (%) por año de fase variable; el último valor se mantiene
+     * @param {boolean} [params.incluirTabla=true] - Incluir detalle mes a mes
+     */
+    static calculate(params = {}) {
+        const p = this.normalizeParams(params);
+        const n = p.plazoAnios * 12;
+        const tasasPorAnio = this.buildRateSchedule(p);
+        const factorUFMensual = Math.pow(1 + p.variacionAnualUF / 100, 1 / 12);
+
+        const tabla = [];
+        const tramos = [];
+        let saldo = p.montoUF;
+        let tasaVigente = null;
+        let tasaMensual = 0;
+        let cuotaUF = 0;
+        let totalIntereses = 0;
+        let totalSeguros = 0;
+        let totalPagadoCLP = 0;
+
+        for (let mes = 1; mes <= n; mes++) {
+            // Reajuste anual: con tasa nueva se recalcula la cuota sobre el saldo y el plazo restante
+            const tasaAnio = tasasPorAnio[Math.floor((mes - 1) / 12)];
+            if (tasaAnio !== tasaVigente) {
+                tasaVigente = tasaAnio;
+                tasaMensual = this.monthlyRate(tasaVigente);
+                cuotaUF = this.frenchPayment(saldo, tasaMensual, n - mes + 1);
+                tramos.push({ desdeMes: mes, hastaMes: n, tasaAnual: round(tasaVigente, 4), cuotaUF: round(cuotaUF, 4) });
+                if (tramos.length > 1) {
+                    tramos[tramos.length - 2].hastaMes = mes - 1;
+                }
+            }
+
+            const interes = saldo * tasaMensual;
+            // La última cuota salda el residuo de redondeo
+            const amortizacion = mes === n ? saldo : cuotaUF - interes;
+            const desgravamen = saldo * p.seguroDesgravamen / 100;
+            const incendio = p.valorAsegurableUF * p.seguroIncendio / 100;
+            const dividendoUF = interes + amortizacion + desgravamen + incendio;
+            const valorUFMes = p.valorUF * Math.pow(factorUFMensual, mes - 1);
+
+            totalIntereses += interes;
+            totalSeguros += desgravamen + incendio;
+            totalPagadoCLP += dividendoUF * valorUFMes;
+
+            tabla.push({
+                mes,
+                saldoInicialUF: round(saldo, 4),
+                interesUF: round(interes, 4),
+                amortizacionUF: round(amortizacion, 4),
+                cuotaUF: round(interes + amortizacion, 4),
+                seguroDesgravamenUF: round(desgravamen, 4),
+                seguroIncendioUF: round(incendio, 4),
+                dividendoUF: round(dividendoUF, 4),
+                valorUF: Math.round(valorUFMes * 100) / 100,
+                dividendoCLP: Math.round(dividendoUF * valorUFMes),
+                saldoFinalUF: round(Math.max(saldo - amortizacion, 0), 4)
+            });
+
+            saldo -= amortizacion;
+        }
+
+        const primerMes = tabla[0];
+        const cuotaInicialUF = tramos[0].cuotaUF;
+        const cuotaMaximaUF = Math.max(...tramos.map(tramo => tramo.cuotaUF));
+        const gastosIniciales = this.initialCostsUF(p.montoUF, p.gastosIniciales);
+        const gastosInicialesUF = gastosIniciales.impuestoTimbresUF + gastosIniciales.tasacionUF + gastosIniciales.estudioTitulosUF;
+        const cae = this.calculateCAE(p.montoUF - gastosInicialesUF, tabla.map(fila => fila.dividendoUF));
+        const totalPagadoUF = tabla.reduce((total, fila) => total + fila.dividendoUF, 0);
+
+        logDebug('🧮 Amortización calculada', {
+            montoUF: p.montoUF, plazoAnios: p.plazoAnios, tasaAnual: p.tasaAnual, tipoTasa: p.tipoTasa, tramos: tramos.length, cae
+        });
+
+        return {
+            parametros: {
+                montoUF: p.montoUF,
+                plazoAnios: p.plazoAnios,
+                cuotas: n,
+                tasaAnual: p.tasaAnual,
+                tasaMensual: round(this.monthlyRate(p.tasaAnual) * 100, 6),
+                tipoTasa: p.tipoTasa,
+                periodoFijoAnios: p.tipoTasa === 'fija' ? null : p.periodoFijoAnios,
+                tasaVariableInicial: p.tipoTasa === 'fija' ? null : p.tasaVariable,
+                escenarioTasa: p.tipoTasa === 'fija' ? null : (p.trayectoriaTasa ? 'personalizado' : p.escenarioTasa),
+                seguroDesgravamen: p.seguroDesgravamen,
+                seguroIncendio: p.seguroIncendio,
+                valorAsegurableUF: p.valorAsegurableUF,
+                variacionAnualUF: p.variacionAnualUF,
+                valorUF: p.valorUF,
+                sistema: 'Francés (cuota fija en UF)'
+            },
+            dividendo: {
+                sinSegurosUF: cuotaInicialUF,
+                sinSegurosCLP: Math.round(cuotaInicialUF * p.valorUF),
+                maximoSinSegurosUF: cuotaMaximaUF,
+                variacionMaximaPct: round((cuotaMaximaUF / cuotaInicialUF - 1) * 100, 2),
+                conSegurosUF: primerMes.dividendoUF,
+                conSegurosCLP: primerMes.dividendoCLP,
+                seguros: {
+                    desgravamenUF: primerMes.seguroDesgravamenUF,
+                    incendioUF: primerMes.seguroIncendioUF
+                }
+            },
+            totales: {
+                interesesUF: round(totalIntereses, 2),
+                segurosUF: round(totalSeguros, 2),
+                gastosInicialesUF: round(gastosInicialesUF, 2),
+                totalPagadoUF: round(totalPagadoUF, 2),
+                totalPagadoCLP: Math.round(totalPagadoCLP),
+                costoTotalCreditoUF: round(totalPagadoUF + gastosInicialesUF, 2)
+            },
+            tramos,
+            gastosIniciales,
+            cae,
+            tabla: p.incluirTabla ? tabla : undefined,
+            fuente: 'motor_local',
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Validar y completar parámetros con los supuestos por defecto
+     */
+    static normalizeParams(params) {
+        const montoUF = numberParam(params.montoUF, 'montoUF', { min: 1, max: 100000, requerido: true });
+        const tasaAnual = numberParam(params.tasaAnual, 'tasaAnual', { min: 0, max: 30, defecto: SUPUESTOS_POR_DEFECTO.tasaAnual });
+
+        const tipoTasa = String(params.tipoTasa || 'fija').toLowerCase();
+        if (!TIPOS_TASA.includes(tipoTasa)) {
+            throw ErrorFactory.validation(`tipoTasa debe ser uno de: ${TIPOS_TASA.join(', ')}`, 'tipoTasa');
+        }
+
+        const escenarioTasa = params.escenarioTasa || 'estable';
+        if (!TRAYECTORIAS_TASA[escenarioTasa]) {
+            throw ErrorFactory.validation(
+                `escenarioTasa debe ser uno de: ${Object.keys(TRAYECTORIAS_TASA).join(', ')}`,
+                'escenarioTasa'
+            );
+        }
+
+        let trayectoriaTasa = null;
+        if (params.trayectoriaTasa !== undefined && params.trayectoriaTasa !== null) {
+            if (!Array.isArray(params.trayectoriaTasa) || params.trayectoriaTasa.length === 0) {
+                throw ErrorFactory.validation('trayectoriaTasa debe ser un array de tasas anuales (%)', 'trayectoriaTasa');
+            }
+            trayectoriaTasa = params.trayectoriaTasa.map(tasa => numberParam(tasa, 'trayectoriaTasa', { min: 0, max: 30 }));
+        }
+
+        // Crédito variable: la tasa pactada rige el primer año y se reajusta anualmente
+        const periodoFijoAnios = tipoTasa === 'variable' ? 1 : Math.round(
+            numberParam(params.periodoFijoAnios, 'periodoFijoAnios', { min: 1, max: 30, defecto: SUPUESTOS_POR_DEFECTO.periodoFijoAnios })
+        );
+        const tasaVariableDefecto = tipoTasa === 'mixta' ? tasaAnual + SUPUESTOS_POR_DEFECTO.spreadVariable : tasaAnual;
+
+        return {
+            montoUF,
+            tasaAnual,
+            tipoTasa,
+            periodoFijoAnios,
+            tasaVariable: numberParam(params.tasaVariable, 'tasaVariable', { min: 0, max: 30, defecto: tasaVariableDefecto }),
+            escenarioTasa,
+            trayectoriaTasa,
+            plazoAnios: Math.round(numberParam(params.plazoAnios, 'plazoAnios', { min: 1, max: 40, requerido: true })),
+            seguroDesgravamen: numberParam(params.seguroDesgravamen, 'seguroDesgravamen', { min: 0, max: 1, defecto: SUPUESTOS_POR_DEFECTO.seguroDesgravamen }),
+            seguroIncendio: numberParam(params.seguroIncendio, 'seguroIncendio', { min: 0, max: 1, defecto: SUPUESTOS_POR_DEFECTO.seguroIncendio }),
+            valorAsegurableUF: numberParam(params.valorAsegurableUF, 'valorAsegurableUF', { min: 0, max: 1000000, defecto: montoUF }),
+            variacionAnualUF: numberParam(params.variacionAnualUF, 'variacionAnualUF', { min: -10, max: 50, defecto: SUPUESTOS_POR_DEFECTO.variacionAnualUF }),
+            valorUF: numberParam(params.valorUF, 'valorUF', { min: 1, max: 1000000, requerido: true }),
+            gastosIniciales: this.normalizeInitialCosts(params.gastosIniciales),
+            incluirTabla: params.incluirTabla !== false
+        };
+    }
+
+    /**
+     * Gastos iniciales del crédito (impuesto de timbres en % del monto, tasación y estudio de títulos en UF)
+     */
+    static normalizeInitialCosts(gastos) {
+        if (gastos === undefined || gastos === null) {
+            return { ...SUPUESTOS_POR_DEFECTO.gastosIniciales };
+        }
+
+        if (typeof gastos !== 'object' || Array.isArray(gastos)) {
+            throw ErrorFactory.validation(
+                'gastosIniciales debe ser un objeto { impuestoTimbresPct, tasacionUF, estudioTitulosUF }',
+                'gastosIniciales'
+            );
+        }
+
+        const defectos = SUPUESTOS_POR_DEFECTO.gastosIniciales;
+
+        return {
+            impuestoTimbresPct: numberParam(gastos.impuestoTimbresPct, 'gastosIniciales.impuestoTimbresPct', { min: 0, max: 5, defecto: defectos.impuestoTimbresPct }),
+            tasacionUF: numberParam(gastos.tasacionUF, 'gastosIniciales.tasacionUF', { min: 0, max: 1000, defecto: defectos.tasacionUF }),
+            estudioTitulosUF: numberParam(gastos.estudioTitulosUF, 'gastosIniciales.estudioTitulosUF', { min: 0, max: 1000, defecto: defectos.estudioTitulosUF })
+        };
+    }
+
+    /**
+     * Tasa anual (%) vigente en cada año del crédito
+     * Fase variable: trayectoriaTasa explícita o escenario predefinido sobre tasaVariable
+     */
+    static buildRateSchedule(p) {
+        if (p.tipoTasa === 'fija' || p.periodoFijoAnios >= p.plazoAnios) {
+            return Array(p.plazoAnios).fill(p.tasaAnual);
+        }
+
+        const trayectoria = TRAYECTORIAS_TASA[p.escenarioTasa];
+
+        return Array.from({ length: p.plazoAnios }, (_, anio) => {
+            if (anio < p.periodoFijoAnios) {
+                // En un crédito variable el primer año rige la tasa pactada
+                return p.tasaAnual;
+            }
+
+            const anioVariable = anio - p.periodoFijoAnios;
+            if (p.trayectoriaTasa) {
+                return p.trayectoriaTasa[Math.min(anioVariable, p.trayectoriaTasa.length - 1)];
+            }
+
+            const acumulado = trayectoria.variacionAnual * (p.tipoTasa === 'variable' ? anioVariable + 1 : anioVariable);
+            const acotado = trayectoria.maxVariacion >= 0
+                ? Math.min(acumulado, trayectoria.maxVariacion)
+                : Math.max(acumulado, trayectoria.maxVariacion);
+
+            return Math.max(0, round(p.tasaVariable + acotado, 4));
+        });
+    }
+
+    /**
+     * Tasa mensual equivalente a una tasa anual efectiva (en %)
+     */
+    static monthlyRate(tasaAnual) {
+        return Math.pow(1 + tasaAnual / 100, 1 / 12) - 1;
+    }
+
+    /**
+     * Cuota fija del sistema francés
+     */
+    static frenchPayment(monto, tasaMensual, cuotas) {
+        if (tasaMensual === 0) {
+            return monto / cuotas;
+        }
+        return monto * tasaMensual / (1 - Math.pow(1 + tasaMensual, -cuotas));
+    }
+
+    static getMaxPrepaymentFeeMonths() {
+        return COMISION_PREPAGO_MAX_MESES;
+    }
+
+    /**
+     * Comisión de prepago en UF: meses de intereses pactados sobre el capital prepagado
+     */
+    static prepaymentFeeUF(capitalUF, tasaAnual, meses = COMISION_PREPAGO_MAX_MESES) {
+        return capitalUF * this.monthlyRate(tasaAnual) * meses;
+    }
+
+    /**
+     * Gastos de otorgamiento en UF (impuesto de timbres sobre el monto + gastos fijos)
+     */
+    static initialCostsUF(montoUF, gastos = {}) {
+        return {
+            impuestoTimbresUF: round(montoUF * (gastos.impuestoTimbresPct || 0) / 100, 2),
+            tasacionUF: gastos.tasacionUF || 0,
+            estudioTitulosUF: gastos.estudioTitulosUF || 0
+        };
+    }
+
+    /**
+     * CAE: TIR mensual (bisección) entre monto líquido recibido y dividendos × 12, en %
+     */
+    static calculateCAE(montoLiquido, dividendos) {
+        const vpn = (tasa) => dividendos.reduce(
+            (total, dividendo, indice) => total + dividendo / Math.pow(1 + tasa, indice + 1),
+            -montoLiquido
+        );
+
+        let bajo = 0;
+        let alto = 0.1;
+
+        if (vpn(bajo) <= 0) {
+            return 0;
+        }
+
+        for (let i = 0; i < MAX_ITERACIONES_TIR; i++) {
+            const medio = (bajo + alto) / 2;
+            if (vpn(medio) > 0) {
+                bajo = medio;
+            } else {
+                alto = medio;
+            }
+            if (alto - bajo < 1e-10) break;
+        }
+
+        return round(((bajo + alto) / 2) * 12 * 100, 2);
+    }
+
+    /**
+     * Resultado con la forma de MortgageService.simulateMortgage (un "banco" estimado),
+     * usado como respaldo cuando el simulador CMF no responde
+     */
+    static toSimulationResult(calculo, indicadorUF, motivo = null, tipoCredito = 'Mutuo No Endosable') {
+        const formatUF = (valor) => `UF ${valor.toLocaleString('es-CL', { maximumFractionDigits: 2 })}`;
+        const formatCLP = (valor) => `$${Math.round(valor).toLocaleString('es-CL')}`;
+        const formatPct = (valor) => `${valor.toLocaleString('es-CL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}%`;
+        const { parametros, dividendo } = calculo;
+        const fecha = new Date().toLocaleDateString('es-CL');
+        const tipoTasa = parametros.tipoTasa.charAt(0).toUpperCase() + parametros.tipoTasa.slice(1);
+
+        const estimacion = {
+            banco: 'Estimación motor local',
+            tipoCredito,
+            dividendoMensual: formatCLP(dividendo.conSegurosCLP),
+            monedaCredito: 'UF',
+            tipoTasa,
+            tasaCredito: formatPct(parametros.tasaAnual),
+            cae: formatPct(calculo.cae),
+            posicion: 1,
+            esEstimacion: true,
+            detalle: {
+                valoresUnicaVez: {
+                    'Impuesto de timbres': formatUF(calculo.gastosIniciales.impuestoTimbresUF),
+                    'Tasación': formatUF(calculo.gastosIniciales.tasacionUF),
+                    'Estudio de título': formatUF(calculo.gastosIniciales.estudioTitulosUF)
+                },
+                valoresMensuales: {
+                    dividendoUF: formatUF(dividendo.sinSegurosUF),
+                    dividendoPesos: formatCLP(dividendo.sinSegurosCLP),
+                    dividendoConSegurosUF: formatUF(dividendo.conSegurosUF),
+                    dividendoConSegurosPesos: formatCLP(dividendo.conSegurosCLP)
+                },
+                seguros: {
+                    desgravamen: {
+                        valorUF: formatUF(dividendo.seguros.desgravamenUF),
+                        valorPesos: formatCLP(dividendo.seguros.desgravamenUF * parametros.valorUF)
+                    },
+                    'incendio más sismo': {
+                        valorUF: formatUF(dividendo.seguros.incendioUF),
+                        valorPesos: formatCLP(dividendo.seguros.incendioUF * parametros.valorUF)
+                    }
+                },
+                actualizacion: {
+                    entidad: 'Motor de amortización local',
+                    fecha
+                }
+            }
+        };
+
+        return {
+            parametrosSimulacion: {
+                monto: `${parametros.montoUF} UF`,
+                plazo: `${parametros.plazoAnios} años`,
+                tipoCredito,
+                tipoTasa,
+                periodoFijoAnios: parametros.periodoFijoAnios
+            },
+            resumenComparativo: {
+                totalBancos: 1,
+                valorUF: `Valor UF: ${formatCLP(parametros.valorUF)}`,
+                valorUFConversion: {
+                    valor: indicadorUF.valor,
+                    fecha: indicadorUF.fecha,
+                    fuente: indicadorUF.fuente
+                },
+                mejorOferta: estimacion
+            },
+            bancos: [estimacion],
+            proyeccion: { ...calculo, tabla: undefined },
+            fuente: 'motor_local',
+            fallback: {
+                usado: true,
+                motivo,
+                supuestos: {
+                    tasaAnual: parametros.tasaAnual,
+                    seguroDesgravamen: parametros.seguroDesgravamen,
+                    seguroIncendio: parametros.seguroIncendio
+                }
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = AmortizationService;
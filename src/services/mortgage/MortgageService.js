@@ -2,6 +2,34 @@
 const { chromium } = require('playwright');
 const { logInfo, logError, logDebug } = require('../../utils/logger');
 const { ErrorFactory } = require('../../utils/errors');
+const IndicatorsService = require('../indicators/IndicatorsService');
+const BrowserReplayService = require('../replay/BrowserReplayService');
+const AmortizationService = require('./AmortizationService');
+const RateHistoryService = require('./RateHistoryService');
+const { numberParam } = require('../../utils/numbers');
+
+/**
+ * Productos del simulador CMF. `patrones` se buscan (sin mayúsculas) en las opciones del
+ * formulario y en las columnas "tipo de crédito" / "tipo de tasa" de la tabla de resultados
+ */
+const TIPOS_CREDITO = {
+    mutuo_no_endosable: { etiqueta: 'Mutuo No Endosable', patrones: ['no endosable'], excluir: [] },
+    mutuo_endosable: { etiqueta: 'Mutuo Endosable', patrones: ['endosable'], excluir: ['no endosable'] }
+};
+
+const TIPOS_TASA = {
+    fija: { etiqueta: 'Fija', patrones: ['fija'], excluir: [] },
+    mixta: { etiqueta: 'Mixta', patrones: ['mixta'], excluir: [] },
+    variable: { etiqueta: 'Variable', patrones: ['variable'], excluir: [] }
+};
+
+const PRODUCTO_POR_DEFECTO = { tipoCredito: 'mutuo_no_endosable', tipoTasa: 'fija' };
+
+/**
+ * Fallas de disponibilidad del simulador CMF (red, navegación, timeouts, respuesta 5xx o
+ * navegador cerrado). Solo estas se resuelven con el motor local
+ */
+const PATRON_CMF_NO_DISPONIBLE = /net::ERR_|timeout|navigation|has been closed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|socket hang up|CMF no disponible|no se cargaron/i;
 
 /**
  * Servicio real de simulación hipotecaria CMF
@@ -11,54 +39,74 @@ class MortgageService {
     /**
      * Simular crédito hipotecario en CMF
      */
-    static async simulateMortgage(monto, plazo, incluirAnalisis = false) {
-        logInfo('🏦 Iniciando simulación hipotecaria CMF', { monto, plazo });
+    static async simulateMortgage(monto, plazo, incluirAnalisis = false, opciones = {}) {
+        const producto = this.normalizarProducto(opciones);
+        logInfo('🏦 Iniciando simulación hipotecaria CMF', {
+            monto, plazo, tipoCredito: producto.tipoCredito, tipoTasa: producto.tipoTasa
+        });
 
         const browser = await this.launchBrowser();
         let context, page;
 
         try {
             context = await this.createContext(browser);
+            await BrowserReplayService.attach(
+                context, 'mortgage', monto, plazo, producto.tipoCredito, producto.tipoTasa, producto.periodoFijoAnios
+            );
             page = await context.newPage();
 
             // Navegar al simulador CMF
             const url = 'https://servicios.cmfchile.cl/simuladorhipotecario/aplicacion?indice=101.2.1';
             logInfo('🌐 Navegando al simulador CMF', { url });
 
-            await page.goto(url, {
+            const respuesta = await page.goto(url, {
                 timeout: 30000,
                 waitUntil: 'domcontentloaded'
             });
+            if (respuesta && respuesta.status() >= 500) {
+                throw new Error(`CMF no disponible (HTTP ${respuesta.status()})`);
+            }
 
             // Llenar formulario CMF
-            await this.llenarFormularioCMF(page, monto, plazo);
+            await this.llenarFormularioCMF(page, monto, plazo, producto);
 
-            // Extraer tabla comparativa
+            // Extraer tabla comparativa (solo ofertas del producto solicitado)
             const tablaComparativa = await this.extraerTablaComparativa(page);
+            const bancosProducto = this.filtrarBancosPorProducto(tablaComparativa.bancos, producto, { monto, plazo });
 
             // Extraer detalles de cada banco
-            const bancosConDetalle = await this.extraerDetallesBancos(page, tablaComparativa.bancos);
+            const bancosConDetalle = await this.extraerDetallesBancos(page, bancosProducto);
+
+            // UF del día para conversiones a pesos
+            const indicadorUF = await IndicatorsService.getUFSafely();
 
             // Construir resultado
             const resultado = {
                 parametrosSimulacion: {
                     monto: `${monto} UF`,
                     plazo: `${plazo} años`,
-                    tipoCredito: 'Mutuo No Endosable',
-                    tipoTasa: 'Fija'
+                    tipoCredito: TIPOS_CREDITO[producto.tipoCredito].etiqueta,
+                    tipoTasa: TIPOS_TASA[producto.tipoTasa].etiqueta,
+                    periodoFijoAnios: producto.tipoTasa === 'mixta' ? producto.periodoFijoAnios : null
                 },
                 resumenComparativo: {
                     totalBancos: bancosConDetalle.length,
                     valorUF: tablaComparativa.valorUF,
+                    valorUFConversion: {
+                        valor: indicadorUF.valor,
+                        fecha: indicadorUF.fecha,
+                        fuente: indicadorUF.fuente
+                    },
                     mejorOferta: bancosConDetalle.length > 0 ? bancosConDetalle[0] : null
                 },
                 bancos: bancosConDetalle,
+                proyeccion: this.proyectarDividendos(monto, plazo, bancosConDetalle[0]?.tasaCredito, producto, indicadorUF.valor),
                 timestamp: new Date().toISOString()
             };
 
             // Agregar análisis si se solicita
             if (incluirAnalisis && bancosConDetalle.length > 0) {
-                resultado.analisis = this.generarAnalisisComparativo(bancosConDetalle);
+                resultado.analisis = this.generarAnalisisComparativo(bancosConDetalle, indicadorUF.valor);
             }
 
             logInfo('✅ Simulación CMF completada', {
@@ -67,9 +115,16 @@ class MortgageService {
                 plazo
             });
 
+            const datos = this.limpiarDatosCMF(resultado);
+
+            // Serie histórica de tasas (las sesiones reproducidas no son observaciones nuevas)
+            if (BrowserReplayService.getMode() !== 'replay') {
+                RateHistoryService.recordSimulationSafely(datos.bancos, { monto, plazo, producto });
+            }
+
             return {
                 success: true,
-                data: this.limpiarDatosCMF(resultado)
+                data: datos
             };
 
         } catch (error) {
@@ -78,7 +133,15 @@ class MortgageService {
                 error: error.message
             });
 
-            throw ErrorFactory.internal('Error procesando simulación hipotecaria', error);
+            if (error.statusCode && error.statusCode < 500) {
+                throw error;
+            }
+
+            if (process.env.MORTGAGE_OFFLINE_FALLBACK === 'false' || !this.isCMFUnavailableError(error)) {
+                throw ErrorFactory.simulationFailed({ monto, plazo, ...producto }, error);
+            }
+
+            return this.simulateOffline(monto, plazo, incluirAnalisis, error.message, producto);
 
         } finally {
             try {
@@ -91,26 +154,76 @@ class MortgageService {
         }
     }
 
+    /**
+     * Simulación con el motor de amortización local (respaldo cuando CMF falla)
+     */
+    static async simulateOffline(monto, plazo, incluirAnalisis = false, motivo = null, opciones = {}) {
+        const producto = this.normalizarProducto(opciones);
+        const indicadorUF = await IndicatorsService.getUFSafely();
+
+        const calculo = AmortizationService.calculate({
+            montoUF: parseFloat(monto),
+            plazoAnios: parseInt(plazo),
+            valorUF: indicadorUF.valor,
+            ...this.parametrosProyeccion(producto),
+            incluirTabla: false
+        });
+
+        const resultado = AmortizationService.toSimulationResult(
+            calculo, indicadorUF, motivo, TIPOS_CREDITO[producto.tipoCredito].etiqueta
+        );
+
+        if (incluirAnalisis) {
+            resultado.analisis = this.generarAnalisisComparativo(resultado.bancos, indicadorUF.valor);
+        }
+
+        logInfo('🧮 Simulación resuelta con motor de amortización local', {
+            monto, plazo, motivo, dividendo: resultado.resumenComparativo.mejorOferta.dividendoMensual
+        });
+
+        return {
+            success: true,
+            data: resultado
+        };
+    }
+
+    /**
+     * El error indica que el simulador CMF no está disponible (y no un fallo de extracción o de datos)
+     */
+    static isCMFUnavailableError(error) {
+        return error?.name === 'TimeoutError' || PATRON_CMF_NO_DISPONIBLE.test(error?.message || '');
+    }
+
     /**
      * Comparar múltiples escenarios
      */
     static async compareScenarios(escenarios, incluirAnalisis = false) {
         logInfo('📊 Iniciando comparación de escenarios', { escenarios: escenarios.length });
 
+        // Un producto inválido invalida la solicitud completa (400), no solo su escenario
+        escenarios.forEach((escenario, index) => {
+            try {
+                this.normalizarProducto(escenario);
+            } catch (error) {
+                throw ErrorFactory.validation(`Escenario ${index + 1}: ${error.message}`, `escenarios[${index}].${error.field}`);
+            }
+        });
+
         const resultados = [];
 
         for (const [index, escenario] of escenarios.entries()) {
             try {
                 logInfo(`🔄 Procesando escenario ${index + 1}/${escenarios.length}`, escenario);
 
-                const resultado = await this.simulateMortgage(escenario.monto, escenario.plazo, incluirAnalisis);
+                const resultado = await this.simulateMortgage(escenario.monto, escenario.plazo, incluirAnalisis, escenario);
 
                 resultados.push({
                     escenario: {
                         numero: index + 1,
                         monto: escenario.monto,
                         plazo: escenario.plazo,
-                        etiqueta: escenario.etiqueta || `${escenario.monto} UF x ${escenario.plazo} años`
+                        producto: this.normalizarProducto(escenario),
+                        etiqueta: this.etiquetaEscenario(escenario)
                     },
                     resultado: resultado.data,
                     resumen: {
@@ -130,6 +243,10 @@ class MortgageService {
                 }
 
             } catch (error) {
+                if (error.name === 'ValidationError') {
+                    throw ErrorFactory.validation(`Escenario ${index + 1}: ${error.message}`, error.field && `escenarios[${index}].${error.field}`);
+                }
+
                 logError(`Error en escenario ${index + 1}`, { error: error.message });
 
                 resultados.push({
@@ -137,10 +254,13 @@ class MortgageService {
                         numero: index + 1,
                         monto: escenario.monto,
                         plazo: escenario.plazo,
-                        etiqueta: escenario.etiqueta || `${escenario.monto} UF x ${escenario.plazo} años`
+                        etiqueta: this.etiquetaEscenario(escenario)
                     },
                     error: error.message,
-                    mensaje: 'Error procesando este escenario'
+                    sinOfertasProducto: error.statusCode === 422,
+                    mensaje: error.statusCode === 422
+                        ? 'Ningún banco ofrece este producto en la CMF'
+                        : 'Error procesando este escenario'
                 });
             }
         }
@@ -153,6 +273,14 @@ class MortgageService {
             comparacionGeneral = this.generarComparacionEscenarios(escenariosExitosos);
         }
 
+        // Fija vs mixta/variable: comparar con la proyección de la fase variable
+        const productosDistintos = new Set(
+            escenariosExitosos.map(r => `${r.escenario.producto.tipoCredito}:${r.escenario.producto.tipoTasa}`)
+        );
+        const comparacionProductos = productosDistintos.size > 1
+            ? this.generarComparacionProductos(escenariosExitosos)
+            : null;
+
         return {
             success: true,
             comparacion: {
@@ -162,7 +290,8 @@ class MortgageService {
                     escenariosProcesados: escenariosExitosos.length,
                     escenariosConError: escenarios.length - escenariosExitosos.length
                 },
-                comparacionGeneral
+                comparacionGeneral,
+                comparacionProductos
             },
             metadata: {
                 timestamp: new Date().toISOString(),
@@ -205,9 +334,12 @@ class MortgageService {
     /**
      * Llenar formulario CMF con manejo de carga dinámica
      */
-    static async llenarFormularioCMF(page, monto, plazo) {
+    static async llenarFormularioCMF(page, monto, plazo, producto = PRODUCTO_POR_DEFECTO) {
         try {
-            logInfo(`📝 Llenando formulario CMF con carga dinámica: ${monto} UF por ${plazo} años`);
+            logInfo(`📝 Llenando formulario CMF con carga dinámica: ${monto} UF por ${plazo} años`, {
+                tipoCredito: producto.tipoCredito,
+                tipoTasa: producto.tipoTasa
+            });
 
             // Esperar a que cargue la página completamente
             await page.waitForLoadState('domcontentloaded');
@@ -409,6 +541,15 @@ class MortgageService {
 
             await page.waitForTimeout(1000);
 
+            // ========================================
+            // 4b. TIPO DE CRÉDITO Y TIPO DE TASA
+            // ========================================
+            // Si el formulario no ofrece el filtro, las ofertas se filtran en la tabla de resultados
+            logDebug('Paso 4b: Seleccionando tipo de crédito y tipo de tasa');
+
+            await this.seleccionarOpcionFormulario(page, 'tipoCredito', TIPOS_CREDITO[producto.tipoCredito]);
+            await this.seleccionarOpcionFormulario(page, 'tipoTasa', TIPOS_TASA[producto.tipoTasa]);
+
             // ========================================
             // 5. ENVIAR FORMULARIO
             // ========================================
@@ -498,6 +639,239 @@ class MortgageService {
         }
     }
 
+    /**
+     * Seleccionar una opción del formulario CMF (select o radio) cuyo texto coincida con el producto
+     * @returns {boolean} true si se encontró y seleccionó la opción
+     */
+    static async seleccionarOpcionFormulario(page, campo, config) {
+        const coincide = (texto) => {
+            const normalizado = (texto || '').toLowerCase().replace(/\s+/g, ' ').trim();
+            return config.patrones.some(patron => normalizado.includes(patron)) &&
+                !config.excluir.some(patron => normalizado.includes(patron));
+        };
+
+        try {
+            const selects = page.locator(`select#${campo}, select[name="${campo}"], select[id*="${campo}" i], select[name*="${campo}" i]`);
+            if (await selects.count() > 0) {
+                const opciones = await selects.first().locator('option').allTextContents();
+                const opcion = opciones.find(coincide);
+                if (opcion) {
+                    await selects.first().selectOption({ label: opcion });
+                    logInfo(`✓ ${campo} seleccionado: "${opcion.trim()}"`);
+                    await page.waitForTimeout(500);
+                    return true;
+                }
+            }
+
+            const etiquetas = await page.locator('label').all();
+            for (const etiqueta of etiquetas) {
+                const texto = await etiqueta.textContent();
+                if (!coincide(texto)) continue;
+
+                const destino = await etiqueta.getAttribute('for');
+                const radio = destino
+                    ? page.locator(`input[type="radio"]#${destino}`)
+                    : etiqueta.locator('input[type="radio"]');
+
+                if (await radio.count() > 0) {
+                    await radio.first().check();
+                    logInfo(`✓ ${campo} seleccionado: "${texto.trim()}"`);
+                    await page.waitForTimeout(500);
+                    return true;
+                }
+            }
+        } catch (error) {
+            logDebug(`Error seleccionando ${campo} en formulario CMF: ${error.message}`);
+        }
+
+        logDebug(`Formulario CMF sin opción ${campo} = ${config.etiqueta}, se filtrará la tabla de resultados`);
+        return false;
+    }
+
+    /**
+     * Dejar solo las ofertas del producto solicitado (columnas tipo de crédito / tipo de tasa)
+     */
+    static filtrarBancosPorProducto(bancos, producto, parametros = {}) {
+        const coincide = (texto, config) => {
+            const normalizado = (texto || '').toLowerCase();
+            return config.patrones.some(patron => normalizado.includes(patron)) &&
+                !config.excluir.some(patron => normalizado.includes(patron));
+        };
+
+        const filtrados = bancos
+            .filter(banco => coincide(banco.tipoCredito, TIPOS_CREDITO[producto.tipoCredito]))
+            .filter(banco => coincide(banco.tipoTasa, TIPOS_TASA[producto.tipoTasa]));
+
+        // Sin ofertas del producto no se estima con el motor local: se informa al cliente (422)
+        if (bancos.length > 0 && filtrados.length === 0) {
+            throw ErrorFactory.productNotOffered(
+                `CMF no informa ofertas de ${TIPOS_CREDITO[producto.tipoCredito].etiqueta} a tasa ${TIPOS_TASA[producto.tipoTasa].etiqueta}`,
+                {
+                    ...parametros,
+                    tipoCredito: producto.tipoCredito,
+                    tipoTasa: producto.tipoTasa,
+                    bancosInformados: bancos.length
+                }
+            );
+        }
+
+        logDebug('Ofertas filtradas por producto', { total: bancos.length, producto: filtrados.length });
+        return filtrados.map((banco, indice) => ({ ...banco, posicion: indice + 1 }));
+    }
+
+    /**
+     * Validar tipo de crédito / tipo de tasa y completar parámetros de la fase variable
+     */
+    static normalizarProducto(opciones = {}) {
+        const tipoCredito = String(opciones.tipoCredito || PRODUCTO_POR_DEFECTO.tipoCredito).toLowerCase();
+        const tipoTasa = String(opciones.tipoTasa || PRODUCTO_POR_DEFECTO.tipoTasa).toLowerCase();
+
+        if (!TIPOS_CREDITO[tipoCredito]) {
+            throw ErrorFactory.validation(
+                `tipoCredito debe ser uno de: ${Object.keys(TIPOS_CREDITO).join(', ')}`,
+                'tipoCredito'
+            );
+        }
+
+        if (!TIPOS_TASA[tipoTasa]) {
+            throw ErrorFactory.validation(
+                `tipoTasa debe ser uno de: ${Object.keys(TIPOS_TASA).join(', ')}`,
+                'tipoTasa'
+            );
+        }
+
+        const escenarioTasa = opciones.escenarioTasa || 'estable';
+        if (!AmortizationService.getRatePaths()[escenarioTasa]) {
+            throw ErrorFactory.validation(
+                `escenarioTasa debe ser uno de: ${Object.keys(AmortizationService.getRatePaths()).join(', ')}`,
+                'escenarioTasa'
+            );
+        }
+
+        let trayectoriaTasa = null;
+        if (opciones.trayectoriaTasa !== undefined && opciones.trayectoriaTasa !== null) {
+            if (!Array.isArray(opciones.trayectoriaTasa) || opciones.trayectoriaTasa.length === 0) {
+                throw ErrorFactory.validation('trayectoriaTasa debe ser un array de tasas anuales (%)', 'trayectoriaTasa');
+            }
+            trayectoriaTasa = opciones.trayectoriaTasa.map(tasa => numberParam(tasa, 'trayectoriaTasa', { min: 0, max: 30, requerido: true }));
+        }
+
+        return {
+            tipoCredito,
+            tipoTasa,
+            periodoFijoAnios: tipoTasa === 'mixta'
+                ? Math.round(numberParam(opciones.periodoFijoAnios, 'periodoFijoAnios', {
+                    min: 1, max: 30, defecto: AmortizationService.getDefaults().periodoFijoAnios
+                }))
+                : null,
+            tasaVariable: numberParam(opciones.tasaVariable, 'tasaVariable', { min: 0, max: 30, defecto: null }),
+            escenarioTasa,
+            trayectoriaTasa
+        };
+    }
+
+    /**
+     * Parámetros del motor de amortización para el producto
+     */
+    static parametrosProyeccion(producto) {
+        return {
+            tipoTasa: producto.tipoTasa,
+            periodoFijoAnios: producto.periodoFijoAnios,
+            tasaVariable: producto.tasaVariable,
+            escenarioTasa: producto.escenarioTasa,
+            trayectoriaTasa: producto.trayectoriaTasa
+        };
+    }
+
+    /**
+     * Proyección de dividendos con la tasa de la mejor oferta
+     * (en créditos mixtos/variables incluye la fase variable según la trayectoria configurada)
+     */
+    static proyectarDividendos(monto, plazo, tasaTexto, producto, valorUF) {
+        const tasa = parseFloat(String(tasaTexto || '').replace(/[^\d,.]/g, '').replace(',', '.'));
+        if (isNaN(tasa) || !valorUF) {
+            return null;
+        }
+
+        try {
+            return AmortizationService.calculate({
+                montoUF: parseFloat(monto),
+                plazoAnios: parseInt(plazo),
+                tasaAnual: tasa,
+                valorUF,
+                ...this.parametrosProyeccion(producto),
+                incluirTabla: false
+            });
+        } catch (error) {
+            logDebug('No se pudo proyectar dividendos', { error: error.message });
+            return null;
+        }
+    }
+
+    static etiquetaEscenario(escenario) {
+        if (escenario.etiqueta) {
+            return escenario.etiqueta;
+        }
+
+        const base = `${escenario.monto} UF x ${escenario.plazo} años`;
+        const tipoTasa = String(escenario.tipoTasa || PRODUCTO_POR_DEFECTO.tipoTasa).toLowerCase();
+        const tipoCredito = String(escenario.tipoCredito || PRODUCTO_POR_DEFECTO.tipoCredito).toLowerCase();
+
+        const detalles = [];
+        if (tipoTasa !== PRODUCTO_POR_DEFECTO.tipoTasa) {
+            detalles.push(tipoTasa === 'mixta' && escenario.periodoFijoAnios
+                ? `mixta ${escenario.periodoFijoAnios} años fija`
+                : tipoTasa);
+        }
+        if (tipoCredito !== PRODUCTO_POR_DEFECTO.tipoCredito) {
+            detalles.push(TIPOS_CREDITO[tipoCredito]?.etiqueta.toLowerCase() || tipoCredito);
+        }
+
+        return detalles.length > 0 ? `${base} (${detalles.join(', ')})` : base;
+    }
+
+    /**
+     * Comparación lado a lado de productos (fija vs mixta/variable) con la proyección de cada escenario
+     */
+    static generarComparacionProductos(escenarios) {
+        const filas = escenarios.map(esc => {
+            const proyeccion = esc.resultado.proyeccion;
+            const producto = esc.escenario.producto;
+
+            return {
+                escenario: esc.escenario.etiqueta,
+                tipoCredito: TIPOS_CREDITO[producto.tipoCredito].etiqueta,
+                tipoTasa: TIPOS_TASA[producto.tipoTasa].etiqueta,
+                periodoFijoAnios: producto.periodoFijoAnios,
+                escenarioTasa: producto.tipoTasa === 'fija' ? null : (producto.trayectoriaTasa ? 'personalizado' : producto.escenarioTasa),
+                mejorBanco: esc.resultado.bancos[0]?.banco || null,
+                tasaInicial: esc.resultado.bancos[0]?.tasaCredito || null,
+                dividendoInicialUF: proyeccion?.dividendo.sinSegurosUF ?? null,
+                dividendoMaximoUF: proyeccion?.dividendo.maximoSinSegurosUF ?? null,
+                variacionMaximaPct: proyeccion?.dividendo.variacionMaximaPct ?? null,
+                totalInteresesUF: proyeccion?.totales.interesesUF ?? null,
+                costoTotalCreditoUF: proyeccion?.totales.costoTotalCreditoUF ?? null,
+                cae: proyeccion?.cae ?? null,
+                tramos: proyeccion?.tramos || []
+            };
+        });
+
+        const conCosto = filas.filter(fila => fila.costoTotalCreditoUF !== null);
+        const menorCosto = conCosto.length > 0
+            ? conCosto.reduce((mejor, fila) => fila.costoTotalCreditoUF < mejor.costoTotalCreditoUF ? fila : mejor)
+            : null;
+        const menorRiesgo = conCosto.length > 0
+            ? conCosto.reduce((mejor, fila) => fila.variacionMaximaPct < mejor.variacionMaximaPct ? fila : mejor)
+            : null;
+
+        return {
+            productos: filas,
+            menorCostoProyectado: menorCosto ? { escenario: menorCosto.escenario, costoTotalCreditoUF: menorCosto.costoTotalCreditoUF } : null,
+            menorRiesgoTasa: menorRiesgo ? { escenario: menorRiesgo.escenario, variacionMaximaPct: menorRiesgo.variacionMaximaPct } : null,
+            nota: 'Costos de créditos mixtos/variables proyectados con la trayectoria de tasa indicada; no son ofertas vinculantes'
+        };
+    }
+
     /**
      * Extraer tabla comparativa de bancos
      */
@@ -810,7 +1184,7 @@ class MortgageService {
     /**
    * Generar análisis comparativo COMPLETO con cálculos reales
    */
-    static generarAnalisisComparativo(bancos) {
+    static generarAnalisisComparativo(bancos, valorUF = null) {
         if (!bancos || bancos.length === 0) {
             return { error: 'No hay datos para analizar' };
         }
@@ -892,10 +1266,10 @@ class MortgageService {
                 const ahorroMensualUF = peorDividendo.dividendo - mejorDividendo.dividendo;
                 const ahorroTotal30AnosUF = ahorroMensualUF * 12 * 30;
 
-                // Convertir a pesos (aproximado con UF = $35,000)
-                const valorUFAproximado = 35000;
-                const ahorroMensualPesos = ahorroMensualUF * valorUFAproximado;
-                const ahorroTotal30AnosPesos = ahorroTotal30AnosUF * valorUFAproximado;
+                // Convertir a pesos con la UF del día
+                const valorUFConversion = valorUF || IndicatorsService.getLastKnownValue('uf');
+                const ahorroMensualPesos = Math.round(ahorroMensualUF * valorUFConversion);
+                const ahorroTotal30AnosPesos = Math.round(ahorroTotal30AnosUF * valorUFConversion);
 
                 ahorroMensual = `${ahorroMensualUF.toLocaleString('es-CL')} UF (~$${ahorroMensualPesos.toLocaleString('es-CL')})`;
                 ahorroTotal30Anos = `${ahorroTotal30AnosUF.toLocaleString('es-CL')} UF (~$${ahorroTotal30AnosPesos.toLocaleString('es-CL')})`;
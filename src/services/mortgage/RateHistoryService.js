@@ -0,0 +1,371 @@
+// src/services/mortgage/RateHistoryService.js
+const { logInfo, logDebug, logWarn } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { round } = require('../../utils/numbers');
+const { getRateHistoryStore } = require('./RateHistoryStore');
+const AffordabilityService = require('./AffordabilityService');
+
+/**
+ * Tramos de monto (UF): las tasas ofrecidas cambian según el tamaño del crédito
+ */
+const TRAMOS_MONTO = [
+    { id: 'hasta_1500', hasta: 1500 },
+    { id: '1500_3000', hasta: 3000 },
+    { id: '3000_5000', hasta: 5000 },
+    { id: '5000_8000', hasta: 8000 },
+    { id: 'sobre_8000', hasta: Infinity }
+];
+
+const INTERVALOS = ['dia', 'semana', 'mes'];
+
+// Periodos previos necesarios para calificar la tasa actual
+const MIN_PERIODOS_HISTORICOS = 4;
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const SOLO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Tendencias de tasas hipotecarias a partir de las simulaciones CMF registradas
+ */
+class RateHistoryService {
+
+    static getAmountBuckets() {
+        return TRAMOS_MONTO.map(tramo => tramo.id);
+    }
+
+    static getAmountBucket(montoUF) {
+        return TRAMOS_MONTO.find(tramo => montoUF <= tramo.hasta).id;
+    }
+
+    /**
+     * Guardar las ofertas de una simulación CMF (las estimaciones del motor local no se registran)
+     */
+    static async recordSimulation(bancos = [], { monto, plazo, producto = {} }) {
+        const fecha = new Date().toISOString();
+        const observaciones = bancos
+            .filter(banco => !banco.esEstimacion)
+            .map(banco => ({
+                fecha,
+                banco: banco.banco,
+                plazo: parseInt(plazo),
+                monto: parseFloat(monto),
+                tramoMonto: this.getAmountBucket(parseFloat(monto)),
+                tipoCredito: producto.tipoCredito || null,
+                tipoTasa: producto.tipoTasa || null,
+                tasa: AffordabilityService.parseRate(banco.tasaCredito),
+                cae: AffordabilityService.parseRate(banco.cae)
+            }))
+            .filter(obs => obs.banco && obs.tasa !== null && obs.tasa > 0);
+
+        const guardadas = await getRateHistoryStore().record(observaciones);
+        logDebug('📈 Tasas CMF registradas en historial', { guardadas, monto, plazo });
+
+        return guardadas;
+    }
+
+    /**
+     * Registrar sin bloquear la simulación (errores solo se registran en el log)
+     */
+    static recordSimulationSafely(bancos, contexto) {
+        this.recordSimulation(bancos, contexto).catch(error => {
+            logWarn('⚠️ No se pudo registrar historial de tasas', { error: error.message });
+        });
+    }
+
+    /**
+     * Validar filtros de consulta (query params)
+     */
+    static normalizeFilters(filtros = {}) {
+        const resultado = {
+            plazo: null,
+            tramoMonto: null,
+            banco: filtros.banco ? String(filtros.banco).trim() : null,
+            tipoCredito: filtros.tipoCredito ? String(filtros.tipoCredito).toLowerCase() : null,
+            tipoTasa: filtros.tipoTasa ? String(filtros.tipoTasa).toLowerCase() : null,
+            intervalo: filtros.intervalo || 'semana',
+            desde: null,
+            hasta: null
+        };
+
+        if (filtros.plazo !== undefined && filtros.plazo !== '') {
+            resultado.plazo = parseInt(filtros.plazo);
+            if (isNaN(resultado.plazo) || resultado.plazo < 5 || resultado.plazo > 40) {
+                throw ErrorFactory.validation('El plazo debe ser un número entre 5 y 40 años', 'plazo');
+            }
+        }
+
+        if (filtros.tramoMonto) {
+            if (!this.getAmountBuckets().includes(filtros.tramoMonto)) {
+                throw ErrorFactory.validation(`tramoMonto debe ser uno de: ${this.getAmountBuckets().join(', ')}`, 'tramoMonto');
+            }
+            resultado.tramoMonto = filtros.tramoMonto;
+        } else if (filtros.monto !== undefined && filtros.monto !== '') {
+            const monto = parseFloat(filtros.monto);
+            if (isNaN(monto) || monto <= 0) {
+                throw ErrorFactory.validation('El monto debe ser un número mayor a 0', 'monto');
+            }
+            resultado.tramoMonto = this.getAmountBucket(monto);
+        }
+
+        if (!INTERVALOS.includes(resultado.intervalo)) {
+            throw ErrorFactory.validation(`intervalo debe ser uno de: ${INTERVALOS.join(', ')}`, 'intervalo');
+        }
+
+        for (const campo of ['desde', 'hasta']) {
+            if (filtros[campo]) {
+                const fecha = new Date(filtros[campo]);
+                if (isNaN(fecha.getTime())) {
+                    throw ErrorFactory.validation(`${campo} debe ser una fecha válida (YYYY-MM-DD)`, campo);
+                }
+                resultado[campo] = fecha.getTime();
+            }
+        }
+
+        // hasta=YYYY-MM-DD incluye todo ese día (UTC)
+        if (resultado.hasta !== null && SOLO_FECHA.test(String(filtros.hasta))) {
+            resultado.hasta += DIA_MS - 1;
+        }
+
+        return resultado;
+    }
+
+    /**
+     * Tendencia, estadísticas por banco y dispersión entre bancos en el tiempo
+     */
+    static async getHistory(filtrosEntrada = {}) {
+        const filtros = this.normalizeFilters(filtrosEntrada);
+        const observaciones = (await getRateHistoryStore().query({
+            plazo: filtros.plazo,
+            tramoMonto: filtros.tramoMonto,
+            desde: filtros.desde || 0,
+            hasta: filtros.hasta || Date.now()
+        })).filter(obs => this.matches(obs, filtros));
+
+        const periodos = this.groupByPeriod(observaciones, filtros.intervalo);
+        const serie = periodos.map(({ periodo, items }) => this.summarizePeriod(periodo, items));
+        const porBanco = this.summarizeByBank(observaciones, filtros.intervalo);
+        const evaluacion = this.assessLatest(serie);
+
+        logInfo('📈 Historial de tasas consultado', {
+            observaciones: observaciones.length,
+            periodos: serie.length,
+            bancos: Object.keys(porBanco).length,
+            filtros: {
+                plazo: filtros.plazo,
+                tramoMonto: filtros.tramoMonto,
+                tipoCredito: filtros.tipoCredito,
+                tipoTasa: filtros.tipoTasa,
+                banco: filtros.banco
+            }
+        });
+
+        return {
+            filtros: {
+                ...filtros,
+                desde: filtros.desde ? new Date(filtros.desde).toISOString() : null,
+                hasta: filtros.hasta ? new Date(filtros.hasta).toISOString() : null
+            },
+            serie,
+            porBanco,
+            resumen: {
+                observaciones: observaciones.length,
+                periodos: serie.length,
+                primeraObservacion: observaciones[0]?.fecha || null,
+                ultimaObservacion: observaciones[observaciones.length - 1]?.fecha || null,
+                tendencia: serie.length > 1 ? round(serie[serie.length - 1].mediana - serie[0].mediana) : null,
+                ...evaluacion
+            }
+        };
+    }
+
+    /**
+     * Calificar una tasa actual contra el historial del mismo plazo, tramo de monto, tipo de crédito
+     * y tipo de tasa (para que el reporte indique si las tasas están altas o bajas)
+     */
+    static async assessRate(tasa, { plazo, monto, tipoCredito = null, tipoTasa = null }) {
+        const historial = await this.getHistory({ plazo, monto, tipoCredito, tipoTasa, intervalo: 'semana' });
+        const previos = historial.serie.filter(periodo => periodo.periodo !== this.periodKey(Date.now(), 'semana'));
+
+        if (previos.length < MIN_PERIODOS_HISTORICOS) {
+            return {
+                tasa,
+                tipoCredito: historial.filtros.tipoCredito,
+                tipoTasa: historial.filtros.tipoTasa,
+                clasificacion: 'sin_historia_suficiente',
+                periodosHistoricos: previos.length,
+                minimoRequerido: MIN_PERIODOS_HISTORICOS
+            };
+        }
+
+        const medianas = previos.map(periodo => periodo.mediana);
+        const percentil = this.percentileRank(medianas, tasa);
+
+        return {
+            tasa,
+            plazo,
+            tramoMonto: this.getAmountBucket(monto),
+            tipoCredito: historial.filtros.tipoCredito,
+            tipoTasa: historial.filtros.tipoTasa,
+            periodosHistoricos: previos.length,
+            desde: previos[0].periodo,
+            medianaHistorica: this.median(medianas),
+            minimoHistorico: Math.min(...medianas),
+            maximoHistorico: Math.max(...medianas),
+            percentil,
+            clasificacion: this.classify(percentil),
+            descripcion: this.describe(percentil, previos.length)
+        };
+    }
+
+    static matches(obs, filtros) {
+        if (filtros.plazo && obs.plazo !== filtros.plazo) return false;
+        if (filtros.tramoMonto && obs.tramoMonto !== filtros.tramoMonto) return false;
+        if (filtros.tipoCredito && obs.tipoCredito !== filtros.tipoCredito) return false;
+        if (filtros.tipoTasa && obs.tipoTasa !== filtros.tipoTasa) return false;
+        if (filtros.banco && !String(obs.banco).toLowerCase().includes(filtros.banco.toLowerCase())) return false;
+        return true;
+    }
+
+    static groupByPeriod(observaciones, intervalo) {
+        const grupos = new Map();
+
+        for (const obs of observaciones) {
+            const periodo = this.periodKey(obs.ts, intervalo);
+            if (!grupos.has(periodo)) {
+                grupos.set(periodo, []);
+            }
+            grupos.get(periodo).push(obs);
+        }
+
+        return Array.from(grupos.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([periodo, items]) => ({ periodo, items }));
+    }
+
+    /**
+     * Clave de periodo: YYYY-MM-DD (día), lunes de la semana (semana) o YYYY-MM (mes), en UTC
+     */
+    static periodKey(ts, intervalo) {
+        const fecha = new Date(ts);
+
+        if (intervalo === 'mes') {
+            return fecha.toISOString().substring(0, 7);
+        }
+        if (intervalo === 'semana') {
+            const diaSemana = (fecha.getUTCDay() + 6) % 7;
+            fecha.setUTCDate(fecha.getUTCDate() - diaSemana);
+        }
+        return fecha.toISOString().substring(0, 10);
+    }
+
+    /**
+     * Estadísticas de un periodo. El spread usa la mediana de cada banco para que un banco
+     * simulado muchas veces no pese más que el resto
+     */
+    static summarizePeriod(periodo, items) {
+        const tasas = items.map(obs => obs.tasa);
+        const porBanco = this.groupBy(items, obs => obs.banco);
+        const medianasBanco = Object.values(porBanco).map(obsBanco => this.median(obsBanco.map(obs => obs.tasa)));
+        const caes = items.map(obs => obs.cae).filter(cae => cae !== null && cae !== undefined);
+
+        return {
+            periodo,
+            observaciones: items.length,
+            bancos: medianasBanco.length,
+            min: Math.min(...tasas),
+            mediana: this.median(tasas),
+            max: Math.max(...tasas),
+            spreadEntreBancos: round(Math.max(...medianasBanco) - Math.min(...medianasBanco)),
+            caeMediana: caes.length > 0 ? this.median(caes) : null
+        };
+    }
+
+    static summarizeByBank(observaciones, intervalo) {
+        const porBanco = this.groupBy(observaciones, obs => obs.banco);
+
+        return Object.fromEntries(Object.entries(porBanco).map(([banco, items]) => {
+            const tasas = items.map(obs => obs.tasa);
+            const primera = items[0];
+            const ultima = items[items.length - 1];
+
+            return [banco, {
+                observaciones: items.length,
+                min: Math.min(...tasas),
+                mediana: this.median(tasas),
+                max: Math.max(...tasas),
+                primera: { tasa: primera.tasa, fecha: primera.fecha },
+                ultima: { tasa: ultima.tasa, fecha: ultima.fecha },
+                variacion: round(ultima.tasa - primera.tasa),
+                serie: this.groupByPeriod(items, intervalo).map(({ periodo, items: obsPeriodo }) => ({
+                    periodo,
+                    mediana: this.median(obsPeriodo.map(obs => obs.tasa))
+                }))
+            }];
+        }));
+    }
+
+    /**
+     * Último periodo frente a los anteriores de la misma serie
+     */
+    static assessLatest(serie) {
+        if (serie.length <= MIN_PERIODOS_HISTORICOS) {
+            return { clasificacionActual: 'sin_historia_suficiente', percentilActual: null };
+        }
+
+        const actual = serie[serie.length - 1];
+        const percentil = this.percentileRank(serie.slice(0, -1).map(periodo => periodo.mediana), actual.mediana);
+
+        return {
+            clasificacionActual: this.classify(percentil),
+            percentilActual: percentil,
+            descripcion: this.describe(percentil, serie.length - 1)
+        };
+    }
+
+    static classify(percentil) {
+        if (percentil >= 75) return 'alta';
+        if (percentil <= 25) return 'baja';
+        return 'normal';
+    }
+
+    static describe(percentil, periodos) {
+        const clasificacion = this.classify(percentil);
+        const textos = {
+            alta: 'Tasas actuales altas respecto del historial',
+            baja: 'Tasas actuales bajas respecto del historial',
+            normal: 'Tasas actuales dentro del rango histórico'
+        };
+        return `${textos[clasificacion]} (percentil ${percentil} de ${periodos} periodos)`;
+    }
+
+    /**
+     * Porcentaje de valores históricos menores o iguales al valor dado (0-100)
+     */
+    static percentileRank(valores, valor) {
+        if (valores.length === 0) {
+            return null;
+        }
+        const menores = valores.filter(v => v < valor).length;
+        const iguales = valores.filter(v => v === valor).length;
+        return Math.round((menores + iguales / 2) / valores.length * 100);
+    }
+
+    static median(valores) {
+        const ordenados = [...valores].sort((a, b) => a - b);
+        const medio = Math.floor(ordenados.length / 2);
+        const mediana = ordenados.length % 2 === 0
+            ? (ordenados[medio - 1] + ordenados[medio]) / 2
+            : ordenados[medio];
+        return round(mediana);
+    }
+
+    static groupBy(items, clave) {
+        return items.reduce((grupos, item) => {
+            const k = clave(item);
+            (grupos[k] = grupos[k] || []).push(item);
+            return grupos;
+        }, {});
+    }
+}
+
+module.exports = RateHistoryService;
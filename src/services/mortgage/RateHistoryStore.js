@@ -0,0 +1,221 @@
+// src/services/mortgage/RateHistoryStore.js
+const crypto = require('crypto');
+const RedisFileStore = require('../storage/RedisFileStore');
+const { logInfo } = require('../../utils/logger');
+
+const DEFAULT_RETENTION_DAYS = 730;
+
+const REDIS_KEYS = {
+    series: (clave) => `mortgage:rates:series:${clave}`, // sorted set: score = timestamp, member = observación JSON
+    index: 'mortgage:rates:series', // set de claves de serie (plazo|tramoMonto)
+    legacy: 'mortgage:rates:observations' // sorted set único de versiones anteriores
+};
+
+/**
+ * Serie histórica de tasas hipotecarias observadas en el simulador CMF
+ *
+ * Cada observación es una oferta (banco, plazo, tramo de monto, producto) en un instante.
+ * Se guardan en series por plazo y tramo de monto, ordenadas por timestamp, para que una consulta
+ * solo lea las series que pide.
+ *
+ * Backends (MORTGAGE_RATES_STORE):
+ * - redis: un sorted set por serie (por defecto). Si Redis no está disponible al iniciar, usa archivo
+ * - file: archivo JSON local (MORTGAGE_RATES_FILE, por defecto data/mortgage-rates.json)
+ *
+ * Las observaciones más antiguas que MORTGAGE_RATES_RETENTION_DAYS se eliminan al registrar.
+ */
+class RateHistoryStore extends RedisFileStore {
+    constructor() {
+        super({
+            nombre: 'RateHistoryStore',
+            descripcion: 'historial de tasas',
+            icono: '📈',
+            backendEnv: 'MORTGAGE_RATES_STORE',
+            fileEnv: 'MORTGAGE_RATES_FILE',
+            defaultFile: 'mortgage-rates.json'
+        });
+
+        // Espejo en memoria del backend archivo: clave de serie → observaciones ordenadas por timestamp
+        this.series = new Map();
+    }
+
+    static seriesKey({ plazo, tramoMonto }) {
+        return `${plazo}|${tramoMonto}`;
+    }
+
+    getRetentionMs() {
+        const dias = parseInt(process.env.MORTGAGE_RATES_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+        return dias * 24 * 60 * 60 * 1000;
+    }
+
+    async afterBackendReady() {
+        if (this.backend === 'redis') {
+            await this.migrateLegacyObservations();
+        }
+    }
+
+    getFileStats() {
+        return { series: this.series.size };
+    }
+
+    /**
+     * Registrar observaciones de una simulación
+     * @param {Array} observaciones - { fecha, banco, plazo, monto, tramoMonto, tipoCredito, tipoTasa, tasa, cae }
+     */
+    async record(observaciones = []) {
+        if (observaciones.length === 0) {
+            return 0;
+        }
+
+        await this.initialize();
+
+        const ahora = Date.now();
+        const limite = ahora - this.getRetentionMs();
+        const registros = observaciones.map(obs => ({
+            id: crypto.randomBytes(6).toString('hex'),
+            ts: obs.fecha ? new Date(obs.fecha).getTime() : ahora,
+            ...obs,
+            fecha: obs.fecha || new Date(ahora).toISOString()
+        }));
+
+        if (this.backend === 'redis') {
+            await this.writeRedis(registros, limite);
+            return registros.length;
+        }
+
+        registros.forEach(registro => this.addToSeries(registro));
+        for (const [clave, observacionesSerie] of this.series) {
+            const vigentes = observacionesSerie.filter(obs => obs.ts >= limite).sort((a, b) => a.ts - b.ts);
+            if (vigentes.length > 0) {
+                this.series.set(clave, vigentes);
+            } else {
+                this.series.delete(clave);
+            }
+        }
+        await this.persistFile();
+
+        return registros.length;
+    }
+
+    /**
+     * Backend archivo: agregar una observación al final de su serie
+     */
+    addToSeries(obs) {
+        const clave = RateHistoryStore.seriesKey(obs);
+        if (!this.series.has(clave)) {
+            this.series.set(clave, []);
+        }
+        this.series.get(clave).push(obs);
+    }
+
+    /**
+     * Redis: agregar observaciones a sus series y descartar las anteriores a la retención
+     */
+    async writeRedis(registros, limite) {
+        const claves = new Set();
+        const pipeline = this.redis.multi();
+
+        for (const registro of registros) {
+            const clave = RateHistoryStore.seriesKey(registro);
+            claves.add(clave);
+            pipeline.zadd(REDIS_KEYS.series(clave), registro.ts, JSON.stringify(registro));
+        }
+        for (const clave of claves) {
+            pipeline.sadd(REDIS_KEYS.index, clave);
+            pipeline.zremrangebyscore(REDIS_KEYS.series(clave), '-inf', limite);
+        }
+        await pipeline.exec();
+    }
+
+    /**
+     * Observaciones en un rango de fechas (timestamps en ms, inclusivos), ordenadas por timestamp
+     * @param {Object} filtro - { plazo, tramoMonto, desde, hasta }. Sin plazo o tramo se leen todas sus series
+     */
+    async query({ plazo = null, tramoMonto = null, desde = 0, hasta = Date.now() } = {}) {
+        await this.initialize();
+
+        // Las series que no reciben observaciones nuevas no se depuran al registrar
+        const inicio = Math.max(desde, Date.now() - this.getRetentionMs());
+        const claves = (await this.listSeriesKeys()).filter(clave => {
+            const [plazoSerie, tramoSerie] = clave.split('|');
+            return (!plazo || parseInt(plazoSerie) === plazo) && (!tramoMonto || tramoSerie === tramoMonto);
+        });
+
+        if (this.backend === 'redis') {
+            if (claves.length === 0) {
+                return [];
+            }
+            const pipeline = this.redis.multi();
+            claves.forEach(clave => pipeline.zrangebyscore(REDIS_KEYS.series(clave), inicio, hasta));
+            const resultados = await pipeline.exec();
+
+            return resultados
+                .flatMap(([error, raws]) => (error ? [] : raws.map(raw => JSON.parse(raw))))
+                .sort((a, b) => a.ts - b.ts);
+        }
+
+        return claves
+            .flatMap(clave => this.series.get(clave).filter(obs => obs.ts >= inicio && obs.ts <= hasta))
+            .sort((a, b) => a.ts - b.ts)
+            .map(obs => ({ ...obs }));
+    }
+
+    async listSeriesKeys() {
+        if (this.backend === 'redis') {
+            return this.redis.smembers(REDIS_KEYS.index);
+        }
+        return [...this.series.keys()];
+    }
+
+    async count() {
+        await this.initialize();
+
+        const claves = await this.listSeriesKeys();
+        if (this.backend === 'redis') {
+            if (claves.length === 0) {
+                return 0;
+            }
+            const pipeline = this.redis.multi();
+            claves.forEach(clave => pipeline.zcard(REDIS_KEYS.series(clave)));
+            const resultados = await pipeline.exec();
+            return resultados.reduce((total, [error, cantidad]) => total + (error ? 0 : cantidad), 0);
+        }
+        return claves.reduce((total, clave) => total + this.series.get(clave).length, 0);
+    }
+
+    /**
+     * Redis: repartir en series el sorted set único de versiones anteriores
+     */
+    async migrateLegacyObservations() {
+        const raws = await this.redis.zrange(REDIS_KEYS.legacy, 0, -1);
+        if (raws.length === 0) {
+            return;
+        }
+
+        await this.writeRedis(raws.map(raw => JSON.parse(raw)), Date.now() - this.getRetentionMs());
+        await this.redis.del(REDIS_KEYS.legacy);
+
+        logInfo('📈 Historial de tasas migrado a series por plazo y tramo', { observaciones: raws.length });
+    }
+
+    applyFileContent(content) {
+        this.series = new Map();
+        (content.observaciones || []).sort((a, b) => a.ts - b.ts).forEach(obs => this.addToSeries(obs));
+    }
+
+    serializeFile() {
+        return { observaciones: [...this.series.values()].flat() };
+    }
+}
+
+// Singleton instance
+let rateHistoryStoreInstance = null;
+
+const getRateHistoryStore = () => {
+    if (!rateHistoryStoreInstance) {
+        rateHistoryStoreInstance = new RateHistoryStore();
+    }
+    return rateHistoryStoreInstance;
+};
+
+module.exports = { RateHistoryStore, getRateHistoryStore };
@@ -0,0 +1,361 @@
+// src/services/mortgage/RefinancingService.js
+const { logInfo, logWarn } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { round, numberParam } = require('../../utils/numbers');
+const AmortizationService = require('./AmortizationService');
+const AffordabilityService = require('./AffordabilityService');
+const MortgageService = require('./MortgageService');
+const AnthropicService = require('../anthropic/AnthropicService');
+
+const COMISION_PREPAGO_MAX_MESES = AmortizationService.getMaxPrepaymentFeeMonths();
+
+const MODALIDADES_PREPAGO = ['reducir_plazo', 'reducir_dividendo'];
+
+// Sin valor de la propiedad se asume que el crédito original financió el 80%
+const LTV_ORIGINAL_POR_DEFECTO = 0.8;
+
+/**
+ * Prepago y refinanciamiento de un crédito hipotecario vigente (tasa fija, en UF)
+ */
+class RefinancingService {
+
+    /**
+     * Validar crédito vigente
+     * { montoOriginal (UF), tasaAnual (%), plazoAnios, cuotasPagadas, seguroDesgravamen?, seguroIncendio?,
+     *   valorPropiedadUF?, comisionPrepagoMeses? }
+     */
+    static normalizeLoan(credito) {
+        if (!credito || typeof credito !== 'object' || Array.isArray(credito)) {
+            throw ErrorFactory.validation('Los datos del crédito vigente son requeridos', 'credito');
+        }
+
+        const numero = (valor, campo, opciones) => numberParam(valor, `credito.${campo}`, opciones);
+
+        const montoOriginal = numero(credito.montoOriginal, 'montoOriginal', { min: 100, max: 100000, requerido: true });
+        const plazoAnios = Math.round(numero(credito.plazoAnios, 'plazoAnios', { min: 5, max: 40, requerido: true }));
+        const cuotasPagadas = Math.round(numero(credito.cuotasPagadas, 'cuotasPagadas', { min: 0, max: plazoAnios * 12 - 1, requerido: true }));
+        const defectos = AmortizationService.getDefaults();
+
+        return {
+            montoOriginal,
+            tasaAnual: numero(credito.tasaAnual, 'tasaAnual', { min: 0, max: 30, requerido: true }),
+            plazoAnios,
+            cuotasPagadas,
+            seguroDesgravamen: numero(credito.seguroDesgravamen, 'seguroDesgravamen', { min: 0, max: 1, defecto: defectos.seguroDesgravamen }),
+            seguroIncendio: numero(credito.seguroIncendio, 'seguroIncendio', { min: 0, max: 1, defecto: defectos.seguroIncendio }),
+            valorPropiedadUF: numero(credito.valorPropiedadUF, 'valorPropiedadUF', {
+                min: 1, max: 1000000, defecto: Math.round(montoOriginal / LTV_ORIGINAL_POR_DEFECTO)
+            }),
+            comisionPrepagoMeses: numero(credito.comisionPrepagoMeses, 'comisionPrepagoMeses', {
+                min: 0, max: COMISION_PREPAGO_MAX_MESES, defecto: COMISION_PREPAGO_MAX_MESES
+            })
+        };
+    }
+
+    /**
+     * Estado actual del crédito: saldo insoluto, dividendo vigente y costo pendiente
+     */
+    static getLoanStatus(credito, valorUF) {
+        const calculo = AmortizationService.calculate({
+            montoUF: credito.montoOriginal,
+            plazoAnios: credito.plazoAnios,
+            tasaAnual: credito.tasaAnual,
+            seguroDesgravamen: credito.seguroDesgravamen,
+            seguroIncendio: credito.seguroIncendio,
+            valorAsegurableUF: credito.montoOriginal,
+            valorUF,
+            incluirTabla: true
+        });
+
+        const pendientes = calculo.tabla.slice(credito.cuotasPagadas);
+        const saldoUF = pendientes[0].saldoInicialUF;
+        const restante = this.projectBalance(saldoUF, credito.tasaAnual, pendientes.length, credito, calculo.dividendo.sinSegurosUF);
+
+        return {
+            saldoUF: round(saldoUF),
+            saldoCLP: Math.round(saldoUF * valorUF),
+            cuotasPagadas: credito.cuotasPagadas,
+            cuotasRestantes: pendientes.length,
+            dividendoUF: calculo.dividendo.sinSegurosUF,
+            dividendoConSegurosUF: round(pendientes[0].dividendoUF, 4),
+            dividendoConSegurosCLP: Math.round(pendientes[0].dividendoUF * valorUF),
+            pendiente: restante
+        };
+    }
+
+    /**
+     * Prepago parcial o total
+     * @param {Object} creditoEntrada - Crédito vigente (normalizeLoan)
+     * @param {Object} opciones
+     * @param {number} [opciones.montoPrepagoUF] - Capital a prepagar (omitir o >= saldo para prepago total)
+     * @param {string} [opciones.modalidad] - reducir_plazo | reducir_dividendo (ambas si se omite)
+     * @param {number} opciones.valorUF
+     */
+    static analyzePrepayment(creditoEntrada, { montoPrepagoUF = null, modalidad = null, valorUF }) {
+        const credito = this.normalizeLoan(creditoEntrada);
+
+        if (modalidad && !MODALIDADES_PREPAGO.includes(modalidad)) {
+            throw ErrorFactory.validation(`modalidad debe ser una de: ${MODALIDADES_PREPAGO.join(', ')}`, 'modalidad');
+        }
+        if (montoPrepagoUF !== null && (typeof montoPrepagoUF !== 'number' || montoPrepagoUF <= 0)) {
+            throw ErrorFactory.validation('montoPrepagoUF debe ser un número mayor a 0', 'montoPrepagoUF');
+        }
+
+        const estado = this.getLoanStatus(credito, valorUF);
+        const prepagoUF = montoPrepagoUF === null ? estado.saldoUF : Math.min(montoPrepagoUF, estado.saldoUF);
+        const total = prepagoUF >= estado.saldoUF;
+        const comision = this.prepaymentFee(prepagoUF, credito, valorUF);
+        const nuevoSaldoUF = estado.saldoUF - prepagoUF;
+
+        const evaluarModalidad = (nombre) => {
+            const proyeccion = nombre === 'reducir_plazo'
+                ? this.projectBalance(nuevoSaldoUF, credito.tasaAnual, estado.cuotasRestantes, credito, estado.dividendoUF)
+                : this.projectBalance(nuevoSaldoUF, credito.tasaAnual, estado.cuotasRestantes, credito);
+
+            return this.summarizeSavings(nombre, estado, proyeccion, comision, valorUF);
+        };
+
+        const modalidades = total
+            ? { total: this.summarizeSavings('total', estado, this.projectBalance(0, credito.tasaAnual, 0, credito), comision, valorUF) }
+            : Object.fromEntries(
+                (modalidad ? [modalidad] : MODALIDADES_PREPAGO).map(nombre => [nombre, evaluarModalidad(nombre)])
+            );
+
+        const mejor = Object.values(modalidades).reduce((a, b) => (b.ahorroNetoUF > a.ahorroNetoUF ? b : a));
+
+        logInfo('💸 Análisis de prepago calculado', {
+            saldoUF: estado.saldoUF, prepagoUF, total, comisionUF: comision.comisionUF, ahorroNetoUF: mejor.ahorroNetoUF
+        });
+
+        return {
+            credito,
+            estadoActual: this.withoutFlow(estado),
+            prepago: {
+                tipo: total ? 'total' : 'parcial',
+                montoUF: round(prepagoUF),
+                montoCLP: Math.round(prepagoUF * valorUF),
+                saldoRestanteUF: round(nuevoSaldoUF),
+                comision,
+                desembolsoTotalUF: round(prepagoUF + comision.comisionUF),
+                desembolsoTotalCLP: Math.round((prepagoUF + comision.comisionUF) * valorUF)
+            },
+            modalidades,
+            recomendacion: {
+                modalidad: mejor.modalidad,
+                ahorroNetoUF: mejor.ahorroNetoUF,
+                // Prepagar equivale a invertir el monto a la tasa del crédito, menos la comisión
+                rentabilidadEquivalentePct: credito.tasaAnual,
+                conviene: mejor.ahorroNetoUF > 0
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Refinanciar el saldo con ofertas actuales (CMF o enviadas en `ofertas`)
+     * Costos: comisión de prepago del crédito vigente + gastos de cierre del nuevo crédito
+     * (AnthropicService.calculateOneTimeAcquisitionCosts, sin corredor)
+     */
+    static async analyzeRefinancing(creditoEntrada, { valorUF, ofertas = null, plazoNuevoAnios = null, opcionesProducto = {} }) {
+        const credito = this.normalizeLoan(creditoEntrada);
+        const estado = this.getLoanStatus(credito, valorUF);
+
+        const plazoNuevo = numberParam(plazoNuevoAnios, 'plazoNuevoAnios', {
+            min: 5, max: 40, entero: true, defecto: Math.min(Math.max(Math.ceil(estado.cuotasRestantes / 12), 5), 40)
+        });
+
+        let bancos = ofertas;
+        let simulacion = null;
+
+        if (!bancos) {
+            const montoSimulacion = Math.min(Math.max(Math.round(estado.saldoUF), 100), 20000);
+            const resultado = await MortgageService.simulateMortgage(montoSimulacion, plazoNuevo, false, opcionesProducto);
+
+            bancos = resultado.data.bancos;
+            simulacion = {
+                monto: montoSimulacion,
+                plazo: plazoNuevo,
+                fuente: resultado.data.fuente || 'cmf',
+                datos: { escenarios: [{ escenario: { plazo: plazoNuevo }, resultado: resultado.data }] }
+            };
+        }
+
+        const comision = this.prepaymentFee(estado.saldoUF, credito, valorUF);
+        const gastosCierre = AnthropicService.calculateOneTimeAcquisitionCosts(
+            estado.saldoUF,
+            credito.valorPropiedadUF * valorUF,
+            simulacion?.datos || null,
+            false,
+            valorUF
+        );
+        const gastosCierreUF = gastosCierre.total / valorUF;
+        const costoCambioUF = comision.comisionUF + gastosCierreUF;
+
+        const evaluaciones = bancos
+            .map(banco => {
+                const tasa = AffordabilityService.parseRate(banco.tasaCredito);
+                if (tasa === null) {
+                    logWarn('⚠️ Oferta sin tasa interpretable, se omite', { banco: banco.banco });
+                    return null;
+                }
+
+                const nuevo = this.projectBalance(estado.saldoUF, tasa, plazoNuevo * 12, { ...credito, tasaAnual: tasa });
+                const puntoEquilibrio = this.breakEvenMonth(estado.pendiente.flujoUF, nuevo.flujoUF, costoCambioUF);
+                const ahorroMensualUF = estado.dividendoConSegurosUF - nuevo.flujoUF[0];
+                const ahorroNetoUF = estado.pendiente.totalPagadoUF - nuevo.totalPagadoUF - costoCambioUF;
+
+                return {
+                    banco: banco.banco,
+                    tasaCredito: banco.tasaCredito,
+                    tasaAnual: tasa,
+                    diferenciaTasa: round(credito.tasaAnual - tasa, 2),
+                    esEstimacion: banco.esEstimacion === true,
+                    nuevoDividendoUF: round(nuevo.flujoUF[0], 4),
+                    nuevoDividendoCLP: Math.round(nuevo.flujoUF[0] * valorUF),
+                    ahorroMensualUF: round(ahorroMensualUF, 4),
+                    ahorroMensualCLP: Math.round(ahorroMensualUF * valorUF),
+                    interesesRestantesUF: nuevo.interesesUF,
+                    ahorroNetoUF: round(ahorroNetoUF),
+                    ahorroNetoCLP: Math.round(ahorroNetoUF * valorUF),
+                    puntoEquilibrioMeses: puntoEquilibrio,
+                    conviene: puntoEquilibrio !== null && ahorroNetoUF > 0
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.ahorroNetoUF - a.ahorroNetoUF);
+
+        const convenientes = evaluaciones.filter(evaluacion => evaluacion.conviene);
+
+        logInfo('🔁 Análisis de refinanciamiento calculado', {
+            saldoUF: estado.saldoUF,
+            ofertas: evaluaciones.length,
+            convenientes: convenientes.length,
+            costoCambioUF: round(costoCambioUF)
+        });
+
+        return {
+            credito,
+            estadoActual: this.withoutFlow(estado),
+            costosCambio: {
+                comisionPrepago: comision,
+                gastosCierre,
+                gastosCierreUF: round(gastosCierreUF),
+                totalUF: round(costoCambioUF),
+                totalCLP: Math.round(costoCambioUF * valorUF)
+            },
+            plazoNuevoAnios: plazoNuevo,
+            ofertas: evaluaciones,
+            resumen: {
+                ofertasEvaluadas: evaluaciones.length,
+                ofertasConvenientes: convenientes.length,
+                mejorOferta: convenientes[0] || null,
+                conviene: convenientes.length > 0
+            },
+            simulacion: simulacion ? { monto: simulacion.monto, plazo: simulacion.plazo, fuente: simulacion.fuente } : null,
+            supuestos: [
+                'Crédito vigente a tasa fija con dividendo en UF (sistema francés)',
+                `Comisión de prepago: ${credito.comisionPrepagoMeses} meses de intereses sobre el capital prepagado`,
+                'Gastos de cierre pagados al contado, sin financiar en el nuevo crédito',
+                'Seguros del nuevo crédito con las mismas primas del crédito vigente'
+            ],
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Comisión de prepago: meses de intereses pactados sobre el capital prepagado
+     */
+    static prepaymentFee(capitalUF, credito, valorUF) {
+        const comisionUF = AmortizationService.prepaymentFeeUF(capitalUF, credito.tasaAnual, credito.comisionPrepagoMeses);
+
+        return {
+            mesesIntereses: credito.comisionPrepagoMeses,
+            maximoLegalMeses: COMISION_PREPAGO_MAX_MESES,
+            comisionUF: round(comisionUF, 4),
+            comisionCLP: Math.round(comisionUF * valorUF)
+        };
+    }
+
+    /**
+     * Flujo de dividendos (con seguros) desde un saldo dado
+     * Con `cuotaFijaUF` se mantiene la cuota y se acorta el plazo; sin ella se recalcula la cuota
+     */
+    static projectBalance(saldoInicialUF, tasaAnual, cuotasMax, credito, cuotaFijaUF = null) {
+        const tasaMensual = AmortizationService.monthlyRate(tasaAnual);
+        const cuotaUF = cuotaFijaUF || (cuotasMax > 0 ? AmortizationService.frenchPayment(saldoInicialUF, tasaMensual, cuotasMax) : 0);
+        const incendioUF = credito.montoOriginal * credito.seguroIncendio / 100;
+
+        const flujoUF = [];
+        let saldo = saldoInicialUF;
+        let interesesUF = 0;
+        let segurosUF = 0;
+
+        for (let mes = 1; mes <= cuotasMax && saldo > 1e-6; mes++) {
+            const interes = saldo * tasaMensual;
+            const amortizacion = Math.min(cuotaUF - interes, saldo);
+            const seguros = saldo * credito.seguroDesgravamen / 100 + incendioUF;
+
+            interesesUF += interes;
+            segurosUF += seguros;
+            flujoUF.push(interes + amortizacion + seguros);
+            saldo -= amortizacion;
+        }
+
+        return {
+            cuotas: flujoUF.length,
+            cuotaUF: round(cuotaUF, 4),
+            interesesUF: round(interesesUF),
+            segurosUF: round(segurosUF),
+            totalPagadoUF: round(flujoUF.reduce((total, valor) => total + valor, 0)),
+            flujoUF
+        };
+    }
+
+    /**
+     * Ahorro de un prepago frente a seguir pagando el crédito sin cambios
+     */
+    static summarizeSavings(modalidad, estado, proyeccion, comision, valorUF) {
+        const ahorroInteresesUF = estado.pendiente.interesesUF - proyeccion.interesesUF;
+        const ahorroSegurosUF = estado.pendiente.segurosUF - proyeccion.segurosUF;
+        const ahorroNetoUF = ahorroInteresesUF + ahorroSegurosUF - comision.comisionUF;
+
+        return {
+            modalidad,
+            nuevoDividendoUF: proyeccion.cuotas > 0 ? round(proyeccion.flujoUF[0], 4) : 0,
+            nuevoDividendoCLP: proyeccion.cuotas > 0 ? Math.round(proyeccion.flujoUF[0] * valorUF) : 0,
+            cuotasRestantes: proyeccion.cuotas,
+            mesesAhorrados: estado.cuotasRestantes - proyeccion.cuotas,
+            ahorroInteresesUF: round(ahorroInteresesUF),
+            ahorroSegurosUF: round(ahorroSegurosUF),
+            ahorroNetoUF: round(ahorroNetoUF),
+            ahorroNetoCLP: Math.round(ahorroNetoUF * valorUF)
+        };
+    }
+
+    /**
+     * Primer mes en que el ahorro acumulado cubre los costos del cambio (null si nunca)
+     */
+    static breakEvenMonth(flujoActualUF, flujoNuevoUF, costoUF) {
+        const meses = Math.max(flujoActualUF.length, flujoNuevoUF.length);
+        let acumulado = -costoUF;
+
+        for (let mes = 0; mes < meses; mes++) {
+            acumulado += (flujoActualUF[mes] || 0) - (flujoNuevoUF[mes] || 0);
+            if (acumulado >= 0) {
+                return mes + 1;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Estado sin el flujo mes a mes (solo se usa internamente para el punto de equilibrio)
+     */
+    static withoutFlow(estado) {
+        const { flujoUF, ...pendiente } = estado.pendiente;
+        return { ...estado, pendiente };
+    }
+}
+
+module.exports = RefinancingService;
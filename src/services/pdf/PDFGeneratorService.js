@@ -6,6 +6,7 @@ const { logInfo, logError, logDebug, logWarn } = require('../../utils/logger');
 const { ErrorFactory } = require('../../utils/errors');
 const ReportTemplateBuilder = require('./ReportTemplateBuilder');
 const PDFConfig = require('./PDFConfig');
+const IndicatorsService = require('../indicators/IndicatorsService');
 
 /**
  * Servicio de generación de PDFs premium con Playwright - CORREGIDO
@@ -29,42 +30,14 @@ class PDFGeneratorService {
         });
 
         let browser = null;
-        let context = null;
-        let page = null;
 
         try {
-            // 1. Validar datos de entrada
-            this.validateAnalysisData(analysisData);
-
-            // 2. Generar HTML del reporte usando template builder
-            logDebug('📄 Generando HTML del reporte...');
-            //const htmlContent = await ReportTemplateBuilder.buildReportHTML(analysisData, options);
-            const htmlContent = await ReportTemplateBuilder.buildReportHTML(analysisData, options);
-            // 3. Lanzar browser con configuración optimizada
+            // 1. Lanzar browser con configuración optimizada
             logDebug('🌐 Lanzando browser para generación PDF...');
             browser = await this.launchBrowser(options);
-            context = await this.createContext(browser, options);
-            page = await context.newPage();
 
-            // 4. Configurar página para generación de PDF
-            await this.configurePage(page, options);
-
-            // 5. Cargar contenido HTML en la página
-            logDebug('📄 Cargando contenido HTML...');
-            await this.loadHTMLContent(page, htmlContent);
-
-            // 6. Esperar a que todo el contenido se renderice
-            await this.waitForContentRendering(page);
-
-            // 7. CORREGIDO: Aplicar configuraciones finales de PDF
-            const pdfConfig = this.buildPDFConfigCorrected(options);
-
-            // 8. Generar PDF con configuración optimizada
-            logDebug('🖨️ Generando PDF...');
-            const pdfBuffer = await page.pdf(pdfConfig);
-
-            // 9. Validar PDF generado
-            const pdfMetadata = await this.validateGeneratedPDF(pdfBuffer);
+            // 2. Renderizar reporte en el browser
+            const { pdfBuffer, pdfMetadata, pdfConfig } = await this.renderPDFInBrowser(browser, analysisData, options);
 
             const totalTime = Date.now() - startTime;
 
@@ -105,10 +78,218 @@ class PDFGeneratorService {
             throw ErrorFactory.internal('Error generando reporte PDF premium', error);
 
         } finally {
-            await this.cleanup(page, context, browser);
+            await this.cleanup(null, null, browser);
         }
     }
 
+    /**
+     * Renderizar un reporte en un browser ya lanzado (contexto y página propios)
+     * Permite reutilizar el mismo browser entre varios PDFs
+     */
+    static async renderPDFInBrowser(browser, analysisData, options = {}) {
+        let context = null;
+        let page = null;
+
+        try {
+            // 1. Validar datos de entrada
+            this.validateAnalysisData(analysisData);
+
+            // 2. Generar HTML del reporte usando template builder (con UF de la fecha del reporte)
+            logDebug('📄 Generando HTML del reporte...');
+            const indicadores = await this.resolveReportIndicators(analysisData);
+            const htmlContent = await ReportTemplateBuilder.buildReportHTML(analysisData, { ...options, indicadores });
+
+            // 3. Crear contexto y página
+            context = await this.createContext(browser, options);
+            page = await context.newPage();
+
+            // 4. Configurar página para generación de PDF
+            await this.configurePage(page, options);
+
+            // 5. Cargar contenido HTML en la página
+            logDebug('📄 Cargando contenido HTML...');
+            await this.loadHTMLContent(page, htmlContent);
+
+            // 6. Esperar a que todo el contenido se renderice
+            await this.waitForContentRendering(page);
+
+            // 7. CORREGIDO: Aplicar configuraciones finales de PDF
+            const pdfConfig = this.buildPDFConfigCorrected(options);
+
+            // 8. Generar PDF con configuración optimizada
+            logDebug('🖨️ Generando PDF...');
+            const pdfBuffer = await page.pdf(pdfConfig);
+
+            // 9. Validar PDF generado
+            const pdfMetadata = await this.validateGeneratedPDF(pdfBuffer);
+
+            return { pdfBuffer, pdfMetadata, pdfConfig };
+
+        } finally {
+            await this.cleanup(page, context, null);
+        }
+    }
+
+    /**
+     * Generar múltiples PDFs reutilizando un único browser con concurrencia acotada
+     * Cada item reporta éxito o error de forma independiente
+     */
+    static async generateMultiplePDFs(analysisDataArray, options = {}) {
+        if (!Array.isArray(analysisDataArray) || analysisDataArray.length === 0) {
+            throw ErrorFactory.validation('analysisDataArray debe tener al menos un análisis', 'analysisDataArray');
+        }
+
+        const startTime = Date.now();
+        const maxConcurrency = parseInt(process.env.PDF_BATCH_MAX_CONCURRENCY) || 3;
+        const concurrency = Math.max(1, Math.min(parseInt(options.concurrency) || 2, maxConcurrency, analysisDataArray.length));
+        const filenames = this.resolveBatchFilenames(options.filenames, options.filenamePrefix || 'reporte-', analysisDataArray.length);
+
+        logInfo('📚 Iniciando generación batch de PDFs', {
+            total: analysisDataArray.length,
+            concurrency,
+            quality: options.quality || 'high'
+        });
+
+        const results = new Array(analysisDataArray.length);
+        let browser = null;
+
+        try {
+            browser = await this.launchBrowser(options);
+
+            let nextIndex = 0;
+            const worker = async () => {
+                while (nextIndex < analysisDataArray.length) {
+                    const index = nextIndex++;
+                    const itemStart = Date.now();
+                    const filename = filenames[index];
+
+                    try {
+                        const { pdfBuffer, pdfMetadata } = await this.renderPDFInBrowser(browser, analysisDataArray[index], options);
+
+                        results[index] = {
+                            index,
+                            success: true,
+                            filename,
+                            sizeBytes: pdfBuffer.length,
+                            sizeKB: Math.round(pdfBuffer.length / 1024),
+                            pages: pdfMetadata.pages,
+                            generationTime: `${Date.now() - itemStart}ms`,
+                            pdf: pdfBuffer
+                        };
+
+                        logDebug(`✅ PDF ${index + 1}/${analysisDataArray.length} generado`, { filename });
+
+                    } catch (error) {
+                        logWarn(`⚠️ PDF ${index + 1}/${analysisDataArray.length} falló`, {
+                            filename,
+                            error: error.message
+                        });
+
+                        results[index] = {
+                            index,
+                            success: false,
+                            filename,
+                            error: error.message,
+                            generationTime: `${Date.now() - itemStart}ms`
+                        };
+                    }
+                }
+            };
+
+            await Promise.all(Array.from({ length: concurrency }, () => worker()));
+
+        } catch (error) {
+            logError('❌ Error en generación batch de PDFs', { error: error.message });
+            throw ErrorFactory.internal('Error procesando batch de PDFs', error);
+
+        } finally {
+            await this.cleanup(null, null, browser);
+        }
+
+        const successful = results.filter(r => r.success).length;
+        const totalTime = Date.now() - startTime;
+
+        logInfo('✅ Batch de PDFs completado', {
+            total: results.length,
+            successful,
+            failed: results.length - successful,
+            duration: `${totalTime}ms`
+        });
+
+        return {
+            results,
+            metadata: {
+                totalProcessed: results.length,
+                successful,
+                failed: results.length - successful,
+                concurrency,
+                totalSizeBytes: results.reduce((sum, r) => sum + (r.sizeBytes || 0), 0),
+                generationTime: `${totalTime}ms`,
+                generatedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Nombres de archivo de todos los items, validados antes de generar: los repetidos
+     * reciben un sufijo (-2, -3, ...) para no duplicar entradas del ZIP
+     */
+    static resolveBatchFilenames(customNames, prefix, total) {
+        if (customNames !== undefined && customNames !== null && !Array.isArray(customNames)) {
+            throw ErrorFactory.validation('options.filenames debe ser un array de nombres de archivo', 'options.filenames');
+        }
+
+        const usados = new Set();
+        return Array.from({ length: total }, (_, index) => {
+            const customName = customNames?.[index];
+            if (customName !== undefined && customName !== null && typeof customName !== 'string') {
+                throw ErrorFactory.validation(`options.filenames[${index}] debe ser texto`, `options.filenames[${index}]`);
+            }
+
+            const base = this.buildBatchFilename(customName, prefix, index).replace(/\.pdf$/, '');
+            let nombre = base;
+            for (let sufijo = 2; usados.has(nombre.toLowerCase()); sufijo++) {
+                nombre = `${base}-${sufijo}`;
+            }
+            usados.add(nombre.toLowerCase());
+
+            return `${nombre}.pdf`;
+        });
+    }
+
+    /**
+     * Nombre de archivo seguro para un item del batch
+     */
+    static buildBatchFilename(customName, prefix, index) {
+        const base = (customName || `${prefix}${index + 1}`)
+            .replace(/\.pdf$/i, '')
+            .replace(/[^a-zA-Z0-9._-]/g, '_')
+            .substring(0, 100);
+
+        return `${base}.pdf`;
+    }
+
+    /**
+     * Indicadores del reporte: los guardados al generarlo o, en reportes antiguos,
+     * la UF recalculada según la fecha de generación
+     */
+    static async resolveReportIndicators(analysisData) {
+        const metadata = analysisData?.data?.metadata || {};
+
+        if (metadata.indicadores?.uf?.valor) {
+            return metadata.indicadores;
+        }
+
+        const uf = await IndicatorsService.getUFSafely(metadata.generatedAt || null);
+        logDebug('📈 UF recalculada por fecha de generación del reporte', {
+            generatedAt: metadata.generatedAt,
+            valor: uf.valor,
+            fecha: uf.fecha
+        });
+
+        return { uf };
+    }
+
     /**
      * CORREGIDO: Construir configuración PDF sin conflictos de formato
      */
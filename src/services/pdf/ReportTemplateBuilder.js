@@ -21,14 +21,16 @@ class ReportTemplateBuilder {
 
             // 2. Construir secciones del reporte
             const headerContent = this.buildHeaderSection(analysisData);
-            const propertyContent = this.buildPropertySection(analysisData);
+            const propertyContent = this.buildPropertySection(analysisData, options);
             const financialMetrics = this.buildFinancialMetricsSection(analysisData);
             const financingAnalysis = this.buildFinancingAnalysisSection(analysisData);
             const marketComparison = this.buildMarketComparisonSection(analysisData);
+            const sensitivityAnalysis = this.buildSensitivityAnalysisSection(analysisData);
+            const taxAnalysis = this.buildTaxAnalysisSection(analysisData);
             const locationAnalysis = this.buildLocationAnalysisSection(analysisData);
             const securityAnalysis = this.buildSecurityAnalysisSection(analysisData);
             const executiveSummary = this.buildExecutiveSummarySection(analysisData);
-            const dataSources = this.buildDataSourcesSection(analysisData);
+            const dataSources = this.buildDataSourcesSection(analysisData, options);
 
             // 3. Reemplazar placeholders
             htmlTemplate = htmlTemplate
@@ -37,6 +39,8 @@ class ReportTemplateBuilder {
                 .replace('{{FINANCIAL_METRICS}}', financialMetrics)
                 .replace('{{FINANCING_ANALYSIS}}', financingAnalysis)
                 .replace('{{MARKET_COMPARISON}}', marketComparison)
+                .replace('{{SENSITIVITY_ANALYSIS}}', sensitivityAnalysis)
+                .replace('{{TAX_ANALYSIS}}', taxAnalysis)
                 .replace('{{LOCATION_ANALYSIS}}', locationAnalysis)
                 .replace('{{SECURITY_ANALYSIS}}', securityAnalysis)
                 .replace('{{EXECUTIVE_SUMMARY}}', executiveSummary)
@@ -88,9 +92,9 @@ class ReportTemplateBuilder {
     /**
      * ✅ CONSTRUIR SECCIÓN DE PROPIEDAD
      */
-    static buildPropertySection(analysisData) {
+    static buildPropertySection(analysisData, options = {}) {
         const property = analysisData?.data?.property || {};
-        const price = property.precio_completo || 'Precio no disponible';
+        const price = property.precio_completo || this.buildPriceInPesos(property, options.indicadores?.uf) || 'Precio no disponible';
         
         return `
             <div class="property-grid">
@@ -177,6 +181,159 @@ class ReportTemplateBuilder {
                     <div class="comparable-price">$2.400.000</div>
                 </div>
             </div>
+            ${this.buildMarketHistoryNote(analysisData)}
+            ${this.buildMarketStatsNote(analysisData)}
+        `;
+    }
+
+    /**
+     * Días en mercado y rebajas de la publicación (historial de precios) como argumentos de negociación
+     */
+    static buildMarketHistoryNote(analysisData) {
+        const historial = analysisData?.data?.marketHistory;
+
+        if (!historial) {
+            return '';
+        }
+
+        const argumentos = historial.argumentosNegociacion.length > 0
+            ? historial.argumentosNegociacion.join('. ') + '.'
+            : 'Sin rebajas de precio registradas.';
+
+        return `
+            <p class="sensitivity-note">
+                Publicación observada hace ${historial.diasEnMercado} días (desde ${new Date(historial.primeraVez).toLocaleDateString('es-CL')}).
+                ${argumentos}
+            </p>
+        `;
+    }
+
+    /**
+     * Medianas de precio y arriendo por m² de la comuna (estadísticas de mercado)
+     */
+    static buildMarketStatsNote(analysisData) {
+        const stats = analysisData?.data?.marketStats;
+
+        if (!stats || stats.medianaPrecioM2UF === null) {
+            return '';
+        }
+
+        const niveles = { premium: 'premium', good: 'buena', moderate: 'moderada', high: 'de mayor riesgo' };
+        const arriendo = stats.medianaArriendoM2UF !== null
+            ? ` Arriendo mediano: UF ${stats.medianaArriendoM2UF.toLocaleString('es-CL')}/m²` +
+                (stats.yieldBrutoImplicito !== null ? ` (yield bruto implícito ${this.formatPercentage(stats.yieldBrutoImplicito)}).` : '.')
+            : '';
+
+        return `
+            <p class="sensitivity-note">
+                ${stats.comuna} (${stats.tipo}): mediana de UF ${stats.medianaPrecioM2UF.toLocaleString('es-CL')}/m² en venta
+                sobre ${stats.inventario.venta} publicaciones observadas${stats.nivel ? `, zona ${niveles[stats.nivel]}` : ''}.${arriendo}
+                Plusvalía usada en la proyección: ${this.formatPercentage(stats.plusvaliaAnual)} anual.
+            </p>
+        `;
+    }
+
+    /**
+     * ✅ CONSTRUIR SECCIÓN DE SENSIBILIDAD Y ESCENARIOS
+     * Tornado por impacto en el flujo de caja mensual + escenarios pesimista / base / optimista
+     */
+    static buildSensitivityAnalysisSection(analysisData) {
+        const sensitivity = analysisData?.data?.metrics?.sensitivity;
+
+        if (!sensitivity?.tornado?.length) {
+            return '';
+        }
+
+        const maxImpacto = Math.max(...sensitivity.tornado.map(item => item.impactoFlujoMensual), 1);
+        const nombresEscenario = { pesimista: 'Pesimista', base: 'Base', optimista: 'Optimista' };
+
+        const tornadoRows = sensitivity.tornado.map(item => `
+                <div class="tornado-row">
+                    <div class="tornado-label">
+                        <strong>${item.etiqueta}</strong>
+                        <span class="tornado-range">${item.pesimista.valor} → ${item.optimista.valor} (${item.unidad})</span>
+                    </div>
+                    <div class="tornado-bar-track">
+                        <div class="tornado-bar" style="width: ${Math.max(2, Math.round(item.impactoFlujoMensual / maxImpacto * 100))}%"></div>
+                    </div>
+                    <div class="tornado-value">
+                        ${this.formatCurrency(item.impactoFlujoMensual)}
+                        ${item.impactoTir !== null ? `<span class="tornado-range">TIR ±${item.impactoTir} pts</span>` : ''}
+                    </div>
+                </div>
+            `).join('');
+
+        const scenarioCards = sensitivity.escenarios.map(escenario => `
+                <div class="scenario-card scenario-${escenario.nombre}">
+                    <div class="scenario-name">${nombresEscenario[escenario.nombre] || escenario.nombre}</div>
+                    <div class="scenario-flow ${this.getFlowClass(escenario.flujoCajaMensual)}">${this.formatCurrency(escenario.flujoCajaMensual)}</div>
+                    <div class="scenario-details">
+                        Yield neto: ${this.formatPercentage(escenario.yieldNeto)}<br>
+                        TIR: ${escenario.tir !== null ? `${escenario.tir}%` : 'N/D'}<br>
+                        Arriendo: ${this.formatCurrency(escenario.supuestos.arriendo)} | Tasa: ${escenario.supuestos.tasaCredito}%
+                    </div>
+                </div>
+            `).join('');
+
+        return `
+            <h2 class="section-title">Sensibilidad y Escenarios</h2>
+            <p class="sensitivity-note">Variación del flujo de caja mensual al mover cada variable entre su extremo pesimista y optimista</p>
+            <div class="tornado-chart">
+                ${tornadoRows}
+            </div>
+            <div class="scenario-grid">
+                ${scenarioCards}
+            </div>
+        `;
+    }
+
+    /**
+     * Impuestos del perfil tributario: antes vs después de impuestos y desglose anual
+     */
+    static buildTaxAnalysisSection(analysisData) {
+        const taxes = analysisData?.data?.metrics?.taxes;
+
+        if (!taxes?.metricasDespuesImpuestos) {
+            return '';
+        }
+
+        const { flujoCajaMensual, yieldNeto, tir } = taxes.metricasDespuesImpuestos;
+        const perfil = taxes.perfil.tipoContribuyente === 'empresa'
+            ? `Empresa (${taxes.perfil.regimenEmpresa === 'general' ? 'régimen general' : 'Pro Pyme'})`
+            : 'Persona natural';
+
+        const cards = [
+            { nombre: 'Antes de impuestos', clase: 'base', flujo: flujoCajaMensual.antesImpuestos, yieldNeto: yieldNeto?.antesImpuestos, tir: tir?.antesImpuestos },
+            { nombre: 'Después de impuestos', clase: 'pesimista', flujo: flujoCajaMensual.despuesImpuestos, yieldNeto: yieldNeto?.despuesImpuestos, tir: tir?.despuesImpuestos }
+        ].map(card => `
+                <div class="scenario-card scenario-${card.clase}">
+                    <div class="scenario-name">${card.nombre}</div>
+                    <div class="scenario-flow ${this.getFlowClass(card.flujo)}">${this.formatCurrency(card.flujo)}</div>
+                    <div class="scenario-details">
+                        Yield neto: ${card.yieldNeto !== undefined ? this.formatPercentage(card.yieldNeto) : 'N/D'}<br>
+                        TIR: ${card.tir !== null && card.tir !== undefined ? `${card.tir}%` : 'N/D'}
+                    </div>
+                </div>
+            `).join('');
+
+        return `
+            <h2 class="section-title">Impuestos</h2>
+            <p class="sensitivity-note">
+                ${perfil} | ${taxes.dfl2.aplica ? 'DFL2' : 'Sin DFL2'}: ${taxes.dfl2.motivoRenta}.
+                Las contribuciones del flujo estándar se reemplazan por el cálculo sobre avalúo fiscal con exenciones.
+            </p>
+            <div class="scenario-grid">
+                ${cards}
+                <div class="scenario-card">
+                    <div class="scenario-name">Impacto tributario</div>
+                    <div class="scenario-flow ${this.getFlowClass(-taxes.impactoAnual.mensual)}">${this.formatCurrency(taxes.impactoAnual.mensual)}</div>
+                    <div class="scenario-details">
+                        Contribuciones: ${this.formatCurrency(taxes.contribuciones.impuestoAnual)}/año${taxes.contribuciones.rebajaDFL2Anual > 0 ? ` (rebaja DFL2 ${taxes.dfl2.rebajaContribuciones.aniosRestantes} años)` : ''}<br>
+                        Renta: ${this.formatCurrency(taxes.impuestoRenta.impuestoAnual)}/año (tasa marginal ${taxes.impuestoRenta.tasaMarginalPct}%)
+                        ${taxes.iva?.aplica ? `<br>IVA incluido en el precio: ${this.formatCurrency(taxes.iva.ivaEfectivoEstimadoCLP)}` : ''}
+                    </div>
+                </div>
+            </div>
         `;
     }
 
@@ -232,8 +389,9 @@ class ReportTemplateBuilder {
     /**
      * ✅ CONSTRUIR SECCIÓN DE FUENTES DE DATOS
      */
-    static buildDataSourcesSection(analysisData) {
+    static buildDataSourcesSection(analysisData, options = {}) {
         const timestamp = new Date().toLocaleDateString('es-CL');
+        const uf = options.indicadores?.uf;
         
         return `
             <div class="sources-title">Fuentes de Datos</div>
@@ -242,13 +400,45 @@ class ReportTemplateBuilder {
                 • Sistemas bancarios (simulaciones de crédito)<br>
                 • Análisis de mercado comparativo<br>
                 • Inteligencia artificial Claude Sonnet 4
+                ${uf?.valor ? `<br>• Valor UF utilizado: ${this.formatCurrencyDecimals(uf.valor)} al ${new Date(uf.fecha).toLocaleDateString('es-CL', { timeZone: 'UTC' })} (${uf.fuente})` : ''}
             </div>
+            ${this.buildAssumptionsSources(analysisData?.data?.assumptions)}
             <div class="timestamp">
                 Reporte generado el ${timestamp} | NotBrokker Premium Report v4.0
             </div>
         `;
     }
 
+    /**
+     * Supuestos de gastos personalizados (API key o solicitud) usados en el cálculo
+     */
+    static buildAssumptionsSources(assumptions) {
+        if (!assumptions) return '';
+
+        const personalizados = Object.values(assumptions.personalizados || {});
+        if (personalizados.length === 0) {
+            return `
+            <div class="sources-list">
+                • Supuestos de gastos: valores estándar NotBrokker
+            </div>
+            `;
+        }
+
+        const fuentes = { api_key: 'configuración de la API key', solicitud: 'solicitud' };
+        const formatValue = valor => {
+            if (typeof valor === 'boolean') return valor ? 'Sí' : 'No';
+            if (valor === null) return 'cálculo estándar';
+            return valor.toLocaleString('es-CL');
+        };
+
+        return `
+            <div class="sources-list">
+                • Supuestos de gastos personalizados:<br>
+                ${personalizados.map(item => `&nbsp;&nbsp;– ${item.descripcion}: ${formatValue(item.valor)} (estándar ${formatValue(item.defecto)}; ${fuentes[item.fuente] || item.fuente})`).join('<br>')}
+            </div>
+        `;
+    }
+
     // ===========================================
     // ✅ MÉTODOS EXISTENTES (MANTENER COMO ESTÁN)
     // ===========================================
@@ -593,6 +783,26 @@ class ReportTemplateBuilder {
         return 'metric-neutral';
     }
 
+    /**
+     * Precio en pesos calculado desde UF cuando el reporte no trae precio completo
+     */
+    static buildPriceInPesos(property, uf) {
+        if (!uf?.valor || !property.precio_uf || String(property.precio_uf).includes('$')) return null;
+
+        const montoUF = parseFloat(String(property.precio_uf).replace(/[^\d,]/g, '').replace(',', '.'));
+        if (isNaN(montoUF) || montoUF <= 0) return null;
+
+        return this.formatCurrency(Math.round(montoUF * uf.valor));
+    }
+
+    static formatCurrencyDecimals(amount) {
+        return new Intl.NumberFormat('es-CL', {
+            style: 'currency',
+            currency: 'CLP',
+            minimumFractionDigits: 2
+        }).format(amount || 0);
+    }
+
     static formatCurrency(amount) {
         return new Intl.NumberFormat('es-CL', {
             style: 'currency',
@@ -0,0 +1,249 @@
+// src/services/portals/PortalAdapter.js
+const { logInfo, logError, logDebug } = require('../../utils/logger');
+const ScrapingService = require('../scraping/ScrapingService');
+
+const MAX_TARJETAS_PAGINA = 50;
+
+/**
+ * Interfaz base de un portal inmobiliario
+ *
+ * Cada portal es un módulo autocontenido en src/services/portals/adapters que extiende
+ * esta clase y se registra en PortalRegistry. Operaciones:
+ * - detect(url): ¿la URL pertenece al portal?
+ * - validatePage(page): ¿la página cargada es una ficha de propiedad?
+ * - extractListing(page): ficha normalizada (formato de ScrapingService)
+ * - buildSearchURL / openSearch: abrir resultados de búsqueda
+ * - extractResultCards(page, numeroPagina): tarjetas de resultados normalizadas
+ * - goToNextPage(page, numeroPaginaSiguiente): paginación
+ */
+class PortalAdapter {
+    constructor({
+        id,
+        nombre,
+        dominios = [],
+        urlBase = null,
+        ejemplo = null,
+        caracteristicas = [],
+        selectoresPagina = [],
+        selectoresTarjetas = null
+    }) {
+        this.id = id;
+        this.nombre = nombre;
+        this.dominios = dominios;
+        this.urlBase = urlBase;
+        this.ejemplo = ejemplo;
+        this.caracteristicas = caracteristicas;
+        this.selectoresPagina = selectoresPagina;
+        this.selectoresTarjetas = selectoresTarjetas;
+    }
+
+    /**
+     * El portal soporta búsqueda si implementa buildSearchURL u openSearch propio
+     */
+    get supportsSearch() {
+        return this.buildSearchURL !== PortalAdapter.prototype.buildSearchURL ||
+            this.openSearch !== PortalAdapter.prototype.openSearch;
+    }
+
+    /**
+     * Filtros aplicados en la interfaz del portal (si no, se filtran los resultados extraídos)
+     */
+    get supportsInPageFilters() {
+        return this.applyFilters !== PortalAdapter.prototype.applyFilters;
+    }
+
+    detect(url) {
+        try {
+            const hostname = new URL(url).hostname.toLowerCase();
+            return this.dominios.some(dominio => hostname === dominio || hostname.endsWith(`.${dominio}`));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async validatePage(page) {
+        return ScrapingService.validarPaginaPropiedad(page, this);
+    }
+
+    async extractListing(page) {
+        throw new Error(`El portal ${this.id} no implementa extractListing`);
+    }
+
+    // ===== BÚSQUEDA =====
+
+    buildSearchURL({ tipo, operacion, ubicacion }) {
+        throw new Error(`El portal ${this.id} no soporta búsqueda`);
+    }
+
+    async openSearch(page, parametros) {
+        const url = this.buildSearchURL(parametros);
+        logInfo(`🔗 Abriendo búsqueda en ${this.nombre}`, { url });
+
+        await page.goto(url, { timeout: 45000, waitUntil: 'domcontentloaded' });
+    }
+
+    /**
+     * Esperar tarjetas de resultados; retorna true si se detectaron
+     */
+    async waitForResults(page) {
+        for (const selector of this.selectoresTarjetas?.tarjeta || []) {
+            try {
+                await page.waitForSelector(selector, { timeout: 8000 });
+                return true;
+            } catch (error) {
+                logDebug(`Selector de resultados no encontrado en ${this.id}: ${selector}`);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Aplicar filtros en la interfaz del portal. Por defecto no aplica nada y
+     * SearchService filtra los resultados extraídos (validarResultadosContraFiltros)
+     */
+    async applyFilters(page, filtrosPrecio, filtrosAvanzados) {
+        return false;
+    }
+
+    async extractResultCards(page, numeroPagina) {
+        if (!this.selectoresTarjetas) {
+            throw new Error(`El portal ${this.id} no implementa extractResultCards`);
+        }
+        return this.extraerTarjetasConSelectores(page, numeroPagina);
+    }
+
+    /**
+     * URL de una página de resultados (los portales con paginación por URL lo implementan)
+     */
+    getPageURL(urlActual, numeroPagina) {
+        return null;
+    }
+
+    async goToNextPage(page, numeroPaginaSiguiente) {
+        const urlSiguiente = this.getPageURL(page.url(), numeroPaginaSiguiente);
+        if (!urlSiguiente || urlSiguiente === page.url()) {
+            return false;
+        }
+
+        try {
+            await page.goto(urlSiguiente, { timeout: 20000, waitUntil: 'domcontentloaded' });
+            return await this.waitForResults(page);
+        } catch (error) {
+            logError(`Error navegando a página ${numeroPaginaSiguiente} en ${this.nombre}`, { error: error.message });
+            return false;
+        }
+    }
+
+    // ===== UTILIDADES PARA ADAPTADORES =====
+
+    /**
+     * Extraer tarjetas de resultados con this.selectoresTarjetas y normalizarlas
+     * al formato de SearchService.extraerPropiedadIndividualMejorada
+     */
+    async extraerTarjetasConSelectores(page, numeroPagina) {
+        const tarjetas = await page.evaluate(({ sel, max }) => {
+            const limpiar = (texto) => (texto || '').replace(/\s+/g, ' ').trim();
+
+            let elementos = [];
+            for (const selector of sel.tarjeta) {
+                elementos = Array.from(document.querySelectorAll(selector));
+                if (elementos.length > 0) break;
+            }
+
+            return elementos.slice(0, max).map(tarjeta => {
+                const texto = (candidatos = []) => {
+                    for (const selector of candidatos) {
+                        const elemento = tarjeta.querySelector(selector);
+                        const contenido = elemento ? limpiar(elemento.textContent) : '';
+                        if (contenido) return contenido;
+                    }
+                    return null;
+                };
+                const textos = (candidatos = []) => candidatos
+                    .flatMap(selector => Array.from(tarjeta.querySelectorAll(selector)).map(e => limpiar(e.textContent)))
+                    .filter(Boolean);
+
+                const enlace = (sel.link || []).map(s => tarjeta.querySelector(s)).find(Boolean) ||
+                    (tarjeta.tagName === 'A' ? tarjeta : tarjeta.querySelector('a[href]'));
+                const imagen = tarjeta.querySelector('img');
+
+                return {
+                    titulo: texto(sel.titulo),
+                    precios: textos(sel.precio),
+                    ubicacion: texto(sel.ubicacion),
+                    atributos: textos(sel.atributos),
+                    link: enlace ? enlace.href : null,
+                    imagen: imagen ? (imagen.getAttribute('data-src') || imagen.getAttribute('src')) : null
+                };
+            });
+        }, { sel: this.selectoresTarjetas, max: MAX_TARJETAS_PAGINA });
+
+        const propiedades = tarjetas
+            .filter(tarjeta => tarjeta.titulo)
+            .map((tarjeta, indice) => this.normalizarTarjeta(tarjeta, indice + 1, numeroPagina));
+
+        logInfo(`✅ ${propiedades.length} propiedades extraídas de ${this.nombre} (página ${numeroPagina})`);
+        return propiedades;
+    }
+
+    normalizarTarjeta(tarjeta, posicion, pagina) {
+        const precios = ScrapingService.separarPreciosPortal(tarjeta.precios || []);
+        const caracteristicas = ScrapingService.parsearCaracteristicasPortal(tarjeta.atributos || []);
+        const enUF = precios.moneda === 'UF';
+
+        return {
+            titulo: tarjeta.titulo,
+            precio: precios.precio_principal,
+            precio_uf: enUF ? precios.precio_principal : 'No disponible',
+            precio_clp: enUF ? precios.precio_secundario : precios.precio_principal,
+            moneda: precios.moneda,
+            ubicacion: tarjeta.ubicacion || 'No disponible',
+            dormitorios: caracteristicas.dormitorios,
+            banos: caracteristicas.banos,
+            superficie: caracteristicas.superficie,
+            estacionamientos: caracteristicas.estacionamientos,
+            link: tarjeta.link || 'No disponible',
+            imagen: tarjeta.imagen && tarjeta.imagen.startsWith('http') ? tarjeta.imagen : 'No disponible',
+            posicion,
+            pagina,
+            metodo_extraccion: `adaptador_${this.id}`,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Normalizar texto para segmentos de URL ("Las Condes" → "las-condes")
+     */
+    static slugify(texto) {
+        return String(texto || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-');
+    }
+
+    /**
+     * Tipo de propiedad en singular ("Departamentos" → "departamento", "Locales" → "local")
+     */
+    static normalizarTipo(tipo) {
+        const slug = PortalAdapter.slugify(tipo);
+        return slug === 'locales' ? 'local' : slug.replace(/s$/, '');
+    }
+
+    getInfo() {
+        return {
+            id: this.id,
+            nombre: this.nombre,
+            dominio: this.dominios[0] || null,
+            ejemplo: this.ejemplo,
+            caracteristicas: this.caracteristicas,
+            busqueda: this.supportsSearch,
+            filtrosEnPortal: this.supportsInPageFilters
+        };
+    }
+}
+
+module.exports = PortalAdapter;
@@ -0,0 +1,127 @@
+// src/services/portals/PortalRegistry.js
+const { logInfo, logDebug } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+
+const PORTAL_POR_DEFECTO_BUSQUEDA = 'portal_inmobiliario';
+
+/**
+ * Registro de adaptadores de portales inmobiliarios
+ *
+ * Para agregar un portal: crear un adaptador en ./adapters (extiende PortalAdapter)
+ * y registrarlo en createDefaultRegistry.
+ */
+class PortalRegistry {
+    constructor() {
+        this.adapters = new Map();
+        this.fallback = null;
+    }
+
+    /**
+     * Registrar adaptador; `fallback` se usa cuando ninguna URL coincide
+     */
+    register(adapter, { fallback = false } = {}) {
+        if (!adapter || !adapter.id || typeof adapter.extractListing !== 'function' || typeof adapter.detect !== 'function') {
+            throw new Error('Adaptador de portal inválido: requiere id, detect() y extractListing()');
+        }
+
+        if (fallback) {
+            this.fallback = adapter;
+        } else {
+            this.adapters.set(adapter.id, adapter);
+        }
+
+        logDebug(`🧩 Portal registrado: ${adapter.id}`, { busqueda: adapter.supportsSearch, fallback });
+        return this;
+    }
+
+    get(id) {
+        if (this.fallback && id === this.fallback.id) {
+            return this.fallback;
+        }
+        return this.adapters.get(id) || null;
+    }
+
+    /**
+     * Obtener adaptador por id o lanzar error de validación (parámetro `portal`)
+     */
+    getOrFail(id) {
+        const adapter = this.adapters.get(id);
+        if (!adapter) {
+            throw ErrorFactory.validation(
+                `Portal no soportado: ${id}. Disponibles: ${this.ids().join(', ')}`,
+                'portal'
+            );
+        }
+        return adapter;
+    }
+
+    getSearchAdapter(id = PORTAL_POR_DEFECTO_BUSQUEDA) {
+        const adapter = this.getOrFail(id || PORTAL_POR_DEFECTO_BUSQUEDA);
+        if (!adapter.supportsSearch) {
+            throw ErrorFactory.validation(
+                `El portal ${id} no soporta búsqueda. Disponibles: ${this.listSearchable().map(a => a.id).join(', ')}`,
+                'portal'
+            );
+        }
+        return adapter;
+    }
+
+    /**
+     * Adaptador correspondiente a la URL (o el genérico si ninguno coincide)
+     */
+    detect(url) {
+        for (const adapter of this.adapters.values()) {
+            if (adapter.detect(url)) {
+                return adapter;
+            }
+        }
+        return this.fallback;
+    }
+
+    ids() {
+        return Array.from(this.adapters.keys());
+    }
+
+    list() {
+        return Array.from(this.adapters.values());
+    }
+
+    listSearchable() {
+        return this.list().filter(adapter => adapter.supportsSearch);
+    }
+}
+
+/**
+ * Registro con los portales incluidos
+ * (los adaptadores se cargan aquí y no al inicio del módulo porque dependen de
+ * ScrapingService/SearchService, que a su vez usan este registro)
+ */
+const createDefaultRegistry = () => {
+    const PortalInmobiliarioAdapter = require('./adapters/PortalInmobiliarioAdapter');
+    const MercadoLibreAdapter = require('./adapters/MercadoLibreAdapter');
+    const YapoAdapter = require('./adapters/YapoAdapter');
+    const TocTocAdapter = require('./adapters/TocTocAdapter');
+    const GenericAdapter = require('./adapters/GenericAdapter');
+
+    const registry = new PortalRegistry()
+        .register(new PortalInmobiliarioAdapter())
+        .register(new MercadoLibreAdapter())
+        .register(new YapoAdapter())
+        .register(new TocTocAdapter())
+        .register(new GenericAdapter(), { fallback: true });
+
+    logInfo('🧩 Registro de portales inicializado', { portales: registry.ids() });
+    return registry;
+};
+
+// Singleton instance
+let portalRegistryInstance = null;
+
+const getPortalRegistry = () => {
+    if (!portalRegistryInstance) {
+        portalRegistryInstance = createDefaultRegistry();
+    }
+    return portalRegistryInstance;
+};
+
+module.exports = { PortalRegistry, getPortalRegistry, PORTAL_POR_DEFECTO_BUSQUEDA };
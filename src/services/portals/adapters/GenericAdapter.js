@@ -0,0 +1,30 @@
+// src/services/portals/adapters/GenericAdapter.js
+const PortalAdapter = require('../PortalAdapter');
+const ScrapingService = require('../../scraping/ScrapingService');
+
+/**
+ * Portal desconocido: extracción mínima (título) para URLs sin adaptador propio
+ */
+class GenericAdapter extends PortalAdapter {
+    constructor() {
+        super({
+            id: 'desconocido',
+            nombre: 'Genérico',
+            selectoresPagina: [
+                'h1',
+                '[class*="price"]',
+                '[class*="property"]'
+            ]
+        });
+    }
+
+    detect(url) {
+        return false;
+    }
+
+    async extractListing(page) {
+        return ScrapingService.extraerGenerico(page);
+    }
+}
+
+module.exports = GenericAdapter;
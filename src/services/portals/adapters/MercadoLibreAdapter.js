@@ -0,0 +1,72 @@
+// src/services/portals/adapters/MercadoLibreAdapter.js
+const PortalAdapter = require('../PortalAdapter');
+const ScrapingService = require('../../scraping/ScrapingService');
+const SearchService = require('../../search/SearchService');
+
+const RESULTADOS_POR_PAGINA = 48;
+
+const TIPOS_URL = {
+    casa: 'casas',
+    departamento: 'departamentos',
+    oficina: 'oficinas',
+    parcela: 'parcelas',
+    local: 'locales',
+    terreno: 'terrenos',
+    bodega: 'bodegas'
+};
+
+/**
+ * MercadoLibre Inmuebles: comparte plataforma (y tarjetas) con Portal Inmobiliario,
+ * pero la búsqueda se abre directamente por URL
+ */
+class MercadoLibreAdapter extends PortalAdapter {
+    constructor() {
+        super({
+            id: 'mercadolibre',
+            nombre: 'MercadoLibre',
+            dominios: ['mercadolibre.cl'],
+            urlBase: 'https://inmuebles.mercadolibre.cl',
+            ejemplo: 'https://casa.mercadolibre.cl/MLC-1234567890-casa-en-las-condes-_JM',
+            caracteristicas: ['Precio UF/CLP', 'Características detalladas', 'Descripción completa'],
+            selectoresPagina: [
+                '.ui-pdp-title',
+                '.ui-pdp-price',
+                '.ui-pdp-description',
+                '.ui-vpp-highlighted-specs'
+            ]
+        });
+    }
+
+    async extractListing(page) {
+        return ScrapingService.extraerMercadoLibreCorregido(page);
+    }
+
+    buildSearchURL({ tipo, operacion, ubicacion }) {
+        const tipoURL = TIPOS_URL[PortalAdapter.normalizarTipo(tipo)] || 'casas';
+        const operacionURL = PortalAdapter.slugify(operacion) === 'arriendo' ? 'arriendo' : 'venta';
+
+        return `${this.urlBase}/${tipoURL}/${operacionURL}/${PortalAdapter.slugify(ubicacion)}/`;
+    }
+
+    async waitForResults(page) {
+        return SearchService.esperarCargaPaginaResultados(page);
+    }
+
+    async extractResultCards(page, numeroPagina) {
+        return SearchService.extraerPropiedadesPagina(page, numeroPagina);
+    }
+
+    /**
+     * Paginación por offset en la ruta: /_Desde_49 = página 2
+     */
+    getPageURL(urlActual, numeroPagina) {
+        const desde = (numeroPagina - 1) * RESULTADOS_POR_PAGINA + 1;
+        const [ruta, query] = urlActual.split('?');
+        const rutaBase = ruta.replace(/_Desde_\d+\/?$/, '').replace(/\/?$/, '/');
+        const rutaPagina = numeroPagina > 1 ? `${rutaBase}_Desde_${desde}` : rutaBase;
+
+        return query ? `${rutaPagina}?${query}` : rutaPagina;
+    }
+}
+
+module.exports = MercadoLibreAdapter;
@@ -0,0 +1,67 @@
+// src/services/portals/adapters/PortalInmobiliarioAdapter.js
+const PortalAdapter = require('../PortalAdapter');
+const ScrapingService = require('../../scraping/ScrapingService');
+const SearchService = require('../../search/SearchService');
+
+/**
+ * Portal Inmobiliario: ficha, búsqueda por formulario y filtros en la página de resultados
+ */
+class PortalInmobiliarioAdapter extends PortalAdapter {
+    constructor() {
+        super({
+            id: 'portal_inmobiliario',
+            nombre: 'Portal Inmobiliario',
+            dominios: ['portalinmobiliario.com'],
+            urlBase: 'https://www.portalinmobiliario.com',
+            ejemplo: 'https://www.portalinmobiliario.com/venta/casa/las-condes/1234567',
+            caracteristicas: ['Información básica', 'Listados y detalles', 'Búsqueda con filtros'],
+            selectoresPagina: [
+                '.property-title',
+                '.property-price',
+                '.property-features',
+                '.ui-search-item'
+            ]
+        });
+    }
+
+    async extractListing(page) {
+        return ScrapingService.extraerPortalInmobiliario(page);
+    }
+
+    buildSearchURL({ tipo, operacion, ubicacion }) {
+        return SearchService.construirURLBusqueda(tipo, operacion, ubicacion);
+    }
+
+    /**
+     * Flujo en 2 etapas: formulario de la portada (operación + tipo + ubicación) y luego resultados
+     */
+    async openSearch(page, { tipo, operacion, ubicacion }) {
+        await page.goto(this.urlBase, {
+            timeout: 45000,
+            waitUntil: 'domcontentloaded'
+        });
+
+        await SearchService.esperarCargaBusquedaInicial(page);
+        await SearchService.configurarBusquedaBasica(page, tipo, operacion, ubicacion);
+        await SearchService.ejecutarBusquedaInicial(page);
+    }
+
+    async waitForResults(page) {
+        return SearchService.esperarCargaPaginaResultados(page);
+    }
+
+    async applyFilters(page, filtrosPrecio, filtrosAvanzados) {
+        await SearchService.aplicarFiltrosEnResultados(page, filtrosPrecio, filtrosAvanzados);
+        return true;
+    }
+
+    async extractResultCards(page, numeroPagina) {
+        return SearchService.extraerPropiedadesPagina(page, numeroPagina);
+    }
+
+    async goToNextPage(page, numeroPaginaSiguiente) {
+        return SearchService.navegarSiguientePagina(page);
+    }
+}
+
+module.exports = PortalInmobiliarioAdapter;
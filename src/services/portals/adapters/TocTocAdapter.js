@@ -0,0 +1,52 @@
+// src/services/portals/adapters/TocTocAdapter.js
+const PortalAdapter = require('../PortalAdapter');
+const ScrapingService = require('../../scraping/ScrapingService');
+
+/**
+ * TocToc.com: portal de compraventa y arriendo con fichas técnicas
+ */
+class TocTocAdapter extends PortalAdapter {
+    constructor() {
+        super({
+            id: 'toctoc',
+            nombre: 'TocToc',
+            dominios: ['toctoc.com'],
+            urlBase: 'https://www.toctoc.com',
+            ejemplo: 'https://www.toctoc.com/propiedades/compraventa/casa/la-florida/casa-4d-3b/4567890',
+            caracteristicas: ['Precio UF/CLP', 'Características y superficie', 'Galería de imágenes'],
+            selectoresPagina: [
+                '.precio-uf',
+                '.info-precio',
+                '.caracteristicas-principales li',
+                'script[type="application/ld+json"]'
+            ],
+            selectoresTarjetas: {
+                tarjeta: ['.lista-resultados .card-propiedad', '.resultado-busqueda .card', '[data-testid="property-card"]'],
+                titulo: ['.card-titulo', '.titulo', 'h2', 'h3'],
+                precio: ['.card-precio .precio-uf', '.card-precio .precio-clp', '[class*="precio"]'],
+                ubicacion: ['.card-direccion', '.direccion', '[class*="direccion"]'],
+                atributos: ['.card-caracteristicas li', '.caracteristicas li'],
+                link: ['a.card-link', 'a[href*="/propiedades/"]']
+            }
+        });
+    }
+
+    async extractListing(page) {
+        return ScrapingService.extraerTocToc(page);
+    }
+
+    buildSearchURL({ tipo, operacion, ubicacion }) {
+        const tipoURL = PortalAdapter.normalizarTipo(tipo) || 'casa';
+        const operacionURL = PortalAdapter.slugify(operacion) === 'arriendo' ? 'arriendo' : 'compraventa';
+
+        return `${this.urlBase}/resultados/lista/${operacionURL}/${tipoURL}/${PortalAdapter.slugify(ubicacion)}`;
+    }
+
+    getPageURL(urlActual, numeroPagina) {
+        const url = new URL(urlActual);
+        url.searchParams.set('pagina', numeroPagina);
+        return url.toString();
+    }
+}
+
+module.exports = TocTocAdapter;
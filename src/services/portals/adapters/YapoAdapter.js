@@ -0,0 +1,62 @@
+// src/services/portals/adapters/YapoAdapter.js
+const PortalAdapter = require('../PortalAdapter');
+const ScrapingService = require('../../scraping/ScrapingService');
+
+const TIPOS_URL = {
+    casa: 'casas',
+    departamento: 'departamentos',
+    oficina: 'oficinas',
+    parcela: 'parcelas',
+    local: 'locales-comerciales',
+    terreno: 'terrenos',
+    bodega: 'bodegas'
+};
+
+/**
+ * Yapo.cl: avisos clasificados de bienes raíces
+ */
+class YapoAdapter extends PortalAdapter {
+    constructor() {
+        super({
+            id: 'yapo',
+            nombre: 'Yapo',
+            dominios: ['yapo.cl'],
+            urlBase: 'https://www.yapo.cl',
+            ejemplo: 'https://www.yapo.cl/bienes-raices-venta-de-propiedades-departamentos/departamento-nunoa/86123456',
+            caracteristicas: ['Precio UF/CLP', 'Características y superficie', 'Galería de imágenes'],
+            selectoresPagina: [
+                '.ad-detail__price',
+                '[data-testid="ad-price"]',
+                '.ad-detail__params li',
+                'script[type="application/ld+json"]'
+            ],
+            selectoresTarjetas: {
+                tarjeta: ['.d3-ad-tile', '[data-testid="ad-card"]', '.listing-card'],
+                titulo: ['.d3-ad-tile__title', '[data-testid="ad-card-title"]', 'h2', 'h3'],
+                precio: ['.d3-ad-tile__price', '[data-testid="ad-card-price"]', '[class*="price"]'],
+                ubicacion: ['.d3-ad-tile__location', '[data-testid="ad-card-location"]', '[class*="location"]'],
+                atributos: ['.d3-ad-tile__details li', '[data-testid="ad-card-params"] li', '[class*="detail"] span'],
+                link: ['a.d3-ad-tile__description', 'a[href*="/bienes-raices"]']
+            }
+        });
+    }
+
+    async extractListing(page) {
+        return ScrapingService.extraerYapo(page);
+    }
+
+    buildSearchURL({ tipo, operacion, ubicacion }) {
+        const tipoURL = TIPOS_URL[PortalAdapter.normalizarTipo(tipo)] || 'casas';
+        const operacionURL = PortalAdapter.slugify(operacion) === 'arriendo' ? 'arriendo' : 'venta';
+
+        return `${this.urlBase}/bienes-raices-${operacionURL}-de-propiedades-${tipoURL}/${PortalAdapter.slugify(ubicacion)}`;
+    }
+
+    getPageURL(urlActual, numeroPagina) {
+        const url = new URL(urlActual);
+        url.searchParams.set('pagina', numeroPagina);
+        return url.toString();
+    }
+}
+
+module.exports = YapoAdapter;
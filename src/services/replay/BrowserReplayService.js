@@ -0,0 +1,224 @@
+// src/services/replay/BrowserReplayService.js
+const path = require('path');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const { logInfo, logWarn, logDebug } = require('../../utils/logger');
+
+const MODOS = ['off', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../tests/fixtures/replay');
+
+/**
+ * Grabación y reproducción de sesiones Playwright (SCRAPER_REPLAY_MODE)
+ *
+ * - off: navegación real (por defecto)
+ * - record: se navega en vivo y se guarda un HAR por sesión (scraper + clave) y un
+ *   snapshot HTML por cada documento cargado
+ * - replay: sin red; las solicitudes se responden desde el HAR de la sesión o, si no
+ *   está, desde el snapshot HTML de la URL. Lo demás se aborta
+ *
+ * El mismo modo aplica a ClaudeApiHelper: record guarda la respuesta de Claude y replay
+ * la reutiliza sin llamar a la API (no requiere ANTHROPIC_API_KEY).
+ *
+ * Estructura de SCRAPER_FIXTURES_DIR (por defecto tests/fixtures/replay, el corpus versionado):
+ *   <scraper>/<clave>.har
+ *   html/<host-ruta>-<hash>.html
+ *   claude/<tipo-analisis>.json
+ *
+ * Para correr el reporte financiero completo sin red, combinar con INDICATORS_PROVIDER=file
+ * (npm run test:replay).
+ */
+class BrowserReplayService {
+
+    static getMode() {
+        const modo = (process.env.SCRAPER_REPLAY_MODE || 'off').toLowerCase();
+        if (!MODOS.includes(modo)) {
+            logWarn(`⚠️ SCRAPER_REPLAY_MODE inválido: ${modo}. Usando 'off'`, { validos: MODOS });
+            return 'off';
+        }
+        return modo;
+    }
+
+    static isEnabled() {
+        return this.getMode() !== 'off';
+    }
+
+    static getFixturesDir() {
+        return process.env.SCRAPER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    }
+
+    /**
+     * Configurar grabación/reproducción en un contexto recién creado (antes de abrir páginas)
+     * @param {BrowserContext} context
+     * @param {string} scraper - 'scraping' | 'search' | 'mortgage'
+     * @param {...any} partesClave - datos que identifican la sesión (URL, parámetros de búsqueda, etc.)
+     */
+    static async attach(context, scraper, ...partesClave) {
+        const modo = this.getMode();
+        if (modo === 'off') {
+            return { modo };
+        }
+
+        const harPath = this.getHarPath(scraper, partesClave);
+
+        if (modo === 'record') {
+            await fs.mkdir(path.dirname(harPath), { recursive: true });
+            await fs.mkdir(this.getHtmlDir(), { recursive: true });
+
+            // El HAR se escribe al cerrar el contexto
+            await context.routeFromHAR(harPath, { update: true, updateContent: 'embed', updateMode: 'minimal' });
+            context.on('response', (response) => this.saveHtmlSnapshot(response));
+
+            logInfo('🎬 Grabando sesión de navegador', { scraper, har: path.relative(this.getFixturesDir(), harPath) });
+            return { modo, harPath };
+        }
+
+        // Replay: snapshots HTML como respaldo; el HAR (registrado después) tiene prioridad
+        await context.route('**/*', (route) => this.fulfillFromSnapshot(route));
+
+        const harDisponible = fsSync.existsSync(harPath);
+        if (harDisponible) {
+            await context.routeFromHAR(harPath, { notFound: 'fallback' });
+        } else {
+            logWarn('⚠️ Sesión sin HAR grabado, solo se usarán snapshots HTML', { scraper, har: harPath });
+        }
+
+        logInfo('📼 Reproduciendo sesión de navegador', { scraper, harDisponible });
+        return { modo, harPath, harDisponible };
+    }
+
+    /**
+     * Guardar el HTML de cada documento cargado (grabación)
+     */
+    static async saveHtmlSnapshot(response) {
+        try {
+            if (response.request().resourceType() !== 'document' || response.status() !== 200) {
+                return;
+            }
+
+            const url = response.url();
+            const html = await response.text();
+            await fs.writeFile(this.getSnapshotPath(url), html, 'utf8');
+
+            logDebug('💾 Snapshot HTML guardado', { url });
+        } catch (error) {
+            // Respuestas de páginas ya cerradas no tienen cuerpo; el HAR sigue siendo válido
+            logDebug('No se pudo guardar snapshot HTML', { error: error.message });
+        }
+    }
+
+    /**
+     * Responder documentos desde snapshots HTML; abortar lo que no esté grabado
+     */
+    static async fulfillFromSnapshot(route) {
+        const request = route.request();
+
+        if (request.resourceType() === 'document') {
+            const snapshotPath = this.getSnapshotPath(request.url());
+            try {
+                const body = await fs.readFile(snapshotPath, 'utf8');
+                return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body });
+            } catch (error) {
+                logWarn('⚠️ URL sin grabación en modo replay', { url: request.url() });
+            }
+        }
+
+        return route.abort('internetdisconnected');
+    }
+
+    /**
+     * Respuesta de Claude grabada para un tipo de análisis (replay); null si no hay grabación
+     */
+    static async loadClaudeResponse(analysisType) {
+        const archivo = this.getClaudePath(analysisType);
+
+        try {
+            const grabacion = JSON.parse(await fs.readFile(archivo, 'utf8'));
+            logInfo('📼 Reproduciendo respuesta de Claude', { analysisType });
+            return { content: grabacion.content, usage: grabacion.usage || null };
+        } catch (error) {
+            logWarn('⚠️ Análisis sin respuesta de Claude grabada en modo replay', { analysisType, archivo });
+            return null;
+        }
+    }
+
+    /**
+     * Guardar la respuesta cruda de Claude (record)
+     */
+    static async saveClaudeResponse(analysisType, { content, usage }) {
+        const archivo = this.getClaudePath(analysisType);
+
+        try {
+            await fs.mkdir(path.dirname(archivo), { recursive: true });
+            await fs.writeFile(archivo, JSON.stringify({ analysisType, content, usage: usage || null }, null, 2), 'utf8');
+            logInfo('🎬 Respuesta de Claude grabada', { analysisType });
+        } catch (error) {
+            logWarn('⚠️ No se pudo grabar la respuesta de Claude', { error: error.message });
+        }
+    }
+
+    static getClaudePath(analysisType) {
+        return path.join(this.getFixturesDir(), 'claude', `${this.slug(analysisType)}.json`);
+    }
+
+    static getHarPath(scraper, partesClave = []) {
+        return path.join(this.getFixturesDir(), scraper, `${this.buildKey(partesClave)}.har`);
+    }
+
+    static getHtmlDir() {
+        return path.join(this.getFixturesDir(), 'html');
+    }
+
+    /**
+     * Archivo de snapshot para una URL (legible + hash para evitar colisiones)
+     */
+    static getSnapshotPath(url) {
+        const sinFragmento = String(url).split('#')[0];
+        let legible = sinFragmento;
+
+        try {
+            const parsed = new URL(sinFragmento);
+            legible = `${parsed.hostname}${parsed.pathname}`;
+        } catch (error) {
+            // URL no estándar: usar el texto completo
+        }
+
+        return path.join(this.getHtmlDir(), `${this.slug(legible)}-${this.hash(sinFragmento)}.html`);
+    }
+
+    /**
+     * Clave estable de sesión a partir de sus parámetros
+     */
+    static buildKey(partes = []) {
+        const texto = partes
+            .filter(parte => parte !== null && parte !== undefined)
+            .map(parte => typeof parte === 'object' ? JSON.stringify(parte) : String(parte))
+            .join('|');
+
+        return `${this.slug(texto)}-${this.hash(texto)}`;
+    }
+
+    static slug(texto) {
+        return String(texto)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/^https?:\/\//, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+    }
+
+    static hash(texto) {
+        return crypto.createHash('sha1').update(String(texto)).digest('hex').substring(0, 10);
+    }
+
+    static getInfo() {
+        return {
+            modo: this.getMode(),
+            directorio: this.getFixturesDir()
+        };
+    }
+}
+
+module.exports = BrowserReplayService;
@@ -2,6 +2,41 @@
 const { chromium } = require('playwright');
 const { logInfo, logError, logDebug } = require('../../utils/logger');
 const { ErrorFactory } = require('../../utils/errors');
+const { normalizeCoordinates, coordinatesFromMapUrl } = require('../../utils/geo');
+const IndicatorsService = require('../indicators/IndicatorsService');
+const { getPortalRegistry } = require('../portals/PortalRegistry');
+const BrowserReplayService = require('../replay/BrowserReplayService');
+const ListingModel = require('../listings/ListingModel');
+const ListingHistoryService = require('../listings/ListingHistoryService');
+const MarketStatsService = require('../market/MarketStatsService');
+const GeocodingService = require('../geo/GeocodingService');
+
+/**
+ * Selectores por portal para los extractores basados en snapshot (Yapo, TocToc)
+ * Cada campo es una lista de candidatos en orden de prioridad
+ */
+const SELECTORES_PORTALES = {
+    yapo: {
+        titulo: ['.ad-detail__title', '[data-testid="ad-title"]', 'h1'],
+        precio: ['.ad-detail__price .price--main', '.ad-detail__price', '[data-testid="ad-price"]', '[class*="price"]'],
+        precioSecundario: ['.ad-detail__price .price--secondary', '[data-testid="ad-price-secondary"]'],
+        ubicacion: ['.ad-detail__location', '[data-testid="ad-location"]', '[class*="location"]'],
+        descripcion: ['.ad-detail__description', '[data-testid="ad-description"]', '[class*="description"]'],
+        caracteristicas: ['.ad-detail__params li', '[data-testid="ad-params"] li', '.details-table tr'],
+        imagenes: ['.ad-gallery img', '[data-testid="ad-gallery"] img', 'img[src*="yapo"]']
+    },
+    toctoc: {
+        titulo: ['.info-propiedad h1', '.titulo-propiedad', 'h1'],
+        precio: ['.precio-uf', '.info-precio .precio-principal', '[class*="precio"]'],
+        precioSecundario: ['.precio-clp', '.info-precio .precio-secundario'],
+        ubicacion: ['.direccion-propiedad', '.info-propiedad .direccion', '[class*="direccion"]'],
+        descripcion: ['.descripcion-propiedad', '#descripcion', '[class*="descripcion"]'],
+        caracteristicas: ['.caracteristicas-principales li', '.ficha-tecnica li', '.ficha-tecnica tr'],
+        imagenes: ['.galeria-propiedad img', '.swiper-slide img', 'img[src*="toctoc"]']
+    }
+};
+
+const MAX_IMAGENES_PORTAL = 10;
 
 /**
  * Servicio real de scraping de propiedades con validaciones robustas
@@ -10,15 +45,21 @@ class ScrapingService {
 
     /**
      * Scraping principal de una propiedad
+     * @param {string} url
+     * @param {{portal?: string, formato?: string}} opciones - portal: forzar adaptador (por defecto se detecta desde la URL);
+     *   formato: 'canonico' (ListingModel, por defecto) o 'legacy' (textos del extractor)
      */
-    static async scrapeProperty(url) {
+    static async scrapeProperty(url, { portal = null, formato = null } = {}) {
+        const formatoSalida = ListingModel.normalizeFormat(formato);
+
         // 1. VALIDACIÓN INICIAL DE URL
         const validacionUrl = this.validarURL(url);
         if (!validacionUrl.valida) {
             throw ErrorFactory.invalidUrl(url + ' - ' + validacionUrl.razon);
         }
 
-        const tipoPortal = this.detectarPortal(url);
+        const adaptador = this.obtenerAdaptador(url, portal);
+        const tipoPortal = adaptador.id;
         logInfo(`🚀 Iniciando scraping de ${tipoPortal} para URL: ${url}`);
 
         const browser = await chromium.launch({
@@ -42,6 +83,7 @@ class ScrapingService {
                     'Accept-Language': 'es-CL,es;q=0.9,en;q=0.8'
                 }
             });
+            await BrowserReplayService.attach(context, 'scraping', tipoPortal, url);
 
             page = await context.newPage();
 
@@ -62,25 +104,13 @@ class ScrapingService {
             await this.esperarCargaConRetry(page);
 
             // 5. VALIDAR QUE ES UNA PÁGINA DE PROPIEDAD
-            const validacionPropiedad = await this.validarPaginaPropiedad(page, tipoPortal);
+            const validacionPropiedad = await adaptador.validatePage(page);
             if (!validacionPropiedad.valida) {
                 throw ErrorFactory.scrapingFailed(url, new Error(validacionPropiedad.razon));
             }
 
-            // 6. EXTRAER DATOS SEGÚN EL PORTAL
-            let resultado;
-
-            switch (tipoPortal) {
-                case 'portal_inmobiliario':
-                    resultado = await this.extraerPortalInmobiliario(page);
-                    break;
-                case 'mercadolibre':
-                    resultado = await this.extraerMercadoLibreCorregido(page);
-                    break;
-                default:
-                    logInfo('⚠️ Usando extractor genérico para portal desconocido');
-                    resultado = await this.extraerGenerico(page);
-            }
+            // 6. EXTRAER DATOS CON EL ADAPTADOR DEL PORTAL
+            let resultado = await adaptador.extractListing(page);
 
             // 7. VALIDAR QUE SE EXTRAJERON DATOS MÍNIMOS
             const validacionDatos = this.validarDatosExtraidos(resultado);
@@ -88,10 +118,24 @@ class ScrapingService {
                 throw ErrorFactory.scrapingFailed(url, new Error(validacionDatos.razon));
             }
 
-            logInfo('🎉 Scraping completado exitosamente');
+            // 8. COMPLETAR PRECIO FALTANTE (UF ↔ CLP) CON LA UF DEL DÍA
+            resultado = await this.completarPreciosConUF(resultado);
+
+            // 9. PUBLICACIÓN NORMALIZADA (valores numéricos, textos originales en raw) Y UBICADA
+            // (coordenadas del portal o gazetteer de comunas y sectores)
+            const normalizada = ListingModel.fromExtraction(resultado, {
+                portal: tipoPortal,
+                valorUF: resultado.conversion_uf?.valorUF ?? null
+            });
+            const publicacion = { ...normalizada, geo: GeocodingService.geocodeListing(normalizada) };
+
+            // 10. HISTORIAL DE PRECIOS Y ESTADÍSTICAS DE MERCADO
+            this.registrarAvistamiento(publicacion);
+
+            logInfo('🎉 Scraping completado exitosamente', { id: publicacion.id });
             return {
                 success: true,
-                data: resultado,
+                data: ListingModel.format(publicacion, formatoSalida),
                 portal: tipoPortal,
                 timestamp: new Date().toISOString()
             };
@@ -116,28 +160,66 @@ class ScrapingService {
         }
     }
 
+    /**
+     * Registrar la publicación en el historial de precios y en las estadísticas de mercado
+     * (las sesiones reproducidas no son observaciones nuevas)
+     */
+    static registrarAvistamiento(publicacion) {
+        if (BrowserReplayService.getMode() === 'replay') {
+            return;
+        }
+        ListingHistoryService.recordListingsSafely([publicacion], { fuente: 'scraping' });
+        MarketStatsService.recordListingsSafely([publicacion]);
+    }
+
+    /**
+     * Registrar una respuesta de scraping servida desde cache: la publicación sigue vigente
+     * aunque no se haya visitado el portal. Las respuestas en formato legacy se vuelven a normalizar.
+     */
+    static registrarResultadoEnCache(resultado) {
+        const datos = resultado?.data;
+        if (!datos?.id) {
+            return;
+        }
+
+        const publicacion = datos.raw
+            ? datos
+            : ListingModel.fromExtraction(datos, { portal: resultado.portal, valorUF: datos.conversion_uf?.valorUF ?? null });
+        this.registrarAvistamiento(publicacion);
+    }
+
     /**
      * Detectar el tipo de portal basado en la URL
      */
     static detectarPortal(url) {
         logDebug(`Detectando tipo de portal para URL: ${url}`);
 
-        if (url.includes('portalinmobiliario.com')) {
-            logInfo('Portal detectado: Portal Inmobiliario');
-            return 'portal_inmobiliario';
-        } else if (url.includes('mercadolibre.cl') || url.includes('casa.mercadolibre.cl')) {
-            logInfo('Portal detectado: MercadoLibre');
-            return 'mercadolibre';
-        } else if (url.includes('yapo.cl')) {
-            logInfo('Portal detectado: Yapo');
-            return 'yapo';
-        } else if (url.includes('toctoc.com')) {
-            logInfo('Portal detectado: TocToc');
-            return 'toctoc';
+        const adaptador = getPortalRegistry().detect(url);
+
+        if (adaptador.id === 'desconocido') {
+            logInfo('Portal no reconocido, usando extractor genérico');
+        } else {
+            logInfo(`Portal detectado: ${adaptador.nombre}`);
+        }
+
+        return adaptador.id;
+    }
+
+    /**
+     * Adaptador a usar: el solicitado explícitamente o el detectado desde la URL
+     */
+    static obtenerAdaptador(url, portal = null) {
+        const registry = getPortalRegistry();
+
+        if (!portal) {
+            return registry.get(this.detectarPortal(url));
         }
 
-        logInfo('Portal no reconocido, usando extractor genérico');
-        return 'desconocido';
+        const adaptador = registry.getOrFail(portal);
+        if (!adaptador.detect(url)) {
+            logInfo(`⚠️ URL no corresponde al dominio de ${adaptador.nombre}, usando el portal solicitado`, { url, portal });
+        }
+        return adaptador;
     }
 
     // ===== FUNCIONES DE VALIDACIÓN =====
@@ -276,32 +358,16 @@ class ScrapingService {
     /**
      * Validar que es realmente una página de propiedad
      */
-    static async validarPaginaPropiedad(page, tipoPortal) {
+    static async validarPaginaPropiedad(page, adaptador) {
         try {
-            logInfo(`🏠 Validando que es una página de propiedad (${tipoPortal})`);
-
-            // Detectores específicos por portal
-            const detectores = {
-                'mercadolibre': [
-                    '.ui-pdp-title',
-                    '.ui-pdp-price',
-                    '.ui-pdp-description',
-                    '.ui-vpp-highlighted-specs'
-                ],
-                'portal_inmobiliario': [
-                    '.property-title',
-                    '.property-price',
-                    '.property-features',
-                    '.ui-search-item'
-                ],
-                'desconocido': [
-                    'h1',
-                    '[class*="price"]',
-                    '[class*="property"]'
-                ]
-            };
+            const portal = typeof adaptador === 'string' ? getPortalRegistry().get(adaptador) : adaptador;
+            logInfo(`🏠 Validando que es una página de propiedad (${portal?.id || adaptador})`);
+
+            // Detectores específicos del portal (definidos en su adaptador)
+            const selectoresParaValidar = portal?.selectoresPagina?.length
+                ? portal.selectoresPagina
+                : getPortalRegistry().fallback.selectoresPagina;
 
-            const selectoresParaValidar = detectores[tipoPortal] || detectores['desconocido'];
             let elementosEncontrados = 0;
 
             // Buscar elementos que indiquen que es una página de propiedad
@@ -413,6 +479,72 @@ class ScrapingService {
         }
     }
 
+    /**
+     * Completar precio_uf o precio_clp cuando el portal solo publica uno de los dos
+     */
+    static async completarPreciosConUF(datos) {
+        const disponible = (valor) => valor && valor !== 'No disponible';
+        const tieneUF = disponible(datos.precio_uf) && datos.precio_uf.toUpperCase().includes('UF');
+        const tieneCLP = disponible(datos.precio_clp);
+
+        if ((tieneUF && tieneCLP) || (!tieneUF && !disponible(datos.precio_uf))) {
+            return datos;
+        }
+
+        try {
+            const indicadorUF = await IndicatorsService.getUFSafely();
+            const conversion = {
+                valorUF: indicadorUF.valor,
+                fechaUF: indicadorUF.fecha,
+                fuente: indicadorUF.fuente
+            };
+
+            if (tieneUF && !tieneCLP) {
+                const montoUF = this.parsearMontoChileno(datos.precio_uf);
+                if (montoUF) {
+                    const montoCLP = IndicatorsService.ufToCLP(montoUF, indicadorUF.valor);
+                    logInfo('💱 Precio CLP calculado desde UF', { montoUF, montoCLP, valorUF: indicadorUF.valor });
+                    return {
+                        ...datos,
+                        precio_clp: `$ ${montoCLP.toLocaleString('es-CL')}`,
+                        conversion_uf: { ...conversion, campoCalculado: 'precio_clp' }
+                    };
+                }
+            }
+
+            // Precio principal publicado en pesos: calcular equivalente en UF
+            if (!tieneUF && !tieneCLP) {
+                const montoCLP = this.parsearMontoChileno(datos.precio_uf);
+                if (montoCLP) {
+                    const montoUF = IndicatorsService.clpToUF(montoCLP, indicadorUF.valor);
+                    logInfo('💱 Precio UF calculado desde CLP', { montoCLP, montoUF, valorUF: indicadorUF.valor });
+                    return {
+                        ...datos,
+                        precio_uf: `UF ${montoUF.toLocaleString('es-CL')}`,
+                        precio_clp: datos.precio_uf,
+                        conversion_uf: { ...conversion, campoCalculado: 'precio_uf' }
+                    };
+                }
+            }
+        } catch (error) {
+            logError(`Error completando precios con UF: ${error.message}`);
+        }
+
+        return datos;
+    }
+
+    /**
+     * Parsear monto en formato chileno ("UF 9.200", "$ 350.000.000", "UF 3.450,5")
+     */
+    static parsearMontoChileno(texto) {
+        if (!texto || typeof texto !== 'string') return null;
+
+        const limpio = texto.replace(/[^\d.,]/g, '').replace(/\./g, '').replace(',', '.');
+        const valor = parseFloat(limpio);
+
+        return isNaN(valor) || valor <= 0 ? null : valor;
+    }
+
     /**
      * Clasificar error para respuesta más específica
      */
@@ -650,6 +782,9 @@ class ScrapingService {
             // 7. Extraer imagen principal
             const imagen = await this.extraerImagenPrincipal(page);
 
+            // 8. Extraer coordenadas del mapa de la ficha
+            const coordenadas = this.coordenadasDesdeMapa(await this.obtenerDatosMapa(page));
+
             // Construir resultado completo
             const resultado = {
                 titulo,
@@ -672,7 +807,8 @@ class ScrapingService {
                 },
                 caracteristicas_completas: caracteristicas.caracteristicas_completas,
                 link: page.url(),
-                imagen
+                imagen,
+                coordenadas
             };
 
             logInfo('✅ Extracción MercadoLibre completada');
@@ -1231,6 +1367,7 @@ class ScrapingService {
      */
     static async extraerDetallePropiedadPI(page) {
         const titulo = await this.extraerTextoSeguro(page, 'h1', 'título detalle');
+        const coordenadas = this.coordenadasDesdeMapa(await this.obtenerDatosMapa(page));
 
         const resultado = {
             titulo,
@@ -1241,13 +1378,370 @@ class ScrapingService {
             banos: 'No disponible',
             superficie: 'No disponible',
             link: page.url(),
-            imagen: 'No disponible'
+            imagen: 'No disponible',
+            coordenadas
         };
 
         logInfo('✅ Extracción de detalle PI completada');
         return resultado;
     }
 
+    /**
+     * Extractor para Yapo
+     */
+    static async extraerYapo(page) {
+        logInfo('🟡 Iniciando extracción de Yapo...');
+        return this.extraerPortalDesdeSnapshot(page, 'yapo');
+    }
+
+    /**
+     * Extractor para TocToc
+     */
+    static async extraerTocToc(page) {
+        logInfo('🟢 Iniciando extracción de TocToc...');
+        return this.extraerPortalDesdeSnapshot(page, 'toctoc');
+    }
+
+    /**
+     * Extraer snapshot de la página (DOM + JSON-LD) y normalizarlo al formato de MercadoLibre
+     */
+    static async extraerPortalDesdeSnapshot(page, tipoPortal) {
+        try {
+            await this.esperarCargaConRetry(page);
+
+            const snapshot = await this.obtenerSnapshotPortal(page, SELECTORES_PORTALES[tipoPortal]);
+            snapshot.mapa = await this.obtenerDatosMapa(page);
+            const resultado = this.normalizarDatosPortal(snapshot, page.url());
+
+            logInfo(`✅ Extracción ${tipoPortal} completada`, {
+                precio: resultado.precio_uf,
+                caracteristicas: Object.keys(resultado.caracteristicas_completas).length,
+                imagenes: resultado.imagenes.length,
+                jsonLd: snapshot.jsonLd.length > 0
+            });
+            return resultado;
+
+        } catch (error) {
+            logError(`Error en extracción de ${tipoPortal}: ${error.message}`);
+            return await this.extraerGenerico(page);
+        }
+    }
+
+    /**
+     * Leer en el navegador las fuentes de coordenadas: metadatos geo, JSON-LD y mapas estáticos o embebidos
+     */
+    static async obtenerDatosMapa(page) {
+        try {
+            return await page.evaluate(() => {
+                const meta = (nombres) => {
+                    for (const nombre of nombres) {
+                        const elemento = document.querySelector(`meta[property="${nombre}"], meta[name="${nombre}"]`);
+                        if (elemento?.getAttribute('content')) return elemento.getAttribute('content');
+                    }
+                    return null;
+                };
+
+                const geoLd = [];
+                document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                    try {
+                        const data = JSON.parse(script.textContent);
+                        const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+                        items.forEach(item => {
+                            const geo = item?.geo || item?.itemOffered?.geo || item?.address?.geo;
+                            if (geo) geoLd.push(geo);
+                        });
+                    } catch (error) {
+                        // JSON-LD mal formado: ignorar bloque
+                    }
+                });
+
+                return {
+                    meta: {
+                        lat: meta(['place:location:latitude', 'og:latitude', 'geo.position:latitude']),
+                        lng: meta(['place:location:longitude', 'og:longitude', 'geo.position:longitude'])
+                    },
+                    geoLd,
+                    mapas: Array.from(document.querySelectorAll('img[src*="staticmap"], img[src*="maps.google"], iframe[src*="maps"]'))
+                        .map(elemento => elemento.getAttribute('src'))
+                        .filter(Boolean)
+                };
+            });
+        } catch (error) {
+            logDebug('No se pudieron leer datos de mapa', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Coordenadas desde los datos de mapa (función pura): JSON-LD, metadatos y por último la URL del mapa
+     * @returns {Object|null} { lat, lng }
+     */
+    static coordenadasDesdeMapa(datos) {
+        if (!datos) {
+            return null;
+        }
+
+        for (const candidato of [...(datos.geoLd || []), datos.meta]) {
+            const coordenadas = normalizeCoordinates(candidato);
+            if (coordenadas) return coordenadas;
+        }
+
+        for (const url of datos.mapas || []) {
+            const coordenadas = coordinatesFromMapUrl(url);
+            if (coordenadas) return coordenadas;
+        }
+
+        return null;
+    }
+
+    /**
+     * Leer en el navegador los textos candidatos, imágenes y bloques JSON-LD
+     */
+    static async obtenerSnapshotPortal(page, selectores) {
+        return page.evaluate((sel) => {
+            const limpiar = (texto) => (texto || '').replace(/\s+/g, ' ').trim();
+
+            const primerTexto = (candidatos = []) => {
+                for (const selector of candidatos) {
+                    const elemento = document.querySelector(selector);
+                    const texto = elemento ? limpiar(elemento.textContent) : '';
+                    if (texto) return texto;
+                }
+                return null;
+            };
+
+            // Las características suelen repartirse en varios bloques: unir todos los candidatos
+            const textos = (candidatos = []) => {
+                const lista = candidatos.flatMap(selector => Array.from(document.querySelectorAll(selector))
+                    .map(elemento => limpiar(elemento.textContent))
+                    .filter(Boolean));
+                return [...new Set(lista)];
+            };
+
+            const imagenes = [];
+            for (const selector of sel.imagenes || []) {
+                document.querySelectorAll(selector).forEach(img => {
+                    const srcset = img.getAttribute('srcset');
+                    const src = srcset
+                        ? srcset.split(',').map(url => url.trim().split(' ')[0]).pop()
+                        : (img.getAttribute('data-src') || img.getAttribute('src'));
+                    if (src) imagenes.push(src);
+                });
+                if (imagenes.length > 0) break;
+            }
+
+            const jsonLd = [];
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                try {
+                    const data = JSON.parse(script.textContent);
+                    const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+                    jsonLd.push(...items);
+                } catch (error) {
+                    // JSON-LD mal formado: ignorar bloque
+                }
+            });
+
+            return {
+                titulo: primerTexto(sel.titulo),
+                precio: primerTexto(sel.precio),
+                precioSecundario: primerTexto(sel.precioSecundario),
+                ubicacion: primerTexto(sel.ubicacion),
+                descripcion: primerTexto(sel.descripcion),
+                caracteristicas: textos(sel.caracteristicas),
+                imagenes,
+                jsonLd,
+                tituloPagina: document.title
+            };
+        }, selectores);
+    }
+
+    /**
+     * Normalizar snapshot de Yapo/TocToc al formato de extraerMercadoLibreCorregido
+     * (función pura: se puede probar con el snapshot de las fixtures sin navegador)
+     */
+    static normalizarDatosPortal(snapshot, url) {
+        const disponible = (valor) => valor !== null && valor !== undefined && String(valor).trim().length > 0;
+        const ld = (snapshot.jsonLd || []).find(item => item && (item.offers || item.floorSize || item.numberOfRooms)) || {};
+        const ldItem = ld.itemOffered || ld;
+        const oferta = Array.isArray(ld.offers) ? ld.offers[0] : ld.offers;
+
+        // Precios: DOM primero, luego la oferta del JSON-LD
+        const textosPrecio = [snapshot.precio, snapshot.precioSecundario].filter(disponible);
+        if (oferta?.price) {
+            const monedaLd = String(oferta.priceCurrency || '').toUpperCase();
+            const montoLd = Number(oferta.price).toLocaleString('es-CL');
+            textosPrecio.push(`${monedaLd === 'CLF' || monedaLd === 'UF' ? 'UF' : '$'} ${montoLd}`);
+        }
+        const precios = this.separarPreciosPortal(textosPrecio);
+
+        // Características: lista del DOM + campos estructurados
+        const caracteristicas = this.parsearCaracteristicasPortal(snapshot.caracteristicas || [], snapshot.descripcion);
+        const desdeLd = {
+            dormitorios: ldItem.numberOfBedrooms || ldItem.numberOfRooms,
+            banos: ldItem.numberOfBathroomsTotal || ldItem.numberOfFullBathrooms,
+            superficie: ldItem.floorSize?.value
+        };
+
+        const direccion = ldItem.address || ld.address;
+        const ubicacionLd = direccion && typeof direccion === 'object'
+            ? [direccion.streetAddress, direccion.addressLocality, direccion.addressRegion].filter(disponible).join(', ')
+            : direccion;
+
+        const imagenesLd = [].concat(ld.image || ldItem.image || []).map(img => (typeof img === 'object' ? img.url : img));
+        const imagenes = [...new Set([...(snapshot.imagenes || []), ...imagenesLd])]
+            .filter(img => typeof img === 'string' && img.startsWith('http') && !img.includes('placeholder'))
+            .slice(0, MAX_IMAGENES_PORTAL);
+
+        const descripcion = snapshot.descripcion || ld.description || 'No disponible';
+
+        return {
+            titulo: snapshot.titulo || ld.name || snapshot.tituloPagina || 'No disponible',
+            precio_uf: precios.precio_principal,
+            precio_clp: precios.precio_secundario,
+            moneda: precios.moneda,
+            ubicacion: snapshot.ubicacion || ubicacionLd || 'No disponible',
+            dormitorios: caracteristicas.dormitorios !== 'No disponible' || !desdeLd.dormitorios
+                ? caracteristicas.dormitorios
+                : `${desdeLd.dormitorios} dormitorios`,
+            banos: caracteristicas.banos !== 'No disponible' || !desdeLd.banos
+                ? caracteristicas.banos
+                : `${desdeLd.banos} baños`,
+            superficie: caracteristicas.superficie !== 'No disponible' || !desdeLd.superficie
+                ? caracteristicas.superficie
+                : `${desdeLd.superficie} m²`,
+            descripcion: descripcion.replace(/\s+/g, ' ').trim(),
+            caracteristicas: {
+                pisos: caracteristicas.completas['pisos'] || caracteristicas.completas['cantidad de pisos'] || 'No disponible',
+                jardin: caracteristicas.completas['jardín'] || caracteristicas.completas['jardin'] || 'No disponible',
+                quincho: caracteristicas.completas['quincho'] || 'No disponible',
+                piscina: caracteristicas.completas['piscina'] || 'No disponible',
+                estacionamientos: caracteristicas.estacionamientos,
+                antiguedad: caracteristicas.completas['antigüedad'] || caracteristicas.completas['antiguedad'] || 'No disponible',
+                condominio_cerrado: caracteristicas.completas['condominio cerrado'] || 'No disponible'
+            },
+            caracteristicas_completas: caracteristicas.completas,
+            link: url,
+            imagen: imagenes[0] || 'No disponible',
+            imagenes,
+            coordenadas: this.coordenadasDesdeMapa({
+                ...snapshot.mapa,
+                geoLd: [ldItem.geo, ld.geo, ...(snapshot.mapa?.geoLd || [])].filter(Boolean)
+            })
+        };
+    }
+
+    /**
+     * Clasificar textos de precio en principal (UF si existe) y secundario (CLP)
+     * Mismo criterio que MercadoLibre: precio_uf guarda el precio principal aunque esté en pesos
+     */
+    static separarPreciosPortal(textos) {
+        let precioUF = null;
+        let precioCLP = null;
+
+        for (const texto of textos) {
+            const monto = (texto.match(/\d[\d.,]*/) || [])[0];
+            if (!monto) continue;
+
+            if (/\bUF\b|CLF/i.test(texto)) {
+                precioUF = precioUF || `UF ${monto}`;
+            } else if (texto.includes('$') || /CLP|pesos/i.test(texto)) {
+                precioCLP = precioCLP || `$ ${monto}`;
+            }
+        }
+
+        if (precioUF) {
+            return { precio_principal: precioUF, precio_secundario: precioCLP || 'No disponible', moneda: 'UF' };
+        }
+
+        return { precio_principal: precioCLP || 'No disponible', precio_secundario: 'No disponible', moneda: '$' };
+    }
+
+    /**
+     * Interpretar lista de características ("3 dormitorios", "Baños: 2", "Superficie útil 85 m²")
+     */
+    static parsearCaracteristicasPortal(items, descripcion = '') {
+        const completas = {};
+        let dormitorios = 'No disponible';
+        let banos = 'No disponible';
+        let superficie = 'No disponible';
+        let estacionamientos = 'No disponible';
+        let superficieTotal = null;
+
+        for (const item of items) {
+            const texto = item.replace(/\s+/g, ' ').trim();
+            const textoLower = texto.toLowerCase();
+            const separador = texto.match(/^([^:]+):\s*(.+)$/);
+            const cantidadPrimero = texto.match(/^(\d+(?:[.,]\d+)?)\s+(.+)$/);
+
+            if (separador) {
+                completas[separador[1].trim().toLowerCase()] = separador[2].trim();
+            } else if (cantidadPrimero) {
+                // Formato "4 Dormitorios" / "120 m² construidos"
+                completas[cantidadPrimero[2].toLowerCase()] = cantidadPrimero[1];
+            } else {
+                completas[textoLower] = 'Sí';
+            }
+
+            const numero = (textoLower.match(/(\d+(?:[.,]\d+)?)/) || [])[1];
+            if (!numero) continue;
+
+            if (/dormitorio|habitaci/.test(textoLower) && dormitorios === 'No disponible') {
+                dormitorios = `${numero} dormitorios`;
+            } else if (/baño/.test(textoLower) && banos === 'No disponible') {
+                banos = `${numero} baños`;
+            } else if (/estacionamiento/.test(textoLower) && estacionamientos === 'No disponible') {
+                estacionamientos = numero;
+            } else if (/m²|m2|metros/.test(textoLower)) {
+                if (/útil|util|construid/.test(textoLower) && superficie === 'No disponible') {
+                    superficie = `${numero} m² útiles`;
+                } else if (/total|terreno/.test(textoLower) && !superficieTotal) {
+                    superficieTotal = `${numero} m² totales`;
+                }
+            }
+        }
+
+        if (superficie === 'No disponible' && superficieTotal) {
+            superficie = superficieTotal;
+        }
+
+        // Último recurso: la descripción (mismo criterio que extraerDatosBasicos)
+        const textoDescripcion = (descripcion || '').toLowerCase();
+        if (dormitorios === 'No disponible') {
+            const match = textoDescripcion.match(/(\d+)\s*dormitorio/);
+            if (match) dormitorios = `${match[1]} dormitorios`;
+        }
+        if (banos === 'No disponible') {
+            const match = textoDescripcion.match(/(\d+)\s*baño/);
+            if (match) banos = `${match[1]} baños`;
+        }
+
+        return { dormitorios, banos, superficie, estacionamientos, completas };
+    }
+
+    /**
+     * Extraer una propiedad desde HTML guardado (fixtures), sin acceder a la red
+     */
+    static async extraerDesdeHTML(html, url, portal = null) {
+        const adaptador = this.obtenerAdaptador(url, portal);
+        const browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
+
+        try {
+            const page = await browser.newPage();
+
+            // Servir el HTML en la URL original (page.url() = link) y bloquear el resto de recursos
+            await page.route('**/*', (route) => (
+                route.request().resourceType() === 'document'
+                    ? route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html })
+                    : route.abort()
+            ));
+            await page.goto(url, { waitUntil: 'domcontentloaded' });
+
+            return await adaptador.extractListing(page);
+        } finally {
+            await browser.close();
+        }
+    }
+
     /**
      * Extractor genérico
      */
@@ -0,0 +1,233 @@
+// src/services/search/ComparableDeduplicator.js
+const { logInfo, logDebug } = require('../../utils/logger');
+
+/**
+ * Pesos de cada señal en la similitud entre dos publicaciones
+ */
+const PESOS_SIMILITUD = {
+    direccion: 0.35,
+    superficie: 0.25,
+    precio: 0.25,
+    imagen: 0.15
+};
+
+const UMBRAL_DUPLICADO = 0.7;
+const TOLERANCIA_SUPERFICIE = 0.03; // 3%
+const TOLERANCIA_PRECIO = 0.02; // 2%
+const SIMILITUD_DIRECCION_MINIMA = 0.5; // dirección que acompaña a la misma imagen para confirmar duplicado
+
+// Imágenes genéricas de los portales (sin foto, logos, cargando): nunca identifican una propiedad
+const PATRON_IMAGEN_GENERICA = /(placeholder|no[-_]?(image|imagen|foto|photo)|sin[-_]?(imagen|foto)|default|logo|blank|spinner|loading)/i;
+
+// Palabras sin valor para comparar direcciones
+const PALABRAS_IGNORADAS = new Set([
+    'de', 'del', 'la', 'las', 'el', 'los', 'y', 'en', 'chile', 'region', 'metropolitana', 'rm',
+    'calle', 'avenida', 'av', 'pasaje', 'psje', 'depto', 'departamento', 'casa', 'venta', 'arriendo'
+]);
+
+/**
+ * De-duplicación de comparables publicados en varios portales
+ *
+ * Trabaja sobre publicaciones normalizadas (ListingModel). Dos publicaciones se consideran
+ * la misma propiedad si comparten id (código MLC) o link, si comparten imagen principal y además
+ * dirección, superficie o precio, o si dirección, superficie y precio son suficientemente similares.
+ */
+class ComparableDeduplicator {
+
+    /**
+     * Agrupar duplicados y conservar la publicación más completa de cada grupo
+     * @returns {{ propiedades: Array, duplicadosEliminados: number, grupos: Array }}
+     */
+    static deduplicate(propiedades = []) {
+        const grupos = [];
+
+        for (const propiedad of propiedades) {
+            const huella = this.buildFingerprint(propiedad);
+            const grupo = grupos.find(g => this.isSameListing(g.huella, huella));
+
+            if (grupo) {
+                grupo.miembros.push(propiedad);
+                // La huella del grupo pasa a ser la de la publicación más completa
+                if (this.completeness(propiedad) > this.completeness(grupo.principal)) {
+                    grupo.principal = propiedad;
+                    grupo.huella = huella;
+                }
+            } else {
+                grupos.push({ principal: propiedad, huella, miembros: [propiedad] });
+            }
+        }
+
+        const unicas = grupos.map(grupo => ({
+            ...grupo.principal,
+            fuentes: grupo.miembros.map(miembro => ({
+                portal: miembro.portal || 'desconocido',
+                link: miembro.link
+            })),
+            duplicados: grupo.miembros.length - 1
+        }));
+
+        const duplicadosEliminados = propiedades.length - unicas.length;
+
+        logInfo('🧬 De-duplicación de comparables completada', {
+            entrada: propiedades.length,
+            unicas: unicas.length,
+            duplicadosEliminados
+        });
+
+        return {
+            propiedades: unicas,
+            duplicadosEliminados,
+            grupos: grupos
+                .filter(grupo => grupo.miembros.length > 1)
+                .map(grupo => ({
+                    titulo: grupo.principal.titulo,
+                    portales: grupo.miembros.map(miembro => miembro.portal || 'desconocido')
+                }))
+        };
+    }
+
+    /**
+     * Valores normalizados usados para comparar publicaciones
+     */
+    static buildFingerprint(propiedad) {
+        return {
+            id: propiedad.id || null,
+            link: (propiedad.link || '').split('?')[0].split('#')[0],
+            direccion: this.addressTokens(propiedad.ubicacion),
+            superficie: propiedad.superficie?.utilM2 ?? propiedad.superficie?.totalM2 ?? null,
+            precio: this.comparablePrice(propiedad),
+            imagen: this.imageKey(propiedad.imagen)
+        };
+    }
+
+    static isSameListing(a, b) {
+        // Portal Inmobiliario y MercadoLibre comparten el código MLC de la publicación
+        if (a.id && a.id === b.id) {
+            return true;
+        }
+
+        if (a.link && a.link === b.link) {
+            return true;
+        }
+
+        const { score, señales } = this.similarity(a, b);
+        logDebug('Similitud entre comparables', { score, señales });
+
+        return score >= UMBRAL_DUPLICADO;
+    }
+
+    /**
+     * Similitud ponderada entre huellas (0-1)
+     * La misma imagen principal basta si otra señal coincide (fotos de stock o repetidas por un corredor
+     * en varias propiedades no alcanzan por sí solas)
+     */
+    static similarity(a, b) {
+        const señales = {
+            direccion: this.jaccard(a.direccion, b.direccion),
+            superficie: this.withinTolerance(a.superficie, b.superficie, TOLERANCIA_SUPERFICIE),
+            precio: this.samePrice(a.precio, b.precio),
+            imagen: a.imagen && b.imagen && a.imagen === b.imagen ? 1 : 0
+        };
+
+        const otraSeñal = señales.direccion >= SIMILITUD_DIRECCION_MINIMA || señales.superficie === 1 || señales.precio === 1;
+        if (señales.imagen === 1 && otraSeñal) {
+            return { score: 1, señales };
+        }
+
+        const score = Object.entries(PESOS_SIMILITUD)
+            .reduce((total, [señal, peso]) => total + peso * señales[señal], 0);
+
+        return { score: Math.round(score * 100) / 100, señales };
+    }
+
+    static addressTokens(ubicacion) {
+        if (!ubicacion) {
+            return [];
+        }
+
+        return ubicacion
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !PALABRAS_IGNORADAS.has(token));
+    }
+
+    static jaccard(a, b) {
+        if (a.length === 0 || b.length === 0) {
+            return 0;
+        }
+
+        const setA = new Set(a);
+        const setB = new Set(b);
+        const interseccion = [...setA].filter(token => setB.has(token)).length;
+
+        return interseccion / new Set([...setA, ...setB]).size;
+    }
+
+    /**
+     * Precio comparable: { moneda: 'UF' | 'CLP', valor }. UF primero (ambos portales la completan con la UF del día)
+     */
+    static comparablePrice(propiedad) {
+        if (propiedad.precio?.uf > 0) {
+            return { moneda: 'UF', valor: propiedad.precio.uf };
+        }
+        if (propiedad.precio?.clp > 0) {
+            return { moneda: 'CLP', valor: propiedad.precio.clp };
+        }
+        return null;
+    }
+
+    static samePrice(a, b) {
+        if (!a || !b || a.moneda !== b.moneda) {
+            return 0;
+        }
+        return this.withinTolerance(a.valor, b.valor, TOLERANCIA_PRECIO);
+    }
+
+    static withinTolerance(a, b, tolerancia) {
+        if (!a || !b) {
+            return 0;
+        }
+        return Math.abs(a - b) / Math.max(a, b) <= tolerancia ? 1 : 0;
+    }
+
+    /**
+     * Clave de imagen: nombre de archivo sin tamaño/formato
+     * (mismas fotos re-publicadas por un corredor suelen conservar el nombre)
+     */
+    static imageKey(imagen) {
+        if (!imagen || PATRON_IMAGEN_GENERICA.test(imagen)) {
+            return null;
+        }
+
+        try {
+            const archivo = new URL(imagen).pathname.split('/').pop().toLowerCase();
+            const clave = archivo
+                .replace(/\.(jpe?g|png|webp|gif|avif)$/, '')
+                .replace(/[-_](small|medium|large|thumb|[a-z]|\d{2,4}x\d{2,4})$/, '');
+
+            return clave.length >= 6 ? clave : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Cantidad de campos útiles, para elegir la publicación principal de un grupo
+     */
+    static completeness(propiedad) {
+        return [
+            propiedad.precio?.uf,
+            propiedad.precio?.clp,
+            propiedad.ubicacion,
+            propiedad.dormitorios,
+            propiedad.banos,
+            propiedad.superficie?.utilM2 ?? propiedad.superficie?.totalM2,
+            propiedad.imagen,
+            propiedad.link
+        ].filter(valor => valor !== null && valor !== undefined).length;
+    }
+}
+
+module.exports = ComparableDeduplicator;
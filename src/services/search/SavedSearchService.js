@@ -0,0 +1,722 @@
+// src/services/search/SavedSearchService.js
+const crypto = require('crypto');
+const { logInfo, logError, logWarn, logDebug } = require('../../utils/logger');
+const { ErrorFactory, AppError } = require('../../utils/errors');
+const { parseCron, nextCronRun, minCronInterval } = require('../../utils/cron');
+const { assertPublicUrl, requestPinned } = require('../../utils/network');
+const { getSavedSearchStore } = require('./SavedSearchStore');
+const SearchService = require('./SearchService');
+const ListingModel = require('../listings/ListingModel');
+const GeocodingService = require('../geo/GeocodingService');
+
+const WEBHOOK_EVENT = 'saved_search.changes';
+
+/**
+ * Búsquedas guardadas por API key con re-ejecución programada (cron) y alertas de cambios
+ *
+ * Cada ejecución compara los resultados con la foto anterior por id de publicación y registra
+ * publicaciones nuevas, eliminadas y cambios de precio. La primera ejecución (o la primera tras
+ * cambiar los parámetros) solo fija la línea base. Si hay cambios y la búsqueda tiene webhook,
+ * se envían por POST (firmados con HMAC-SHA256 si se configuró un secreto).
+ * Una ejecución fallida o incompleta (sin resultados, o con el recorrido de páginas interrumpido) se
+ * registra sin comparar ni reemplazar la foto, para no reportar como eliminadas publicaciones vigentes.
+ */
+class SavedSearchService {
+
+    static schedulerTimer = null;
+    static ticking = false;
+
+    static getMaxPerOwner() {
+        return parseInt(process.env.SAVED_SEARCHES_MAX_PER_KEY) || 20;
+    }
+
+    static getMinIntervalMinutes() {
+        return parseInt(process.env.SAVED_SEARCHES_MIN_INTERVAL_MINUTES) || 15;
+    }
+
+    static getLockTtl() {
+        return parseInt(process.env.SAVED_SEARCHES_LOCK_TTL_MS) || 15 * 60 * 1000;
+    }
+
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Crear búsqueda guardada
+     * @param {string} owner - id de la API key
+     * @param {Object} data - { nombre, parametros, cron, webhook, activa }; parametros ya validados por el controlador
+     */
+    static async createSearch(owner, data) {
+        const store = getSavedSearchStore();
+        const existentes = await store.listByOwner(owner);
+
+        if (existentes.length >= this.getMaxPerOwner()) {
+            const error = new AppError(`Máximo ${this.getMaxPerOwner()} búsquedas guardadas por API key`, 409);
+            error.code = 'SAVED_SEARCH_LIMIT';
+            throw error;
+        }
+
+        const cron = this.normalizeCron(data.cron);
+        const now = new Date().toISOString();
+        const search = {
+            id: `ss_${crypto.randomUUID()}`,
+            owner,
+            nombre: this.normalizeName(data.nombre, data.parametros),
+            parametros: data.parametros,
+            cron,
+            webhook: await this.normalizeWebhook(data.webhook),
+            activa: data.activa !== undefined ? this.normalizeActive(data.activa) : true,
+            proximaEjecucion: null,
+            ultimaEjecucion: null,
+            ejecuciones: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        search.proximaEjecucion = this.computeNextRun(search);
+
+        await store.saveSearch(search);
+
+        logInfo('🔖 Búsqueda guardada creada', {
+            id: search.id,
+            owner,
+            cron,
+            proximaEjecucion: search.proximaEjecucion,
+            webhook: !!search.webhook
+        });
+
+        return search;
+    }
+
+    static async listSearches(owner) {
+        const searches = await getSavedSearchStore().listByOwner(owner);
+        return searches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Búsqueda guardada de la API key (404 si no existe o es de otra key)
+     */
+    static async getSearch(id, owner) {
+        const search = await getSavedSearchStore().getSearch(id);
+        if (!search || search.owner !== owner) {
+            throw new AppError(`Búsqueda guardada no encontrada: ${id}`, 404);
+        }
+        return search;
+    }
+
+    /**
+     * Actualizar búsqueda guardada; solo cambian los campos enviados
+     * Si cambian los parámetros, la próxima ejecución fija una nueva línea base.
+     */
+    static async updateSearch(id, owner, data) {
+        const search = await this.getSearch(id, owner);
+
+        if (data.parametros !== undefined) {
+            search.parametros = data.parametros;
+        }
+        if (data.nombre !== undefined) {
+            search.nombre = this.normalizeName(data.nombre, search.parametros);
+        }
+        if (data.cron !== undefined) {
+            search.cron = this.normalizeCron(data.cron);
+        }
+        if (data.webhook !== undefined) {
+            search.webhook = await this.normalizeWebhook(data.webhook, search.webhook);
+        }
+        if (data.activa !== undefined) {
+            search.activa = this.normalizeActive(data.activa);
+        }
+
+        search.proximaEjecucion = this.computeNextRun(search);
+        search.updatedAt = new Date().toISOString();
+
+        await getSavedSearchStore().saveSearch(search);
+
+        logInfo('🔖 Búsqueda guardada actualizada', { id, owner, campos: Object.keys(data) });
+
+        return search;
+    }
+
+    static async deleteSearch(id, owner) {
+        const search = await this.getSearch(id, owner);
+        await getSavedSearchStore().deleteSearch(search);
+
+        logInfo('🗑️ Búsqueda guardada eliminada', { id, owner });
+    }
+
+    /**
+     * Cambios registrados (más recientes primero)
+     * @param {Object} opciones - { limit (1-200), desde (fecha ISO) }
+     */
+    static async getChanges(id, owner, { limit = 50, desde = null } = {}) {
+        const search = await this.getSearch(id, owner);
+
+        const limite = parseInt(limit);
+        if (isNaN(limite) || limite < 1 || limite > 200) {
+            throw ErrorFactory.validation('limit debe ser un número entre 1 y 200', 'limit');
+        }
+
+        let cambios = await getSavedSearchStore().listChanges(id, limite);
+
+        if (desde) {
+            const fechaDesde = new Date(desde);
+            if (isNaN(fechaDesde.getTime())) {
+                throw ErrorFactory.validation('desde debe ser una fecha ISO válida (ej: 2025-01-31)', 'desde');
+            }
+            cambios = cambios.filter(cambio => new Date(cambio.ejecutadaEn) >= fechaDesde);
+        }
+
+        return { search, cambios };
+    }
+
+    // ==========================================
+    // EJECUCIÓN Y COMPARACIÓN
+    // ==========================================
+
+    /**
+     * Ejecutar una búsqueda guardada y registrar los cambios respecto a la ejecución anterior
+     * @param {string} id
+     * @param {Object} opciones - { origen: 'manual' | 'programada' }
+     * @returns {Object} registro de cambios
+     */
+    static async runSearch(id, { origen = 'manual' } = {}) {
+        const store = getSavedSearchStore();
+        const search = await store.getSearch(id);
+
+        if (!search) {
+            throw new AppError(`Búsqueda guardada no encontrada: ${id}`, 404);
+        }
+
+        if (!await store.acquireLock(id, this.getLockTtl())) {
+            const error = new AppError('La búsqueda guardada ya se está ejecutando', 409);
+            error.code = 'SAVED_SEARCH_RUNNING';
+            throw error;
+        }
+
+        const startTime = Date.now();
+        logInfo('🔁 Ejecutando búsqueda guardada', { id, origen, ubicacion: search.parametros.ubicacion });
+
+        try {
+            let resultado;
+            try {
+                resultado = await this.executeSearch(search.parametros);
+            } catch (error) {
+                await this.recordRun(id, {
+                    fecha: new Date().toISOString(),
+                    origen,
+                    estado: 'error',
+                    error: error.message,
+                    duracionMs: Date.now() - startTime
+                });
+                throw error;
+            }
+
+            const evaluacion = this.assessRun(resultado);
+            if (evaluacion.estado !== 'ok') {
+                return await this.recordUnusableRun(id, { origen, resultado, evaluacion, startTime });
+            }
+
+            const firma = this.buildParamsSignature(search.parametros);
+            const anterior = await store.getSnapshot(id);
+            const actual = this.buildSnapshot(resultado.data, firma);
+            const lineaBase = !anterior || anterior.firma !== firma;
+            const diff = lineaBase
+                ? { nuevas: [], eliminadas: [], cambiosPrecio: [] }
+                : this.diffSnapshots(anterior.publicaciones, actual.publicaciones);
+
+            const changeSet = {
+                id: `chg_${crypto.randomUUID()}`,
+                searchId: id,
+                ejecutadaEn: actual.ejecutadaEn,
+                origen,
+                estado: 'ok',
+                lineaBase,
+                totalResultados: Object.keys(actual.publicaciones).length,
+                resumen: {
+                    nuevas: diff.nuevas.length,
+                    eliminadas: diff.eliminadas.length,
+                    cambiosPrecio: diff.cambiosPrecio.length,
+                    bajasPrecio: diff.cambiosPrecio.filter(cambio => cambio.tipo === 'baja').length
+                },
+                ...diff,
+                webhook: null
+            };
+
+            const hayCambios = changeSet.resumen.nuevas + changeSet.resumen.eliminadas + changeSet.resumen.cambiosPrecio > 0;
+            if (search.webhook && hayCambios) {
+                changeSet.webhook = await this.deliverWebhook(search, changeSet);
+            }
+
+            const registrada = await this.recordRun(id, {
+                fecha: changeSet.ejecutadaEn,
+                origen,
+                estado: 'ok',
+                resultados: changeSet.totalResultados,
+                cambios: changeSet.resumen,
+                duracionMs: Date.now() - startTime
+            });
+
+            // No dejar foto ni cambios huérfanos si la búsqueda se eliminó durante la ejecución
+            if (registrada) {
+                await store.saveSnapshot(id, actual);
+                await store.addChangeSet(id, changeSet);
+            }
+
+            logInfo('✅ Búsqueda guardada ejecutada', {
+                id,
+                origen,
+                lineaBase,
+                resultados: changeSet.totalResultados,
+                ...changeSet.resumen,
+                webhook: changeSet.webhook?.estado,
+                duration: `${Date.now() - startTime}ms`
+            });
+
+            return changeSet;
+
+        } finally {
+            await store.releaseLock(id).catch(error =>
+                logWarn('⚠️ No se pudo liberar bloqueo de búsqueda guardada', { id, error: error.message })
+            );
+        }
+    }
+
+    /**
+     * Estado de una ejecución según la metadata de SearchService
+     * - error: la página de resultados no cargó o no se extrajo ninguna publicación
+     * - incompleta: el recorrido de páginas se interrumpió (errores de extracción, navegador cerrado,
+     *   páginas vacías). Terminar antes de maxPaginas porque no hay página siguiente es una ejecución completa
+     * @returns {{ estado: 'ok' | 'error' | 'incompleta', motivo: string|null }}
+     */
+    static assessRun(resultado) {
+        const estado = resultado?.metadata?.estado || {};
+        const paginasProcesadas = resultado?.metadata?.resultados?.paginasProcesadas;
+        const motivosFin = {
+            navegador_cerrado: 'cierre del navegador',
+            paginas_vacias: 'demasiadas páginas sin resultados',
+            errores_extraccion: 'errores al extraer páginas'
+        };
+
+        if (estado.cargaResultadosExitosa === false) {
+            return { estado: 'error', motivo: 'La página de resultados del portal no cargó' };
+        }
+        if (estado.extraccionCompleta === false) {
+            return { estado: 'error', motivo: 'No se extrajeron publicaciones de los resultados' };
+        }
+        if (estado.paginacionCompleta === false) {
+            const causa = motivosFin[estado.finPaginacion] || 'errores al extraer páginas';
+            return {
+                estado: 'incompleta',
+                motivo: `Recorrido de páginas incompleto por ${causa} (${paginasProcesadas ?? 0} páginas procesadas)`
+            };
+        }
+
+        return { estado: 'ok', motivo: null };
+    }
+
+    /**
+     * Registrar una ejecución fallida o incompleta sin comparar: la foto anterior se conserva
+     * y la próxima ejecución completa compara contra ella
+     */
+    static async recordUnusableRun(id, { origen, resultado, evaluacion, startTime }) {
+        const fecha = new Date().toISOString();
+        const totalResultados = resultado?.data?.length || 0;
+
+        await this.recordRun(id, {
+            fecha,
+            origen,
+            estado: evaluacion.estado,
+            error: evaluacion.motivo,
+            resultados: totalResultados,
+            duracionMs: Date.now() - startTime
+        });
+
+        logWarn('⚠️ Búsqueda guardada sin comparar: ejecución no utilizable', {
+            id,
+            origen,
+            estado: evaluacion.estado,
+            motivo: evaluacion.motivo,
+            resultados: totalResultados
+        });
+
+        return {
+            searchId: id,
+            ejecutadaEn: fecha,
+            origen,
+            estado: evaluacion.estado,
+            motivo: evaluacion.motivo,
+            lineaBase: false,
+            totalResultados,
+            resumen: { nuevas: 0, eliminadas: 0, cambiosPrecio: 0, bajasPrecio: 0 },
+            nuevas: [],
+            eliminadas: [],
+            cambiosPrecio: [],
+            webhook: null
+        };
+    }
+
+    /**
+     * Registrar el resultado de una ejecución sobre la versión vigente de la búsqueda
+     * (pudo actualizarse o eliminarse mientras corría). Devuelve false si ya no existe
+     */
+    static async recordRun(id, ultimaEjecucion) {
+        const store = getSavedSearchStore();
+        const search = await store.getSearch(id);
+
+        if (!search) {
+            logWarn('⚠️ Búsqueda guardada eliminada durante su ejecución', { id });
+            return false;
+        }
+
+        if (ultimaEjecucion.estado === 'ok') {
+            search.ejecuciones = (search.ejecuciones || 0) + 1;
+        }
+        search.ultimaEjecucion = ultimaEjecucion;
+        search.proximaEjecucion = this.computeNextRun(search);
+        search.updatedAt = new Date().toISOString();
+        await store.saveSearch(search);
+
+        return true;
+    }
+
+    /**
+     * Ejecutar la búsqueda con los mismos filtros que POST /api/search/properties (formato canónico)
+     */
+    static async executeSearch(parametros) {
+        const { tipo, operacion, ubicacion, portal, maxPaginas, precioMinimo, precioMaximo, moneda, filtros, centro, radio, poligono } = parametros;
+
+        const filtrosPrecio = (precioMinimo !== undefined || precioMaximo !== undefined) ? {
+            precioMinimo,
+            precioMaximo,
+            moneda: moneda || 'CLP'
+        } : null;
+
+        return SearchService.searchProperties(
+            tipo,
+            operacion,
+            ubicacion,
+            maxPaginas,
+            filtrosPrecio,
+            filtros && Object.keys(filtros).length > 0 ? filtros : null,
+            portal,
+            { formato: 'canonico', geo: GeocodingService.normalizeGeoOptions({ centro, radio, poligono }, { ubicacion }) }
+        );
+    }
+
+    /**
+     * Foto de resultados indexada por id de publicación (publicaciones en formato canónico)
+     */
+    static buildSnapshot(publicaciones = [], firma = null) {
+        const porId = {};
+
+        for (const publicacion of publicaciones) {
+            if (!publicacion.id || porId[publicacion.id]) {
+                continue;
+            }
+            porId[publicacion.id] = {
+                titulo: publicacion.titulo,
+                link: publicacion.link,
+                ubicacion: publicacion.ubicacion,
+                portal: publicacion.portal,
+                precio: {
+                    uf: publicacion.precio?.uf ?? null,
+                    clp: publicacion.precio?.clp ?? null,
+                    moneda: publicacion.precio?.moneda ?? null
+                }
+            };
+        }
+
+        return {
+            ejecutadaEn: new Date().toISOString(),
+            firma,
+            publicaciones: porId
+        };
+    }
+
+    /**
+     * Comparar dos fotos: publicaciones nuevas, eliminadas y cambios de precio
+     */
+    static diffSnapshots(anteriores = {}, actuales = {}) {
+        const nuevas = [];
+        const eliminadas = [];
+        const cambiosPrecio = [];
+
+        for (const [id, actual] of Object.entries(actuales)) {
+            const anterior = anteriores[id];
+            if (!anterior) {
+                nuevas.push({ id, ...actual });
+                continue;
+            }
+
+            const cambio = ListingModel.comparePrice(anterior.precio, actual.precio);
+            if (cambio) {
+                cambiosPrecio.push({ id, titulo: actual.titulo, link: actual.link, ...cambio });
+            }
+        }
+
+        for (const [id, anterior] of Object.entries(anteriores)) {
+            if (!actuales[id]) {
+                eliminadas.push({ id, ...anterior });
+            }
+        }
+
+        return { nuevas, eliminadas, cambiosPrecio };
+    }
+
+    static buildParamsSignature(parametros) {
+        return crypto.createHash('sha1').update(JSON.stringify(parametros)).digest('hex').substring(0, 16);
+    }
+
+    // ==========================================
+    // WEBHOOK
+    // ==========================================
+
+    /**
+     * Enviar cambios al webhook con reintentos (errores de red, 429 y 5xx)
+     * El host se vuelve a resolver y validar antes de cada intento (pudo cambiar de IP desde que se guardó),
+     * la conexión usa las direcciones validadas y no se siguen redirecciones
+     * @returns {Object} { estado: 'entregado' | 'fallido', intentos, codigo, error, fecha }
+     */
+    static async deliverWebhook(search, changeSet) {
+        const maxIntentos = Math.max(1, parseInt(process.env.SAVED_SEARCHES_WEBHOOK_RETRIES) || 3);
+        const timeout = parseInt(process.env.SAVED_SEARCHES_WEBHOOK_TIMEOUT_MS) || 10000;
+        const backoff = parseInt(process.env.SAVED_SEARCHES_WEBHOOK_BACKOFF_MS) || 1000;
+
+        const { webhook: _omit, ...cambios } = changeSet;
+        const body = JSON.stringify({
+            evento: WEBHOOK_EVENT,
+            busqueda: {
+                id: search.id,
+                nombre: search.nombre,
+                parametros: search.parametros
+            },
+            cambios,
+            enlaces: {
+                cambios: `/api/search/saved/${search.id}/changes`
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'notbrokker-property-api',
+            'X-NotBrokker-Event': WEBHOOK_EVENT,
+            'X-NotBrokker-Delivery': changeSet.id
+        };
+        if (search.webhook.secret) {
+            headers['X-NotBrokker-Signature'] = `sha256=${crypto.createHmac('sha256', search.webhook.secret).update(body).digest('hex')}`;
+        }
+
+        let ultimo = { codigo: null, error: null };
+
+        for (let intento = 1; intento <= maxIntentos; intento++) {
+            let direcciones;
+            try {
+                direcciones = await assertPublicUrl(search.webhook.url, 'webhook.url');
+            } catch (error) {
+                logError('❌ Webhook de búsqueda guardada rechazado', { id: search.id, url: search.webhook.url, error: error.message });
+                return { estado: 'fallido', intentos: intento - 1, codigo: null, error: error.message, fecha: new Date().toISOString() };
+            }
+
+            try {
+                const response = await requestPinned(search.webhook.url, direcciones, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    timeout
+                });
+
+                ultimo = { codigo: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+
+                if (response.ok) {
+                    return { estado: 'entregado', intentos: intento, ...ultimo, fecha: new Date().toISOString() };
+                }
+                if (response.status !== 429 && response.status < 500) {
+                    break;
+                }
+            } catch (error) {
+                ultimo = { codigo: null, error: error.message };
+            }
+
+            logWarn('⚠️ Reintentando webhook de búsqueda guardada', { id: search.id, intento, ...ultimo });
+
+            if (intento < maxIntentos) {
+                await new Promise(resolve => setTimeout(resolve, backoff * 2 ** (intento - 1)));
+            }
+        }
+
+        logError('❌ Webhook de búsqueda guardada fallido', { id: search.id, url: search.webhook.url, ...ultimo });
+
+        return { estado: 'fallido', intentos: maxIntentos, ...ultimo, fecha: new Date().toISOString() };
+    }
+
+    // ==========================================
+    // PROGRAMADOR
+    // ==========================================
+
+    /**
+     * Revisar periódicamente las búsquedas vencidas (SAVED_SEARCHES_SCHEDULER=false lo desactiva)
+     */
+    static startScheduler() {
+        if (this.schedulerTimer || process.env.SAVED_SEARCHES_SCHEDULER === 'false') {
+            return;
+        }
+
+        const interval = parseInt(process.env.SAVED_SEARCHES_TICK_MS) || 60 * 1000;
+        this.schedulerTimer = setInterval(() => this.runDueSearches(), interval);
+        this.schedulerTimer.unref();
+
+        logInfo('⏰ Programador de búsquedas guardadas iniciado', { tick: `${interval}ms` });
+    }
+
+    static stopScheduler() {
+        if (this.schedulerTimer) {
+            clearInterval(this.schedulerTimer);
+            this.schedulerTimer = null;
+        }
+    }
+
+    /**
+     * Ejecutar en serie las búsquedas activas cuya próxima ejecución ya pasó
+     * (una búsqueda atrasada por un reinicio corre una sola vez y se reprograma desde ahora)
+     */
+    static async runDueSearches(now = new Date()) {
+        if (this.ticking) {
+            return 0;
+        }
+
+        this.ticking = true;
+        let ejecutadas = 0;
+
+        try {
+            const vencidas = (await getSavedSearchStore().listAll())
+                .filter(search => search.activa && search.proximaEjecucion && new Date(search.proximaEjecucion) <= now)
+                .sort((a, b) => a.proximaEjecucion.localeCompare(b.proximaEjecucion));
+
+            for (const search of vencidas) {
+                try {
+                    await this.runSearch(search.id, { origen: 'programada' });
+                    ejecutadas++;
+                } catch (error) {
+                    if (error.code === 'SAVED_SEARCH_RUNNING') {
+                        logDebug('ℹ️ Búsqueda guardada omitida (ya en ejecución)', { id: search.id });
+                    } else {
+                        logError('❌ Error en ejecución programada de búsqueda guardada', { id: search.id, error: error.message });
+                    }
+                }
+            }
+        } catch (error) {
+            logError('❌ Error revisando búsquedas guardadas', { error: error.message });
+        } finally {
+            this.ticking = false;
+        }
+
+        return ejecutadas;
+    }
+
+    static computeNextRun(search, desde = new Date()) {
+        if (!search.activa) {
+            return null;
+        }
+        const proxima = nextCronRun(search.cron, desde);
+        return proxima ? proxima.toISOString() : null;
+    }
+
+    static async getStats() {
+        return {
+            backend: getSavedSearchStore().getBackendName(),
+            schedulerRunning: !!this.schedulerTimer,
+            maxPorApiKey: this.getMaxPerOwner(),
+            intervaloMinimoMinutos: this.getMinIntervalMinutes()
+        };
+    }
+
+    // ==========================================
+    // VALIDACIÓN Y VISTA PÚBLICA
+    // ==========================================
+
+    static normalizeCron(cron) {
+        const parsed = parseCron(cron);
+
+        if (!nextCronRun(parsed)) {
+            throw ErrorFactory.validation(`La expresión cron "${cron}" nunca se ejecuta`, 'cron');
+        }
+
+        const minimo = this.getMinIntervalMinutes();
+        if (minCronInterval(parsed) < minimo) {
+            throw ErrorFactory.validation(
+                `La expresión cron "${cron}" se ejecuta con demasiada frecuencia (mínimo cada ${minimo} minutos)`,
+                'cron'
+            );
+        }
+
+        return parsed.expresion;
+    }
+
+    static normalizeName(nombre, parametros) {
+        if (nombre === undefined || nombre === null || nombre === '') {
+            return `${parametros.tipo} en ${parametros.operacion} - ${parametros.ubicacion}`;
+        }
+        if (typeof nombre !== 'string' || nombre.trim().length > 120) {
+            throw ErrorFactory.validation('nombre debe ser un texto de hasta 120 caracteres', 'nombre');
+        }
+        return nombre.trim();
+    }
+
+    static normalizeActive(activa) {
+        if (typeof activa !== 'boolean') {
+            throw ErrorFactory.validation('activa debe ser true o false', 'activa');
+        }
+        return activa;
+    }
+
+    /**
+     * Webhook { url, secret }; null lo elimina. Al actualizar sin secret se conserva el anterior.
+     * El host debe resolver a direcciones públicas (ver utils/network)
+     */
+    static async normalizeWebhook(webhook, actual = null) {
+        if (webhook === undefined || webhook === null) {
+            return null;
+        }
+        if (typeof webhook !== 'object' || Array.isArray(webhook)) {
+            throw ErrorFactory.validation('webhook debe ser un objeto { url, secret }', 'webhook');
+        }
+
+        let url;
+        try {
+            url = new URL(webhook.url);
+        } catch (error) {
+            throw ErrorFactory.validation('webhook.url debe ser una URL válida', 'webhook.url');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw ErrorFactory.validation('webhook.url debe usar http o https', 'webhook.url');
+        }
+        await assertPublicUrl(url, 'webhook.url');
+
+        const secret = webhook.secret !== undefined ? webhook.secret : (actual?.secret ?? null);
+        if (secret !== null && (typeof secret !== 'string' || secret.length < 8 || secret.length > 256)) {
+            throw ErrorFactory.validation('webhook.secret debe ser un texto de 8 a 256 caracteres', 'webhook.secret');
+        }
+
+        return { url: url.toString(), secret };
+    }
+
+    /**
+     * Vista pública (sin el secreto del webhook, con enlaces)
+     */
+    static toPublicSearch(search, baseUrl = '/api/search/saved') {
+        const { owner, webhook, ...rest } = search;
+
+        return {
+            ...rest,
+            webhook: webhook ? { url: webhook.url, firmado: !!webhook.secret } : null,
+            links: {
+                self: `${baseUrl}/${search.id}`,
+                run: `${baseUrl}/${search.id}/run`,
+                changes: `${baseUrl}/${search.id}/changes`
+            }
+        };
+    }
+}
+
+module.exports = SavedSearchService;
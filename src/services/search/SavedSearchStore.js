@@ -0,0 +1,246 @@
+// src/services/search/SavedSearchStore.js
+const RedisFileStore = require('../storage/RedisFileStore');
+
+const DEFAULT_MAX_CHANGES = 200;
+
+const REDIS_KEYS = {
+    search: (id) => `search:saved:${id}`,
+    owner: (owner) => `search:saved:owner:${owner}`,
+    index: 'search:saved:index',
+    snapshot: (id) => `search:saved:${id}:snapshot`,
+    changes: (id) => `search:saved:${id}:changes`,
+    lock: (id) => `search:saved:${id}:lock`
+};
+
+/**
+ * Persistencia de búsquedas guardadas, su última foto de resultados y el historial de cambios
+ *
+ * Backends (SAVED_SEARCHES_STORE):
+ * - redis: por defecto. Si Redis no está disponible al iniciar, usa archivo
+ * - file: archivo JSON local (SAVED_SEARCHES_FILE, por defecto data/saved-searches.json)
+ *
+ * Se guardan como máximo SAVED_SEARCHES_MAX_CHANGES cambios por búsqueda (los más recientes).
+ */
+class SavedSearchStore extends RedisFileStore {
+    constructor() {
+        super({
+            nombre: 'SavedSearchStore',
+            descripcion: 'búsquedas guardadas',
+            icono: '🔖',
+            backendEnv: 'SAVED_SEARCHES_STORE',
+            fileEnv: 'SAVED_SEARCHES_FILE',
+            defaultFile: 'saved-searches.json'
+        });
+
+        // Espejo en memoria del backend archivo
+        this.searches = new Map();
+        this.snapshots = new Map();
+        this.changes = new Map();
+        this.locks = new Set();
+    }
+
+    getMaxChanges() {
+        return parseInt(process.env.SAVED_SEARCHES_MAX_CHANGES) || DEFAULT_MAX_CHANGES;
+    }
+
+    getFileStats() {
+        return { searches: this.searches.size };
+    }
+
+    // ==========================================
+    // BÚSQUEDAS
+    // ==========================================
+
+    async saveSearch(search) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            await this.redis.multi()
+                .set(REDIS_KEYS.search(search.id), JSON.stringify(search))
+                .sadd(REDIS_KEYS.owner(search.owner), search.id)
+                .sadd(REDIS_KEYS.index, search.id)
+                .exec();
+            return search;
+        }
+
+        this.searches.set(search.id, search);
+        await this.persistFile();
+        return search;
+    }
+
+    async getSearch(id) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const raw = await this.redis.get(REDIS_KEYS.search(id));
+            return raw ? JSON.parse(raw) : null;
+        }
+
+        const search = this.searches.get(id);
+        return search ? JSON.parse(JSON.stringify(search)) : null;
+    }
+
+    async deleteSearch(search) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            await this.redis.multi()
+                .del(REDIS_KEYS.search(search.id), REDIS_KEYS.snapshot(search.id), REDIS_KEYS.changes(search.id))
+                .srem(REDIS_KEYS.owner(search.owner), search.id)
+                .srem(REDIS_KEYS.index, search.id)
+                .exec();
+            return;
+        }
+
+        this.searches.delete(search.id);
+        this.snapshots.delete(search.id);
+        this.changes.delete(search.id);
+        await this.persistFile();
+    }
+
+    async listByOwner(owner) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            return this.getMany(await this.redis.smembers(REDIS_KEYS.owner(owner)));
+        }
+
+        return [...this.searches.values()]
+            .filter(search => search.owner === owner)
+            .map(search => JSON.parse(JSON.stringify(search)));
+    }
+
+    async listAll() {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            return this.getMany(await this.redis.smembers(REDIS_KEYS.index));
+        }
+
+        return [...this.searches.values()].map(search => JSON.parse(JSON.stringify(search)));
+    }
+
+    async getMany(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+        const raws = await this.redis.mget(ids.map(id => REDIS_KEYS.search(id)));
+        return raws.filter(Boolean).map(raw => JSON.parse(raw));
+    }
+
+    // ==========================================
+    // FOTO DE RESULTADOS Y CAMBIOS
+    // ==========================================
+
+    /**
+     * Última foto de resultados: { ejecutadaEn, publicaciones: { [id]: { titulo, link, precio } } }
+     */
+    async getSnapshot(id) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const raw = await this.redis.get(REDIS_KEYS.snapshot(id));
+            return raw ? JSON.parse(raw) : null;
+        }
+
+        return this.snapshots.get(id) || null;
+    }
+
+    async saveSnapshot(id, snapshot) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            await this.redis.set(REDIS_KEYS.snapshot(id), JSON.stringify(snapshot));
+            return;
+        }
+
+        this.snapshots.set(id, snapshot);
+        await this.persistFile();
+    }
+
+    async addChangeSet(id, changeSet) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            await this.redis.multi()
+                .lpush(REDIS_KEYS.changes(id), JSON.stringify(changeSet))
+                .ltrim(REDIS_KEYS.changes(id), 0, this.getMaxChanges() - 1)
+                .exec();
+            return;
+        }
+
+        const lista = [changeSet, ...(this.changes.get(id) || [])].slice(0, this.getMaxChanges());
+        this.changes.set(id, lista);
+        await this.persistFile();
+    }
+
+    /**
+     * Cambios registrados, del más reciente al más antiguo
+     */
+    async listChanges(id, limit = 50) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const raws = await this.redis.lrange(REDIS_KEYS.changes(id), 0, limit - 1);
+            return raws.map(raw => JSON.parse(raw));
+        }
+
+        return (this.changes.get(id) || []).slice(0, limit).map(change => JSON.parse(JSON.stringify(change)));
+    }
+
+    // ==========================================
+    // BLOQUEO DE EJECUCIÓN
+    // ==========================================
+
+    /**
+     * Evitar que dos ejecuciones de la misma búsqueda (o dos instancias) corran a la vez
+     */
+    async acquireLock(id, ttlMs) {
+        await this.initialize();
+
+        if (this.backend === 'redis') {
+            const result = await this.redis.set(REDIS_KEYS.lock(id), String(process.pid), 'PX', ttlMs, 'NX');
+            return result === 'OK';
+        }
+
+        if (this.locks.has(id)) {
+            return false;
+        }
+        this.locks.add(id);
+        return true;
+    }
+
+    async releaseLock(id) {
+        if (this.backend === 'redis') {
+            await this.redis.del(REDIS_KEYS.lock(id));
+            return;
+        }
+        this.locks.delete(id);
+    }
+
+    applyFileContent(content) {
+        this.searches = new Map(Object.entries(content.busquedas || {}));
+        this.snapshots = new Map(Object.entries(content.fotos || {}));
+        this.changes = new Map(Object.entries(content.cambios || {}));
+    }
+
+    serializeFile() {
+        return {
+            busquedas: Object.fromEntries(this.searches),
+            fotos: Object.fromEntries(this.snapshots),
+            cambios: Object.fromEntries(this.changes)
+        };
+    }
+}
+
+// Singleton instance
+let savedSearchStoreInstance = null;
+
+const getSavedSearchStore = () => {
+    if (!savedSearchStoreInstance) {
+        savedSearchStoreInstance = new SavedSearchStore();
+    }
+    return savedSearchStoreInstance;
+};
+
+module.exports = { SavedSearchStore, getSavedSearchStore };
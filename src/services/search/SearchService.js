@@ -2,6 +2,14 @@
 const { chromium } = require('playwright');
 const { logInfo, logError, logDebug } = require('../../utils/logger');
 const { ErrorFactory } = require('../../utils/errors');
+const { getPortalRegistry, PORTAL_POR_DEFECTO_BUSQUEDA } = require('../portals/PortalRegistry');
+const ComparableDeduplicator = require('./ComparableDeduplicator');
+const BrowserReplayService = require('../replay/BrowserReplayService');
+const IndicatorsService = require('../indicators/IndicatorsService');
+const ListingModel = require('../listings/ListingModel');
+const ListingHistoryService = require('../listings/ListingHistoryService');
+const MarketStatsService = require('../market/MarketStatsService');
+const GeocodingService = require('../geo/GeocodingService');
 
 /**
  * Servicio de búsqueda de propiedades con soporte para UF y pesos
@@ -696,12 +704,102 @@ static async esperarCargaPaginaResultados(page) {
     }
 }
 
+/**
+ * Recorrer las páginas de resultados (hasta maxPaginas) extrayendo tarjetas con el adaptador del portal
+ *
+ * fin indica por qué terminó el recorrido:
+ * - max_paginas: se procesaron maxPaginas páginas
+ * - ultima_pagina: el portal no tiene página siguiente (hay menos resultados que maxPaginas páginas)
+ * - navegador_cerrado | paginas_vacias | errores_extraccion: se interrumpió antes de terminar
+ * completa es false si se interrumpió o si alguna página falló al extraerse (puede faltar una parte de los resultados)
+ * @returns {Promise<{ propiedades: Array, paginasProcesadas: number, completa: boolean, fin: string }>}
+ */
+static async extractResultPages(page, adaptador, maxPaginas) {
+    const propiedades = [];
+    let paginaActual = 1;
+    let paginasProcesadas = 0;
+    let paginasConError = 0;
+    let intentosExtracciones = 0;
+    const maxIntentosExtraccion = 3;
+    let fin = 'max_paginas';
+
+    while (paginaActual <= maxPaginas) {
+        try {
+            logInfo(`📄 Procesando página ${paginaActual}/${maxPaginas}`);
+
+            // Verificar que el browser siga activo
+            if (page.isClosed()) {
+                logError('Browser cerrado durante extracción, terminando');
+                fin = 'navegador_cerrado';
+                break;
+            }
+
+            await adaptador.waitForResults(page);
+            const propiedadesPagina = (await adaptador.extractResultCards(page, paginaActual))
+                .map(propiedad => ({ ...propiedad, portal: adaptador.id }));
+            paginasProcesadas++;
+
+            if (propiedadesPagina.length === 0) {
+                logInfo(`⚠️ Página ${paginaActual} sin resultados`);
+                intentosExtracciones++;
+
+                if (intentosExtracciones >= maxIntentosExtraccion) {
+                    logInfo('Demasiadas páginas sin resultados, terminando');
+                    fin = 'paginas_vacias';
+                    break;
+                }
+            } else {
+                intentosExtracciones = 0; // Reset contador
+                propiedades.push(...propiedadesPagina);
+                logInfo(`✅ Página ${paginaActual}: ${propiedadesPagina.length} propiedades extraídas`);
+            }
+
+            // Navegar a siguiente página si no es la última
+            if (paginaActual < maxPaginas) {
+                const navegacionExitosa = await adaptador.goToNextPage(page, paginaActual + 1);
+                if (!navegacionExitosa) {
+                    logInfo('No hay página siguiente, terminando');
+                    fin = 'ultima_pagina';
+                    break;
+                }
+                await page.waitForTimeout(2000);
+            }
+
+        } catch (error) {
+            logError(`Error procesando página ${paginaActual}`, { error: error.message });
+            paginasConError++;
+            intentosExtracciones++;
+
+            if (intentosExtracciones >= maxIntentosExtraccion) {
+                logInfo('Demasiados errores de extracción, terminando');
+                fin = 'errores_extraccion';
+                break;
+            }
+        }
+
+        paginaActual++;
+    }
+
+    return {
+        propiedades,
+        paginasProcesadas,
+        completa: ['max_paginas', 'ultima_pagina'].includes(fin) && paginasConError === 0,
+        fin
+    };
+}
+
 /**
  * CORRECCIÓN: Método searchProperties con manejo robusto de errores
+ * El portal (parámetro `portal`, por defecto Portal Inmobiliario) se resuelve en PortalRegistry
+ * Resultados como publicaciones normalizadas (ListingModel); opciones.formato = 'legacy' devuelve los textos del extractor
+ * opciones.geo (GeocodingService.normalizeGeoOptions) filtra por radio y/o polígono y ordena por distancia
  */
-static async searchProperties(tipo, operacion, ubicacion, maxPaginas = 3, filtrosPrecio = null, filtrosAvanzados = null) {
+static async searchProperties(tipo, operacion, ubicacion, maxPaginas = 3, filtrosPrecio = null, filtrosAvanzados = null, portal = PORTAL_POR_DEFECTO_BUSQUEDA, opciones = {}) {
+    const adaptador = getPortalRegistry().getSearchAdapter(portal);
+    const formato = ListingModel.normalizeFormat(opciones.formato);
+
     logInfo('🔍 Iniciando búsqueda con manejo robusto de errores', {
-        tipo, operacion, ubicacion, maxPaginas
+        tipo, operacion, ubicacion, maxPaginas, portal: adaptador.id
     });
 
     const browser = await this.launchBrowser();
@@ -709,37 +807,29 @@ static async searchProperties(tipo, operacion, ubicacion, maxPaginas = 3, filtro
 
     try {
         context = await this.createContext(browser);
+        await BrowserReplayService.attach(context, 'search', adaptador.id, tipo, operacion, ubicacion, maxPaginas, filtrosPrecio, filtrosAvanzados);
         page = await context.newPage();
 
         // ETAPA 1: Búsqueda inicial con timeout extendido
-        logInfo('📍 ETAPA 1: Configurando búsqueda inicial');
-        
-        const urlBase = 'https://www.portalinmobiliario.com';
-        await page.goto(urlBase, {
-            timeout: 45000, // Timeout extendido
-            waitUntil: 'domcontentloaded'
-        });
+        logInfo(`📍 ETAPA 1: Configurando búsqueda inicial en ${adaptador.nombre}`);
 
-        await this.esperarCargaBusquedaInicial(page);
-        await this.configurarBusquedaBasica(page, tipo, operacion, ubicacion);
-        await this.ejecutarBusquedaInicial(page);
+        await adaptador.openSearch(page, { tipo, operacion, ubicacion });
 
         // ETAPA 2: Aplicar filtros con manejo robusto
         logInfo('🎛️ ETAPA 2: Aplicando filtros (con manejo robusto)');
         
-        const cargaResultadosExitosa = await this.esperarCargaPaginaResultados(page);
+        const cargaResultadosExitosa = await adaptador.waitForResults(page);
         
         let filtrosAplicados = false;
-        if (cargaResultadosExitosa && (filtrosPrecio || filtrosAvanzados)) {
+        if (cargaResultadosExitosa && (filtrosPrecio || filtrosAvanzados) && adaptador.supportsInPageFilters) {
             try {
                 logInfo('Intentando aplicar filtros...');
-                await this.aplicarFiltrosEnResultados(page, filtrosPrecio, filtrosAvanzados);
-                filtrosAplicados = true;
+                filtrosAplicados = await adaptador.applyFilters(page, filtrosPrecio, filtrosAvanzados);
                 
                 // Verificar que la página siga funcionando después de filtros
                 if (!page.isClosed()) {
                     await page.waitForTimeout(3000);
-                    await this.esperarCargaPaginaResultados(page);
+                    await adaptador.waitForResults(page);
                 }
                 
             } catch (error) {
@@ -753,93 +843,72 @@ static async searchProperties(tipo, operacion, ubicacion, maxPaginas = 3, filtro
         // ETAPA 3: Extraer propiedades con fallbacks
         logInfo('📋 ETAPA 3: Extrayendo propiedades (con fallbacks)');
         
-        const todasLasPropiedades = [];
-        let paginaActual = 1;
-        let intentosExtracciones = 0;
-        const maxIntentosExtraccion = 3;
-
-        while (paginaActual <= maxPaginas && intentosExtracciones < maxIntentosExtraccion) {
+        const paginacion = await this.extractResultPages(page, adaptador, maxPaginas);
+        const todasLasPropiedades = paginacion.propiedades;
+
+        // Normalizar tarjetas: valores numéricos e id estable (UF del día para completar UF ↔ CLP)
+        // y ubicación aproximada (las tarjetas no traen coordenadas: sector o comuna del gazetteer)
+        const valorUF = todasLasPropiedades.length > 0 ? await this.obtenerValorUF() : null;
+        const publicaciones = GeocodingService.geocodeListings(
+            todasLasPropiedades.map(propiedad => ListingModel.fromExtraction(propiedad, { portal: adaptador.id, valorUF })),
+            { comunaBuscada: ubicacion }
+        );
+
+        // Historial de precios y estadísticas de mercado de todas las publicaciones vistas, antes de filtrar
+        // (no en sesiones reproducidas)
+        if (BrowserReplayService.getMode() !== 'replay') {
+            ListingHistoryService.recordListingsSafely(publicaciones, { fuente: 'busqueda' });
+            MarketStatsService.recordListingsSafely(publicaciones, { tipo, operacion, ubicacion });
+        }
+
+        // Validación final de resultados (también filtra en portales sin filtros en la página)
+        const requiereValidacion = filtrosAplicados || (!adaptador.supportsInPageFilters && !!(filtrosPrecio || filtrosAvanzados));
+        let propiedadesFiltradas = publicaciones;
+        if (requiereValidacion && publicaciones.length > 0) {
             try {
-                logInfo(`📄 Procesando página ${paginaActual}/${maxPaginas}`);
-
-                // Verificar que el browser siga activo
-                if (page.isClosed()) {
-                    logError('Browser cerrado durante extracción, terminando');
-                    break;
-                }
-
-                await this.esperarCargaPaginaResultados(page);
-                const propiedadesPagina = await this.extraerPropiedadesPagina(page, paginaActual);
-
-                if (propiedadesPagina.length === 0) {
-                    logInfo(`⚠️ Página ${paginaActual} sin resultados`);
-                    intentosExtracciones++;
-                    
-                    if (intentosExtracciones >= maxIntentosExtraccion) {
-                        logInfo('Demasiadas páginas sin resultados, terminando');
-                        break;
-                    }
-                } else {
-                    intentosExtracciones = 0; // Reset contador
-                    todasLasPropiedades.push(...propiedadesPagina);
-                    logInfo(`✅ Página ${paginaActual}: ${propiedadesPagina.length} propiedades extraídas`);
-                }
-
-                // Navegar a siguiente página si no es la última
-                if (paginaActual < maxPaginas) {
-                    const navegacionExitosa = await this.navegarSiguientePagina(page);
-                    if (!navegacionExitosa) {
-                        logInfo('No se pudo navegar a siguiente página, terminando');
-                        break;
-                    }
-                    await page.waitForTimeout(2000);
-                }
-
+                propiedadesFiltradas = this.validarResultadosContraFiltros(publicaciones, filtrosPrecio, filtrosAvanzados);
             } catch (error) {
-                logError(`Error procesando página ${paginaActual}`, { error: error.message });
-                intentosExtracciones++;
-                
-                if (intentosExtracciones >= maxIntentosExtraccion) {
-                    logInfo('Demasiados errores de extracción, terminando');
-                    break;
-                }
+                logError('Error en validación final, usando resultados sin validar', { error: error.message });
             }
-
-            paginaActual++;
         }
 
-        // Validación final de resultados
-        let propiedadesFiltradas = todasLasPropiedades;
-        if (filtrosAplicados && todasLasPropiedades.length > 0) {
-            try {
-                propiedadesFiltradas = this.validarResultadosContraFiltros(todasLasPropiedades, filtrosPrecio, filtrosAvanzados);
-            } catch (error) {
-                logError('Error en validación final, usando resultados sin validar', { error: error.message });
-            }
+        // Filtro geográfico opcional (radio y/o polígono), ordenado por distancia al centro
+        let resumenGeo = null;
+        if (opciones.geo) {
+            ({ publicaciones: propiedadesFiltradas, resumen: resumenGeo } = GeocodingService.applyGeoFilter(propiedadesFiltradas, opciones.geo));
         }
 
         logInfo(`✅ Búsqueda completada: ${propiedadesFiltradas.length} propiedades encontradas`);
 
         return {
             success: true,
-            data: propiedadesFiltradas,
+            data: propiedadesFiltradas.map(propiedad => ListingModel.format(propiedad, formato)),
             metadata: {
-                busqueda: { tipo, operacion, ubicacion },
+                busqueda: { tipo, operacion, ubicacion, portal: adaptador.id },
+                formato,
+                portal: {
+                    id: adaptador.id,
+                    nombre: adaptador.nombre,
+                    filtrosEnPortal: adaptador.supportsInPageFilters
+                },
                 resultados: {
                     totalPropiedades: propiedadesFiltradas.length,
                     propiedadesOriginales: todasLasPropiedades.length,
-                    paginasProcesadas: paginaActual - 1
+                    paginasProcesadas: paginacion.paginasProcesadas
                 },
                 filtros: {
                     aplicados: filtrosAplicados,
                     precio: filtrosPrecio,
-                    avanzados: filtrosAvanzados
+                    avanzados: filtrosAvanzados,
+                    geo: resumenGeo
                 },
                 estado: {
                     busquedaInicialExitosa: true,
                     cargaResultadosExitosa,
                     filtrosAplicados,
-                    extraccionCompleta: todasLasPropiedades.length > 0
+                    extraccionCompleta: todasLasPropiedades.length > 0,
+                    paginacionCompleta: paginacion.completa,
+                    finPaginacion: paginacion.fin
                 },
                 timestamp: new Date().toISOString()
             }
@@ -847,7 +916,7 @@ static async searchProperties(tipo, operacion, ubicacion, maxPaginas = 3, filtro
 
     } catch (error) {
         logError('❌ Error crítico durante búsqueda', { error: error.message });
-        throw ErrorFactory.searchFailed({ tipo, operacion, ubicacion }, error);
+        throw ErrorFactory.searchFailed({ tipo, operacion, ubicacion, portal: adaptador.id }, error);
 
     } finally {
         // Cierre seguro del browser
@@ -868,6 +937,104 @@ static async searchProperties(tipo, operacion, ubicacion, maxPaginas = 3, filtro
     }
 }
 
+/**
+ * Búsqueda de la misma consulta en varios portales, con resultados combinados
+ * y de-duplicados (una propiedad publicada en más de un portal cuenta una vez)
+ */
+static async searchPropertiesMultiPortal(tipo, operacion, ubicacion, maxPaginas = 2, filtrosPrecio = null, filtrosAvanzados = null, portales = null, opciones = {}) {
+    const formato = ListingModel.normalizeFormat(opciones.formato);
+    const registry = getPortalRegistry();
+    const ids = (portales && portales.length > 0 ? portales : registry.listSearchable().map(a => a.id))
+        .map(id => registry.getSearchAdapter(id).id);
+    const portalesUnicos = [...new Set(ids)];
+    const concurrencia = Math.max(1, parseInt(process.env.SEARCH_MULTIPORTAL_CONCURRENCY) || 2);
+    const startTime = Date.now();
+
+    logInfo('🌐 Iniciando búsqueda multi-portal', {
+        tipo, operacion, ubicacion, portales: portalesUnicos, concurrencia
+    });
+
+    const resultadosPorPortal = {};
+
+    // Lanzar por tandas para no abrir demasiados browsers a la vez
+    for (let i = 0; i < portalesUnicos.length; i += concurrencia) {
+        const tanda = portalesUnicos.slice(i, i + concurrencia);
+        const resultados = await Promise.allSettled(
+            tanda.map(portal => this.searchProperties(tipo, operacion, ubicacion, maxPaginas, filtrosPrecio, filtrosAvanzados, portal))
+        );
+
+        resultados.forEach((resultado, indice) => {
+            const portal = tanda[indice];
+            if (resultado.status === 'fulfilled') {
+                resultadosPorPortal[portal] = { propiedades: resultado.value.data || [], error: null };
+            } else {
+                logError(`❌ Búsqueda fallida en ${portal}`, { error: resultado.reason?.message });
+                resultadosPorPortal[portal] = { propiedades: [], error: resultado.reason?.message || 'Error desconocido' };
+            }
+        });
+    }
+
+    const portalesExitosos = portalesUnicos.filter(portal => !resultadosPorPortal[portal].error);
+    if (portalesExitosos.length === 0) {
+        throw ErrorFactory.searchFailed(
+            { tipo, operacion, ubicacion, portales: portalesUnicos },
+            new Error('La búsqueda falló en todos los portales')
+        );
+    }
+
+    // Intercalar resultados para que ningún portal acapare los primeros lugares
+    const combinados = [];
+    const maxLargo = Math.max(...portalesUnicos.map(portal => resultadosPorPortal[portal].propiedades.length));
+    for (let posicion = 0; posicion < maxLargo; posicion++) {
+        for (const portal of portalesUnicos) {
+            const propiedad = resultadosPorPortal[portal].propiedades[posicion];
+            if (propiedad) {
+                combinados.push({ ...propiedad, portal: propiedad.portal || portal });
+            }
+        }
+    }
+
+    const deduplicacion = ComparableDeduplicator.deduplicate(combinados);
+
+    const porPortal = {};
+    for (const portal of portalesUnicos) {
+        const { propiedades, error } = resultadosPorPortal[portal];
+        porPortal[portal] = {
+            encontradas: propiedades.length,
+            unicas: deduplicacion.propiedades.filter(p => p.portal === portal).length,
+            estado: error ? 'error' : 'ok',
+            error
+        };
+    }
+
+    logInfo('✅ Búsqueda multi-portal completada', {
+        portales: portalesExitosos.length,
+        combinadas: combinados.length,
+        unicas: deduplicacion.propiedades.length,
+        duplicadosEliminados: deduplicacion.duplicadosEliminados
+    });
+
+    return {
+        success: true,
+        data: deduplicacion.propiedades.map(propiedad => ListingModel.format(propiedad, formato)),
+        metadata: {
+            busqueda: { tipo, operacion, ubicacion, maxPaginas, portales: portalesUnicos },
+            formato,
+            filtrosPrecio,
+            filtrosAvanzados,
+            totalEncontradas: deduplicacion.propiedades.length,
+            totalSinDeduplicar: combinados.length,
+            portales: porPortal,
+            deduplicacion: {
+                duplicadosEliminados: deduplicacion.duplicadosEliminados,
+                grupos: deduplicacion.grupos
+            },
+            tiempoTotal: `${Date.now() - startTime}ms`,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
 /**
  * CORRECCIÓN: Aplicar filtro específico en página de resultados
  * Problema: Selector de estacionamientos incorrecto
@@ -1267,21 +1434,15 @@ static async createContext(browser) {
      */
     static validarFiltroPrecio(propiedad, filtrosPrecio) {
         try {
-            const { precioMinimo, precioMaximo } = filtrosPrecio;
-
-            // Extraer precio numérico de la propiedad
-            let precioNumerico = null;
-
-            // Intentar extraer precio de diferentes campos
-            const precioTexto = propiedad.precio_uf || propiedad.precio_clp || propiedad.precio || '';
-            const match = precioTexto.toString().match(/[\d.,]+/);
+            const { precioMinimo, precioMaximo, moneda } = filtrosPrecio;
 
-            if (match) {
-                precioNumerico = parseFloat(match[0].replace(/[.,]/g, ''));
-            }
+            // Precio de la publicación normalizada en la moneda del filtro (CLF = UF)
+            const precioNumerico = moneda === 'CLF' || moneda === 'UF'
+                ? propiedad.precio?.uf
+                : (moneda === 'CLP' ? propiedad.precio?.clp : null);
 
-            if (precioNumerico === null) {
-                return true; // Si no se puede extraer precio, no filtrar
+            if (precioNumerico === null || precioNumerico === undefined) {
+                return true; // Sin precio en esa moneda, no filtrar
             }
 
             // Validar rangos
@@ -1323,39 +1484,32 @@ static async createContext(browser) {
         try {
             const { minimo, maximo } = configFiltro;
 
-            // Mapear campo de propiedad según tipo de filtro
-            let campoPropiedad;
+            // Mapear campo numérico de la publicación según tipo de filtro
+            let valorNumerico;
             switch (tipoFiltro) {
                 case 'dormitorios':
-                    campoPropiedad = propiedad.dormitorios;
+                    valorNumerico = propiedad.dormitorios;
                     break;
                 case 'banos':
-                    campoPropiedad = propiedad.banos;
+                    valorNumerico = propiedad.banos;
                     break;
                 case 'superficieTotal':
+                    valorNumerico = propiedad.superficie?.totalM2 ?? propiedad.superficie?.utilM2;
+                    break;
                 case 'superficieUtil':
-                    campoPropiedad = propiedad.superficie;
+                    valorNumerico = propiedad.superficie?.utilM2 ?? propiedad.superficie?.totalM2;
                     break;
                 case 'estacionamientos':
-                    // Los estacionamientos generalmente vienen en características
-                    campoPropiedad = propiedad.estacionamientos || 'No disponible';
+                    valorNumerico = propiedad.estacionamientos;
                     break;
                 default:
                     return true;
             }
 
-            if (!campoPropiedad || campoPropiedad === 'No disponible') {
+            if (valorNumerico === null || valorNumerico === undefined) {
                 return true; // Si no hay información, no filtrar
             }
 
-            // Extraer número del texto
-            const match = campoPropiedad.toString().match(/(\d+)/);
-            if (!match) {
-                return true;
-            }
-
-            const valorNumerico = parseInt(match[1]);
-
             // Validar rangos
             if (minimo && valorNumerico < minimo) {
                 return false;
@@ -1372,6 +1526,19 @@ static async createContext(browser) {
         }
     }
 
+    /**
+     * Valor UF del día para completar precios de tarjetas (null si no hay indicador)
+     */
+    static async obtenerValorUF() {
+        try {
+            const indicadorUF = await IndicatorsService.getUFSafely();
+            return indicadorUF?.valor || null;
+        } catch (error) {
+            logError('Error obteniendo UF para normalizar publicaciones', { error: error.message });
+            return null;
+        }
+    }
+
     /**
      * Lanzar browser
      */
@@ -0,0 +1,168 @@
+// src/services/storage/RedisFileStore.js
+const path = require('path');
+const fs = require('fs').promises;
+const { getRedisConfig } = require('../../config/redis');
+const { logInfo, logError, logWarn } = require('../../utils/logger');
+
+/**
+ * Base de los stores persistentes en Redis o en un archivo JSON local
+ *
+ * El backend se elige con una variable de entorno (redis por defecto, o file). Si Redis no está
+ * disponible al iniciar, se usa el archivo. En modo archivo la subclase mantiene un espejo en
+ * memoria que carga con applyFileContent(content) y entrega para guardar con serializeFile().
+ *
+ * Escritura del archivo: atómica (tmp + rename) y serializada. Los cambios hechos mientras una
+ * escritura está en curso se agrupan en la siguiente, de modo que una ráfaga de operaciones
+ * serializa el store una vez por escritura y no una vez por operación.
+ */
+class RedisFileStore {
+    /**
+     * @param {Object} config
+     * @param {string} config.nombre - Nombre del store en los logs (ej. 'ListingStore')
+     * @param {string} config.descripcion - Qué guarda, para los mensajes de log (ej. 'historial de publicaciones')
+     * @param {string} config.icono - Emoji del log de inicialización
+     * @param {string} config.backendEnv - Variable de entorno con el backend preferido
+     * @param {string} config.fileEnv - Variable de entorno con la ruta del archivo
+     * @param {string} config.defaultFile - Nombre del archivo por defecto dentro de data/
+     * @param {number} [config.fileMode] - Permisos del archivo (ej. 0o600)
+     * @param {number} [config.indent] - Indentación del JSON (0 = compacto)
+     */
+    constructor({ nombre, descripcion, icono, backendEnv, fileEnv, defaultFile, fileMode = null, indent = 0 }) {
+        this.storeName = nombre;
+        this.storeDescription = descripcion;
+        this.storeIcon = icono;
+        this.backendEnv = backendEnv;
+        this.fileMode = fileMode;
+        this.indent = indent;
+
+        this.backend = null;
+        this.redis = null;
+        this.filePath = process.env[fileEnv] || path.join(process.cwd(), 'data', defaultFile);
+        this.initPromise = null;
+        this.ready = false;
+        this.writeQueue = Promise.resolve();
+        this.pendingWrite = null;
+    }
+
+    /**
+     * Inicializar backend una sola vez (lazy, en la primera operación)
+     */
+    async initialize() {
+        if (this.ready) {
+            return;
+        }
+        if (!this.initPromise) {
+            this.initPromise = this.doInitialize().catch(error => {
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+
+    async doInitialize() {
+        const preferred = (process.env[this.backendEnv] || 'redis').toLowerCase();
+
+        if (preferred === 'redis') {
+            try {
+                this.redis = await getRedisConfig().getClient();
+            } catch (error) {
+                this.redis = null;
+                logError(`❌ Error conectando Redis para ${this.storeDescription}`, { error: error.message });
+            }
+
+            if (this.redis) {
+                this.backend = 'redis';
+            } else {
+                logWarn(`⚠️ Redis no disponible para ${this.storeDescription}, usando archivo JSON`, { file: this.filePath });
+            }
+        }
+
+        if (!this.backend) {
+            this.backend = 'file';
+            await this.loadFile();
+        }
+
+        await this.afterBackendReady();
+        this.ready = true;
+
+        logInfo(`${this.storeIcon} ${this.storeName} inicializado`, {
+            backend: this.backend,
+            file: this.backend === 'file' ? this.filePath : undefined,
+            ...(this.backend === 'file' ? this.getFileStats() : {})
+        });
+    }
+
+    /**
+     * Preparación propia del store con el backend ya elegido (carga inicial, migraciones)
+     */
+    async afterBackendReady() {}
+
+    /**
+     * Tamaño del espejo en memoria para el log de inicialización
+     */
+    getFileStats() {
+        return {};
+    }
+
+    getBackendName() {
+        return this.backend || 'no_inicializado';
+    }
+
+    /**
+     * Backend archivo: cargar el contenido leído en el espejo en memoria
+     */
+    applyFileContent() {
+        throw new Error(`${this.storeName} debe implementar applyFileContent`);
+    }
+
+    /**
+     * Backend archivo: contenido a guardar (se agrega la fecha de actualización)
+     */
+    serializeFile() {
+        throw new Error(`${this.storeName} debe implementar serializeFile`);
+    }
+
+    /**
+     * Backend archivo: lectura inicial
+     */
+    async loadFile() {
+        try {
+            this.applyFileContent(JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logError(`❌ Error leyendo ${this.storeDescription}`, { file: this.filePath, error: error.message });
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Backend archivo: guardar el estado actual. Si ya hay una escritura pendiente (aún no iniciada),
+     * la operación se suma a ella: el contenido se serializa recién al comenzar a escribir.
+     */
+    persistFile() {
+        if (this.pendingWrite) {
+            return this.pendingWrite;
+        }
+
+        const write = this.writeQueue.then(async () => {
+            this.pendingWrite = null;
+            const snapshot = JSON.stringify({
+                updated: new Date().toISOString(),
+                ...this.serializeFile()
+            }, null, this.indent || undefined);
+
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, snapshot, this.fileMode ? { mode: this.fileMode } : undefined);
+            await fs.rename(tmpPath, this.filePath);
+        });
+
+        this.pendingWrite = write;
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+}
+
+module.exports = RedisFileStore;
@@ -0,0 +1,551 @@
+// src/services/tax/TaxService.js
+const { logDebug } = require('../../utils/logger');
+const { ErrorFactory } = require('../../utils/errors');
+const { round, numberParam } = require('../../utils/numbers');
+const InvestmentProjectionService = require('../investment/InvestmentProjectionService');
+
+/**
+ * Reglas tributarias para vivienda en arriendo (valores de referencia; los montos en CLP los reajusta el SII cada semestre)
+ * - dfl2: viviendas de hasta 140 m². Arriendo exento para personas naturales en hasta 2 viviendas DFL2
+ *   (Ley 20.455) y rebaja de 50% de contribuciones por 20, 15 o 10 años según superficie
+ * - contribuciones: exención habitacional sobre el avalúo fiscal y tasa por tramo del avalúo afecto
+ * - globalComplementario: tramos anuales en UTA
+ * - gananciaCapital: mayor valor de personas naturales exento hasta 8.000 UF (Ley 21.210); el excedente paga impuesto único
+ * - iva: venta de vivienda nueva afecta a IVA sobre el precio sin terreno; CEEC para viviendas de hasta 2.000 UF
+ */
+const REGLAS_TRIBUTARIAS = {
+    dfl2: {
+        superficieMaxM2: 140,
+        maxViviendasPersonaNatural: 2,
+        rebajaContribucionesPct: 50,
+        aniosRebajaContribuciones: [
+            { hastaM2: 70, anios: 20 },
+            { hastaM2: 100, anios: 15 },
+            { hastaM2: 140, anios: 10 }
+        ]
+    },
+    contribuciones: {
+        avaluoFiscalPctValorComercial: 60,
+        exencionHabitacionalCLP: 57000000,
+        tramos: [
+            { hasta: 199000000, tasaPct: 0.893 },
+            { hasta: null, tasaPct: 1.042 }
+        ]
+    },
+    globalComplementario: [
+        { hasta: 13.5, tasaPct: 0 },
+        { hasta: 30, tasaPct: 4 },
+        { hasta: 50, tasaPct: 8 },
+        { hasta: 70, tasaPct: 13.5 },
+        { hasta: 90, tasaPct: 23 },
+        { hasta: 120, tasaPct: 30.4 },
+        { hasta: 310, tasaPct: 35 },
+        { hasta: null, tasaPct: 40 }
+    ],
+    primeraCategoria: {
+        general: 27,
+        pro_pyme: 25
+    },
+    gananciaCapital: {
+        exencionPersonaUF: 8000,
+        tasaUnicaPct: 10
+    },
+    depreciacion: {
+        vidaUtilAnios: 80
+    },
+    proporcionTerrenoPct: 20,
+    iva: {
+        tasaPct: 19,
+        ceec: { precioMaxUF: 2000, factor: 0.65, topeUF: 225 }
+    }
+};
+
+const TIPOS_CONTRIBUYENTE = ['persona', 'empresa'];
+
+/**
+ * Impuestos de la inversión: contribuciones con exenciones, impuesto a la renta del arriendo,
+ * IVA de viviendas nuevas y métricas después de impuestos
+ *
+ * Estimación referencial con reglas simplificadas: las deducciones de la renta son los gastos
+ * operacionales efectivos (sin provisiones), las contribuciones, los intereses del crédito y, para
+ * empresas, la depreciación de la construcción.
+ */
+class TaxService {
+
+    static getRules() {
+        return REGLAS_TRIBUTARIAS;
+    }
+
+    /**
+     * Validar perfil tributario del inversionista
+     * {
+     *   tipoContribuyente: 'persona' | 'empresa', ingresoAnualCLP (otras rentas, persona), regimenEmpresa: 'general' | 'pro_pyme',
+     *   viviendasDFL2 (viviendas DFL2 que ya posee),
+     *   propiedad: { superficieM2, dfl2, nueva, antiguedadAnios, avaluoFiscalCLP }
+     * }
+     */
+    static normalizeProfile(perfil, campoBase = 'taxProfile') {
+        if (!perfil || typeof perfil !== 'object' || Array.isArray(perfil)) {
+            throw ErrorFactory.validation(`${campoBase} debe ser un objeto`, campoBase);
+        }
+
+        const numero = (valor, campo, { max, entero = false }) => numberParam(valor, campo, { min: 0, max, entero, defecto: null });
+
+        const booleano = (valor, campo) => {
+            if (valor === undefined || valor === null) {
+                return null;
+            }
+            if (typeof valor !== 'boolean') {
+                throw ErrorFactory.validation(`${campo} debe ser true o false`, campo);
+            }
+            return valor;
+        };
+
+        const tipoContribuyente = perfil.tipoContribuyente ?? 'persona';
+        if (!TIPOS_CONTRIBUYENTE.includes(tipoContribuyente)) {
+            throw ErrorFactory.validation(
+                `${campoBase}.tipoContribuyente debe ser ${TIPOS_CONTRIBUYENTE.join(' o ')}`,
+                `${campoBase}.tipoContribuyente`
+            );
+        }
+
+        const regimenEmpresa = perfil.regimenEmpresa ?? 'pro_pyme';
+        if (!REGLAS_TRIBUTARIAS.primeraCategoria[regimenEmpresa]) {
+            throw ErrorFactory.validation(
+                `${campoBase}.regimenEmpresa debe ser ${Object.keys(REGLAS_TRIBUTARIAS.primeraCategoria).join(' o ')}`,
+                `${campoBase}.regimenEmpresa`
+            );
+        }
+
+        const propiedad = perfil.propiedad ?? {};
+        if (typeof propiedad !== 'object' || Array.isArray(propiedad)) {
+            throw ErrorFactory.validation(`${campoBase}.propiedad debe ser un objeto`, `${campoBase}.propiedad`);
+        }
+
+        return {
+            tipoContribuyente,
+            regimenEmpresa: tipoContribuyente === 'empresa' ? regimenEmpresa : null,
+            ingresoAnualCLP: numero(perfil.ingresoAnualCLP, `${campoBase}.ingresoAnualCLP`, { max: 1e11 }) ?? 0,
+            viviendasDFL2: numero(perfil.viviendasDFL2, `${campoBase}.viviendasDFL2`, { max: 100, entero: true }) ?? 0,
+            propiedad: {
+                superficieM2: numero(propiedad.superficieM2, `${campoBase}.propiedad.superficieM2`, { max: 10000 }),
+                dfl2: booleano(propiedad.dfl2, `${campoBase}.propiedad.dfl2`),
+                nueva: booleano(propiedad.nueva, `${campoBase}.propiedad.nueva`),
+                antiguedadAnios: numero(propiedad.antiguedadAnios, `${campoBase}.propiedad.antiguedadAnios`, { max: 200, entero: true }),
+                avaluoFiscalCLP: numero(propiedad.avaluoFiscalCLP, `${campoBase}.propiedad.avaluoFiscalCLP`, { max: 1e11 })
+            }
+        };
+    }
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.perfil - Perfil normalizado (normalizeProfile)
+     * @param {number} params.precioUF
+     * @param {number} params.valorUF
+     * @param {number} params.valorUTM
+     * @param {number} params.arriendoMensualCLP - Arriendo estimado antes de vacancia
+     * @param {number} [params.vacanciaMensualCLP] - Arriendo no percibido (provisión de vacancia)
+     * @param {number} [params.gastosDeduciblesMensualesCLP] - Gastos operacionales sin contribuciones ni provisiones
+     * @param {number} [params.contribucionesEstimadasMensualesCLP] - Contribuciones incluidas en el flujo antes de impuestos
+     * @param {number} [params.superficieM2] - Superficie del aviso, si el perfil no la trae
+     * @param {number} [params.flujoCajaMensualCLP] - Flujo antes de impuestos (para métricas después de impuestos)
+     * @param {number} [params.yieldNeto] - Yield neto antes de impuestos (%)
+     * @param {Object} [params.projection] - Proyección multianual (InvestmentProjectionService) para la TIR después de impuestos
+     */
+    static analyze(params) {
+        const {
+            perfil, precioUF, valorUF, valorUTM, arriendoMensualCLP,
+            vacanciaMensualCLP = 0, gastosDeduciblesMensualesCLP = 0, contribucionesEstimadasMensualesCLP = 0,
+            flujoCajaMensualCLP, yieldNeto, projection = null
+        } = params;
+
+        const valorComercialCLP = precioUF * valorUF;
+        const superficieM2 = perfil.propiedad.superficieM2 ?? params.superficieM2 ?? null;
+        const nueva = perfil.propiedad.nueva === true;
+        const antiguedadAnios = perfil.propiedad.antiguedadAnios ?? (nueva ? 0 : null);
+
+        const dfl2 = this.evaluateDFL2(perfil, superficieM2, antiguedadAnios);
+        const contribuciones = this.calculateContribuciones(perfil.propiedad.avaluoFiscalCLP, valorComercialCLP, dfl2);
+
+        const base = {
+            arriendoPercibidoAnual: (arriendoMensualCLP - vacanciaMensualCLP) * 12,
+            gastosDeduciblesAnual: gastosDeduciblesMensualesCLP * 12,
+            contribucionesAnual: contribuciones.impuestoAnual,
+            interesesAnual: projection?.anios?.[0] ? projection.anios[0].interesesUF * valorUF : 0,
+            depreciacionAnual: perfil.tipoContribuyente === 'empresa' ? this.annualDepreciation(valorComercialCLP) : 0
+        };
+        const impuestoRenta = this.calculateIncomeTax(perfil, dfl2, base, valorUTM * 12, perfil.ingresoAnualCLP);
+
+        const ajusteContribuciones = contribuciones.impuestoAnual - contribucionesEstimadasMensualesCLP * 12;
+        const impactoTotal = ajusteContribuciones + impuestoRenta.impuestoAnual;
+
+        const resultado = {
+            perfil: {
+                tipoContribuyente: perfil.tipoContribuyente,
+                regimenEmpresa: perfil.regimenEmpresa,
+                ingresoAnualCLP: perfil.ingresoAnualCLP,
+                viviendasDFL2: perfil.viviendasDFL2
+            },
+            propiedad: {
+                superficieM2,
+                fuenteSuperficie: perfil.propiedad.superficieM2 !== null ? 'perfil' : (superficieM2 !== null ? 'aviso' : 'no_disponible'),
+                nueva,
+                antiguedadAnios
+            },
+            dfl2,
+            contribuciones,
+            impuestoRenta,
+            iva: this.evaluateIVA(nueva, precioUF, valorUF),
+            impactoAnual: {
+                ajusteContribuciones: Math.round(ajusteContribuciones),
+                impuestoRenta: impuestoRenta.impuestoAnual,
+                total: Math.round(impactoTotal),
+                mensual: Math.round(impactoTotal / 12)
+            },
+            metricasDespuesImpuestos: null,
+            proyeccion: projection ? this.afterTaxProjection(projection, { perfil, dfl2, contribuciones, base, valorUTM, contribucionesEstimadasMensualesCLP }) : null,
+            parametros: {
+                valorUF,
+                valorUTM,
+                valorUTA: valorUTM * 12
+            },
+            notas: [
+                'Estimación referencial con reglas simplificadas; no reemplaza la asesoría de un contador',
+                'Contribuciones calculadas sobre el avalúo fiscal (estimado como % del valor comercial si no se informa) y reemplazan la estimación estándar del flujo',
+                'La calidad DFL2 debe confirmarse en la escritura o el certificado de recepción final'
+            ]
+        };
+
+        if (flujoCajaMensualCLP !== undefined && flujoCajaMensualCLP !== null) {
+            resultado.metricasDespuesImpuestos = {
+                flujoCajaMensual: {
+                    antesImpuestos: Math.round(flujoCajaMensualCLP),
+                    despuesImpuestos: Math.round(flujoCajaMensualCLP - impactoTotal / 12)
+                },
+                yieldNeto: yieldNeto === undefined || yieldNeto === null ? null : {
+                    antesImpuestos: round(yieldNeto),
+                    despuesImpuestos: round(yieldNeto - impactoTotal / valorComercialCLP * 100)
+                },
+                tir: resultado.proyeccion ? {
+                    antesImpuestos: resultado.proyeccion.indicadores.tirAntesImpuestos,
+                    despuesImpuestos: resultado.proyeccion.indicadores.tirDespuesImpuestos
+                } : null
+            };
+        }
+
+        logDebug('🧾 Impuestos calculados', {
+            dfl2: dfl2.aplica,
+            contribucionesAnual: contribuciones.impuestoAnual,
+            impuestoRentaAnual: impuestoRenta.impuestoAnual,
+            impactoMensual: resultado.impactoAnual.mensual
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Separar el desglose de calculateMonthlyOperationalExpenses en los montos que usa el cálculo tributario.
+     * Las provisiones (vacancia, fondo de reparaciones) no son gasto deducible y las contribuciones se recalculan.
+     */
+    static splitOperationalExpenses(gastosOperacionales) {
+        const conceptos = gastosOperacionales?.conceptos || {};
+        const valor = concepto => conceptos[concepto]?.valor || 0;
+
+        return {
+            vacanciaMensualCLP: valor('vacancia'),
+            contribucionesEstimadasMensualesCLP: valor('contribuciones'),
+            gastosDeduciblesMensualesCLP: valor('mantenciones') + valor('comisionAdministracion') +
+                valor('seguroPropiedad') + valor('gastosComunes')
+        };
+    }
+
+    /**
+     * Calidad DFL2 (declarada o inferida por superficie) y beneficios que aplican al inversionista
+     */
+    static evaluateDFL2(perfil, superficieM2, antiguedadAnios) {
+        const reglas = REGLAS_TRIBUTARIAS.dfl2;
+        const declarado = perfil.propiedad.dfl2;
+        const excedeSuperficie = superficieM2 !== null && superficieM2 > reglas.superficieMaxM2;
+
+        let aplica = false;
+        let fuente = 'sin_datos';
+        let motivo = 'Sin superficie ni declaración DFL2: se asume sin beneficios';
+
+        if (declarado === false) {
+            fuente = 'perfil';
+            motivo = 'Declarada sin calidad DFL2';
+        } else if (excedeSuperficie) {
+            fuente = declarado === true ? 'perfil' : 'superficie';
+            motivo = `Superficie de ${superficieM2} m² excede el máximo DFL2 de ${reglas.superficieMaxM2} m²`;
+        } else if (declarado === true) {
+            aplica = true;
+            fuente = 'perfil';
+            motivo = 'Declarada DFL2';
+        } else if (superficieM2 !== null) {
+            aplica = true;
+            fuente = 'inferido_superficie';
+            motivo = `Inferida DFL2 por superficie de ${superficieM2} m² (confirmar)`;
+        }
+
+        const esPersona = perfil.tipoContribuyente === 'persona';
+        const dentroDelLimite = perfil.viviendasDFL2 < reglas.maxViviendasPersonaNatural;
+        const exencionRenta = aplica && esPersona && dentroDelLimite;
+
+        // Sin superficie se usa el tramo más corto de rebaja
+        const tramo = superficieM2 !== null
+            ? reglas.aniosRebajaContribuciones.find(t => superficieM2 <= t.hastaM2)
+            : reglas.aniosRebajaContribuciones[reglas.aniosRebajaContribuciones.length - 1];
+        const aniosTotales = aplica && tramo ? tramo.anios : 0;
+        const aniosRestantes = aniosTotales > 0 && antiguedadAnios !== null ? Math.max(0, aniosTotales - antiguedadAnios) : 0;
+
+        return {
+            aplica,
+            fuente,
+            motivo,
+            exencionRenta,
+            motivoRenta: !aplica
+                ? 'Vivienda sin calidad DFL2'
+                : !esPersona
+                    ? 'La exención de arriendos DFL2 aplica solo a personas naturales'
+                    : dentroDelLimite
+                        ? `Arriendo exento: el inversionista posee ${perfil.viviendasDFL2} vivienda(s) DFL2 (máximo ${reglas.maxViviendasPersonaNatural})`
+                        : `Sin exención: el inversionista ya posee ${perfil.viviendasDFL2} viviendas DFL2 (máximo ${reglas.maxViviendasPersonaNatural})`,
+            rebajaContribuciones: {
+                aplica: aniosRestantes > 0,
+                pct: reglas.rebajaContribucionesPct,
+                aniosTotales,
+                aniosRestantes,
+                nota: aplica && antiguedadAnios === null ? 'Antigüedad desconocida: no se aplica la rebaja' : null
+            }
+        };
+    }
+
+    /**
+     * Contribuciones anuales: exención habitacional, tramos y rebaja DFL2
+     */
+    static calculateContribuciones(avaluoFiscalCLP, valorComercialCLP, dfl2) {
+        const reglas = REGLAS_TRIBUTARIAS.contribuciones;
+        const avaluo = avaluoFiscalCLP ?? valorComercialCLP * reglas.avaluoFiscalPctValorComercial / 100;
+        const avaluoAfecto = Math.max(0, avaluo - reglas.exencionHabitacionalCLP);
+
+        const impuestoSinRebaja = this.progressiveTax(avaluoAfecto, reglas.tramos);
+        const rebaja = dfl2.rebajaContribuciones.aplica ? impuestoSinRebaja * dfl2.rebajaContribuciones.pct / 100 : 0;
+        const impuestoAnual = Math.round(impuestoSinRebaja - rebaja);
+
+        return {
+            avaluoFiscalCLP: Math.round(avaluo),
+            fuenteAvaluo: avaluoFiscalCLP !== null && avaluoFiscalCLP !== undefined
+                ? 'perfil'
+                : `estimado_${reglas.avaluoFiscalPctValorComercial}pct_valor_comercial`,
+            exencionHabitacionalCLP: reglas.exencionHabitacionalCLP,
+            avaluoAfectoCLP: Math.round(avaluoAfecto),
+            exenta: avaluoAfecto === 0,
+            impuestoAnualSinRebaja: Math.round(impuestoSinRebaja),
+            rebajaDFL2Anual: Math.round(rebaja),
+            impuestoAnual,
+            impuestoMensual: Math.round(impuestoAnual / 12)
+        };
+    }
+
+    /**
+     * Impuesto a la renta del arriendo de un año
+     * - persona: Global Complementario marginal sobre sus otras rentas
+     * - empresa: Primera Categoría según régimen
+     */
+    static calculateIncomeTax(perfil, dfl2, base, valorUTA, ingresoOtros) {
+        const deducciones = {
+            gastosOperacionales: Math.round(base.gastosDeduciblesAnual),
+            contribuciones: Math.round(base.contribucionesAnual),
+            intereses: Math.round(base.interesesAnual),
+            depreciacion: Math.round(base.depreciacionAnual)
+        };
+        const baseImponible = base.arriendoPercibidoAnual - base.gastosDeduciblesAnual - base.contribucionesAnual -
+            base.interesesAnual - base.depreciacionAnual;
+
+        const resultado = {
+            regimen: null,
+            arriendoPercibido: Math.round(base.arriendoPercibidoAnual),
+            deducciones,
+            baseImponible: Math.round(baseImponible),
+            impuestoAnual: 0,
+            tasaMarginalPct: 0,
+            tasaEfectivaPct: 0
+        };
+
+        if (dfl2.exencionRenta) {
+            return { ...resultado, regimen: 'exento_dfl2' };
+        }
+
+        const renta = Math.max(0, baseImponible);
+        let impuesto;
+
+        if (perfil.tipoContribuyente === 'persona') {
+            const tramos = REGLAS_TRIBUTARIAS.globalComplementario;
+            impuesto = this.progressiveTax(ingresoOtros + renta, tramos, valorUTA) - this.progressiveTax(ingresoOtros, tramos, valorUTA);
+            resultado.regimen = 'global_complementario';
+            resultado.tasaMarginalPct = this.marginalRate(ingresoOtros + renta, tramos, valorUTA);
+        } else {
+            const tasa = REGLAS_TRIBUTARIAS.primeraCategoria[perfil.regimenEmpresa];
+            impuesto = renta * tasa / 100;
+            resultado.regimen = `primera_categoria_${perfil.regimenEmpresa}`;
+            resultado.tasaMarginalPct = tasa;
+        }
+
+        resultado.impuestoAnual = Math.round(impuesto);
+        resultado.tasaEfectivaPct = base.arriendoPercibidoAnual > 0
+            ? round(impuesto / base.arriendoPercibidoAnual * 100)
+            : 0;
+
+        return resultado;
+    }
+
+    /**
+     * IVA incorporado al precio de una vivienda nueva (no recuperable: el arriendo sin amoblar está exento)
+     */
+    static evaluateIVA(nueva, precioUF, valorUF) {
+        if (!nueva) {
+            return {
+                aplica: false,
+                nota: 'Vivienda usada: la venta entre particulares no está afecta a IVA'
+            };
+        }
+
+        const reglas = REGLAS_TRIBUTARIAS.iva;
+        const baseAfecta = precioUF * valorUF * (1 - REGLAS_TRIBUTARIAS.proporcionTerrenoPct / 100);
+        const ivaIncluido = baseAfecta * reglas.tasaPct / (100 + reglas.tasaPct);
+        const aplicaCEEC = precioUF <= reglas.ceec.precioMaxUF;
+        const creditoCEEC = aplicaCEEC ? Math.min(ivaIncluido * reglas.ceec.factor, reglas.ceec.topeUF * valorUF) : 0;
+
+        return {
+            aplica: true,
+            proporcionTerrenoPct: REGLAS_TRIBUTARIAS.proporcionTerrenoPct,
+            baseAfectaCLP: Math.round(baseAfecta),
+            ivaIncluidoEstimadoCLP: Math.round(ivaIncluido),
+            creditoEspecialConstructoras: {
+                aplica: aplicaCEEC,
+                creditoEstimadoCLP: Math.round(creditoCEEC),
+                nota: `Crédito de la constructora para viviendas de hasta ${reglas.ceec.precioMaxUF} UF; reduce el IVA efectivo incluido en el precio`
+            },
+            ivaEfectivoEstimadoCLP: Math.round(ivaIncluido - creditoCEEC),
+            recuperable: false,
+            nota: 'El arriendo de viviendas sin amoblar está exento de IVA: el IVA de la compra no genera crédito fiscal para el inversionista'
+        };
+    }
+
+    /**
+     * Flujos de la proyección después de impuestos: contribuciones con rebaja DFL2 mientras dure,
+     * impuesto a la renta de cada año (intereses decrecientes) e impuesto a la ganancia de capital en la venta.
+     * Tramos y montos se reajustan con la UF.
+     */
+    static afterTaxProjection(projection, { perfil, dfl2, contribuciones, base, valorUTM, contribucionesEstimadasMensualesCLP }) {
+        const p = projection.parametros;
+        const gastosBaseAnual = p.gastosOperacionalesMensualesCLP * 12;
+        const arriendoBaseAnual = p.arriendoMensualCLP * 12;
+        const aniosRebaja = dfl2.rebajaContribuciones.aniosRestantes;
+
+        let depreciacionAcumuladaUF = 0;
+        const anios = projection.anios.map(fila => {
+            const factorUF = Math.pow(1 + p.variacionAnualUF / 100, fila.anio - 1);
+            const factorArriendo = arriendoBaseAnual > 0 ? fila.arriendoAnual / arriendoBaseAnual : factorUF;
+            const factorGastos = gastosBaseAnual > 0 ? fila.gastosOperacionales / gastosBaseAnual : factorUF;
+
+            const contribucionesAnio = (fila.anio <= aniosRebaja
+                ? contribuciones.impuestoAnualSinRebaja - contribuciones.rebajaDFL2Anual
+                : contribuciones.impuestoAnualSinRebaja) * factorUF;
+            const contribucionesEstimadas = contribucionesEstimadasMensualesCLP * 12 * factorGastos;
+            depreciacionAcumuladaUF += base.depreciacionAnual / p.valorUF;
+
+            const impuestoRenta = this.calculateIncomeTax(perfil, dfl2, {
+                arriendoPercibidoAnual: base.arriendoPercibidoAnual * factorArriendo,
+                gastosDeduciblesAnual: base.gastosDeduciblesAnual * factorGastos,
+                contribucionesAnual: contribucionesAnio,
+                interesesAnual: fila.interesesUF * p.valorUF * factorUF,
+                depreciacionAnual: base.depreciacionAnual * factorUF
+            }, valorUTM * 12 * factorUF, perfil.ingresoAnualCLP * factorUF).impuestoAnual;
+
+            const flujoDespues = fila.flujoNeto - (contribucionesAnio - contribucionesEstimadas) - impuestoRenta;
+
+            return {
+                anio: fila.anio,
+                contribuciones: Math.round(contribucionesAnio),
+                impuestoRenta,
+                flujoNetoAntesImpuestos: fila.flujoNeto,
+                flujoNetoDespuesImpuestos: Math.round(flujoDespues)
+            };
+        });
+
+        const venta = this.capitalGainsTax(projection, perfil, depreciacionAcumuladaUF);
+        const flujos = [-projection.inversionInicial.total, ...anios.map(a => a.flujoNetoDespuesImpuestos)];
+        flujos[flujos.length - 1] += projection.venta.netoVenta - venta.impuesto;
+
+        const tir = InvestmentProjectionService.irr(flujos);
+
+        return {
+            anios,
+            venta,
+            indicadores: {
+                tirAntesImpuestos: projection.indicadores.tir,
+                tirDespuesImpuestos: tir === null ? null : round(tir * 100),
+                vanAntesImpuestos: projection.indicadores.van,
+                vanDespuesImpuestos: Math.round(InvestmentProjectionService.npv(flujos, p.tasaDescuento)),
+                impuestosTotales: Math.round(anios.reduce((total, a) => total + a.impuestoRenta, 0) + venta.impuesto)
+            }
+        };
+    }
+
+    /**
+     * Impuesto al mayor valor en la venta (ganancia en UF: la UF corrige el costo por inflación)
+     */
+    static capitalGainsTax(projection, perfil, depreciacionAcumuladaUF) {
+        const reglas = REGLAS_TRIBUTARIAS.gananciaCapital;
+        const { venta, parametros: p } = projection;
+        const valorUFVenta = venta.valorVentaCLP / venta.valorVentaUF;
+
+        const costoUF = p.precioUF - depreciacionAcumuladaUF;
+        const gananciaUF = Math.max(0, venta.valorVentaUF * (1 - p.costosVentaPct / 100) - costoUF);
+
+        const esPersona = perfil.tipoContribuyente === 'persona';
+        const exentoUF = esPersona ? Math.min(gananciaUF, reglas.exencionPersonaUF) : 0;
+        const tasa = esPersona ? reglas.tasaUnicaPct : REGLAS_TRIBUTARIAS.primeraCategoria[perfil.regimenEmpresa];
+
+        return {
+            gananciaUF: round(gananciaUF),
+            exentoUF: round(exentoUF),
+            tasaPct: tasa,
+            impuesto: Math.round((gananciaUF - exentoUF) * tasa / 100 * valorUFVenta),
+            nota: esPersona
+                ? `Exención de ${reglas.exencionPersonaUF} UF asumiendo que no se ha usado en otras ventas`
+                : 'Ganancia incluye la depreciación acumulada'
+        };
+    }
+
+    static annualDepreciation(valorComercialCLP) {
+        return valorComercialCLP * (1 - REGLAS_TRIBUTARIAS.proporcionTerrenoPct / 100) / REGLAS_TRIBUTARIAS.depreciacion.vidaUtilAnios;
+    }
+
+    /**
+     * Impuesto progresivo por tramos; `escala` convierte los límites a CLP (ej: valor UTA)
+     */
+    static progressiveTax(monto, tramos, escala = 1) {
+        let impuesto = 0;
+        let desde = 0;
+
+        for (const tramo of tramos) {
+            const hasta = tramo.hasta === null ? Infinity : tramo.hasta * escala;
+            if (monto > desde) {
+                impuesto += (Math.min(monto, hasta) - desde) * tramo.tasaPct / 100;
+            }
+            if (monto <= hasta) break;
+            desde = hasta;
+        }
+
+        return impuesto;
+    }
+
+    static marginalRate(monto, tramos, escala = 1) {
+        const tramo = tramos.find(t => t.hasta === null || monto <= t.hasta * escala);
+        return tramo.tasaPct;
+    }
+}
+
+module.exports = TaxService;
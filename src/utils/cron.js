@@ -0,0 +1,182 @@
+// src/utils/cron.js
+const { ErrorFactory } = require('./errors');
+
+/**
+ * Expresiones cron de 5 campos (minuto hora día-mes mes día-semana) sin dependencias externas
+ *
+ * Soporta *, listas (1,15), rangos (1-5), pasos (*\/10, 8-18/2) y los alias @hourly, @daily,
+ * @weekly y @monthly. Día de semana 0-7 (0 y 7 = domingo). Se evalúa en la hora local del servidor.
+ * Día-mes y día-semana siguen la semántica de Vixie cron: si ambos están restringidos basta con que
+ * se cumpla uno; un campo que empieza con * (incluido *\/2) no cuenta como restringido.
+ */
+
+const CAMPOS = [
+    { nombre: 'minuto', min: 0, max: 59 },
+    { nombre: 'hora', min: 0, max: 23 },
+    { nombre: 'diaMes', min: 1, max: 31 },
+    { nombre: 'mes', min: 1, max: 12 },
+    { nombre: 'diaSemana', min: 0, max: 7 }
+];
+
+const ALIAS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Búsqueda de la próxima ejecución acotada a ~4 años (cubre 29 de febrero)
+const MAX_DIAS_BUSQUEDA = 4 * 366;
+
+const parseField = (texto, campo, expresion) => {
+    const valores = new Set();
+    const invalido = () => ErrorFactory.validation(
+        `Expresión cron inválida "${expresion}": campo ${campo.nombre} "${texto}" (rango ${campo.min}-${campo.max})`,
+        'cron'
+    );
+
+    for (const parte of texto.split(',')) {
+        const match = parte.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) {
+            throw invalido();
+        }
+
+        const [, inicioTexto, finTexto, pasoTexto] = match;
+        let inicio = inicioTexto === '*' ? campo.min : parseInt(inicioTexto);
+        let fin = inicioTexto === '*' ? campo.max : parseInt(finTexto ?? inicioTexto);
+        const paso = pasoTexto !== undefined ? parseInt(pasoTexto) : 1;
+
+        // "5/15" equivale a "5-max/15"
+        if (inicioTexto !== '*' && finTexto === undefined && pasoTexto !== undefined) {
+            fin = campo.max;
+        }
+
+        if (inicioTexto === '*' && finTexto !== undefined) {
+            throw invalido();
+        }
+        if (inicio < campo.min || fin > campo.max || inicio > fin || paso < 1) {
+            throw invalido();
+        }
+
+        for (let valor = inicio; valor <= fin; valor += paso) {
+            valores.add(valor);
+        }
+    }
+
+    return valores;
+};
+
+/**
+ * Parsear una expresión cron
+ * @returns {{ expresion, minuto, hora, diaMes, mes, diaSemana, diaMesLibre, diaSemanaLibre }}
+ */
+const parseCron = (expresion) => {
+    if (typeof expresion !== 'string' || expresion.trim().length === 0) {
+        throw ErrorFactory.validation('La expresión cron es requerida (ej: "0 8 * * 1-5")', 'cron');
+    }
+
+    const normalizada = ALIAS[expresion.trim().toLowerCase()] || expresion.trim();
+    const partes = normalizada.split(/\s+/);
+
+    if (partes.length !== CAMPOS.length) {
+        throw ErrorFactory.validation(
+            `Expresión cron inválida "${expresion}": se esperan 5 campos (minuto hora día-mes mes día-semana)`,
+            'cron'
+        );
+    }
+
+    const [minuto, hora, diaMes, mes, diaSemana] = partes.map((parte, i) => parseField(parte, CAMPOS[i], expresion));
+
+    // 7 también es domingo
+    if (diaSemana.has(7)) {
+        diaSemana.add(0);
+        diaSemana.delete(7);
+    }
+
+    return {
+        expresion: expresion.trim(),
+        minuto,
+        hora,
+        diaMes,
+        mes,
+        diaSemana,
+        diaMesLibre: partes[2].startsWith('*'),
+        diaSemanaLibre: partes[4].startsWith('*')
+    };
+};
+
+/**
+ * Coincidencia de día: si día-mes y día-semana están restringidos basta con uno; si alguno empieza
+ * con * se exigen ambos ("0 8 *\/2 * 1" = lunes de día impar, no días impares o lunes)
+ */
+const matchesDay = (cron, fecha) => {
+    const porDiaMes = cron.diaMes.has(fecha.getDate());
+    const porDiaSemana = cron.diaSemana.has(fecha.getDay());
+
+    if (cron.diaMesLibre || cron.diaSemanaLibre) {
+        return porDiaMes && porDiaSemana;
+    }
+    return porDiaMes || porDiaSemana;
+};
+
+/**
+ * Próxima fecha (estrictamente posterior a `desde`) que cumple la expresión
+ * @param {string|Object} expresion - texto cron o resultado de parseCron
+ * @param {Date} desde
+ * @returns {Date|null}
+ */
+const nextCronRun = (expresion, desde = new Date()) => {
+    const cron = typeof expresion === 'string' ? parseCron(expresion) : expresion;
+
+    const fecha = new Date(desde.getTime());
+    fecha.setSeconds(0, 0);
+    fecha.setMinutes(fecha.getMinutes() + 1);
+
+    const limite = desde.getTime() + MAX_DIAS_BUSQUEDA * 24 * 60 * 60 * 1000;
+
+    while (fecha.getTime() <= limite) {
+        if (!cron.mes.has(fecha.getMonth() + 1)) {
+            fecha.setMonth(fecha.getMonth() + 1, 1);
+            fecha.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(cron, fecha)) {
+            fecha.setDate(fecha.getDate() + 1);
+            fecha.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hora.has(fecha.getHours())) {
+            fecha.setHours(fecha.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minuto.has(fecha.getMinutes())) {
+            fecha.setMinutes(fecha.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return fecha;
+    }
+
+    return null;
+};
+
+/**
+ * Menor intervalo (minutos) entre las próximas `muestras` ejecuciones
+ */
+const minCronInterval = (expresion, muestras = 24, desde = new Date()) => {
+    const cron = typeof expresion === 'string' ? parseCron(expresion) : expresion;
+    let anterior = nextCronRun(cron, desde);
+    let minimo = Infinity;
+
+    for (let i = 0; i < muestras && anterior; i++) {
+        const siguiente = nextCronRun(cron, anterior);
+        if (!siguiente) {
+            break;
+        }
+        minimo = Math.min(minimo, (siguiente - anterior) / 60000);
+        anterior = siguiente;
+    }
+
+    return minimo;
+};
+
+module.exports = { parseCron, nextCronRun, minCronInterval };
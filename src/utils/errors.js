@@ -46,8 +46,8 @@ class SearchError extends AppError {
 }
 
 class MortgageError extends AppError {
-    constructor(message, simulationParams = null, originalError = null) {
-        super(message, 500, originalError);
+    constructor(message, simulationParams = null, originalError = null, statusCode = 500) {
+        super(message, statusCode, originalError);
         this.name = 'MortgageError';
         this.simulationParams = simulationParams;
     }
@@ -88,6 +88,9 @@ const ErrorFactory = {
         params,
         originalError
     ),
+
+    // La CMF responde, pero ningún banco ofrece el producto solicitado
+    productNotOffered: (message, params) => new MortgageError(message, params, null, 422),
     
     // Errores de parámetros
     invalidParameters: (message) => new ValidationError(message),
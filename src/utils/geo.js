@@ -0,0 +1,182 @@
+// src/utils/geo.js
+const { ErrorFactory } = require('./errors');
+
+/**
+ * Utilidades geográficas sin dependencias externas
+ *
+ * Coordenadas como { lat, lng } en grados decimales (WGS84). Los polígonos siguen GeoJSON:
+ * posiciones [lng, lat], Polygon o MultiPolygon (también dentro de un Feature).
+ * Las distancias son de círculo máximo (haversine), suficientes a escala de ciudad.
+ */
+
+const RADIO_TIERRA_KM = 6371;
+
+const RADIO_MIN_KM = 0.1;
+const RADIO_MAX_KM = 50;
+
+const toRad = (grados) => grados * Math.PI / 180;
+
+const isValidCoordinates = (punto) =>
+    !!punto &&
+    typeof punto.lat === 'number' && typeof punto.lng === 'number' &&
+    isFinite(punto.lat) && isFinite(punto.lng) &&
+    Math.abs(punto.lat) <= 90 && Math.abs(punto.lng) <= 180 &&
+    !(punto.lat === 0 && punto.lng === 0);
+
+/**
+ * { lat, lng } desde objetos { lat, lng } / { latitude, longitude } / { lat, lon } o textos numéricos
+ * @returns {Object|null} null si no son coordenadas válidas
+ */
+const normalizeCoordinates = (valor) => {
+    if (!valor || typeof valor !== 'object') {
+        return null;
+    }
+
+    const punto = {
+        lat: parseFloat(valor.lat ?? valor.latitude ?? valor.latitud),
+        lng: parseFloat(valor.lng ?? valor.lon ?? valor.longitude ?? valor.longitud)
+    };
+
+    return isValidCoordinates(punto)
+        ? { lat: Math.round(punto.lat * 1e6) / 1e6, lng: Math.round(punto.lng * 1e6) / 1e6 }
+        : null;
+};
+
+/**
+ * Coordenadas en la URL de un mapa estático (center=-33.41,-70.59 o markers=...|-33.41,-70.59)
+ */
+const coordinatesFromMapUrl = (url) => {
+    const texto = decodeURIComponent(String(url || '')).replace(/%2C/gi, ',');
+    const match = texto.match(/(?:center|markers|ll|q)=(?:[^&]*?\|)?(-?\d{1,2}\.\d+),\s*(-?\d{1,3}\.\d+)/);
+    return match ? normalizeCoordinates({ lat: match[1], lng: match[2] }) : null;
+};
+
+/**
+ * Distancia en km entre dos puntos { lat, lng }
+ */
+const distanceKm = (a, b) => {
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * RADIO_TIERRA_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Radio en km desde '2km', '800m', '1.5 km' o un número (km)
+ * @param {string|number} valor
+ * @param {string} campo - nombre del parámetro para el error de validación
+ */
+const parseRadiusKm = (valor, campo = 'radio') => {
+    let km = null;
+
+    if (typeof valor === 'number') {
+        km = valor;
+    } else if (typeof valor === 'string') {
+        const match = valor.trim().toLowerCase().replace(',', '.').match(/^(\d+(?:\.\d+)?)\s*(km|m)?$/);
+        if (match) {
+            km = match[2] === 'm' ? parseFloat(match[1]) / 1000 : parseFloat(match[1]);
+        }
+    }
+
+    if (km === null || !isFinite(km) || km < RADIO_MIN_KM || km > RADIO_MAX_KM) {
+        throw ErrorFactory.validation(
+            `${campo} debe ser una distancia entre ${RADIO_MIN_KM * 1000}m y ${RADIO_MAX_KM}km (ej: "2km", "800m" o 1.5)`,
+            campo
+        );
+    }
+
+    return Math.round(km * 1000) / 1000;
+};
+
+/**
+ * Validar un polígono GeoJSON y devolverlo como lista de polígonos (cada uno: anillo exterior + agujeros)
+ * @param {Object} geojson - Polygon, MultiPolygon o Feature con una de esas geometrías
+ * @returns {Array<Array<Array<[number, number]>>>}
+ */
+const parsePolygon = (geojson, campo = 'poligono') => {
+    const invalido = (detalle) => ErrorFactory.validation(
+        `${campo} debe ser un Polygon o MultiPolygon GeoJSON con posiciones [lng, lat]: ${detalle}`,
+        campo
+    );
+
+    const geometria = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+    if (!geometria || typeof geometria !== 'object') {
+        throw invalido('geometría ausente');
+    }
+
+    let poligonos;
+    if (geometria.type === 'Polygon') {
+        poligonos = [geometria.coordinates];
+    } else if (geometria.type === 'MultiPolygon') {
+        poligonos = geometria.coordinates;
+    } else {
+        throw invalido(`tipo no soportado "${geometria.type}"`);
+    }
+
+    if (!Array.isArray(poligonos) || poligonos.length === 0) {
+        throw invalido('sin coordenadas');
+    }
+
+    return poligonos.map(anillos => {
+        if (!Array.isArray(anillos) || anillos.length === 0) {
+            throw invalido('polígono sin anillos');
+        }
+        return anillos.map(anillo => {
+            if (!Array.isArray(anillo) || anillo.length < 3) {
+                throw invalido('cada anillo necesita al menos 3 posiciones');
+            }
+            return anillo.map(posicion => {
+                const punto = Array.isArray(posicion) ? normalizeCoordinates({ lng: posicion[0], lat: posicion[1] }) : null;
+                if (!punto) {
+                    throw invalido(`posición inválida ${JSON.stringify(posicion)}`);
+                }
+                return [punto.lng, punto.lat];
+            });
+        });
+    });
+};
+
+// Ray casting sobre un anillo de posiciones [lng, lat]
+const insideRing = (punto, anillo) => {
+    let dentro = false;
+    for (let i = 0, j = anillo.length - 1; i < anillo.length; j = i++) {
+        const [xi, yi] = anillo[i];
+        const [xj, yj] = anillo[j];
+        if ((yi > punto.lat) !== (yj > punto.lat) &&
+            punto.lng < (xj - xi) * (punto.lat - yi) / (yj - yi) + xi) {
+            dentro = !dentro;
+        }
+    }
+    return dentro;
+};
+
+/**
+ * ¿El punto está dentro de alguno de los polígonos (fuera de sus agujeros)?
+ * @param {Object} punto - { lat, lng }
+ * @param {Array} poligonos - resultado de parsePolygon
+ */
+const pointInPolygon = (punto, poligonos) => poligonos.some(([exterior, ...agujeros]) =>
+    insideRing(punto, exterior) && !agujeros.some(agujero => insideRing(punto, agujero))
+);
+
+/**
+ * Centro aproximado (promedio de vértices del anillo exterior) para ordenar por distancia
+ */
+const polygonCenter = (poligonos) => {
+    const vertices = poligonos.flatMap(([exterior]) => exterior);
+    return normalizeCoordinates({
+        lat: vertices.reduce((suma, [, lat]) => suma + lat, 0) / vertices.length,
+        lng: vertices.reduce((suma, [lng]) => suma + lng, 0) / vertices.length
+    });
+};
+
+module.exports = {
+    isValidCoordinates,
+    normalizeCoordinates,
+    coordinatesFromMapUrl,
+    distanceKm,
+    parseRadiusKm,
+    parsePolygon,
+    pointInPolygon,
+    polygonCenter
+};
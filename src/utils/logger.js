@@ -125,7 +125,7 @@ const consoleTransport = new winston.transports.Console({
     ),
     handleExceptions: false,
     handleRejections: false,
-    silent: false
+    silent: process.env.NODE_ENV === 'test' // npm test: solo archivos de log
 });
 
 // Manejar errores del transport de consola
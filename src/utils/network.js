@@ -0,0 +1,156 @@
+// src/utils/network.js
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ErrorFactory } = require('./errors');
+
+/**
+ * Validación de destinos HTTP salientes configurados por clientes (webhooks)
+ *
+ * Rechaza hosts que resuelven a direcciones de loopback, redes privadas, link-local (incluida la
+ * metadata de nubes en 169.254.169.254), CGNAT, multicast o reservadas, para que un webhook no
+ * sirva para alcanzar servicios internos. WEBHOOK_ALLOW_PRIVATE_HOSTS=true lo desactiva (desarrollo local).
+ *
+ * La solicitud se envía con requestPinned a las direcciones ya validadas: si se dejara que el cliente
+ * HTTP resolviera el host de nuevo, un DNS con rebinding podría responder con una IP interna.
+ */
+
+// [red, bits de prefijo]
+const RANGOS_IPV4_BLOQUEADOS = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((total, octeto) => total * 256 + parseInt(octeto), 0);
+
+const isBlockedIPv4 = (ip) => {
+    const valor = ipv4ToInt(ip);
+    return RANGOS_IPV4_BLOQUEADOS.some(([red, bits]) => {
+        const tamano = 2 ** (32 - bits);
+        return Math.floor(valor / tamano) === Math.floor(ipv4ToInt(red) / tamano);
+    });
+};
+
+const isBlockedIPv6 = (ip) => {
+    const normalizada = ip.toLowerCase().replace(/^\[|\]$/g, '').split('%')[0];
+
+    // IPv4 embebida (::ffff:127.0.0.1, o ::ffff:7f00:1 como la normaliza URL)
+    const v4 = normalizada.match(/(\d{1,3}(?:\.\d{1,3}){3})$/);
+    if (v4) {
+        return isBlockedIPv4(v4[1]);
+    }
+    const v4Hex = normalizada.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (v4Hex) {
+        const [alto, bajo] = [parseInt(v4Hex[1], 16), parseInt(v4Hex[2], 16)];
+        return isBlockedIPv4([alto >> 8, alto & 0xff, bajo >> 8, bajo & 0xff].join('.'));
+    }
+
+    if (normalizada === '::' || normalizada === '::1') {
+        return true;
+    }
+
+    const primerGrupo = parseInt(normalizada.split(':')[0] || '0', 16);
+    return (primerGrupo & 0xfe00) === 0xfc00 || // fc00::/7 única local
+        (primerGrupo & 0xffc0) === 0xfe80 ||     // fe80::/10 link-local
+        (primerGrupo & 0xff00) === 0xff00;       // ff00::/8 multicast
+};
+
+/**
+ * true si la dirección IP no es enrutable públicamente
+ */
+const isPrivateAddress = (ip) => {
+    const limpia = String(ip).replace(/^\[|\]$/g, '');
+    const version = net.isIP(limpia.split('%')[0]);
+
+    if (version === 4) return isBlockedIPv4(limpia);
+    if (version === 6) return isBlockedIPv6(limpia);
+    return true;
+};
+
+/**
+ * Resolver el host de una URL y rechazar destinos internos
+ * @param {string|URL} url
+ * @param {string} campo - campo de la validación (p. ej. 'webhook.url')
+ * @returns {Promise<string[]>} direcciones resueltas
+ */
+const assertPublicUrl = async (url, campo) => {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true') {
+        return [];
+    }
+
+    let direcciones;
+    if (net.isIP(host)) {
+        direcciones = [host];
+    } else {
+        try {
+            direcciones = (await dns.lookup(host, { all: true, verbatim: true })).map(registro => registro.address);
+        } catch (error) {
+            throw ErrorFactory.validation(`${campo}: no se pudo resolver el host ${host}`, campo);
+        }
+    }
+
+    if (direcciones.length === 0 || direcciones.some(isPrivateAddress)) {
+        throw ErrorFactory.validation(`${campo} no puede apuntar a una dirección local, privada o reservada (${host})`, campo);
+    }
+
+    return direcciones;
+};
+
+/**
+ * lookup de DNS que responde siempre con las direcciones dadas (sin volver a resolver el host)
+ */
+const pinnedLookup = (direcciones) => (hostname, opciones, callback) => {
+    const registros = direcciones.map(address => ({ address, family: net.isIP(address) }));
+    if (opciones?.all) {
+        return callback(null, registros);
+    }
+    return callback(null, registros[0].address, registros[0].family);
+};
+
+/**
+ * Solicitud HTTP(S) que se conecta a direcciones ya validadas por assertPublicUrl. El host de la URL
+ * se mantiene para el header Host y la verificación TLS (SNI y certificado). No sigue redirecciones:
+ * un 3xx se devuelve como respuesta
+ * @param {string} url
+ * @param {string[]} direcciones - resultado de assertPublicUrl ([] = resolución normal, hosts privados permitidos)
+ * @param {Object} opciones - { method, headers, body, timeout (ms) }
+ * @returns {Promise<{ status: number, ok: boolean }>}
+ */
+const requestPinned = (url, direcciones, { method = 'GET', headers = {}, body = null, timeout = 10000 } = {}) => {
+    const destino = new URL(url);
+    const cliente = destino.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = cliente.request(destino, {
+            method,
+            headers: body === null ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            signal: AbortSignal.timeout(timeout),
+            ...(direcciones.length > 0 ? { lookup: pinnedLookup(direcciones) } : {})
+        }, (res) => {
+            // El cuerpo de la respuesta no se usa
+            res.resume();
+            resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300 });
+        });
+
+        req.on('error', reject);
+        req.end(body === null ? undefined : body);
+    });
+};
+
+module.exports = {
+    isPrivateAddress,
+    assertPublicUrl,
+    requestPinned
+};
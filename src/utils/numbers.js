@@ -0,0 +1,48 @@
+// src/utils/numbers.js
+const { ErrorFactory } = require('./errors');
+
+/**
+ * Utilidades numéricas de los motores de cálculo (hipotecario, inversión, impuestos, mercado)
+ */
+
+/**
+ * Redondeo a `decimales` cifras decimales
+ */
+const round = (valor, decimales = 2) => {
+    const factor = Math.pow(10, decimales);
+    return Math.round(valor * factor) / factor;
+};
+
+/**
+ * Como round, pero conserva null/undefined como null (medianas sin muestra)
+ */
+const roundOrNull = (valor, decimales = 2) => (valor === null || valor === undefined ? null : round(valor, decimales));
+
+/**
+ * Validar un parámetro numérico de entrada (número o texto numérico)
+ * - vacío (undefined, null, ''): `defecto`, o ValidationError si es requerido
+ * - no numérico, no finito o fuera de [min, max]: ValidationError sobre `campo`
+ * @param {*} valor
+ * @param {string} campo - nombre del campo en los mensajes y en error.field (p. ej. 'credito.tasaAnual')
+ * @param {Object} opciones - { min, max, requerido, defecto, entero }
+ */
+const numberParam = (valor, campo, { min = -Infinity, max = Infinity, requerido = false, defecto, entero = false } = {}) => {
+    if (valor === undefined || valor === null || (typeof valor === 'string' && valor.trim() === '')) {
+        if (requerido) {
+            throw ErrorFactory.validation(`El parámetro ${campo} es requerido`, campo);
+        }
+        return defecto;
+    }
+
+    const num = typeof valor === 'number' ? valor : (typeof valor === 'string' ? Number(valor) : NaN);
+    if (!Number.isFinite(num) || num < min || num > max || (entero && !Number.isInteger(num))) {
+        throw ErrorFactory.validation(`${campo} debe ser un número ${entero ? 'entero ' : ''}entre ${min} y ${max}`, campo);
+    }
+    return num;
+};
+
+module.exports = {
+    round,
+    roundOrNull,
+    numberParam
+};
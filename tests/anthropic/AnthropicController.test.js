@@ -0,0 +1,22 @@
+// tests/anthropic/AnthropicController.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AnthropicController = require('../../src/controllers/AnthropicController');
+
+test('buildReportOptions parsea buyerProfile y taxProfile enviados como JSON en query params', () => {
+    const opciones = AnthropicController.buildReportOptions({
+        buyerProfile: JSON.stringify({ ingresoLiquidoMensual: 2500000, plazoAnios: 25 }),
+        taxProfile: JSON.stringify({})
+    });
+
+    assert.equal(opciones.buyerProfile.ingresoLiquidoMensual, 2500000);
+    assert.equal(opciones.buyerProfile.plazoAnios, 25);
+    assert.ok(opciones.taxProfile);
+});
+
+test('buildReportOptions rechaza un buyerProfile que no es JSON válido', () => {
+    assert.throws(
+        () => AnthropicController.buildReportOptions({ buyerProfile: '{ingreso' }),
+        (error) => error.name === 'ValidationError' && /buyerProfile/.test(error.message)
+    );
+});
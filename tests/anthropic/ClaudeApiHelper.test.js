@@ -0,0 +1,33 @@
+// tests/anthropic/ClaudeApiHelper.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ClaudeApiHelper = require('../../src/services/anthropic/ClaudeApiHelper');
+
+// Cliente que espera hasta que la solicitud se cancele, como el SDK con { signal }
+const clienteCancelable = () => {
+    const cliente = { llamadas: 0, opciones: null };
+    cliente.messages = {
+        create: (body, opciones) => {
+            cliente.llamadas++;
+            cliente.opciones = opciones;
+            return new Promise((_, reject) => {
+                opciones.signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+            });
+        }
+    };
+    return cliente;
+};
+
+test('una solicitud cancelada no se reintenta ni cuenta como falla del circuit breaker', async () => {
+    const cliente = clienteCancelable();
+    const controller = new AbortController();
+    const fallasAntes = ClaudeApiHelper.circuitBreakerFailures;
+
+    const solicitud = ClaudeApiHelper.executeWithCircuitBreaker(cliente, 'prompt', 'financial', 'req_test', controller.signal);
+    controller.abort(new Error('Cliente SSE desconectado'));
+
+    await assert.rejects(solicitud, /aborted/);
+    assert.equal(cliente.llamadas, 1);
+    assert.equal(cliente.opciones.signal, controller.signal);
+    assert.equal(ClaudeApiHelper.circuitBreakerFailures, fallasAntes);
+});
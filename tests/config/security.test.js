@@ -0,0 +1,44 @@
+// tests/config/security.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const cors = require('cors');
+const { getCorsConfig } = require('../../src/config/security');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(cors(getCorsConfig()));
+    app.put('/api/search/saved/:id', (req, res) => res.json({ success: true }));
+    app.delete('/api/search/saved/:id', (req, res) => res.json({ success: true }));
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+const preflight = (metodo) => fetch(`${baseUrl}/api/search/saved/abc`, {
+    method: 'OPTIONS',
+    headers: {
+        Origin: 'http://localhost:3000',
+        'Access-Control-Request-Method': metodo,
+        'Access-Control-Request-Headers': 'content-type,x-api-key'
+    }
+});
+
+for (const metodo of ['PUT', 'DELETE', 'PATCH']) {
+    test(`el preflight CORS permite ${metodo} desde un origen autorizado`, async () => {
+        const respuesta = await preflight(metodo);
+
+        assert.equal(respuesta.status, 200);
+        assert.equal(respuesta.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+        assert.ok(respuesta.headers.get('access-control-allow-methods').split(',').includes(metodo));
+    });
+}
@@ -0,0 +1,69 @@
+// tests/geo/GeocodingService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GeocodingService = require('../../src/services/geo/GeocodingService');
+
+// Un grado de latitud ≈ 111,2 km
+const KM_LAT = 1 / 111.19;
+const centro = { lat: -33.45, lng: -70.6, precision: 'coordenadas', incertidumbreKm: 0 };
+
+const publicacion = (id, km, precision = 'portal', incertidumbreKm = 0) => ({
+    id,
+    geo: { lat: centro.lat + km * KM_LAT, lng: centro.lng, precision, referencia: null, incertidumbreKm }
+});
+
+const ids = (resultado) => resultado.publicaciones.map(p => p.id);
+
+test('applyGeoFilter filtra por radio y ordena por distancia las publicaciones con coordenadas', () => {
+    const resultado = GeocodingService.applyGeoFilter(
+        [publicacion('lejos', 3), publicacion('cerca', 0.5), publicacion('medio', 1.5), { id: 'sin-geo', geo: null }],
+        { centro, radioKm: 2 }
+    );
+
+    assert.deepEqual(ids(resultado), ['cerca', 'medio']);
+    assert.equal(resultado.resumen.fueraDelArea, 1);
+    assert.equal(resultado.resumen.sinUbicacion, 1);
+});
+
+test('applyGeoFilter amplía el radio con la incertidumbre de la publicación y del centro', () => {
+    const sector = [publicacion('sector', 2.8, 'sector', 1)];
+
+    assert.deepEqual(ids(GeocodingService.applyGeoFilter(sector, { centro, radioKm: 2 })), ['sector']);
+    assert.deepEqual(ids(GeocodingService.applyGeoFilter([publicacion('portal', 2.8)], { centro, radioKm: 2 })), []);
+    assert.deepEqual(
+        ids(GeocodingService.applyGeoFilter([publicacion('portal', 2.8)], { centro: { ...centro, incertidumbreKm: 1 }, radioKm: 2 })),
+        ['portal']
+    );
+});
+
+test('applyGeoFilter no filtra por radio las publicaciones ubicadas solo por comuna', () => {
+    const resultado = GeocodingService.applyGeoFilter(
+        [publicacion('comuna-lejos', 6, 'comuna', 2.5), publicacion('comuna', 4, 'comuna', 2.5), publicacion('portal', 1.5)],
+        { centro, radioKm: 2 }
+    );
+
+    assert.deepEqual(ids(resultado), ['portal', 'comuna', 'comuna-lejos']);
+    assert.equal(resultado.resumen.sinFiltroDeRadio, 2);
+    assert.equal(resultado.publicaciones[0].geo.radioVerificado, true);
+    assert.equal(resultado.publicaciones[1].geo.radioVerificado, false);
+});
+
+test('applyGeoFilter completa hasta el mínimo con las más cercanas de fuera del radio', () => {
+    const resultado = GeocodingService.applyGeoFilter(
+        [publicacion('a', 1), publicacion('c', 5), publicacion('b', 3)],
+        { centro, radioKm: 2 },
+        { minimo: 2 }
+    );
+
+    assert.deepEqual(ids(resultado), ['a', 'b']);
+    assert.equal(resultado.publicaciones[1].geo.dentroDelArea, false);
+    assert.equal(resultado.resumen.complementadasFueraDelArea, 1);
+});
+
+test('normalizeGeoOptions toma el centro nombrado como punto exacto', () => {
+    const filtro = GeocodingService.normalizeGeoOptions({ radio: '2km' }, { ubicacion: 'Ñuñoa' });
+
+    assert.equal(filtro.radioKm, 2);
+    assert.equal(filtro.centro.precision, 'comuna');
+    assert.equal(filtro.centro.incertidumbreKm, 0);
+});
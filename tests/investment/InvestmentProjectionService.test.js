@@ -0,0 +1,64 @@
+// tests/investment/InvestmentProjectionService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const InvestmentProjectionService = require('../../src/services/investment/InvestmentProjectionService');
+
+const parametros = (datos = {}) => ({
+    precioUF: 4500,
+    valorUF: 38000,
+    arriendoMensualCLP: 650000,
+    gastosOperacionalesMensualesCLP: 120000,
+    gastosInicialesCLP: 3000000,
+    montoCreditoUF: 3600,
+    tasaCredito: 4.5,
+    plusvaliaAnual: 2,
+    ...datos
+});
+
+test('irr de un periodo es la rentabilidad simple', () => {
+    assert.ok(Math.abs(InvestmentProjectionService.irr([-100, 110]) - 0.10) < 1e-6);
+});
+
+test('irr de una anualidad hace cero el VAN', () => {
+    const flujos = [-1000, 300, 300, 300, 300];
+    const tir = InvestmentProjectionService.irr(flujos);
+
+    assert.ok(Math.abs(tir - 0.077138) < 1e-5);
+    assert.ok(Math.abs(InvestmentProjectionService.npv(flujos, tir * 100)) < 1e-3);
+});
+
+test('irr con rentabilidad negativa', () => {
+    const tir = InvestmentProjectionService.irr([-1000, 200, 200, 200]);
+
+    assert.ok(tir < 0);
+    assert.ok(Math.abs(InvestmentProjectionService.npv([-1000, 200, 200, 200], tir * 100)) < 1e-3);
+});
+
+test('irr es null si los flujos no cambian de signo', () => {
+    assert.equal(InvestmentProjectionService.irr([-1000, -100, -50]), null);
+    assert.equal(InvestmentProjectionService.irr([1000, 100, 50]), null);
+});
+
+test('project entrega indicadores finitos con pie y gastos iniciales', () => {
+    const { inversionInicial, indicadores, anios } = InvestmentProjectionService.project(parametros());
+
+    assert.equal(inversionInicial.total, 900 * 38000 + 3000000);
+    assert.equal(anios.length, 20);
+    assert.ok(Number.isFinite(indicadores.tir));
+    assert.ok(Number.isFinite(indicadores.cashOnCashAnio1));
+    assert.ok(Number.isFinite(indicadores.multiploCapital));
+});
+
+test('sin inversión inicial los ratios sobre la inversión son null', () => {
+    const { inversionInicial, indicadores, anios } = InvestmentProjectionService.project(parametros({
+        montoCreditoUF: 4500,
+        gastosInicialesCLP: 0
+    }));
+
+    assert.equal(inversionInicial.total, 0);
+    assert.equal(anios[0].cashOnCash, null);
+    assert.equal(indicadores.cashOnCashAnio1, null);
+    assert.equal(indicadores.cashOnCashPromedio, null);
+    assert.equal(indicadores.multiploCapital, null);
+    assert.doesNotThrow(() => JSON.stringify(indicadores));
+});
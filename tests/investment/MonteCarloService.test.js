@@ -0,0 +1,47 @@
+// tests/investment/MonteCarloService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MonteCarloService = require('../../src/services/investment/MonteCarloService');
+
+const parametros = (datos = {}) => ({
+    precioUF: 4500,
+    valorUF: 38000,
+    arriendoMensualCLP: 650000,
+    gastosOperacionalesMensualesCLP: 90000,
+    gastosInicialesCLP: 3000000,
+    montoCreditoUF: 3600,
+    tasaCredito: 4.5,
+    plusvaliaAnual: 2,
+    simulaciones: 200,
+    ...datos
+});
+
+test('la misma semilla entrega el mismo resultado', () => {
+    const primera = MonteCarloService.simulate(parametros({ semilla: 42 }));
+    const segunda = MonteCarloService.simulate(parametros({ semilla: 42 }));
+
+    assert.deepEqual(segunda, primera);
+    assert.equal(primera.parametros.semilla, 42);
+});
+
+test('otra semilla entrega otra distribución', () => {
+    const primera = MonteCarloService.simulate(parametros({ semilla: 42 }));
+    const segunda = MonteCarloService.simulate(parametros({ semilla: 43 }));
+
+    assert.notDeepEqual(segunda.tir.percentiles, primera.tir.percentiles);
+});
+
+test('el nivel de riesgo es uno de Bajo, Moderado o Alto', () => {
+    const { nivelRiesgo } = MonteCarloService.simulate(parametros({ semilla: 7 }));
+
+    assert.ok(['Bajo', 'Moderado', 'Alto'].includes(nivelRiesgo.nivel));
+    assert.ok(nivelRiesgo.criterio.length > 0);
+});
+
+test('simulaciones se limita para no bloquear el event loop', () => {
+    const { simulacionesMax } = MonteCarloService.getDefaults();
+
+    assert.ok(simulacionesMax <= 5000);
+    assert.throws(() => MonteCarloService.simulate(parametros({ simulaciones: simulacionesMax + 1 })), { name: 'ValidationError', field: 'simulaciones' });
+    assert.throws(() => MonteCarloService.simulate(parametros({ simulaciones: '200abc' })), { name: 'ValidationError', field: 'simulaciones' });
+});
@@ -0,0 +1,27 @@
+// tests/investment/SensitivityAnalysisService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SensitivityAnalysisService = require('../../src/services/investment/SensitivityAnalysisService');
+
+const { tasaCredito, plusvalia, vacancia, negociacionPrecio } = SensitivityAnalysisService.getVariables();
+
+test('applyDeviation deja la plusvalía pesimista bajo 0 y solo acota la tasa en 0', () => {
+    assert.equal(SensitivityAnalysisService.applyDeviation(plusvalia, 1, 'pesimista'), -1);
+    assert.equal(SensitivityAnalysisService.applyDeviation(plusvalia, -19, 'pesimista'), -20);
+    assert.equal(SensitivityAnalysisService.applyDeviation(tasaCredito, 0.5, 'optimista'), 0);
+    assert.equal(SensitivityAnalysisService.applyDeviation(tasaCredito, 4.5, 'optimista'), 3.5);
+});
+
+test('applyDeviation no deja la vacancia pesimista por debajo del caso base', () => {
+    assert.equal(SensitivityAnalysisService.applyDeviation(vacancia, 5, 'pesimista'), 12.5);
+    assert.equal(SensitivityAnalysisService.applyDeviation(vacancia, 5, 'optimista'), 2);
+
+    assert.equal(SensitivityAnalysisService.applyDeviation(vacancia, 20, 'pesimista'), 20);
+    assert.equal(SensitivityAnalysisService.applyDeviation(vacancia, 20, 'optimista'), 2);
+    assert.equal(SensitivityAnalysisService.applyDeviation(vacancia, 1, 'optimista'), 1);
+});
+
+test('applyDeviation mantiene los extremos de la negociación del precio', () => {
+    assert.equal(SensitivityAnalysisService.applyDeviation(negociacionPrecio, 0, 'pesimista'), 0);
+    assert.equal(SensitivityAnalysisService.applyDeviation(negociacionPrecio, 0, 'optimista'), 8);
+});
@@ -0,0 +1,69 @@
+// tests/jobs/JobService.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JobService = require('../../src/services/jobs/JobService');
+const AnthropicService = require('../../src/services/anthropic/AnthropicService');
+const { JobStore, getJobStore } = require('../../src/services/jobs/JobStore');
+const { getCacheService } = require('../../src/services/cache/CacheService');
+const { ApiKeyStore } = require('../../src/services/auth/ApiKeyStore');
+
+const generateFinancialReportOriginal = AnthropicService.generateFinancialReport;
+
+after(() => {
+    AnthropicService.generateFinancialReport = generateFinancialReportOriginal;
+    JobService.stopWorker();
+});
+
+test('un job con API key solo se consulta con esa key', () => {
+    const job = { owner: { userId: 'u1', apiKeyHash: ApiKeyStore.hashKey('key_dueno') } };
+
+    assert.equal(JobService.canAccess(job, 'key_dueno'), true);
+    assert.equal(JobService.canAccess(job, 'key_otra'), false);
+    assert.equal(JobService.canAccess(job, undefined), false);
+    assert.equal(JobService.canAccess({ owner: null }, undefined), true);
+});
+
+test('la vista pública del job no expone la key ni la key de cache', () => {
+    const publico = JobService.toPublicJob({
+        id: 'job_1',
+        owner: { userId: 'u1', tier: 'basic', apiKeyHash: 'abc' },
+        cacheKey: 'claude_x',
+        options: {},
+        resultAvailable: false
+    });
+
+    assert.deepEqual(publico.owner, { userId: 'u1', tier: 'basic' });
+    assert.equal('cacheKey' in publico, false);
+});
+
+test('el job terminado guarda el reporte en la key de cache de la solicitud', async () => {
+    AnthropicService.generateFinancialReport = async () => ({ property: { titulo: 'Depto' }, metadata: { claudeAnalysisUsed: true } });
+
+    const job = await JobService.submitFinancialReport('https://www.portalinmobiliario.com/MLC-1', {}, null, { cacheKey: 'claude_test_job' });
+    JobService.stopWorker();
+    await JobService.runJob(job.id);
+
+    const cached = await getCacheService().get('claude', 'claude_test_job');
+    assert.equal(cached.success, true);
+    assert.equal(cached.data.success, true);
+    assert.equal(cached.data.data.property.titulo, 'Depto');
+    assert.equal(cached.data.metadata.jobId, job.id);
+    assert.equal((await getJobStore().getJob(job.id)).status, 'completed');
+});
+
+test('el respaldo en memoria descarta jobs expirados y respeta el máximo', () => {
+    const store = new JobStore();
+    const registros = new Map();
+    const ahora = Date.now();
+
+    registros.set('expirado', { data: {}, expiresAt: ahora - 1 });
+    for (let i = 0; i < 5; i++) {
+        registros.set(`job_${i}`, { data: {}, expiresAt: ahora + 1000 });
+    }
+
+    process.env.JOBS_MEMORY_MAX = '3';
+    store.pruneMemory(registros, ahora);
+    delete process.env.JOBS_MEMORY_MAX;
+
+    assert.deepEqual([...registros.keys()], ['job_2', 'job_3', 'job_4']);
+});
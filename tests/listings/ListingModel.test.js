@@ -0,0 +1,60 @@
+// tests/listings/ListingModel.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ListingModel = require('../../src/services/listings/ListingModel');
+
+test('parseNumber lee el punto de miles y la coma decimal chilenos', () => {
+    assert.equal(ListingModel.parseNumber('$ 2.300.000'), 2300000);
+    assert.equal(ListingModel.parseNumber('UF 5.450'), 5450);
+    assert.equal(ListingModel.parseNumber('UF 4.500,50'), 4500.5);
+    assert.equal(ListingModel.parseNumber('2,5 baños'), 2.5);
+});
+
+test('parseNumber trata el punto como decimal fuera de grupos de tres dígitos', () => {
+    assert.equal(ListingModel.parseNumber('1.5'), 1.5);
+    assert.equal(ListingModel.parseNumber('25.33 a 68.5 m²'), 25.33);
+    assert.equal(ListingModel.parseNumber('3 dormitorios.'), 3);
+});
+
+test('parseNumber devuelve null sin un número utilizable', () => {
+    assert.equal(ListingModel.parseNumber('No disponible'), null);
+    assert.equal(ListingModel.parseNumber('sin número'), null);
+    assert.equal(ListingModel.parseNumber(null), null);
+    assert.equal(ListingModel.parseNumber(NaN), null);
+    assert.equal(ListingModel.parseNumber(Infinity), null);
+    assert.equal(ListingModel.parseNumber(78), 78);
+});
+
+test('comparePrice compara en UF los avisos publicados en UF', () => {
+    assert.deepEqual(ListingModel.comparePrice(
+        { uf: 5000, clp: 190000000, moneda: 'UF' },
+        { uf: 4800, clp: 183000000, moneda: 'UF' }
+    ), { moneda: 'UF', anterior: 5000, actual: 4800, diferencia: -200, variacionPct: -4, tipo: 'baja' });
+});
+
+test('comparePrice compara en CLP los avisos en pesos e ignora la variación de la UF', () => {
+    assert.deepEqual(ListingModel.comparePrice(
+        { uf: 5000, clp: 190000000, moneda: 'CLP' },
+        { uf: 4870, clp: 185000000, moneda: 'CLP' }
+    ), { moneda: 'CLP', anterior: 190000000, actual: 185000000, diferencia: -5000000, variacionPct: -2.63, tipo: 'baja' });
+
+    assert.equal(ListingModel.comparePrice(
+        { uf: 5000, clp: 190000000, moneda: 'CLP' },
+        { uf: 4990, clp: 190000000, moneda: 'CLP' }
+    ), null);
+});
+
+test('comparePrice compara en UF si el aviso cambió de moneda', () => {
+    const cambio = ListingModel.comparePrice({ uf: 5000, clp: 190000000, moneda: 'CLP' }, { uf: 5100, moneda: 'UF' });
+
+    assert.equal(cambio.moneda, 'UF');
+    assert.equal(cambio.tipo, 'alza');
+    assert.equal(cambio.variacionPct, 2);
+});
+
+test('comparePrice devuelve null sin cambio o sin precio anterior válido', () => {
+    assert.equal(ListingModel.comparePrice({ uf: 5000, moneda: 'UF' }, { uf: 5000, moneda: 'UF' }), null);
+    assert.equal(ListingModel.comparePrice({ uf: 0 }, { uf: 10 }), null);
+    assert.equal(ListingModel.comparePrice({ uf: null }, { uf: 5000 }), null);
+    assert.equal(ListingModel.comparePrice(null, { uf: 5000 }), null);
+});
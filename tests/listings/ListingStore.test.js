@@ -0,0 +1,51 @@
+// tests/listings/ListingStore.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'listings-'));
+process.env.LISTINGS_STORE = 'file';
+process.env.LISTINGS_RETENTION_DAYS = '30';
+
+const { ListingStore } = require('../../src/services/listings/ListingStore');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const entrada = (id, diasSinVer) => ({
+    publicacion: { id, ultimaVez: new Date(Date.now() - diasSinVer * DIA_MS).toISOString() },
+    observaciones: [{ evento: 'publicada', fecha: new Date().toISOString() }]
+});
+
+after(() => {
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('saveListings elimina las publicaciones no vistas dentro de la retención', async () => {
+    const store = new ListingStore();
+    store.filePath = path.join(directorio, 'guardar.json');
+
+    await store.saveListings([entrada('MLC1', 40), entrada('MLC2', 5)]);
+
+    assert.equal(await store.count(), 1);
+    assert.equal(await store.getListing('MLC1'), null);
+    assert.deepEqual(await store.getHistory('MLC1'), []);
+    assert.equal((await store.getListing('MLC2')).id, 'MLC2');
+});
+
+test('el archivo se depura al cargarlo', async () => {
+    const archivo = path.join(directorio, 'cargar.json');
+    fs.writeFileSync(archivo, JSON.stringify({
+        publicaciones: {
+            MLC1: { ...entrada('MLC1', 31), historial: [] },
+            MLC2: { ...entrada('MLC2', 29), historial: [] }
+        }
+    }));
+
+    const store = new ListingStore();
+    store.filePath = archivo;
+
+    assert.equal(await store.count(), 1);
+    assert.deepEqual([...(await store.getListings(['MLC1', 'MLC2'])).keys()], ['MLC2']);
+});
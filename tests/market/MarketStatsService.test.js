@@ -0,0 +1,59 @@
+// tests/market/MarketStatsService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MarketStatsService = require('../../src/services/market/MarketStatsService');
+
+// Grupo mensual de venta: { id: uf }
+const bucket = (mes, precios) => ({
+    mes,
+    operacion: 'Venta',
+    publicaciones: Object.fromEntries(Object.entries(precios).map(([id, uf]) => [id, { uf, clp: null, m2: 60 }]))
+});
+
+const repetidas = (n, ufInicial, ufFinal) => ({
+    inicio: Object.fromEntries(Array.from({ length: n }, (_, i) => [`MLC${i}`, ufInicial])),
+    fin: Object.fromEntries(Array.from({ length: n }, (_, i) => [`MLC${i}`, ufFinal]))
+});
+
+test('estimateAppreciation anualiza la variación de las mismas publicaciones', () => {
+    const { inicio, fin } = repetidas(5, 5000, 5100);
+
+    // +2% en 6 meses ≈ 4,04% anual
+    assert.equal(MarketStatsService.estimateAppreciation([bucket('2025-01', inicio), bucket('2025-07', fin)]), 4.04);
+});
+
+test('estimateAppreciation ignora publicaciones distintas entre meses', () => {
+    // La mediana sube 50% porque en julio se publicaron departamentos más caros, no por plusvalía
+    const enero = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`A${i}`, 4000]));
+    const julio = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`B${i}`, 6000]));
+
+    assert.equal(MarketStatsService.estimateAppreciation([bucket('2025-01', enero), bucket('2025-07', julio)]), null);
+});
+
+test('estimateAppreciation exige muestra suficiente y al menos 3 meses entre observaciones', () => {
+    const pocas = repetidas(4, 5000, 5100);
+    assert.equal(MarketStatsService.estimateAppreciation([bucket('2025-01', pocas.inicio), bucket('2025-07', pocas.fin)]), null);
+
+    const cercanas = repetidas(5, 5000, 5100);
+    assert.equal(MarketStatsService.estimateAppreciation([bucket('2025-01', cercanas.inicio), bucket('2025-03', cercanas.fin)]), null);
+});
+
+test('estimateAppreciation acota el resultado a los límites de la configuración', () => {
+    const { inicio, fin } = repetidas(5, 5000, 7000);
+
+    assert.equal(MarketStatsService.estimateAppreciation([bucket('2025-01', inicio), bucket('2025-07', fin)]), 12);
+});
+
+test('resolveAppreciation usa la plusvalía del nivel sin tendencia de publicaciones repetidas', () => {
+    assert.deepEqual(MarketStatsService.resolveAppreciation({ plusvaliaAnualEstimada: null, nivel: 'premium' }), { valor: 4, fuente: 'nivel_comuna' });
+    assert.deepEqual(MarketStatsService.resolveAppreciation({ plusvaliaAnualEstimada: 2.5, nivel: 'premium' }), { valor: 2.5, fuente: 'tendencia_comuna' });
+});
+
+test('monthsAgo usa el mes UTC, igual que el agrupamiento de observaciones', () => {
+    // 31 de enero 23:30 en Chile (UTC-3) ya es 1 de febrero en UTC
+    const ahora = new Date('2025-02-01T02:30:00.000Z');
+
+    assert.equal(MarketStatsService.monthsAgo(1, ahora), ahora.toISOString().slice(0, 7));
+    assert.equal(MarketStatsService.monthsAgo(1, ahora), '2025-02');
+    assert.equal(MarketStatsService.monthsAgo(3, ahora), '2024-12');
+});
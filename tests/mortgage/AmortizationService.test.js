@@ -0,0 +1,65 @@
+// tests/mortgage/AmortizationService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AmortizationService = require('../../src/services/mortgage/AmortizationService');
+
+const BASE = { montoUF: 3000, plazoAnios: 20, tasaAnual: 4.5, valorUF: 39000, variacionAnualUF: 0 };
+
+test('tasa fija: cuota constante y el crédito queda saldado', () => {
+    const calculo = AmortizationService.calculate(BASE);
+
+    assert.equal(calculo.tabla.length, 240);
+    assert.equal(calculo.tramos.length, 1);
+    assert.equal(calculo.tabla[0].cuotaUF, calculo.tabla[120].cuotaUF);
+    assert.equal(calculo.tabla[239].saldoFinalUF, 0);
+
+    const amortizado = calculo.tabla.reduce((total, fila) => total + fila.amortizacionUF, 0);
+    assert.ok(Math.abs(amortizado - BASE.montoUF) < 0.01);
+});
+
+test('tasa 0%: la cuota es el monto dividido en las cuotas', () => {
+    const calculo = AmortizationService.calculate({ ...BASE, tasaAnual: 0, seguroDesgravamen: 0, seguroIncendio: 0 });
+
+    assert.equal(calculo.dividendo.sinSegurosUF, 12.5);
+    assert.equal(calculo.totales.interesesUF, 0);
+});
+
+test('crédito mixto con alza de tasas: la cuota sube al terminar el periodo fijo', () => {
+    const calculo = AmortizationService.calculate({ ...BASE, tipoTasa: 'mixta', periodoFijoAnios: 5, escenarioTasa: 'alza' });
+
+    assert.ok(calculo.tramos.length > 1);
+    assert.equal(calculo.tramos[0].hastaMes, 60);
+    assert.ok(calculo.dividendo.maximoSinSegurosUF > calculo.dividendo.sinSegurosUF);
+});
+
+test('la CAE incluye los gastos iniciales', () => {
+    const sinGastos = AmortizationService.calculate({
+        ...BASE, seguroDesgravamen: 0, seguroIncendio: 0,
+        gastosIniciales: { impuestoTimbresPct: 0, tasacionUF: 0, estudioTitulosUF: 0 }
+    });
+    const conGastos = AmortizationService.calculate({ ...BASE, seguroDesgravamen: 0, seguroIncendio: 0 });
+
+    assert.ok(Math.abs(sinGastos.cae - BASE.tasaAnual) < 0.1);
+    assert.ok(conGastos.cae > sinGastos.cae);
+    assert.equal(conGastos.gastosIniciales.impuestoTimbresUF, 24);
+});
+
+test('gastosIniciales inválidos se rechazan con error de validación', () => {
+    assert.throws(
+        () => AmortizationService.calculate({ ...BASE, gastosIniciales: { tasacionUF: -3 } }),
+        { name: 'ValidationError', field: 'gastosIniciales.tasacionUF' }
+    );
+    assert.throws(
+        () => AmortizationService.calculate({ ...BASE, gastosIniciales: { impuestoTimbresPct: 'abc' } }),
+        { name: 'ValidationError', field: 'gastosIniciales.impuestoTimbresPct' }
+    );
+    assert.throws(
+        () => AmortizationService.calculate({ ...BASE, gastosIniciales: 5 }),
+        { name: 'ValidationError', field: 'gastosIniciales' }
+    );
+});
+
+test('montoUF y plazoAnios son requeridos', () => {
+    assert.throws(() => AmortizationService.calculate({ ...BASE, montoUF: undefined }), { field: 'montoUF' });
+    assert.throws(() => AmortizationService.calculate({ ...BASE, plazoAnios: '' }), { field: 'plazoAnios' });
+});
@@ -0,0 +1,68 @@
+// tests/mortgage/RateHistoryService.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+process.env.MORTGAGE_RATES_STORE = 'file';
+process.env.MORTGAGE_RATES_FILE = path.join(directorio, 'mortgage-rates.json');
+
+const RateHistoryService = require('../../src/services/mortgage/RateHistoryService');
+const { getRateHistoryStore } = require('../../src/services/mortgage/RateHistoryStore');
+
+const observacion = (fecha, cambios = {}) => ({
+    fecha,
+    banco: 'Banco Uno',
+    plazo: 25,
+    monto: 3000,
+    tramoMonto: '1500_3000',
+    tipoCredito: 'mutuo_no_endosable',
+    tipoTasa: 'fija',
+    tasa: 4.5,
+    cae: 4.8,
+    ...cambios
+});
+
+const hoy = new Date().toISOString().substring(0, 10);
+const ayer = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+after(() => {
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('record guarda series por plazo y tramo, y query lee solo las pedidas', async () => {
+    const store = getRateHistoryStore();
+    await store.record([
+        observacion(`${ayer}T10:00:00.000Z`),
+        observacion(`${ayer}T11:00:00.000Z`, { plazo: 20 }),
+        observacion(`${ayer}T12:00:00.000Z`, { tramoMonto: '3000_5000', monto: 4000 })
+    ]);
+
+    assert.deepEqual((await store.listSeriesKeys()).sort(), ['20|1500_3000', '25|1500_3000', '25|3000_5000']);
+    assert.equal((await store.query({ plazo: 25, tramoMonto: '1500_3000' })).length, 1);
+    assert.equal((await store.query({ plazo: 25 })).length, 2);
+    assert.equal(await store.count(), 3);
+});
+
+test('getHistory incluye el día completo de hasta=YYYY-MM-DD', async () => {
+    await getRateHistoryStore().record([observacion(`${ayer}T23:30:00.000Z`, { plazo: 30 })]);
+
+    const historial = await RateHistoryService.getHistory({ plazo: 30, monto: 3000, hasta: ayer, intervalo: 'dia' });
+
+    assert.equal(historial.resumen.observaciones, 1);
+    assert.equal(historial.filtros.hasta, `${ayer}T23:59:59.999Z`);
+});
+
+test('getHistory no mezcla tipos de crédito', async () => {
+    await getRateHistoryStore().record([
+        observacion(`${hoy}T00:00:01.000Z`, { plazo: 15, tipoCredito: 'mutuo_endosable', tasa: 6 }),
+        observacion(`${hoy}T00:00:02.000Z`, { plazo: 15, tasa: 4 })
+    ]);
+
+    const historial = await RateHistoryService.getHistory({ plazo: 15, monto: 3000, tipoCredito: 'mutuo_endosable' });
+
+    assert.equal(historial.resumen.observaciones, 1);
+    assert.equal(historial.serie[0].mediana, 6);
+});
@@ -0,0 +1,21 @@
+// tests/pdf/PDFGeneratorService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PDFGeneratorService = require('../../src/services/pdf/PDFGeneratorService');
+
+test('generateMultiplePDFs rechaza un batch vacío', async () => {
+    await assert.rejects(PDFGeneratorService.generateMultiplePDFs([]), { name: 'ValidationError', field: 'analysisDataArray' });
+});
+
+test('resolveBatchFilenames completa con el prefijo y agrega sufijo a los nombres repetidos', () => {
+    assert.deepEqual(
+        PDFGeneratorService.resolveBatchFilenames(['depto.pdf', 'Depto', null, 'depto'], 'reporte-', 5),
+        ['depto.pdf', 'Depto-2.pdf', 'reporte-3.pdf', 'depto-3.pdf', 'reporte-5.pdf']
+    );
+    assert.deepEqual(PDFGeneratorService.resolveBatchFilenames(['reporte-2'], 'reporte-', 2), ['reporte-2.pdf', 'reporte-2-2.pdf']);
+});
+
+test('resolveBatchFilenames valida los nombres antes de generar', () => {
+    assert.throws(() => PDFGeneratorService.resolveBatchFilenames('depto', 'reporte-', 1), { name: 'ValidationError', field: 'options.filenames' });
+    assert.throws(() => PDFGeneratorService.resolveBatchFilenames(['a', 42], 'reporte-', 2), { name: 'ValidationError', field: 'options.filenames[1]' });
+});
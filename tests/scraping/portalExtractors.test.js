@@ -0,0 +1,71 @@
+// tests/scraping/portalExtractors.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const ScrapingService = require('../../src/services/scraping/ScrapingService');
+
+const FIXTURES_DIR = path.join(__dirname, '../../src/services/scraping/fixtures');
+
+/**
+ * Página mínima sobre el HTML de una fixture: evaluate() ejecuta el mismo código que en el
+ * navegador, con el DOM de jsdom como `document` (sin Playwright ni red)
+ */
+const paginaDesdeFixture = (archivo, url) => {
+    const { window } = new JSDOM(fs.readFileSync(path.join(FIXTURES_DIR, archivo), 'utf8'), { url });
+
+    return {
+        url: () => url,
+        waitForLoadState: async () => {},
+        waitForTimeout: async () => {},
+        waitForSelector: async (selector) => {
+            if (!window.document.querySelector(selector)) {
+                throw new Error(`Selector no encontrado: ${selector}`);
+            }
+        },
+        evaluate: async (fn, arg) => {
+            global.document = window.document;
+            try {
+                return fn(arg);
+            } finally {
+                delete global.document;
+            }
+        }
+    };
+};
+
+test('extraerYapo lee la ficha de la fixture de Yapo', async () => {
+    const url = 'https://www.yapo.cl/bienes-raices/departamento/8612345678';
+    const resultado = await ScrapingService.extraerYapo(paginaDesdeFixture('yapo-propiedad.html', url));
+
+    assert.equal(resultado.titulo, 'Departamento 3D 2B metro Irarrázaval, Ñuñoa');
+    assert.equal(resultado.precio_uf, 'UF 5.450');
+    assert.equal(resultado.moneda, 'UF');
+    assert.equal(resultado.ubicacion, 'Ñuñoa, Región Metropolitana');
+    assert.equal(resultado.dormitorios, '3 dormitorios');
+    assert.equal(resultado.banos, '2 baños');
+    assert.equal(resultado.superficie, '78 m² útiles');
+    assert.equal(resultado.caracteristicas.estacionamientos, '1');
+    assert.equal(resultado.caracteristicas_completas['gastos comunes'], '$ 115.000');
+    assert.equal(resultado.link, url);
+    assert.equal(resultado.imagenes.length, 3);
+});
+
+test('extraerTocToc lee la ficha de la fixture de TocToc', async () => {
+    const url = 'https://www.toctoc.com/propiedades/compra/casa/la-florida/4567890';
+    const resultado = await ScrapingService.extraerTocToc(paginaDesdeFixture('toctoc-propiedad.html', url));
+
+    assert.equal(resultado.titulo, 'Casa 4D 3B con patio en La Florida');
+    assert.equal(resultado.precio_uf, 'UF 7.900');
+    assert.equal(resultado.ubicacion, 'Pasaje Los Aromos 1234, La Florida, Región Metropolitana');
+    assert.equal(resultado.dormitorios, '4 dormitorios');
+    assert.equal(resultado.banos, '3 baños');
+    assert.equal(resultado.superficie, '120 m² útiles');
+    assert.equal(resultado.caracteristicas.quincho, 'Sí');
+    assert.equal(resultado.caracteristicas.estacionamientos, '2');
+    assert.deepEqual(resultado.imagenes, [
+        'https://images.toctoc.com/propiedades/4567890/foto-1.jpg',
+        'https://images.toctoc.com/propiedades/4567890/foto-2.jpg'
+    ]);
+});
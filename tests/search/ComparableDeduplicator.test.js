@@ -0,0 +1,48 @@
+// tests/search/ComparableDeduplicator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ComparableDeduplicator = require('../../src/services/search/ComparableDeduplicator');
+
+const publicacion = (datos) => ({
+    portal: 'yapo',
+    titulo: 'Departamento',
+    ubicacion: null,
+    superficie: { utilM2: null, totalM2: null },
+    precio: { uf: null, clp: null },
+    imagen: null,
+    ...datos
+});
+
+test('la misma imagen con dirección distinta y sin otra señal no es duplicado', () => {
+    const { propiedades, duplicadosEliminados } = ComparableDeduplicator.deduplicate([
+        publicacion({ link: 'https://a.cl/1', ubicacion: 'Ñuñoa', precio: { uf: 5000 }, imagen: 'https://img.cl/fotos/depto-modelo-3d.jpg' }),
+        publicacion({ link: 'https://b.cl/2', ubicacion: 'La Florida', precio: { uf: 7900 }, imagen: 'https://img.cl/fotos/depto-modelo-3d.jpg' })
+    ]);
+
+    assert.equal(duplicadosEliminados, 0);
+    assert.equal(propiedades.length, 2);
+});
+
+test('la misma imagen con el mismo precio es duplicado', () => {
+    const { duplicadosEliminados } = ComparableDeduplicator.deduplicate([
+        publicacion({ link: 'https://a.cl/1', ubicacion: 'Ñuñoa', precio: { uf: 5450 }, imagen: 'https://img.yapo.cl/86/8612345678.jpg' }),
+        publicacion({ portal: 'toctoc', link: 'https://b.cl/2', ubicacion: 'Irarrázaval 3000', precio: { uf: 5450 }, imagen: 'https://cdn.toctoc.com/8612345678-large.jpg' })
+    ]);
+
+    assert.equal(duplicadosEliminados, 1);
+});
+
+test('las imágenes genéricas de los portales no se comparan', () => {
+    assert.equal(ComparableDeduplicator.imageKey('https://static.portal.cl/assets/placeholder-propiedad.png'), null);
+    assert.equal(ComparableDeduplicator.imageKey('https://static.portal.cl/img/sin-foto-disponible.jpg'), null);
+    assert.equal(ComparableDeduplicator.imageKey('https://img.yapo.cl/86/8612345678.jpg'), '8612345678');
+});
+
+test('dirección, superficie y precio similares bastan sin imagen', () => {
+    const { duplicadosEliminados } = ComparableDeduplicator.deduplicate([
+        publicacion({ link: 'https://a.cl/1', ubicacion: 'Los Aromos 1234, La Florida', superficie: { utilM2: 120 }, precio: { uf: 7900 } }),
+        publicacion({ link: 'https://b.cl/2', ubicacion: 'Pasaje Los Aromos 1234, La Florida', superficie: { utilM2: 121 }, precio: { uf: 7950 } })
+    ]);
+
+    assert.equal(duplicadosEliminados, 1);
+});
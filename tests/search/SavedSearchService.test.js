@@ -0,0 +1,201 @@
+// tests/search/SavedSearchService.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-searches-'));
+process.env.SAVED_SEARCHES_STORE = 'file';
+process.env.SAVED_SEARCHES_FILE = path.join(directorio, 'saved-searches.json');
+process.env.LISTINGS_STORE = 'file';
+process.env.LISTINGS_FILE = path.join(directorio, 'listings.json');
+process.env.MARKET_STATS_STORE = 'file';
+process.env.MARKET_STATS_FILE = path.join(directorio, 'market-stats.json');
+
+const SavedSearchService = require('../../src/services/search/SavedSearchService');
+const SearchService = require('../../src/services/search/SearchService');
+const { getSavedSearchStore } = require('../../src/services/search/SavedSearchStore');
+const { getPortalRegistry } = require('../../src/services/portals/PortalRegistry');
+
+const publicacion = (id, uf) => ({
+    id,
+    titulo: `Departamento ${id}`,
+    link: `https://www.portalinmobiliario.com/MLC-${id}`,
+    ubicacion: 'Ñuñoa',
+    portal: 'portalinmobiliario',
+    precio: { uf, clp: null, moneda: 'UF' }
+});
+
+const resultadoBusqueda = (publicaciones, { paginasProcesadas = 2, cargaResultadosExitosa = true, finPaginacion = 'max_paginas' } = {}) => ({
+    success: true,
+    data: publicaciones,
+    metadata: {
+        resultados: { totalPropiedades: publicaciones.length, paginasProcesadas },
+        estado: {
+            cargaResultadosExitosa,
+            extraccionCompleta: publicaciones.length > 0,
+            paginacionCompleta: ['max_paginas', 'ultima_pagina'].includes(finPaginacion),
+            finPaginacion
+        }
+    }
+});
+
+const executeSearchOriginal = SavedSearchService.executeSearch;
+let siguienteResultado = null;
+
+before(() => {
+    SavedSearchService.executeSearch = async () => siguienteResultado;
+});
+
+after(() => {
+    SavedSearchService.executeSearch = executeSearchOriginal;
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('diffSnapshots detecta nuevas, eliminadas y cambios de precio', () => {
+    const anteriores = SavedSearchService.buildSnapshot([publicacion('1', 5000), publicacion('2', 4200)]).publicaciones;
+    const actuales = SavedSearchService.buildSnapshot([publicacion('1', 4800), publicacion('3', 6100)]).publicaciones;
+
+    const diff = SavedSearchService.diffSnapshots(anteriores, actuales);
+
+    assert.deepEqual(diff.nuevas.map(p => p.id), ['3']);
+    assert.deepEqual(diff.eliminadas.map(p => p.id), ['2']);
+    assert.equal(diff.cambiosPrecio.length, 1);
+    assert.equal(diff.cambiosPrecio[0].id, '1');
+    assert.equal(diff.cambiosPrecio[0].tipo, 'baja');
+    assert.equal(diff.cambiosPrecio[0].diferencia, -200);
+});
+
+test('diffSnapshots sin cambios devuelve listas vacías', () => {
+    const foto = SavedSearchService.buildSnapshot([publicacion('1', 5000)]).publicaciones;
+
+    assert.deepEqual(SavedSearchService.diffSnapshots(foto, foto), { nuevas: [], eliminadas: [], cambiosPrecio: [] });
+});
+
+test('assessRun distingue ejecuciones completas, fallidas e incompletas', () => {
+    assert.equal(SavedSearchService.assessRun(resultadoBusqueda([publicacion('1', 5000)])).estado, 'ok');
+    assert.equal(SavedSearchService.assessRun(resultadoBusqueda([publicacion('1', 5000)], { paginasProcesadas: 1, finPaginacion: 'ultima_pagina' })).estado, 'ok');
+    assert.equal(SavedSearchService.assessRun(resultadoBusqueda([])).estado, 'error');
+    assert.equal(SavedSearchService.assessRun(resultadoBusqueda([publicacion('1', 5000)], { cargaResultadosExitosa: false })).estado, 'error');
+    assert.equal(SavedSearchService.assessRun(resultadoBusqueda([publicacion('1', 5000)], { paginasProcesadas: 1, finPaginacion: 'errores_extraccion' })).estado, 'incompleta');
+});
+
+test('una ejecución incompleta no compara ni reemplaza la foto anterior', async () => {
+    const search = await SavedSearchService.createSearch('key_test', {
+        parametros: { tipo: 'Departamento', operacion: 'Venta', ubicacion: 'Ñuñoa', maxPaginas: 2 },
+        cron: '0 8 * * *'
+    });
+
+    siguienteResultado = resultadoBusqueda([publicacion('1', 5000), publicacion('2', 4200)]);
+    const lineaBase = await SavedSearchService.runSearch(search.id);
+    assert.equal(lineaBase.lineaBase, true);
+
+    siguienteResultado = resultadoBusqueda([publicacion('1', 5000)], { paginasProcesadas: 1, finPaginacion: 'navegador_cerrado' });
+    const incompleta = await SavedSearchService.runSearch(search.id);
+    assert.equal(incompleta.estado, 'incompleta');
+    assert.equal(incompleta.resumen.eliminadas, 0);
+
+    const registrada = await getSavedSearchStore().getSearch(search.id);
+    assert.equal(registrada.ultimaEjecucion.estado, 'incompleta');
+    assert.equal(registrada.ejecuciones, 1);
+    assert.deepEqual(Object.keys((await getSavedSearchStore().getSnapshot(search.id)).publicaciones), ['1', '2']);
+
+    siguienteResultado = resultadoBusqueda([publicacion('1', 4900), publicacion('2', 4200)]);
+    const completa = await SavedSearchService.runSearch(search.id);
+    assert.equal(completa.estado, 'ok');
+    assert.deepEqual(completa.resumen, { nuevas: 0, eliminadas: 0, cambiosPrecio: 1, bajasPrecio: 1 });
+});
+
+test('runSearch con el recorrido real de páginas: menos páginas que maxPaginas es una ejecución completa', async () => {
+    const adaptador = getPortalRegistry().getSearchAdapter('portal_inmobiliario');
+    const originales = {
+        launchBrowser: SearchService.launchBrowser,
+        createContext: SearchService.createContext,
+        obtenerValorUF: SearchService.obtenerValorUF
+    };
+    const metodosAdaptador = ['openSearch', 'waitForResults', 'extractResultCards', 'goToNextPage'];
+    const originalesAdaptador = Object.fromEntries(metodosAdaptador.map(metodo => [metodo, adaptador[metodo]]));
+
+    // Dos páginas de resultados; la búsqueda pide hasta tres
+    const dosPaginas = [
+        [{ titulo: 'Depto 1', link: 'https://www.portalinmobiliario.com/MLC-1001', ubicacion: 'Ñuñoa', precio_uf: 'UF 5.000' }],
+        [{ titulo: 'Depto 2', link: 'https://www.portalinmobiliario.com/MLC-1002', ubicacion: 'Ñuñoa', precio_uf: 'UF 4.200' }]
+    ];
+    let paginas = dosPaginas;
+    const page = { isClosed: () => false, waitForTimeout: async () => {}, close: async () => {} };
+
+    SavedSearchService.executeSearch = executeSearchOriginal;
+    SearchService.launchBrowser = async () => ({ isConnected: () => false });
+    SearchService.createContext = async () => ({ newPage: async () => page, close: async () => {} });
+    SearchService.obtenerValorUF = async () => 39000;
+    adaptador.openSearch = async () => {};
+    adaptador.waitForResults = async () => true;
+    adaptador.extractResultCards = async (_, numeroPagina) => paginas[numeroPagina - 1] || [];
+    adaptador.goToNextPage = async (_, numeroPaginaSiguiente) => numeroPaginaSiguiente <= paginas.length;
+
+    try {
+        const search = await SavedSearchService.createSearch('key_paginas', {
+            parametros: { tipo: 'Departamento', operacion: 'Venta', ubicacion: 'Ñuñoa', maxPaginas: 3 },
+            cron: '0 8 * * *'
+        });
+
+        const lineaBase = await SavedSearchService.runSearch(search.id);
+        assert.equal(lineaBase.estado, 'ok');
+        assert.equal(lineaBase.lineaBase, true);
+
+        paginas = dosPaginas.slice(0, 1);
+        const segunda = await SavedSearchService.runSearch(search.id);
+        assert.equal(segunda.estado, 'ok');
+        assert.equal(segunda.resumen.eliminadas, 1);
+
+        // Una página que falla al extraerse deja la ejecución incompleta, sin comparar
+        paginas = dosPaginas;
+        const extraer = adaptador.extractResultCards;
+        adaptador.extractResultCards = async (pagina, numeroPagina) => {
+            if (numeroPagina === 2) {
+                throw new Error('selector no encontrado');
+            }
+            return extraer(pagina, numeroPagina);
+        };
+        const incompleta = await SavedSearchService.runSearch(search.id);
+        assert.equal(incompleta.estado, 'incompleta');
+        assert.match(incompleta.motivo, /errores al extraer páginas/);
+    } finally {
+        Object.assign(SearchService, originales);
+        Object.assign(adaptador, originalesAdaptador);
+        SavedSearchService.executeSearch = async () => siguienteResultado;
+    }
+});
+
+test('normalizeWebhook rechaza destinos locales, privados y link-local', async () => {
+    for (const url of [
+        'http://127.0.0.1:8080/hook',
+        'http://localhost/hook',
+        'http://10.0.0.5/hook',
+        'http://192.168.1.10/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://2130706433/hook'
+    ]) {
+        await assert.rejects(SavedSearchService.normalizeWebhook({ url }), { name: 'ValidationError', field: 'webhook.url' }, url);
+    }
+});
+
+test('normalizeWebhook acepta una IP pública y conserva el secreto al actualizar', async () => {
+    const webhook = await SavedSearchService.normalizeWebhook({ url: 'https://93.184.216.34/hook' }, { secret: 'secreto-anterior' });
+
+    assert.deepEqual(webhook, { url: 'https://93.184.216.34/hook', secret: 'secreto-anterior' });
+});
+
+test('deliverWebhook vuelve a validar el host antes de enviar', async () => {
+    const entrega = await SavedSearchService.deliverWebhook(
+        { id: 'ss_test', nombre: 'Prueba', parametros: {}, webhook: { url: 'http://169.254.169.254/hook', secret: null } },
+        { id: 'chg_test', webhook: null }
+    );
+
+    assert.equal(entrega.estado, 'fallido');
+    assert.equal(entrega.intentos, 0);
+    assert.match(entrega.error, /webhook\.url/);
+});
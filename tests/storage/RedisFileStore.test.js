@@ -0,0 +1,63 @@
+// tests/storage/RedisFileStore.test.js
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+process.env.TEST_STORE = 'file';
+process.env.TEST_STORE_FILE = path.join(directorio, 'store.json');
+
+const RedisFileStore = require('../../src/services/storage/RedisFileStore');
+
+class ContadorStore extends RedisFileStore {
+    constructor() {
+        super({
+            nombre: 'ContadorStore',
+            descripcion: 'contadores de prueba',
+            icono: '🧪',
+            backendEnv: 'TEST_STORE',
+            fileEnv: 'TEST_STORE_FILE',
+            defaultFile: 'test-store.json'
+        });
+        this.valores = [];
+        this.serializaciones = 0;
+    }
+
+    applyFileContent(content) {
+        this.valores = content.valores || [];
+    }
+
+    serializeFile() {
+        this.serializaciones++;
+        return { valores: this.valores };
+    }
+
+    async add(valor) {
+        await this.initialize();
+        this.valores.push(valor);
+        await this.persistFile();
+    }
+}
+
+after(() => {
+    fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('una ráfaga de escrituras serializa el store una vez por escritura', async () => {
+    const store = new ContadorStore();
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.add(i)));
+
+    assert.equal(store.getBackendName(), 'file');
+    assert.ok(store.serializaciones <= 2, `serializaciones: ${store.serializaciones}`);
+    assert.equal(JSON.parse(fs.readFileSync(process.env.TEST_STORE_FILE, 'utf8')).valores.length, 20);
+});
+
+test('el archivo guardado se carga en una instancia nueva', async () => {
+    const store = new ContadorStore();
+    await store.initialize();
+
+    assert.equal(store.valores.length, 20);
+});
@@ -0,0 +1,88 @@
+// tests/tax/TaxService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TaxService = require('../../src/services/tax/TaxService');
+
+const operacion = (perfil, datos = {}) => TaxService.analyze({
+    perfil: TaxService.normalizeProfile(perfil),
+    precioUF: 3000,
+    valorUF: 38000,
+    valorUTM: 65000,
+    arriendoMensualCLP: 600000,
+    gastosDeduciblesMensualesCLP: 50000,
+    ...datos
+});
+
+test('normalizeProfile completa los valores por defecto', () => {
+    const perfil = TaxService.normalizeProfile({});
+
+    assert.equal(perfil.tipoContribuyente, 'persona');
+    assert.equal(perfil.regimenEmpresa, null);
+    assert.equal(perfil.ingresoAnualCLP, 0);
+    assert.equal(perfil.viviendasDFL2, 0);
+    assert.equal(perfil.propiedad.superficieM2, null);
+    assert.equal(TaxService.normalizeProfile({ propiedad: { superficieM2: '' } }).propiedad.superficieM2, null);
+});
+
+test('normalizeProfile rechaza valores no numéricos, negativos o no enteros', () => {
+    assert.throws(() => TaxService.normalizeProfile({ ingresoAnualCLP: '12abc' }), { name: 'ValidationError', field: 'taxProfile.ingresoAnualCLP' });
+    assert.throws(() => TaxService.normalizeProfile({ ingresoAnualCLP: -1 }), { name: 'ValidationError', field: 'taxProfile.ingresoAnualCLP' });
+    assert.throws(() => TaxService.normalizeProfile({ viviendasDFL2: 1.5 }), { name: 'ValidationError', field: 'taxProfile.viviendasDFL2' });
+    assert.throws(() => TaxService.normalizeProfile({ tipoContribuyente: 'sociedad' }), { name: 'ValidationError', field: 'taxProfile.tipoContribuyente' });
+});
+
+test('progressiveTax aplica cada tramo solo al exceso', () => {
+    const tramos = TaxService.getRules().globalComplementario;
+
+    assert.equal(TaxService.progressiveTax(10, tramos), 0);
+    assert.ok(Math.abs(TaxService.progressiveTax(20, tramos) - 0.26) < 1e-9);
+    assert.ok(Math.abs(TaxService.progressiveTax(60, tramos) - 3.61) < 1e-9);
+    assert.equal(TaxService.marginalRate(60, tramos), 13.5);
+});
+
+test('contribuciones con exención habitacional y rebaja DFL2', () => {
+    const sinRebaja = { rebajaContribuciones: { aplica: false, pct: 50 } };
+    const conRebaja = { rebajaContribuciones: { aplica: true, pct: 50 } };
+
+    const exenta = TaxService.calculateContribuciones(50000000, null, sinRebaja);
+    assert.equal(exenta.exenta, true);
+    assert.equal(exenta.impuestoAnual, 0);
+
+    const afecta = TaxService.calculateContribuciones(100000000, null, sinRebaja);
+    assert.equal(afecta.avaluoAfectoCLP, 43000000);
+    assert.equal(afecta.impuestoAnual, 383990);
+
+    assert.equal(TaxService.calculateContribuciones(100000000, null, conRebaja).impuestoAnual, 191995);
+});
+
+test('persona con DFL2 inferido por superficie queda exenta de renta', () => {
+    const resultado = operacion({ viviendasDFL2: 1, propiedad: { superficieM2: 60 } });
+
+    assert.equal(resultado.dfl2.aplica, true);
+    assert.equal(resultado.dfl2.fuente, 'inferido_superficie');
+    assert.equal(resultado.impuestoRenta.regimen, 'exento_dfl2');
+    assert.equal(resultado.impuestoRenta.impuestoAnual, 0);
+});
+
+test('persona con el máximo de viviendas DFL2 paga Global Complementario', () => {
+    const resultado = operacion({ viviendasDFL2: 2, ingresoAnualCLP: 36000000, propiedad: { superficieM2: 60 } });
+
+    assert.equal(resultado.dfl2.exencionRenta, false);
+    assert.equal(resultado.impuestoRenta.regimen, 'global_complementario');
+    assert.ok(resultado.impuestoRenta.impuestoAnual > 0);
+});
+
+test('empresa Pro Pyme paga Primera Categoría sobre la renta menos gastos y depreciación', () => {
+    const resultado = operacion({
+        tipoContribuyente: 'empresa',
+        regimenEmpresa: 'pro_pyme',
+        propiedad: { dfl2: false, avaluoFiscalCLP: 50000000 }
+    }, { flujoCajaMensualCLP: 200000, yieldNeto: 4 });
+
+    assert.equal(resultado.impuestoRenta.regimen, 'primera_categoria_pro_pyme');
+    assert.equal(resultado.impuestoRenta.deducciones.depreciacion, 1140000);
+    assert.equal(resultado.impuestoRenta.baseImponible, 5460000);
+    assert.equal(resultado.impuestoRenta.impuestoAnual, 1365000);
+    assert.equal(resultado.impuestoRenta.tasaEfectivaPct, 18.96);
+    assert.equal(resultado.metricasDespuesImpuestos.flujoCajaMensual.despuesImpuestos, 200000 - 113750);
+});
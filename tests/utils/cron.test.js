@@ -0,0 +1,56 @@
+// tests/utils/cron.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronRun, minCronInterval } = require('../../src/utils/cron');
+
+// Fechas en hora local del servidor, igual que la evaluación de las expresiones
+const fecha = (anio, mes, dia, hora = 0, minuto = 0) => new Date(anio, mes - 1, dia, hora, minuto);
+
+test('nextCronRun es estrictamente posterior a la fecha de partida', () => {
+    assert.deepEqual(nextCronRun('0 8 * * 1-5', fecha(2025, 1, 6, 7, 59)), fecha(2025, 1, 6, 8, 0));
+    assert.deepEqual(nextCronRun('0 8 * * 1-5', fecha(2025, 1, 6, 8, 0)), fecha(2025, 1, 7, 8, 0));
+});
+
+test('nextCronRun salta el fin de semana en días hábiles', () => {
+    assert.deepEqual(nextCronRun('0 8 * * 1-5', fecha(2025, 1, 10, 9, 0)), fecha(2025, 1, 13, 8, 0));
+});
+
+test('día-mes y día-semana restringidos se cumplen con cualquiera de los dos', () => {
+    // Día 13 o viernes: el primero desde el miércoles 1 de enero de 2025 es el viernes 3
+    assert.deepEqual(nextCronRun('0 0 13 * 5', fecha(2025, 1, 1)), fecha(2025, 1, 3));
+});
+
+test('un paso sobre * en día-mes no cuenta como restringido', () => {
+    const cron = parseCron('0 0 */2 * 1');
+
+    assert.equal(cron.diaMesLibre, true);
+    assert.equal(cron.diaSemanaLibre, false);
+    // Lunes de día impar: 6 de enero es par, 13 es impar
+    assert.deepEqual(nextCronRun(cron, fecha(2025, 1, 1)), fecha(2025, 1, 13));
+});
+
+test('nextCronRun encuentra el 29 de febrero y devuelve null si la fecha no existe', () => {
+    assert.deepEqual(nextCronRun('0 0 29 2 *', fecha(2025, 3, 1)), fecha(2028, 2, 29));
+    assert.equal(nextCronRun('0 0 31 2 *', fecha(2025, 1, 1)), null);
+});
+
+test('domingo es 0 o 7 y los alias se expanden', () => {
+    assert.deepEqual(nextCronRun('0 10 * * 7', fecha(2025, 1, 1)), fecha(2025, 1, 5, 10, 0));
+    assert.deepEqual(nextCronRun('@weekly', fecha(2025, 1, 1)), fecha(2025, 1, 5));
+    assert.deepEqual(nextCronRun('@monthly', fecha(2025, 1, 15)), fecha(2025, 2, 1));
+});
+
+test('minCronInterval entrega el menor intervalo en minutos', () => {
+    const desde = fecha(2025, 1, 6);
+
+    assert.equal(minCronInterval('*/15 * * * *', 24, desde), 15);
+    assert.equal(minCronInterval('0 8,9 * * *', 24, desde), 60);
+    assert.equal(minCronInterval('0 8 * * 1-5', 24, desde), 24 * 60);
+    assert.equal(minCronInterval('0 0 31 2 *', 24, desde), Infinity);
+});
+
+test('parseCron rechaza expresiones inválidas', () => {
+    for (const expresion of ['', '* * * *', '60 * * * *', '* 24 * * *', '*-5 * * * *', '5-1 * * * *', '*/0 * * * *']) {
+        assert.throws(() => parseCron(expresion), { name: 'ValidationError', field: 'cron' }, expresion);
+    }
+});
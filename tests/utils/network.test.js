@@ -0,0 +1,55 @@
+// tests/utils/network.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { requestPinned } = require('../../src/utils/network');
+
+let server;
+let puerto;
+const recibidas = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            recibidas.push({ url: req.url, host: req.headers.host, body });
+            if (req.url === '/redirige') {
+                res.writeHead(302, { Location: `http://127.0.0.1:${puerto}/hook` });
+                return res.end();
+            }
+            res.writeHead(204);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    puerto = server.address().port;
+});
+
+after(() => {
+    server.close();
+});
+
+test('requestPinned se conecta a la dirección validada sin volver a resolver el host', async () => {
+    recibidas.length = 0;
+
+    // El host no existe en DNS: la conexión solo llega si usa la dirección fijada
+    const respuesta = await requestPinned(`http://webhook.invalid:${puerto}/hook`, ['127.0.0.1'], {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"ok":true}'
+    });
+
+    assert.deepEqual(respuesta, { status: 204, ok: true });
+    assert.deepEqual(recibidas, [{ url: '/hook', host: `webhook.invalid:${puerto}`, body: '{"ok":true}' }]);
+});
+
+test('requestPinned no sigue redirecciones', async () => {
+    recibidas.length = 0;
+
+    const respuesta = await requestPinned(`http://webhook.invalid:${puerto}/redirige`, ['127.0.0.1'], { method: 'POST', body: '{}' });
+
+    assert.deepEqual(respuesta, { status: 302, ok: false });
+    assert.equal(recibidas.length, 1);
+});